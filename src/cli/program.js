@@ -1,5 +1,6 @@
 'use strict';
 
+const net = require('net');
 const { Command } = require('commander');
 const chalk = require('chalk');
 const { version } = require('../../package.json');
@@ -7,14 +8,30 @@ const { version } = require('../../package.json');
 const { runServer } = require('../commands/server');
 const { runStart } = require('../commands/start');
 const { runJoin } = require('../commands/join');
+const { runListen } = require('../commands/listen');
+const { runDial } = require('../commands/dial');
+const { runCalibrate } = require('../commands/calibrate');
+const { runDevices } = require('../commands/devices');
+const { runTestAudio } = require('../commands/testAudio');
+const { runConfigList, runConfigGet, runConfigSet, runConfigUnset, runConfigUse } = require('../commands/config');
+const { DEFAULT_MAX_ROOM_SIZE } = require('../server/rooms');
+const { DEFAULT_TURN_PORT } = require('../server/turnServer');
+const { NOISE_SUPPRESSION_LEVELS, RECORDING_LAYOUTS } = require('../utils/audioOptions');
+const { PROFILE_KEYS, loadProfile } = require('../utils/config');
 
 /**
  * Builds and returns the root Commander program.
  *
  * Commands:
- *   voicesync server  — start the signaling server
- *   voicesync start   — create and host a new voice room
- *   voicesync join    — join an existing room by key
+ *   voicesync server     — start the signaling server
+ *   voicesync start      — create and host a new voice room
+ *   voicesync join       — join an existing room by key
+ *   voicesync listen     — stay online and wait for incoming calls
+ *   voicesync call       — ring a specific online user
+ *   voicesync calibrate  — tune voice detection to your microphone and room
+ *   voicesync devices    — list audio input and output devices
+ *   voicesync test-audio — record, analyse and play back the microphone
+ *   voicesync config     — save defaults for the commands above in profiles
  *
  * @returns {import('commander').Command}
  */
@@ -29,8 +46,29 @@ function buildProgram() {
 Examples:
   $ voicesync server                  Start the signaling server on port 3000
   $ voicesync server -p 4000          Start on a custom port
+  $ voicesync server -m 4             Cap rooms at 4 people
+  $ voicesync server --turn            Also run a TURN relay for strict NATs
+  $ voicesync server --turn-url turn:turn.example.com:3478
+                                      Hand out credentials for a TURN relay
   $ voicesync start -u alice          Create a room as "alice"
+  $ voicesync start -u alice -P       Create a password-protected room
+  $ voicesync start -u alice --sfu    Create a room that routes audio via the server
+  $ voicesync start -u alice --mcu    Create a room the server mixes into one stream
   $ voicesync join ABC-DEF-GHJ        Join room ABC-DEF-GHJ (prompts for name)
+  $ voicesync join --ns=aggressive    Join with stronger noise suppression
+  $ voicesync join ABC-DEF-GHJ --ptt  Join in push-to-talk mode
+  $ voicesync listen -u bob           Wait for someone to call "bob"
+  $ voicesync call bob -u alice       Ring "bob" directly
+  $ voicesync calibrate               Tune voice detection to your mic and room
+  $ voicesync devices                 List microphones and speakers
+  $ voicesync join --input-device 3   Join using microphone 3 from that list
+  $ voicesync join --stereo --no-aec  Join in stereo, e.g. to play music
+  $ voicesync join --record call.wav  Record the call (others see REC)
+  $ voicesync test-audio --loopback   Check your mic, speaker and WebRTC audio
+  $ voicesync join --ice-server none  Join without STUN, e.g. on an offline LAN
+  $ voicesync config set username alice
+                                      Stop being asked for your name
+  $ voicesync join --profile work     Join with the server and devices saved as "work"
 `);
 
   // ── server ──────────────────────────────────────────────────────────────────
@@ -39,6 +77,17 @@ Examples:
     .description('Start the VoiceSync signaling server')
     .option('-p, --port <port>', 'Port to listen on', parsePort, 3000)
     .option('-H, --host <host>', 'Host to bind to', '0.0.0.0')
+    .option('-m, --max-room-size <n>', 'Most people allowed in one room', parseRoomSize, DEFAULT_MAX_ROOM_SIZE)
+    .option('--turn', 'Run the built-in STUN/TURN relay (UDP and TCP) for clients that cannot connect directly')
+    .option('--turn-port <port>', 'Port for the built-in relay', parsePort, DEFAULT_TURN_PORT)
+    .option('--turn-external-ip <ip>', 'Address clients reach the built-in relay at, e.g. a public IP in front of NAT', parseIPv4)
+    .option('--turn-relay-ports <min-max>', 'UDP ports the built-in relay relays from, for firewall rules', parsePortRange)
+    .option('--turn-max-allocations <n>', 'Most relays the built-in relay keeps open at once', parsePositiveInt)
+    .option('--turn-allow-lan-peers', 'Let the built-in relay forward to private (LAN) addresses')
+    .option('--turn-url <url>', 'TURN relay to hand clients short-lived credentials for at login; repeatable', collect)
+    .option('--turn-secret <secret>', 'Secret shared with the TURN relay (or set VOICESYNC_TURN_SECRET)')
+    .option('--turn-ttl <seconds>', 'How long issued TURN credentials last', parseTurnTtl)
+    .option('--ice-server <url>', 'STUN/TURN server for the server\'s own SFU/MCU connections; repeatable, "none" for none', collect)
     .action((opts) => runServer(opts));
 
   // ── start ───────────────────────────────────────────────────────────────────
@@ -47,6 +96,25 @@ Examples:
     .description('Create a new voice room and share the key with others')
     .option('-s, --server <url>', 'Signaling server URL (overrides VOICESYNC_SERVER env var)')
     .option('-u, --username <name>', 'Your display name')
+    .option('--profile <name>', 'Saved profile to take defaults from (overrides VOICESYNC_PROFILE env var)')
+    .option('-P, --password [password]', 'Make the room private (prompts when no value is given)')
+    .option('-m, --max-peers <n>', 'Room capacity, up to the server\'s limit', parseRoomSize)
+    .option('--sfu', 'Route audio through the server — for rooms of more than ~5 people')
+    .option('--mcu', 'Have the server mix all audio into one stream — for low-power clients')
+    .option('--no-aec', 'Turn off echo cancellation — saves CPU when wearing headphones')
+    .option('--no-agc', 'Turn off automatic gain control')
+    .option('--ns <level>', 'Noise suppression: off, moderate or aggressive', parseNoiseSuppression)
+    .option('--ptt', 'Push-to-talk: only transmit while [Space] is held (or tapped on, then off)')
+    .option('--input-device <device>', 'Microphone to use, by ID or name (see `voicesync devices`)')
+    .option('--output-device <device>', 'Speaker to use, by ID or name (see `voicesync devices`)')
+    .option('--stereo', 'Capture, send and play two channels — for music; peer-to-peer rooms only')
+    .option('--sample-rate <hz>', 'Open the microphone and speaker at this rate instead of the best they support', parseSampleRate)
+    .option('--ice-server <url>', 'STUN or TURN server to use instead of public STUN; repeatable, "none" for none', collect)
+    .option('--turn-username <name>', 'Username for the TURN servers given with --ice-server')
+    .option('--turn-credential <secret>', 'Credential for the TURN servers given with --ice-server')
+    .option('--record <file>', 'Record the call to a WAV file (a directory with --record-layout split)')
+    .option('--record-layout <layout>', 'Recording layout: mix, multitrack or split', parseRecordLayout)
+    .hook('preAction', applyProfile)
     .action((opts) => runStart(opts).catch(fatalError));
 
   // ── join ────────────────────────────────────────────────────────────────────
@@ -55,11 +123,172 @@ Examples:
     .description('Join an existing voice room by its key')
     .option('-s, --server <url>', 'Signaling server URL (overrides VOICESYNC_SERVER env var)')
     .option('-u, --username <name>', 'Your display name')
+    .option('--profile <name>', 'Saved profile to take defaults from (overrides VOICESYNC_PROFILE env var)')
+    .option('-P, --password <password>', 'Password for a private room (prompted if needed)')
+    .option('--no-aec', 'Turn off echo cancellation — saves CPU when wearing headphones')
+    .option('--no-agc', 'Turn off automatic gain control')
+    .option('--ns <level>', 'Noise suppression: off, moderate or aggressive', parseNoiseSuppression)
+    .option('--ptt', 'Push-to-talk: only transmit while [Space] is held (or tapped on, then off)')
+    .option('--input-device <device>', 'Microphone to use, by ID or name (see `voicesync devices`)')
+    .option('--output-device <device>', 'Speaker to use, by ID or name (see `voicesync devices`)')
+    .option('--stereo', 'Capture, send and play two channels — for music; peer-to-peer rooms only')
+    .option('--sample-rate <hz>', 'Open the microphone and speaker at this rate instead of the best they support', parseSampleRate)
+    .option('--ice-server <url>', 'STUN or TURN server to use instead of public STUN; repeatable, "none" for none', collect)
+    .option('--turn-username <name>', 'Username for the TURN servers given with --ice-server')
+    .option('--turn-credential <secret>', 'Credential for the TURN servers given with --ice-server')
+    .option('--record <file>', 'Record the call to a WAV file (a directory with --record-layout split)')
+    .option('--record-layout <layout>', 'Recording layout: mix, multitrack or split', parseRecordLayout)
+    .hook('preAction', applyProfile)
     .action((roomKey, opts) => runJoin(opts, roomKey).catch(fatalError));
 
+  // ── listen ──────────────────────────────────────────────────────────────────
+  program
+    .command('listen')
+    .description('Stay online and wait for incoming calls')
+    .option('-s, --server <url>', 'Signaling server URL (overrides VOICESYNC_SERVER env var)')
+    .option('-u, --username <name>', 'Your display name')
+    .option('--profile <name>', 'Saved profile to take defaults from (overrides VOICESYNC_PROFILE env var)')
+    .option('--no-aec', 'Turn off echo cancellation — saves CPU when wearing headphones')
+    .option('--no-agc', 'Turn off automatic gain control')
+    .option('--ns <level>', 'Noise suppression: off, moderate or aggressive', parseNoiseSuppression)
+    .option('--ptt', 'Push-to-talk: only transmit while [Space] is held (or tapped on, then off)')
+    .option('--input-device <device>', 'Microphone to use, by ID or name (see `voicesync devices`)')
+    .option('--output-device <device>', 'Speaker to use, by ID or name (see `voicesync devices`)')
+    .option('--stereo', 'Capture, send and play two channels — for music; peer-to-peer rooms only')
+    .option('--sample-rate <hz>', 'Open the microphone and speaker at this rate instead of the best they support', parseSampleRate)
+    .option('--ice-server <url>', 'STUN or TURN server to use instead of public STUN; repeatable, "none" for none', collect)
+    .option('--turn-username <name>', 'Username for the TURN servers given with --ice-server')
+    .option('--turn-credential <secret>', 'Credential for the TURN servers given with --ice-server')
+    .option('--record-layout <layout>', 'Recording layout: mix, multitrack or split', parseRecordLayout)
+    .hook('preAction', applyProfile)
+    .action((opts) => runListen(opts).catch(fatalError));
+
+  // ── call ────────────────────────────────────────────────────────────────────
+  program
+    .command('call [username]')
+    .description('Ring an online user directly (they must be running listen or be idle)')
+    .option('-s, --server <url>', 'Signaling server URL (overrides VOICESYNC_SERVER env var)')
+    .option('-u, --username <name>', 'Your display name')
+    .option('--profile <name>', 'Saved profile to take defaults from (overrides VOICESYNC_PROFILE env var)')
+    .option('--no-aec', 'Turn off echo cancellation — saves CPU when wearing headphones')
+    .option('--no-agc', 'Turn off automatic gain control')
+    .option('--ns <level>', 'Noise suppression: off, moderate or aggressive', parseNoiseSuppression)
+    .option('--ptt', 'Push-to-talk: only transmit while [Space] is held (or tapped on, then off)')
+    .option('--input-device <device>', 'Microphone to use, by ID or name (see `voicesync devices`)')
+    .option('--output-device <device>', 'Speaker to use, by ID or name (see `voicesync devices`)')
+    .option('--stereo', 'Capture, send and play two channels — for music; peer-to-peer rooms only')
+    .option('--sample-rate <hz>', 'Open the microphone and speaker at this rate instead of the best they support', parseSampleRate)
+    .option('--ice-server <url>', 'STUN or TURN server to use instead of public STUN; repeatable, "none" for none', collect)
+    .option('--turn-username <name>', 'Username for the TURN servers given with --ice-server')
+    .option('--turn-credential <secret>', 'Credential for the TURN servers given with --ice-server')
+    .option('--record <file>', 'Record the call to a WAV file (a directory with --record-layout split)')
+    .option('--record-layout <layout>', 'Recording layout: mix, multitrack or split', parseRecordLayout)
+    .hook('preAction', applyProfile)
+    .action((target, opts) => runDial(opts, target).catch(fatalError));
+
+  // ── calibrate ───────────────────────────────────────────────────────────────
+  program
+    .command('calibrate')
+    .description('Measure background noise and your voice to tune voice detection')
+    .option('-y, --yes', 'Save the suggested settings without asking')
+    .option('--input-device <device>', 'Microphone to calibrate, by ID or name (see `voicesync devices`)')
+    .option('--sample-rate <hz>', 'Open the microphone at this rate instead of the best it supports', parseSampleRate)
+    .action((opts) => runCalibrate(opts).catch(fatalError));
+
+  // ── devices ─────────────────────────────────────────────────────────────────
+  program
+    .command('devices')
+    .description('List audio input and output devices')
+    .action(() => runDevices().catch(fatalError));
+
+  // ── test-audio ──────────────────────────────────────────────────────────────
+  program
+    .command('test-audio')
+    .description('Record a few seconds from the microphone, check it and play it back')
+    .option('-t, --seconds <n>', 'Length of the recording (1–30)', parseSeconds, 5)
+    .option('--loopback', 'Also send the recording through a local WebRTC connection')
+    .option('--input-device <device>', 'Microphone to test, by ID or name (see `voicesync devices`)')
+    .option('--output-device <device>', 'Speaker to play back on, by ID or name')
+    .option('--sample-rate <hz>', 'Open the microphone and speaker at this rate instead of the best they support', parseSampleRate)
+    .action((opts) => runTestAudio(opts).catch(fatalError));
+
+  // ── config ──────────────────────────────────────────────────────────────────
+  const config = program
+    .command('config')
+    .description('Save defaults for start, join, listen and call in named profiles')
+    .addHelpText('after', `
+Settings:
+${Object.entries(PROFILE_KEYS).map(([key, { description }]) => `  ${key.padEnd(16)}${description}`).join('\n')}
+
+Without --profile, commands use $VOICESYNC_PROFILE, else the profile chosen
+with \`voicesync config use\`, else "default". Flags always win over profiles.
+`);
+
+  config
+    .command('list')
+    .description('Show every profile and its settings')
+    .option('--show-secrets', 'Show TURN credentials instead of masking them')
+    .action((opts) => runConfigList(opts));
+
+  config
+    .command('get <key>')
+    .description('Print one setting')
+    .option('--profile <name>', 'Profile to read (default: the active one)')
+    .action((key, opts) => runConfigGet(key, opts));
+
+  config
+    .command('set <key> <value>')
+    .description('Save a setting, creating the profile if needed; lists are comma-separated')
+    .option('--profile <name>', 'Profile to change (default: the active one)')
+    .action((key, value, opts) => runConfigSet(key, value, opts));
+
+  config
+    .command('unset <key>')
+    .description('Remove a setting')
+    .option('--profile <name>', 'Profile to change (default: the active one)')
+    .action((key, opts) => runConfigUnset(key, opts));
+
+  config
+    .command('use <profile>')
+    .description('Use a profile whenever --profile is not given')
+    .action((profile) => runConfigUse(profile));
+
   return program;
 }
 
+// ── Profiles ──────────────────────────────────────────────────────────────────
+
+/**
+ * Profile keys the commands resolve themselves rather than through their
+ * options: the server and username pre-fill their prompts, and the ICE
+ * settings are merged with settings.json's by networkOptions().
+ */
+const SELF_RESOLVED_KEYS = new Set(['server', 'username', 'iceServers', 'turnUsername', 'turnCredential']);
+
+/**
+ * preAction hook that fills the options left at their defaults from the
+ * active profile, so flags always override it.
+ *
+ * @param {import('commander').Command} command
+ * @param {import('commander').Command} actionCommand
+ */
+function applyProfile(command, actionCommand) {
+  let values;
+  try {
+    ({ values } = loadProfile(actionCommand.opts().profile));
+  } catch (err) {
+    fatalError(err);
+  }
+  for (const [key, value] of Object.entries(values)) {
+    if (SELF_RESOLVED_KEYS.has(key)) continue;
+    if (!actionCommand.options.some((option) => option.attributeName() === key)) continue;
+    const source = actionCommand.getOptionValueSource(key);
+    if (source === undefined || source === 'default') {
+      actionCommand.setOptionValueWithSource(key, value, 'config');
+    }
+  }
+}
+
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 /**
@@ -76,6 +305,140 @@ function parsePort(value) {
   return n;
 }
 
+/**
+ * Commander option parser for room capacities (at least 2 people).
+ * @param {string} value
+ * @returns {number}
+ */
+function parseRoomSize(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 2) {
+    console.error(chalk.red(`Invalid room size: "${value}" — must be a whole number of at least 2`));
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Commander option parser for noise suppression levels.
+ * @param {string} value
+ * @returns {string}
+ */
+function parseNoiseSuppression(value) {
+  if (!NOISE_SUPPRESSION_LEVELS.includes(value)) {
+    console.error(chalk.red(`Invalid noise suppression level: "${value}" — must be ${NOISE_SUPPRESSION_LEVELS.join(', ')}`));
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Commander option parser for test recording lengths.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseSeconds(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > 30) {
+    console.error(chalk.red(`Invalid length: "${value}" — must be 1–30 seconds`));
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Commander option parser for device sample rates.
+ * @param {string} value
+ * @returns {number}
+ */
+function parseSampleRate(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 8000 || n > 384000) {
+    console.error(chalk.red(`Invalid sample rate: "${value}" — must be a whole number of Hz, 8000–384000`));
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Commander option parser for TURN credential lifetimes (at least a minute).
+ * @param {string} value
+ * @returns {number}
+ */
+function parseTurnTtl(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 60) {
+    console.error(chalk.red(`Invalid TURN credential lifetime: "${value}" — must be a whole number of seconds, at least 60`));
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Commander option parser for IPv4 addresses.
+ * @param {string} value
+ * @returns {string}
+ */
+function parseIPv4(value) {
+  if (!net.isIPv4(value)) {
+    console.error(chalk.red(`Invalid IPv4 address: "${value}"`));
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Commander option parser for port ranges such as "49152-49999".
+ * @param {string} value
+ * @returns {number[]} [min, max]
+ */
+function parsePortRange(value) {
+  const match = /^(\d+)-(\d+)$/.exec(value);
+  const [min, max] = match ? [Number(match[1]), Number(match[2])] : [];
+  if (!match || min < 1024 || max > 65535 || min > max) {
+    console.error(chalk.red(`Invalid port range: "${value}" — expected e.g. 49152-49999, within 1024–65535`));
+    process.exit(1);
+  }
+  return [min, max];
+}
+
+/**
+ * Commander option parser for counts of at least 1.
+ * @param {string} value
+ * @returns {number}
+ */
+function parsePositiveInt(value) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1) {
+    console.error(chalk.red(`Invalid number: "${value}" — must be a whole number of at least 1`));
+    process.exit(1);
+  }
+  return n;
+}
+
+/**
+ * Commander option parser for repeatable options, collecting every value.
+ * @param {string}   value
+ * @param {string[]} [previous]
+ * @returns {string[]}
+ */
+function collect(value, previous = []) {
+  return [...previous, value];
+}
+
+/**
+ * Commander option parser for recording layouts.
+ * @param {string} value
+ * @returns {string}
+ */
+function parseRecordLayout(value) {
+  if (!RECORDING_LAYOUTS.includes(value)) {
+    console.error(chalk.red(`Invalid recording layout: "${value}" — must be ${RECORDING_LAYOUTS.join(', ')}`));
+    process.exit(1);
+  }
+  return value;
+}
+
 /**
  * Prints a fatal error and exits with code 1.
  * @param {Error} err
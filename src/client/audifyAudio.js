@@ -2,12 +2,9 @@
 
 const { RtAudio, RtAudioFormat } = require('audify');
 const { EventEmitter } = require('events');
+const { SAMPLE_RATE, samplesPer10ms } = require('../utils/audioFormat');
 const logger = require('../utils/logger');
 
-const SAMPLE_RATE = 48000;
-const CHANNELS = 1;
-const FRAME_SIZE = 480; // 10ms at 48kHz
-
 /**
  * Unified audio I/O powered by audify (RtAudio).
  *
@@ -17,16 +14,42 @@ const FRAME_SIZE = 480; // 10ms at 48kHz
  *
  * AudifyMic  — microphone capture, emits 'data' with raw PCM Buffer chunks.
  * AudifySpeaker — audio output, accepts .write(buffer).
+ * listDevices — the input and output devices RtAudio can open.
+ *
+ * Both streams open the system default device unless given `opts.deviceId`,
+ * as mono 16-bit PCM at 48kHz in 10ms chunks unless given `opts.channels`,
+ * `opts.sampleRate` or `opts.frameSize`.  Channels are interleaved.
  */
 
+// ── Devices ─────────────────────────────────────────────────────────────────
+
+/**
+ * Lists the audio devices of the system's audio API.
+ * @returns {import('./devices').AudioDevice[]}
+ */
+function listDevices() {
+  const rtAudio = new RtAudio();
+  return rtAudio.getDevices().map((d) => ({
+    id: d.id,
+    name: d.name,
+    inputChannels: d.inputChannels,
+    outputChannels: d.outputChannels,
+    sampleRates: d.sampleRates,
+    preferredSampleRate: d.preferredSampleRate,
+    isDefaultInput: d.isDefaultInput,
+    isDefaultOutput: d.isDefaultOutput,
+  }));
+}
+
 // ── Microphone ──────────────────────────────────────────────────────────────
 
 class AudifyMic extends EventEmitter {
   constructor(opts = {}) {
     super();
-    this._channels = opts.channels || CHANNELS;
+    this._channels = opts.channels || 1;
     this._sampleRate = opts.sampleRate || SAMPLE_RATE;
-    this._frameSize = opts.frameSize || FRAME_SIZE;
+    this._frameSize = opts.frameSize || samplesPer10ms(this._sampleRate);
+    this._deviceId = opts.deviceId ?? null;
     this._rtAudio = null;
     this._started = false;
   }
@@ -38,7 +61,7 @@ class AudifyMic extends EventEmitter {
     this._rtAudio.openStream(
       null, // no output
       {
-        deviceId: this._rtAudio.getDefaultInputDevice(),
+        deviceId: this._deviceId ?? this._rtAudio.getDefaultInputDevice(),
         nChannels: this._channels,
         firstChannel: 0,
       },
@@ -79,9 +102,10 @@ class AudifyMic extends EventEmitter {
 
 class AudifySpeaker {
   constructor(opts = {}) {
-    this._channels = opts.channels || CHANNELS;
+    this._channels = opts.channels || 1;
     this._sampleRate = opts.sampleRate || SAMPLE_RATE;
-    this._frameSize = opts.frameSize || FRAME_SIZE;
+    this._frameSize = opts.frameSize || samplesPer10ms(this._sampleRate);
+    this._deviceId = opts.deviceId ?? null;
     this._writable = false;
     this._rtAudio = null;
 
@@ -89,7 +113,7 @@ class AudifySpeaker {
       this._rtAudio = new RtAudio();
       this._rtAudio.openStream(
         {
-          deviceId: this._rtAudio.getDefaultOutputDevice(),
+          deviceId: this._deviceId ?? this._rtAudio.getDefaultOutputDevice(),
           nChannels: this._channels,
           firstChannel: 0,
         },
@@ -136,4 +160,4 @@ class AudifySpeaker {
   }
 }
 
-module.exports = { AudifyMic, AudifySpeaker };
+module.exports = { AudifyMic, AudifySpeaker, listDevices };
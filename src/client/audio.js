@@ -2,22 +2,35 @@
 
 const { EventEmitter } = require('events');
 const { AudioError } = require('../utils/errors');
+const { PlaybackMixer } = require('./playbackMixer');
+const { EchoCanceller } = require('./echoCanceller');
+const { CaptureChain } = require('./processing');
+const { VoiceActivityDetector } = require('./processing/vad');
+const { findDevice, defaultDevice, chooseFormat } = require('./devices');
+const {
+  SAMPLE_RATE, FRAME_MS, FRAME_SAMPLES, samplesPer10ms, pcmSamples, toMono, convertChannels, deinterleave, interleave,
+  rtcFrame, fromRtcFrame, rms, FrameAssembler, Resampler,
+} = require('../utils/audioFormat');
+const { startFrameClock } = require('../utils/frameClock');
 const logger = require('../utils/logger');
 
-const SAMPLE_RATE = 48000;
-const CHANNELS = 1;
-const BIT_DEPTH = 16;
-const FRAMES_PER_10MS = (SAMPLE_RATE / 100) * CHANNELS; // 480
+// Push-to-talk keeps transmitting this long after release, so the end of
+// the last word is not clipped.
+const PTT_RELEASE_TAIL_MS = 250;
 
-// Noise gate: mic samples below this RMS are replaced with silence.
-// Prevents the mic from picking up speaker output (acoustic echo).
-const NOISE_GATE_THRESHOLD = 0.015;
-// How many consecutive quiet frames before the gate closes (prevents choppy speech)
-const NOISE_GATE_HOLD_FRAMES = 15; // ~150ms at 10ms/frame
+// Jitter buffer statistics are reported every this many played frames
+const STATS_INTERVAL_FRAMES = 100; // ~1s
 
-// Jitter buffer: collect this many frames before starting playback.
-// Smooths out network jitter at the cost of a small initial delay.
-const JITTER_BUFFER_FRAMES = 5; // ~50ms
+// Loudest a remote peer can be turned up locally; the mixer's limiter keeps
+// a boosted peer from clipping
+const MAX_PEER_VOLUME = 2;
+
+/**
+ * How loud a remote peer plays for the local user.
+ * @typedef {Object} PeerVolume
+ * @property {number}  volume     - 1 is as received, 0 is silent
+ * @property {boolean} isSilenced - muted locally; the volume is kept for unmuting
+ */
 
 /**
  * Manages microphone capture and remote peer audio playback.
@@ -25,35 +38,111 @@ const JITTER_BUFFER_FRAMES = 5; // ~50ms
  * All audio I/O goes through `audify` (RtAudio) which ships prebuilt binaries
  * for Windows, macOS and Linux — no native compilation or external tools needed.
  *
+ * Remote peers share one output stream: their audio is mixed locally by a
+ * PlaybackMixer, so the number of open audio devices does not grow with the
+ * size of the call.  That mix doubles as the reference for echo
+ * cancellation, which removes it from the microphone signal before sending.
+ * The microphone then passes through a CaptureChain — high-pass filter,
+ * noise suppression, automatic gain control and limiter.
+ *
+ * Input and output devices can be switched mid-call: only the audify
+ * streams are reopened, so the WebRTC track and peer connections carry on.
+ * Each device is opened in a rate and channel count it supports, and
+ * converted to and from the call format (see audioFormat) at the device.
+ *
+ * A stereo call carries interleaved left/right frames from microphone to
+ * speaker.  Each channel gets its own echo canceller and capture chain;
+ * voice detection, the waveform and recordings use the mono downmix.
+ *
  * Events emitted:
- *   'samples' (Float32Array) — normalised PCM chunks from the local mic,
- *                              suitable for waveform visualisation.
- *   'error'   (AudioError)   — a non-fatal audio problem was encountered.
+ *   'samples'    (Float32Array)     — normalised PCM chunks from the local mic,
+ *                                     suitable for waveform visualisation.
+ *   'peer-level' (peerId, rms)      — RMS level [0, 1] of each 10ms frame
+ *                                     received from a remote peer.
+ *   'voice-activity' (boolean)      — the local user started or stopped talking.
+ *   'peer-voice-activity' (peerId, boolean) — a remote peer started or stopped
+ *                                     talking.
+ *   'transmitting' (boolean)        — push-to-talk was pressed, or released
+ *                                     and its tail has ended.
+ *   'jitter-stats' (peerId, JitterStats) — playback buffer delay, underruns and
+ *                                     late frames for each remote peer, ~1/s.
+ *   'error'      (AudioError)       — a non-fatal audio problem was encountered.
  */
 class AudioManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object}  [opts]
+   * @param {boolean} [opts.echoCancellation=true] - Remove speaker echo from the mic signal
+   * @param {Partial<import('./processing').ProcessingSettings>} [opts.processing]
+   *   - Capture chain settings; unset ones take their defaults
+   * @param {Partial<import('./processing/vad').VadSettings>} [opts.vad]
+   *   - Voice detection for the local microphone, e.g. from `voicesync calibrate`
+   * @param {boolean} [opts.pushToTalk=false] - Only transmit while setTransmitting(true)
+   * @param {number|string} [opts.inputDevice]  - Microphone ID or name; the system default when unset
+   * @param {number|string} [opts.outputDevice] - Speaker ID or name; the system default when unset
+   * @param {boolean} [opts.stereo=false] - Capture, send and play two channels
+   * @param {number}  [opts.sampleRate]   - Rate to open both devices at; by
+   *   default 48kHz if they support it, otherwise a rate they do
+   * @throws {RangeError} on an invalid processing or voice detection setting
+   * @throws {AudioError} DEVICE_NOT_FOUND when a device matches nothing, or
+   *   UNSUPPORTED_SAMPLE_RATE when a device lacks the sample rate asked for
+   */
+  constructor({
+    echoCancellation = true, processing = {}, vad = {}, pushToTalk = false,
+    inputDevice = null, outputDevice = null, stereo = false, sampleRate,
+  } = {}) {
     super();
 
+    /** @type {1|2} channels of the call, from microphone to speaker */
+    this._channels = stereo ? 2 : 1;
+    this._deviceRate = sampleRate;
+
     this._mic = null;          // AudifyMic instance
     this._audioSource = null;  // wrtc RTCAudioSource
     this._localTrack = null;   // MediaStreamTrack to add to peer connections
 
     /** @type {Map<string, object>} peerId → RTCAudioSink */
     this._sinks = new Map();
-    /** @type {Map<string, object>} peerId → AudifySpeaker */
-    this._speakers = new Map();
+    this._mixer = new PlaybackMixer({ channels: this._channels });
+    /** @type {Map<string, PeerVolume>} peerId → local volume, for peers ever adjusted */
+    this._peerVolumes = new Map();
+    this._speaker = null;        // AudifySpeaker playing the mix of all peers
+    this._playbackClock = null;  // frame clock driving the mixer
+    /** @type {import('../utils/audioFormat').AudioFormat|null} the speaker's, while open */
+    this._speakerFormat = null;
+    this._speakerResampler = null;
+    this._speakerFrames = null;  // FrameAssembler cutting output into the speaker's chunk size
 
     this._isMuted = false;
+    this._isPushToTalk = pushToTalk;
+    this._pttPressed = false;
+    this._pttTailTimer = null;   // pending end of the release tail
     this._isCapturing = false;
-    this._pcmBuffer = Buffer.alloc(0);
-    this._noiseGateOpen = false;
-    this._noiseGateHoldCount = 0;
+    /** @type {import('../utils/audioFormat').AudioFormat|null} the microphone's, while open */
+    this._micFormat = null;
+    this._micResampler = null;
+    this._micFrames = null;      // FrameAssembler cutting capture into 10ms frames
+    this._vad = new VoiceActivityDetector(vad);
+    /** @type {EchoCanceller[]|null} one per channel; null when off */
+    this._echoCancellers = echoCancellation ? this._createEchoCancellers() : null;
+    /** @type {CaptureChain[]} one per channel */
+    this._captureChains = Array.from({ length: this._channels }, () => new CaptureChain(processing));
+    this._recorder = null;       // CallRecorder, while recording
 
     // Module references
     this._wrtc = null;
     this._audifyAudio = null;
 
     this._loadModules();
+
+    /** @type {import('./devices').AudioDevice|null} null for the system default */
+    this._inputDevice = this._resolveDevice(inputDevice, 'input');
+    /** @type {import('./devices').AudioDevice|null} */
+    this._outputDevice = this._resolveDevice(outputDevice, 'output');
+    // A rate the devices lack is reported now rather than once the call is up
+    if (sampleRate !== undefined && this._audifyAudio) {
+      this._formatFor(this._inputDevice, 'input');
+      this._formatFor(this._outputDevice, 'output');
+    }
   }
 
   /**
@@ -79,6 +168,139 @@ class AudioManager extends EventEmitter {
     return Boolean(this._wrtc && this._audifyAudio);
   }
 
+  // ── Devices ────────────────────────────────────────────────────────────────
+
+  /**
+   * Lists the system's audio devices.
+   * @returns {import('./devices').AudioDevice[]} empty when audify is unavailable
+   */
+  listDevices() {
+    return this._audifyAudio ? this._audifyAudio.listDevices() : [];
+  }
+
+  /**
+   * @param {number|string|null} spec
+   * @param {'input'|'output'} kind
+   * @returns {import('./devices').AudioDevice|null}
+   * @private
+   */
+  _resolveDevice(spec, kind) {
+    if (spec === null || spec === undefined) return null;
+    if (!this._audifyAudio) {
+      logger.warn(`Ignoring ${kind} device "${spec}" — audio I/O unavailable`);
+      return null;
+    }
+    return findDevice(this._audifyAudio.listDevices(), spec, kind);
+  }
+
+  /**
+   * Works out the format to open a device in.  The system default is looked
+   * up so its supported rates are known.
+   *
+   * @param {import('./devices').AudioDevice|null} device - null for the system default
+   * @param {'input'|'output'} kind
+   * @returns {import('../utils/audioFormat').AudioFormat}
+   * @throws {AudioError} UNSUPPORTED_SAMPLE_RATE
+   * @private
+   */
+  _formatFor(device, kind) {
+    const resolved = device ?? defaultDevice(this.listDevices(), kind);
+    return chooseFormat(resolved, kind, { sampleRate: this._deviceRate, channels: this._channels });
+  }
+
+  /**
+   * @returns {{ input: import('./devices').AudioDevice|null, output: import('./devices').AudioDevice|null }}
+   *   the chosen devices; null means the system default
+   */
+  get devices() {
+    return { input: this._inputDevice, output: this._outputDevice };
+  }
+
+  /**
+   * @returns {{ input: import('../utils/audioFormat').AudioFormat|null, output: import('../utils/audioFormat').AudioFormat|null }}
+   *   the formats the devices are open in; null while closed
+   */
+  get deviceFormats() {
+    return { input: this._micFormat, output: this._speakerFormat };
+  }
+
+  /** @returns {boolean} true when the call is captured, sent and played in stereo */
+  get isStereo() {
+    return this._channels === 2;
+  }
+
+  /**
+   * Switches the microphone, mid-call if need be.  The outgoing track stays
+   * the same, so peers keep hearing us without renegotiating.  If the new
+   * device will not open, the previous one is reopened.
+   *
+   * @param {number|string|null} spec - Device ID or name; null for the system default
+   * @throws {AudioError} DEVICE_NOT_FOUND, UNSUPPORTED_SAMPLE_RATE or MIC_OPEN_FAILED
+   */
+  setInputDevice(spec) {
+    const device = this._resolveDevice(spec, 'input');
+    if (device) this._formatFor(device, 'input');
+    const previous = this._inputDevice;
+    this._inputDevice = device;
+    if (!this._mic) return;
+
+    this._mic.stop();
+    this._mic = null;
+    try {
+      this._openMic();
+    } catch (err) {
+      this._inputDevice = previous;
+      try {
+        this._openMic();
+      } catch (reopenErr) {
+        logger.error(`Could not reopen the previous microphone: ${reopenErr.message}`);
+      }
+      throw err;
+    }
+    this._onDeviceChange();
+    logger.info(`Microphone switched to ${device ? device.name : 'the system default'}`);
+  }
+
+  /**
+   * Switches the speaker, mid-call if need be.  Queued peer audio carries
+   * on into the new device.  If it will not open, the previous one is
+   * reopened.
+   *
+   * @param {number|string|null} spec - Device ID or name; null for the system default
+   * @throws {AudioError} DEVICE_NOT_FOUND, UNSUPPORTED_SAMPLE_RATE or SPEAKER_OPEN_FAILED
+   */
+  setOutputDevice(spec) {
+    const device = this._resolveDevice(spec, 'output');
+    if (device) this._formatFor(device, 'output');
+    const previous = this._outputDevice;
+    this._outputDevice = device;
+    if (!this._speaker) return;
+
+    this._speaker.end();
+    this._speaker = this._openSpeaker();
+    if (!this._speaker) {
+      this._outputDevice = previous;
+      this._speaker = this._openSpeaker();
+      // Without any device, playback restarts with the next peer to join
+      if (!this._speaker) this._stopPlayback();
+      throw new AudioError(`Failed to open ${device ? device.name : 'the default output'}`, 'SPEAKER_OPEN_FAILED');
+    }
+    this._onDeviceChange();
+    logger.info(`Speaker switched to ${device ? device.name : 'the system default'}`);
+  }
+
+  /**
+   * A new device means a new echo path and different levels: the echo
+   * canceller and capture chain start again rather than use stale estimates.
+   * @private
+   */
+  _onDeviceChange() {
+    for (const canceller of this._echoCancellers ?? []) canceller.reset();
+    for (const chain of this._captureChains) chain.reset();
+  }
+
+  // ── Capture ────────────────────────────────────────────────────────────────
+
   /**
    * Opens the microphone, creates an RTCAudioSource, and starts streaming
    * PCM data into it.  Also emits 'samples' for waveform visualisation.
@@ -98,33 +320,48 @@ class AudioManager extends EventEmitter {
     this._audioSource = new RTCAudioSource();
     this._localTrack = this._audioSource.createTrack();
 
+    this._openMic();
+    this._isCapturing = true;
+    logger.info('Microphone capture started');
+  }
+
+  /**
+   * Opens the chosen input device and feeds it into _onMicData.
+   * @throws {AudioError} MIC_OPEN_FAILED, or UNSUPPORTED_SAMPLE_RATE
+   * @private
+   */
+  _openMic() {
+    const { AudifyMic } = this._audifyAudio;
+    const format = this._formatFor(this._inputDevice, 'input');
+    const mic = new AudifyMic({
+      channels: format.channels,
+      sampleRate: format.sampleRate,
+      frameSize: samplesPer10ms(format.sampleRate),
+      deviceId: this._inputDevice?.id,
+    });
+
+    mic.on('data', (chunk) => this._onMicData(chunk));
+    mic.on('error', (err) => {
+      const audioErr = new AudioError(err.message, 'MIC_STREAM_ERROR');
+      logger.error(`Mic stream error: ${err.message}`);
+      this.emit('error', audioErr);
+    });
+
     try {
-      const { AudifyMic } = this._audifyAudio;
-      this._mic = new AudifyMic({
-        channels: CHANNELS,
-        sampleRate: SAMPLE_RATE,
-        frameSize: FRAMES_PER_10MS,
-      });
-
-      this._mic.on('data', (chunk) => this._onMicData(chunk));
-      this._mic.on('error', (err) => {
-        const audioErr = new AudioError(err.message, 'MIC_STREAM_ERROR');
-        logger.error(`Mic stream error: ${err.message}`);
-        this.emit('error', audioErr);
-      });
-
-      this._mic.start();
+      mic.start();
     } catch (err) {
       throw new AudioError(`Failed to open microphone: ${err.message}`, 'MIC_OPEN_FAILED');
     }
-    this._isCapturing = true;
-    logger.info('Microphone capture started');
+    this._mic = mic;
+    this._micFormat = format;
+    this._micResampler = new Resampler(format.sampleRate, SAMPLE_RATE, format.channels);
+    this._micFrames = new FrameAssembler(FRAME_SAMPLES * this._channels);
+    logger.info(`Microphone open at ${describeFormat(format)}`);
   }
 
   /**
-   * Processes a raw PCM buffer from the mic:
-   *   1. Feeds it to the RTCAudioSource (unless muted).
-   *   2. Normalises it to Float32 and emits 'samples'.
+   * Converts a raw PCM buffer from the mic to the call format — 48kHz, the
+   * call's channels — and processes each whole 10ms frame in it.
    *
    * @param {Buffer} chunk
    * @private
@@ -132,57 +369,59 @@ class AudioManager extends EventEmitter {
   _onMicData(chunk) {
     if (!this._audioSource) return;
 
-    // RTCAudioSource.onData() requires exactly 480 frames (10ms at 48kHz).
-    // The mic sends larger chunks, so we buffer and drain in 480-frame slices.
-    this._pcmBuffer = Buffer.concat([this._pcmBuffer, chunk]);
-
-    const bytesPerFrame = (BIT_DEPTH / 8) * CHANNELS; // 2
-    const bytesNeeded = FRAMES_PER_10MS * bytesPerFrame; // 960
-
-    while (this._pcmBuffer.length >= bytesNeeded) {
-      const slice = this._pcmBuffer.subarray(0, bytesNeeded);
-      this._pcmBuffer = this._pcmBuffer.subarray(bytesNeeded);
-
-      // RTCAudioSource validates the underlying ArrayBuffer byteLength, so we
-      // must copy into a standalone buffer (subarray shares the original).
-      const samples = new Int16Array(FRAMES_PER_10MS);
-      samples.set(new Int16Array(slice.buffer, slice.byteOffset, FRAMES_PER_10MS));
-
-      // Float32 normalisation for waveform — always, even when muted
-      const float32 = Float32Array.from(samples, (s) => s / 32768.0);
-
-      // Noise gate: suppress mic when the level is low enough to be echo/ambient noise
-      const rms = Math.sqrt(float32.reduce((sum, x) => sum + x * x, 0) / float32.length);
-      if (rms > NOISE_GATE_THRESHOLD) {
-        this._noiseGateOpen = true;
-        this._noiseGateHoldCount = NOISE_GATE_HOLD_FRAMES;
-      } else if (this._noiseGateHoldCount > 0) {
-        this._noiseGateHoldCount--;
-      } else {
-        this._noiseGateOpen = false;
-      }
-
-      if (!this._isMuted && this._noiseGateOpen) {
-        this._audioSource.onData({
-          samples,
-          sampleRate: SAMPLE_RATE,
-          bitsPerSample: BIT_DEPTH,
-          channelCount: CHANNELS,
-          numberOfFrames: FRAMES_PER_10MS,
-        });
-      } else if (!this._isMuted) {
-        // Gate closed — send silence to keep the stream alive
-        this._audioSource.onData({
-          samples: new Int16Array(FRAMES_PER_10MS),
-          sampleRate: SAMPLE_RATE,
-          bitsPerSample: BIT_DEPTH,
-          channelCount: CHANNELS,
-          numberOfFrames: FRAMES_PER_10MS,
-        });
-      }
+    const resampled = this._micResampler.process(pcmSamples(chunk));
+    const converted = convertChannels(resampled, this._micFormat.channels, this._channels);
+    // RTCAudioSource.onData() requires exactly 10ms per call, each frame in
+    // an ArrayBuffer of its own — which the assembler provides
+    for (const frame of this._micFrames.push(converted)) this._onCaptureFrame(frame);
+  }
 
-      this.emit('samples', float32);
+  /**
+   * Processes 10ms from the mic:
+   *   1. Removes speaker echo.
+   *   2. Detects speech, emitting 'voice-activity' on changes.
+   *   3. Runs the capture chain (noise suppression, AGC, …).
+   *   4. Feeds it to the RTCAudioSource (unless muted), replaced with
+   *      silence while push-to-talk is off air, or outside speech when
+   *      echo cancellation is off.
+   *   5. Passes what was sent to the call recorder, if recording.
+   *   6. Normalises the raw signal to Float32 and emits 'samples'.
+   *
+   * In stereo, each channel is processed on its own, and the mono downmix
+   * is what is detected, recorded and shown.
+   *
+   * @param {Int16Array} samples - FRAME_SAMPLES samples per channel
+   * @private
+   */
+  _onCaptureFrame(samples) {
+    const channels = this._channels;
+
+    // Float32 normalisation for waveform — always, even when muted
+    const float32 = Float32Array.from(toMono(samples, channels), (s) => s / 32768.0);
+
+    // Echo cancellation runs even while muted, to stay in step with
+    // playback; the chain too, so its noise and level estimates are
+    // already settled on unmute
+    const echoFree = channels === 1 ? [samples] : deinterleave(samples, channels);
+    if (this._echoCancellers) {
+      echoFree.forEach((channel, c) => { echoFree[c] = this._echoCancellers[c].process(channel); });
     }
+    const wasSpeech = this._vad.isSpeech;
+    const isSpeech = this._vad.process(channels === 1 ? echoFree[0] : toMono(interleave(echoFree), channels));
+    if (isSpeech !== wasSpeech) this.emit('voice-activity', isSpeech);
+    const outgoing = interleave(echoFree.map((channel, c) => this._captureChains[c].process(channel)));
+
+    // Without echo cancellation the gate keeps speaker bleed and
+    // background noise between words off the call
+    const gateOpen = this._echoCancellers !== null || isSpeech;
+
+    // Gate closed or off air — send silence to keep the stream alive
+    const sent = gateOpen && this.isTransmitting ? outgoing : new Int16Array(FRAME_SAMPLES * channels);
+    if (!this._isMuted) this._audioSource.onData(rtcFrame(sent, channels));
+    // Recorded as the others hear it: nothing while muted
+    this._recorder?.pushLocal(this._isMuted ? new Int16Array(FRAME_SAMPLES) : toMono(sent, channels));
+
+    this.emit('samples', float32);
   }
 
   /**
@@ -196,7 +435,7 @@ class AudioManager extends EventEmitter {
     this._mic = null;
     this._localTrack = null;
     this._audioSource = null;
-    this._pcmBuffer = Buffer.alloc(0);
+    this._micFormat = null;
     this._isCapturing = false;
     logger.info('Microphone capture stopped');
   }
@@ -212,7 +451,9 @@ class AudioManager extends EventEmitter {
   }
 
   /**
-   * Wires up an RTCAudioSink + AudifySpeaker for incoming audio from a remote peer.
+   * Routes incoming audio from a remote peer into the playback mix, opening
+   * the output device on first use.  Replaces any track already playing for
+   * the peer.
    *
    * @param {string}           peerId
    * @param {MediaStreamTrack} track - The remote audio track
@@ -222,55 +463,179 @@ class AudioManager extends EventEmitter {
       logger.warn(`Cannot play audio for peer ${peerId} — audio output unavailable`);
       return;
     }
+    // A peer's track can arrive again, e.g. renegotiated or re-routed by the server
+    this.removePeerAudio(peerId);
+    this._startPlayback();
 
     const { nonstandard: { RTCAudioSink } } = this._wrtc;
     const sink = new RTCAudioSink(track);
-
-    // Jitter buffer + lazy speaker creation.
-    // Collect a few frames before starting playback to absorb network jitter.
-    let speaker = null;
-    const { AudifySpeaker } = this._audifyAudio;
-    const jitterQueue = [];
-    let jitterReady = false;
-
-    sink.addEventListener('data', ({ samples }) => {
-      const buf = Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
-
-      if (!jitterReady) {
-        jitterQueue.push(buf);
-        if (jitterQueue.length >= JITTER_BUFFER_FRAMES) {
-          // Flush the jitter buffer and start playing
-          speaker = new AudifySpeaker({ channels: CHANNELS, sampleRate: SAMPLE_RATE });
-          this._speakers.set(peerId, speaker);
-          jitterReady = true;
-          for (const queued of jitterQueue) {
-            if (speaker.writable) speaker.write(queued);
-          }
-          jitterQueue.length = 0;
-        }
+    const vad = new VoiceActivityDetector();
+    let warned = false;
+
+    sink.addEventListener('data', (frame) => {
+      const samples = fromRtcFrame(frame, this._channels);
+      if (!samples) {
+        if (!warned) logger.warn(`Dropping ${frame.sampleRate}Hz/${frame.channelCount}ch audio from peer ${peerId}`);
+        warned = true;
         return;
       }
+      this.emit('peer-level', peerId, rms(samples));
 
-      if (speaker && speaker.writable) {
-        speaker.write(buf);
-      }
-    });
+      const mono = this._channels === 1 ? samples : toMono(samples, this._channels);
+      const wasSpeech = vad.isSpeech;
+      if (vad.process(mono) !== wasSpeech) this.emit('peer-voice-activity', peerId, vad.isSpeech);
 
-    sink.addEventListener('close', () => speaker?.end());
+      this._mixer.push(peerId, samples);
+      this._recorder?.push(peerId, mono);
+    });
 
     this._sinks.set(peerId, sink);
+    // The mixer forgets gains when cleared, e.g. across a reconnect
+    if (this._peerVolumes.has(peerId)) this._applyPeerVolume(peerId);
     logger.debug(`Audio playback started for peer ${peerId}`);
   }
 
   /**
-   * Stops and removes the audio sink/speaker for a specific peer.
+   * Stops the audio sink for a specific peer; their audio fades out of the mix.
    * @param {string} peerId
    */
   removePeerAudio(peerId) {
     this._sinks.get(peerId)?.stop();
     this._sinks.delete(peerId);
-    this._speakers.get(peerId)?.end();
-    this._speakers.delete(peerId);
+    this._mixer.removeInput(peerId);
+  }
+
+  /** Stops the audio sinks of every remote peer and closes the output device. */
+  removeAllPeerAudio() {
+    for (const sink of this._sinks.values()) sink.stop();
+    this._sinks.clear();
+    this._mixer.clear();
+    this._stopPlayback();
+  }
+
+  /**
+   * Sets how loud a remote peer plays locally.  Changes ramp in over 10ms.
+   * The setting is kept while the peer's audio is re-routed or reconnects.
+   *
+   * @param {string} peerId
+   * @param {number} volume - 1 is as received, 0 is silent, up to MAX_PEER_VOLUME
+   * @throws {RangeError} if volume is outside [0, MAX_PEER_VOLUME]
+   */
+  setPeerVolume(peerId, volume) {
+    if (!Number.isFinite(volume) || volume < 0 || volume > MAX_PEER_VOLUME) {
+      throw new RangeError(`Volume must be between 0 and ${MAX_PEER_VOLUME}, got ${volume}`);
+    }
+    this._peerVolumes.set(peerId, { ...this.getPeerVolume(peerId), volume });
+    this._applyPeerVolume(peerId);
+  }
+
+  /**
+   * Mutes a remote peer for the local user only, or unmutes them at the
+   * volume they had.  Nobody else is affected, and recordings keep them.
+   *
+   * @param {string}  peerId
+   * @param {boolean} silenced
+   */
+  setPeerSilenced(peerId, silenced) {
+    this._peerVolumes.set(peerId, { ...this.getPeerVolume(peerId), isSilenced: silenced });
+    this._applyPeerVolume(peerId);
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {PeerVolume} a copy; full volume for peers never adjusted
+   */
+  getPeerVolume(peerId) {
+    return { volume: 1, isSilenced: false, ...this._peerVolumes.get(peerId) };
+  }
+
+  /**
+   * @param {string} peerId
+   * @private
+   */
+  _applyPeerVolume(peerId) {
+    const { volume, isSilenced } = this.getPeerVolume(peerId);
+    this._mixer.setGain(peerId, isSilenced ? 0 : volume);
+  }
+
+  /**
+   * Opens the shared output device and starts mixing into it every 10ms.
+   * @private
+   */
+  _startPlayback() {
+    if (this._speaker) return;
+
+    this._speaker = this._openSpeaker();
+    if (!this._speaker) {
+      this.emit('error', new AudioError('Failed to open audio output', 'SPEAKER_OPEN_FAILED'));
+      return;
+    }
+
+    this._playbackClock = startFrameClock(FRAME_MS, (frame) => {
+      const samples = this._mixer.mix();
+      this._play(samples);
+      if (this._echoCancellers) {
+        // Every microphone channel may pick up either speaker
+        const reference = this._channels === 1 ? samples : toMono(samples, this._channels);
+        for (const canceller of this._echoCancellers) canceller.pushReference(reference);
+      }
+      if ((frame + 1) % STATS_INTERVAL_FRAMES === 0) {
+        for (const [peerId, stats] of this._mixer.stats()) this.emit('jitter-stats', peerId, stats);
+      }
+    });
+    logger.info('Audio playback started');
+  }
+
+  /**
+   * Converts 10ms of the mix to the speaker's format and writes whatever
+   * whole chunks of the speaker's size it completes.
+   * @param {Int16Array} samples - FRAME_SAMPLES samples per channel of the call
+   * @private
+   */
+  _play(samples) {
+    const converted = convertChannels(samples, this._channels, this._speakerFormat.channels);
+    for (const chunk of this._speakerFrames.push(this._speakerResampler.process(converted))) {
+      this._speaker.write(Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+    }
+  }
+
+  /**
+   * @returns {Object|null} an AudifySpeaker on the chosen output device, or
+   *   null when it will not open
+   * @private
+   */
+  _openSpeaker() {
+    const { AudifySpeaker } = this._audifyAudio;
+    let format;
+    try {
+      format = this._formatFor(this._outputDevice, 'output');
+    } catch (err) {
+      logger.warn(`Cannot open audio output — ${err.message}`);
+      return null;
+    }
+    const frameSize = samplesPer10ms(format.sampleRate);
+    const speaker = new AudifySpeaker({
+      channels: format.channels,
+      sampleRate: format.sampleRate,
+      frameSize,
+      deviceId: this._outputDevice?.id,
+    });
+    if (!speaker.writable) return null;
+
+    this._speakerFormat = format;
+    this._speakerResampler = new Resampler(SAMPLE_RATE, format.sampleRate, format.channels);
+    this._speakerFrames = new FrameAssembler(frameSize * format.channels);
+    logger.info(`Speaker open at ${describeFormat(format)}`);
+    return speaker;
+  }
+
+  /** @private */
+  _stopPlayback() {
+    this._playbackClock?.stop();
+    this._playbackClock = null;
+    this._speaker?.end();
+    this._speaker = null;
+    this._speakerFormat = null;
   }
 
   /** Mutes the microphone (data is still captured but not transmitted). */
@@ -290,12 +655,165 @@ class AudioManager extends EventEmitter {
     return this._isMuted;
   }
 
-  /** Stops capture and removes all peer audio sinks. */
+  /**
+   * Switches push-to-talk mode.  Entering it takes the microphone off air
+   * until setTransmitting(true); leaving it goes back to an open mic.
+   * @param {boolean} enabled
+   */
+  setPushToTalk(enabled) {
+    if (enabled === this._isPushToTalk) return;
+    this._isPushToTalk = enabled;
+    this._pttPressed = false;
+    clearTimeout(this._pttTailTimer);
+    this._pttTailTimer = null;
+    logger.info(`Push-to-talk ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /** @returns {boolean} */
+  get isPushToTalk() {
+    return this._isPushToTalk;
+  }
+
+  /**
+   * Presses or releases push-to-talk.  Releasing keeps the microphone on air
+   * for a short tail.  Ignored outside push-to-talk mode.
+   * @param {boolean} active
+   */
+  setTransmitting(active) {
+    if (!this._isPushToTalk || active === this._pttPressed) return;
+    const wasTransmitting = this.isTransmitting;
+    this._pttPressed = active;
+    clearTimeout(this._pttTailTimer);
+    this._pttTailTimer = null;
+
+    if (active) {
+      if (!wasTransmitting) this.emit('transmitting', true);
+      return;
+    }
+    this._pttTailTimer = setTimeout(() => {
+      this._pttTailTimer = null;
+      this.emit('transmitting', false);
+    }, PTT_RELEASE_TAIL_MS);
+  }
+
+  /**
+   * @returns {boolean} true while microphone audio may go out: always with an
+   *   open mic, otherwise while push-to-talk is held or in its release tail.
+   *   Muting is separate.
+   */
+  get isTransmitting() {
+    return !this._isPushToTalk || this._pttPressed || this._pttTailTimer !== null;
+  }
+
+  /**
+   * Turns echo cancellation on or off.  The noise gate takes over while it
+   * is off; turning it back on starts learning the echo path afresh.
+   * @param {boolean} enabled
+   */
+  setEchoCancellation(enabled) {
+    if (enabled === this.isEchoCancellationEnabled) return;
+    this._echoCancellers = enabled ? this._createEchoCancellers() : null;
+    logger.info(`Echo cancellation ${enabled ? 'enabled' : 'disabled'}`);
+  }
+
+  /** @returns {boolean} */
+  get isEchoCancellationEnabled() {
+    return this._echoCancellers !== null;
+  }
+
+  /**
+   * @returns {EchoCanceller[]} one for each channel of the call
+   * @private
+   */
+  _createEchoCancellers() {
+    return Array.from({ length: this._channels }, () => new EchoCanceller());
+  }
+
+  /**
+   * @returns {import('./echoCanceller').EchoStats|null} null when echo
+   *   cancellation is off; the left channel's in stereo
+   */
+  get echoStats() {
+    return this._echoCancellers?.[0].stats ?? null;
+  }
+
+  /**
+   * Changes microphone processing while running.  Stages whose setting is
+   * unchanged keep their state.
+   *
+   * @param {Object} changes - `echoCancellation` and/or any ProcessingSettings key
+   * @returns {Object} the settings now in effect, as from `settings`
+   * @throws {RangeError} on an unknown setting or invalid value
+   */
+  updateSettings({ echoCancellation, ...processing }) {
+    // Validated first, so a bad value changes nothing; every channel's
+    // chain accepts what the first does
+    for (const chain of this._captureChains) chain.configure(processing);
+    if (echoCancellation !== undefined) this.setEchoCancellation(Boolean(echoCancellation));
+    return this.settings;
+  }
+
+  /**
+   * @returns {{ echoCancellation: boolean } & import('./processing').ProcessingSettings}
+   */
+  get settings() {
+    return { echoCancellation: this.isEchoCancellationEnabled, ...this._captureChains[0].settings };
+  }
+
+  // ── Recording ──────────────────────────────────────────────────────────────
+
+  /**
+   * Starts feeding the microphone, as sent, and every remote peer's audio
+   * into a recorder.
+   *
+   * @param {import('./recorder').CallRecorder} recorder
+   * @throws {AudioError} RECORDING_OPEN_FAILED when its files cannot be created
+   */
+  startRecording(recorder) {
+    if (this._recorder) throw new AudioError('Already recording', 'ALREADY_RECORDING');
+    recorder.start();
+    // A recorder that fails has already saved what it could
+    recorder.once('error', () => {
+      if (this._recorder === recorder) this._recorder = null;
+    });
+    this._recorder = recorder;
+  }
+
+  /**
+   * Stops recording and finishes the files.
+   * @returns {Promise<import('./recorder').RecordingSummary|null>} null when not recording
+   */
+  async stopRecording() {
+    const recorder = this._recorder;
+    this._recorder = null;
+    return recorder ? recorder.stop() : null;
+  }
+
+  /** @returns {boolean} */
+  get isRecording() {
+    return this._recorder !== null;
+  }
+
+  /**
+   * Stops capture, removes all peer audio sinks and closes the output device.
+   * A recording still running is finished in the background.
+   */
   destroy() {
+    this.stopRecording().catch((err) => logger.error(`Could not finish recording: ${err.message}`));
+    clearTimeout(this._pttTailTimer);
+    this._pttTailTimer = null;
     this.stopCapture();
-    for (const peerId of [...this._sinks.keys()]) this.removePeerAudio(peerId);
+    this.removeAllPeerAudio();
     this.removeAllListeners();
   }
 }
 
-module.exports = { AudioManager, SAMPLE_RATE, CHANNELS, BIT_DEPTH };
+/**
+ * @param {import('../utils/audioFormat').AudioFormat} format
+ * @returns {string} e.g. "44100Hz mono"
+ */
+function describeFormat({ sampleRate, channels }) {
+  return `${sampleRate}Hz ${channels === 2 ? 'stereo' : 'mono'}`;
+}
+
+module.exports = { AudioManager, MAX_PEER_VOLUME };
@@ -0,0 +1,109 @@
+'use strict';
+
+const { AudioError } = require('../utils/errors');
+const { SAMPLE_RATE } = require('../utils/audioFormat');
+
+/**
+ * @typedef {Object} AudioDevice
+ * @property {number}   id
+ * @property {string}   name
+ * @property {number}   inputChannels
+ * @property {number}   outputChannels
+ * @property {number[]} sampleRates
+ * @property {number}   preferredSampleRate
+ * @property {boolean}  isDefaultInput
+ * @property {boolean}  isDefaultOutput
+ */
+
+/**
+ * @param {AudioDevice[]}       devices
+ * @param {'input'|'output'}    kind
+ * @returns {AudioDevice[]} devices that can record (input) or play (output)
+ */
+function devicesOfKind(devices, kind) {
+  return devices.filter((d) => (kind === 'input' ? d.inputChannels : d.outputChannels) > 0);
+}
+
+/**
+ * Finds the device a user asked for, by ID as shown by `voicesync devices`
+ * or by name.  A name may be any part of the device's name, as long as only
+ * one device matches it.
+ *
+ * @param {AudioDevice[]}    devices
+ * @param {number|string}    spec - Device ID or (part of) its name
+ * @param {'input'|'output'} kind
+ * @returns {AudioDevice}
+ * @throws {AudioError} DEVICE_NOT_FOUND when nothing or more than one device matches
+ */
+function findDevice(devices, spec, kind) {
+  const candidates = devicesOfKind(devices, kind);
+  const text = String(spec).trim();
+
+  if (/^\d+$/.test(text)) {
+    const byId = candidates.find((d) => d.id === Number(text));
+    if (byId) return byId;
+  }
+
+  const wanted = text.toLowerCase();
+  const exact = candidates.filter((d) => d.name.toLowerCase() === wanted);
+  if (exact.length === 1) return exact[0];
+
+  const partial = candidates.filter((d) => d.name.toLowerCase().includes(wanted));
+  if (partial.length === 1) return partial[0];
+
+  const reason = partial.length > 1
+    ? `"${text}" matches several ${kind} devices: ${partial.map((d) => d.name).join(', ')}`
+    : `No ${kind} device matches "${text}"`;
+  throw new AudioError(`${reason} — run \`voicesync devices\` to list them`, 'DEVICE_NOT_FOUND');
+}
+
+/**
+ * @param {AudioDevice[]}    devices
+ * @param {'input'|'output'} kind
+ * @returns {AudioDevice|null} the system's default device of that kind, if it says
+ */
+function defaultDevice(devices, kind) {
+  return devices.find((d) => (kind === 'input' ? d.isDefaultInput : d.isDefaultOutput)) ?? null;
+}
+
+/**
+ * Picks the format to open a device in.  Audio is converted to and from the
+ * call's 48kHz at the device, so any rate works; 48kHz is preferred when the
+ * device has it, sparing the conversion, then the device's own preferred
+ * rate, then the nearest rate above 48kHz, then the highest below.
+ *
+ * A device whose rates are not known (the system default, or a device that
+ * reports none) is opened at 48kHz, or at the rate asked for.
+ *
+ * @param {AudioDevice|null}   device
+ * @param {'input'|'output'}   kind
+ * @param {Object}             [wanted]
+ * @param {number}             [wanted.sampleRate] - a rate the user asked for
+ * @param {1|2}                [wanted.channels=1]
+ * @returns {import('../utils/audioFormat').AudioFormat} channels are capped by what
+ *   the device has, so a mono microphone is opened in mono for a stereo call
+ * @throws {AudioError} UNSUPPORTED_SAMPLE_RATE when the device does not list the rate asked for
+ */
+function chooseFormat(device, kind, { sampleRate, channels = 1 } = {}) {
+  const rates = device?.sampleRates ?? [];
+  const deviceChannels = device ? (kind === 'input' ? device.inputChannels : device.outputChannels) : 0;
+  const format = { sampleRate: SAMPLE_RATE, channels: deviceChannels > 0 ? Math.min(channels, deviceChannels) : channels };
+
+  if (sampleRate !== undefined) {
+    if (rates.length > 0 && !rates.includes(sampleRate)) {
+      throw new AudioError(
+        `${device.name} does not support ${sampleRate}Hz — it supports ${rates.join(', ')}Hz`,
+        'UNSUPPORTED_SAMPLE_RATE',
+      );
+    }
+    format.sampleRate = sampleRate;
+  } else if (rates.length > 0 && !rates.includes(SAMPLE_RATE)) {
+    const above = rates.filter((r) => r > SAMPLE_RATE);
+    format.sampleRate = rates.includes(device.preferredSampleRate) ? device.preferredSampleRate
+      : above.length > 0 ? Math.min(...above)
+        : Math.max(...rates);
+  }
+  return format;
+}
+
+module.exports = { devicesOfKind, findDevice, defaultDevice, chooseFormat };
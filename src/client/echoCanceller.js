@@ -0,0 +1,332 @@
+'use strict';
+
+const { SAMPLE_RATE, FRAME_SAMPLES } = require('../utils/audioFormat');
+
+const SAMPLES_PER_MS = SAMPLE_RATE / 1000;
+
+// Echo tail the adaptive filter models, measured from the estimated delay.
+const FILTER_TAPS = 1024; // ~21ms
+// NLMS step size: larger converges faster but leaves more residual echo.
+const STEP_SIZE = 0.4;
+// Keeps the NLMS update stable when the far end is nearly silent.
+const REGULARIZATION = 1e-4 * FILTER_TAPS;
+// Below this reference power per tap there is no echo worth adapting to.
+const MIN_REFERENCE_POWER = 1e-7;
+
+// Longest speaker-to-microphone delay searched for.  Covers output buffering
+// in the audio driver as well as the acoustic path itself.
+const MAX_DELAY_MS = 300;
+// The filter starts this long before the estimated delay, so small errors in
+// the estimate still fall inside it.
+const DELAY_MARGIN_SAMPLES = 2 * SAMPLES_PER_MS;
+// The delay is estimated by correlating 1ms level envelopes over this window…
+const DELAY_WINDOW_MS = 1000;
+// …every this many frames, and only trusted above this correlation.
+const DELAY_UPDATE_FRAMES = 50;
+const MIN_DELAY_CORRELATION = 0.5;
+
+// Near-end speech is assumed when the microphone peaks above the loudest
+// recent far-end sample — echo is quieter than the signal that was played —
+// or, once the filter has converged, when a frame's echo reduction falls
+// well short of the running average because something else is in the mix.
+const DOUBLE_TALK_PEAK_RATIO = 1;
+const CONVERGED_ERLE_DB = 10;
+const DOUBLE_TALK_ERLE_DROP_DB = 6;
+// Adaptation stays frozen this long after near-end speech was detected.
+const DOUBLE_TALK_HOLD_FRAMES = 5;
+// Double talk lasting longer than this is more likely a changed echo path
+// (someone moved the microphone); the filter is then allowed to re-adapt.
+const MAX_DOUBLE_TALK_FRAMES = 200; // ~2s
+
+// Reference frames queue up until the next microphone frame consumes one.
+// Consumption waits for this many after running dry, so a few microphone
+// frames processed back to back do not shift the alignment…
+const REFERENCE_CUSHION_FRAMES = 3;
+// …and anything beyond this is discarded, e.g. while the mic is stopped.
+const MAX_PENDING_REFERENCE_FRAMES = 30;
+
+// Smoothing for the power averages behind `erleDb`.
+const POWER_SMOOTHING = 0.05;
+
+const HISTORY_SAMPLES = MAX_DELAY_MS * SAMPLES_PER_MS + FILTER_TAPS + FRAME_SAMPLES;
+const DELAY_BLOCKS = MAX_DELAY_MS;
+const WINDOW_BLOCKS = DELAY_WINDOW_MS;
+
+/**
+ * @typedef {Object} EchoStats
+ * @property {number|null} delayMs - estimated speaker-to-microphone delay; null until found
+ * @property {number}      erleDb  - echo return loss enhancement: how much quieter the
+ *                                   output is than the microphone while the far end talks
+ * @property {boolean}     doubleTalk - near-end speech detected; adaptation is paused
+ */
+
+/**
+ * Acoustic echo canceller for 10ms mono frames at 48kHz.
+ *
+ * Everything played on the speakers is fed in as the far-end reference.  A
+ * normalised LMS adaptive filter learns the path from speaker to microphone
+ * and subtracts its prediction of the echo from each microphone frame, so
+ * remote participants do not hear themselves back.
+ *
+ * Reference and microphone frames come from different callbacks, so the
+ * reference is queued and consumed one frame per microphone frame, keeping
+ * the two in lockstep however their deliveries bunch up.  Output buffering
+ * means the echo arrives well after the reference was written, so the bulk
+ * delay is found separately by correlating the level
+ * envelopes of both signals, and the filter only has to model the short
+ * tail after it.  Adaptation pauses while the local user talks over the far
+ * end, which would otherwise teach the filter to cancel their voice.
+ */
+class EchoCanceller {
+  constructor() {
+    this._weights = new Float64Array(FILTER_TAPS);
+    /** Far-end history, oldest first; the last sample is the newest reference. */
+    this._reference = new Float32Array(HISTORY_SAMPLES);
+    /** @type {Int16Array[]} reference frames not yet lined up with a mic frame */
+    this._pending = [];
+    this._pendingReady = false;
+    this._delay = 0;
+    this._delayFound = false;
+
+    // 1ms mean-level envelopes for delay estimation, oldest first
+    this._referenceEnvelope = new Float32Array(WINDOW_BLOCKS + DELAY_BLOCKS);
+    this._micEnvelope = new Float32Array(WINDOW_BLOCKS);
+    this._framesUntilDelayUpdate = DELAY_UPDATE_FRAMES;
+
+    this._doubleTalkHold = 0;
+    this._doubleTalkFrames = 0;
+    this._micPower = 0;
+    this._errorPower = 0;
+  }
+
+  /**
+   * Records a frame that has just been sent to the speakers.
+   * @param {Int16Array} samples - FRAME_SAMPLES mono samples
+   * @throws {RangeError} if the frame is not FRAME_SAMPLES long
+   */
+  pushReference(samples) {
+    checkFrame(samples);
+    this._pending.push(samples);
+    if (this._pending.length > MAX_PENDING_REFERENCE_FRAMES) {
+      this._pending.splice(0, this._pending.length - REFERENCE_CUSHION_FRAMES);
+    }
+  }
+
+  /**
+   * Removes the echo from a microphone frame.
+   * @param {Int16Array} samples - FRAME_SAMPLES mono samples
+   * @returns {Int16Array} the frame with the estimated echo subtracted
+   * @throws {RangeError} if the frame is not FRAME_SAMPLES long
+   */
+  process(samples) {
+    checkFrame(samples);
+    this._advanceReference();
+    const mic = Float32Array.from(samples, (s) => s / 32768);
+    pushEnvelope(this._micEnvelope, mic, 0);
+    if (--this._framesUntilDelayUpdate <= 0) {
+      this._framesUntilDelayUpdate = DELAY_UPDATE_FRAMES;
+      this._updateDelay();
+    }
+
+    const x = this._reference;
+    const w = this._weights;
+    // Index in `x` of the reference sample lined up with mic sample 0, tap 0
+    const base = HISTORY_SAMPLES - FRAME_SAMPLES - this._delay;
+
+    // Reference power over the filter span, slid along sample by sample
+    let power = 0;
+    let peak = 0;
+    for (let k = 1; k <= FILTER_TAPS; k++) {
+      const v = x[base - k];
+      power += v * v;
+      peak = Math.max(peak, Math.abs(v));
+    }
+    for (let i = 0; i < FRAME_SAMPLES; i++) peak = Math.max(peak, Math.abs(x[base + i]));
+
+    let micPeak = 0;
+    for (let i = 0; i < FRAME_SAMPLES; i++) micPeak = Math.max(micPeak, Math.abs(mic[i]));
+    if (micPeak > DOUBLE_TALK_PEAK_RATIO * peak) this._doubleTalkHold = DOUBLE_TALK_HOLD_FRAMES;
+    const adapt = this._doubleTalkHold === 0;
+
+    const out = new Int16Array(FRAME_SAMPLES);
+    let micEnergy = 0;
+    let errorEnergy = 0;
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      const n = base + i;
+      const entering = x[n];
+      const leaving = x[n - FILTER_TAPS];
+      power += entering * entering - leaving * leaving;
+
+      let echo = 0;
+      for (let k = 0; k < FILTER_TAPS; k++) echo += w[k] * x[n - k];
+      const error = mic[i] - echo;
+
+      if (adapt && power > MIN_REFERENCE_POWER * FILTER_TAPS) {
+        const step = (STEP_SIZE * error) / (power + REGULARIZATION);
+        for (let k = 0; k < FILTER_TAPS; k++) w[k] += step * x[n - k];
+      }
+
+      micEnergy += mic[i] * mic[i];
+      errorEnergy += error * error;
+      const value = Math.round(error * 32768);
+      out[i] = value > 32767 ? 32767 : value < -32768 ? -32768 : value;
+    }
+
+    // A filter that adds more than it removes has diverged; start over
+    if (errorEnergy > micEnergy * 4 && micEnergy > 0) this._weights.fill(0);
+
+    if (power > MIN_REFERENCE_POWER * FILTER_TAPS) this._trackErle(micEnergy, errorEnergy);
+    return out;
+  }
+
+  /** Forgets everything learned, e.g. after the output device changes. */
+  reset() {
+    this._weights.fill(0);
+    this._reference.fill(0);
+    this._pending = [];
+    this._pendingReady = false;
+    this._referenceEnvelope.fill(0);
+    this._micEnvelope.fill(0);
+    this._delay = 0;
+    this._delayFound = false;
+    this._doubleTalkHold = 0;
+    this._doubleTalkFrames = 0;
+    this._micPower = 0;
+    this._errorPower = 0;
+  }
+
+  /** @returns {EchoStats} */
+  get stats() {
+    return {
+      delayMs: this._delayFound ? (this._delay + DELAY_MARGIN_SAMPLES) / SAMPLES_PER_MS : null,
+      erleDb: this._errorPower > 0 ? 10 * Math.log10(this._micPower / this._errorPower) : 0,
+      doubleTalk: this._doubleTalkHold > 0,
+    };
+  }
+
+  /**
+   * Moves the next queued reference frame into the history — or silence when
+   * the queue is (re)filling, e.g. while nothing is being played.
+   * @private
+   */
+  _advanceReference() {
+    if (this._pending.length === 0) this._pendingReady = false;
+    else if (this._pending.length >= REFERENCE_CUSHION_FRAMES) this._pendingReady = true;
+    const frame = this._pendingReady ? this._pending.shift() : null;
+
+    this._reference.copyWithin(0, FRAME_SAMPLES);
+    const offset = HISTORY_SAMPLES - FRAME_SAMPLES;
+    for (let i = 0; i < FRAME_SAMPLES; i++) this._reference[offset + i] = frame ? frame[i] / 32768 : 0;
+    pushEnvelope(this._referenceEnvelope, this._reference, offset);
+  }
+
+  /**
+   * Updates the running echo reduction with a frame processed while the far
+   * end was playing, and watches it for signs of near-end speech.
+   * @param {number} micEnergy
+   * @param {number} errorEnergy
+   * @private
+   */
+  _trackErle(micEnergy, errorEnergy) {
+    const erle = this.stats.erleDb;
+    const frameErle = errorEnergy > 0 ? 10 * Math.log10(micEnergy / errorEnergy) : Infinity;
+    if (erle > CONVERGED_ERLE_DB && frameErle < erle - DOUBLE_TALK_ERLE_DROP_DB) {
+      this._doubleTalkHold = DOUBLE_TALK_HOLD_FRAMES;
+    }
+
+    if (this._doubleTalkHold > 0) {
+      this._doubleTalkHold--;
+      if (++this._doubleTalkFrames > MAX_DOUBLE_TALK_FRAMES) {
+        this._doubleTalkFrames = 0;
+        this._micPower = 0;
+        this._errorPower = 0;
+      }
+      return;
+    }
+    this._doubleTalkFrames = 0;
+    this._micPower += (micEnergy - this._micPower) * POWER_SMOOTHING;
+    this._errorPower += (errorEnergy - this._errorPower) * POWER_SMOOTHING;
+  }
+
+  /**
+   * Re-estimates the bulk delay from the lag that best lines up the
+   * reference and microphone envelopes.  The filter restarts whenever the
+   * delay moves, since its taps no longer line up with the echo.
+   * @private
+   */
+  _updateDelay() {
+    const mic = this._micEnvelope;
+    const micMean = mean(mic, 0, WINDOW_BLOCKS);
+    let micVariance = 0;
+    for (let i = 0; i < WINDOW_BLOCKS; i++) micVariance += (mic[i] - micMean) ** 2;
+    if (micVariance === 0) return;
+
+    let bestLag = -1;
+    let bestCorrelation = MIN_DELAY_CORRELATION;
+    for (let lag = 0; lag < DELAY_BLOCKS; lag++) {
+      const start = DELAY_BLOCKS - lag;
+      const refMean = mean(this._referenceEnvelope, start, WINDOW_BLOCKS);
+      let covariance = 0;
+      let refVariance = 0;
+      for (let i = 0; i < WINDOW_BLOCKS; i++) {
+        const r = this._referenceEnvelope[start + i] - refMean;
+        covariance += r * (mic[i] - micMean);
+        refVariance += r * r;
+      }
+      if (refVariance === 0) continue;
+      const correlation = covariance / Math.sqrt(refVariance * micVariance);
+      if (correlation > bestCorrelation) {
+        bestCorrelation = correlation;
+        bestLag = lag;
+      }
+    }
+    if (bestLag < 0) return;
+
+    const delay = Math.max(0, bestLag * SAMPLES_PER_MS - DELAY_MARGIN_SAMPLES);
+    if (!this._delayFound || Math.abs(delay - this._delay) > DELAY_MARGIN_SAMPLES) {
+      this._delay = delay;
+      this._weights.fill(0);
+    }
+    this._delayFound = true;
+  }
+}
+
+/**
+ * Shifts ten 1ms mean-level blocks of a frame onto the end of an envelope.
+ * @param {Float32Array} envelope
+ * @param {Float32Array} source
+ * @param {number}       offset - index of the frame's first sample in `source`
+ */
+function pushEnvelope(envelope, source, offset) {
+  const blocks = FRAME_SAMPLES / SAMPLES_PER_MS;
+  envelope.copyWithin(0, blocks);
+  for (let b = 0; b < blocks; b++) {
+    let sum = 0;
+    for (let i = 0; i < SAMPLES_PER_MS; i++) sum += Math.abs(source[offset + b * SAMPLES_PER_MS + i]);
+    envelope[envelope.length - blocks + b] = sum / SAMPLES_PER_MS;
+  }
+}
+
+/**
+ * @param {Float32Array} values
+ * @param {number}       start
+ * @param {number}       length
+ * @returns {number}
+ */
+function mean(values, start, length) {
+  let sum = 0;
+  for (let i = start; i < start + length; i++) sum += values[i];
+  return sum / length;
+}
+
+/**
+ * @param {Int16Array} samples
+ * @throws {RangeError} if the frame is not FRAME_SAMPLES long
+ */
+function checkFrame(samples) {
+  if (samples.length !== FRAME_SAMPLES) {
+    throw new RangeError(`Echo canceller frames must be ${FRAME_SAMPLES} samples, got ${samples.length}`);
+  }
+}
+
+module.exports = { EchoCanceller, FRAME_SAMPLES, MAX_DELAY_MS };
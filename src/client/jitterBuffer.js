@@ -0,0 +1,269 @@
+'use strict';
+
+const { performance } = require('perf_hooks');
+const { FRAME_SAMPLES, FRAME_MS } = require('../utils/audioFormat');
+
+// Target delay bounds, in frames.  Playback starts once the initial target is
+// buffered, then the target follows the measured jitter.
+const MIN_TARGET_FRAMES = 2;      // 20ms
+const INITIAL_TARGET_FRAMES = 5;  // 50ms
+const MAX_TARGET_FRAMES = 20;     // 200ms
+
+// Frames held before the oldest are dropped outright — a backstop for when
+// drift correction cannot keep up.
+const MAX_BUFFERED_FRAMES = 30;
+
+// The target grows as soon as jitter or an underrun calls for it, but only
+// shrinks one frame at a time after this long without an underrun.
+const SHRINK_AFTER_FRAMES = 300; // ~3s
+
+// Buffer this many frames beyond the target before dropping one to pull
+// latency back down.
+const DRIFT_TOLERANCE_FRAMES = 2;
+// Minimum frames between two drift corrections, so they stay inaudible.
+const CORRECTION_COOLDOWN_FRAMES = 10;
+
+// Underruns are concealed by repeating the last frame at a decaying level
+// for up to this many frames, after which playback re-buffers.
+const MAX_CONCEALED_FRAMES = 5;
+const CONCEALMENT_DECAY = 0.6;
+
+// Weight of each new sample in the running jitter estimate (RFC 3550 uses 1/16).
+const JITTER_SMOOTHING = 1 / 16;
+// Target delay as a multiple of the mean jitter, covering most late arrivals.
+const JITTER_HEADROOM = 4;
+
+/**
+ * @typedef {Object} JitterStats
+ * @property {number} delayMs          - audio currently buffered
+ * @property {number} targetDelayMs    - delay the buffer is steering towards
+ * @property {number} jitterMs         - smoothed deviation in frame arrival times
+ * @property {number} underruns        - times playback ran dry
+ * @property {number} concealedFrames  - frames synthesised to cover underruns
+ * @property {number} lateFrames       - frames dropped for arriving after their slot was concealed
+ * @property {number} stretchedFrames  - frames inserted to slow playback down
+ * @property {number} compressedFrames - frames dropped to catch playback up
+ */
+
+/**
+ * Adaptive jitter buffer for one remote peer's 10ms frames.
+ *
+ * Frames arrive on network timing and leave on the playback clock.  The
+ * buffer measures how irregular arrivals are and holds just enough audio to
+ * ride that out: the target delay grows immediately when jitter rises or
+ * playback runs dry, and shrinks slowly once things settle.  When sender and
+ * playback clocks drift apart, it blends two frames into one (too much
+ * buffered) or blends an extra frame in (nearly empty) so the delay follows
+ * the target without audible jumps.  Gaps are covered by fading repeats of
+ * the last frame.
+ */
+class JitterBuffer {
+  /**
+   * @param {Object} [opts]
+   * @param {1|2}    [opts.channels=1] - channels interleaved in each frame
+   */
+  constructor({ channels = 1 } = {}) {
+    this._frameLength = FRAME_SAMPLES * channels;
+    /** @type {Int16Array[]} */
+    this._queue = [];
+    this._playing = false;
+    this._target = INITIAL_TARGET_FRAMES;
+    this._framesSinceUnderrun = 0;
+    this._framesSinceCorrection = CORRECTION_COOLDOWN_FRAMES;
+
+    this._lastArrival = null;
+    this._jitterMs = 0;
+
+    this._lastFrame = null;    // last real frame played, for concealment
+    this._level = 0;           // level the previous output frame ended at; starts faded in
+    this._concealedRun = 0;    // consecutive frames concealed so far
+    this._owedFrames = 0;      // concealed slots not yet made up by dropping a late frame
+
+    this._stats = {
+      underruns: 0,
+      concealedFrames: 0,
+      lateFrames: 0,
+      stretchedFrames: 0,
+      compressedFrames: 0,
+    };
+  }
+
+  /**
+   * Adds a frame that has just arrived.
+   *
+   * @param {Int16Array} samples   - FRAME_SAMPLES samples per channel
+   * @param {number}     [arrivalMs] - arrival time; defaults to now
+   * @throws {RangeError} if the frame is the wrong length
+   */
+  push(samples, arrivalMs = performance.now()) {
+    if (samples.length !== this._frameLength) {
+      throw new RangeError(`Jitter buffer frames must be ${this._frameLength} samples, got ${samples.length}`);
+    }
+    this._measureJitter(arrivalMs);
+
+    // Concealment already covered a slot this frame could have filled;
+    // once the buffer is back at its target, keeping it would only add the
+    // gap to the delay
+    if (this._owedFrames > 0 && this._queue.length >= this._target) {
+      this._owedFrames--;
+      this._stats.lateFrames++;
+      return;
+    }
+
+    this._queue.push(samples);
+    if (this._queue.length > MAX_BUFFERED_FRAMES) {
+      this._queue.shift();
+      this._stats.compressedFrames++;
+    }
+  }
+
+  /**
+   * Takes the next 10ms of playback.  Called once per frame by the playback
+   * clock.
+   *
+   * @returns {Int16Array|null} null while (re-)buffering — the peer is silent
+   */
+  pop() {
+    this._framesSinceCorrection++;
+    if (++this._framesSinceUnderrun >= SHRINK_AFTER_FRAMES) {
+      this._framesSinceUnderrun = 0;
+      if (this._target > this._jitterTarget()) this._target--;
+    }
+    this._target = Math.max(this._target, this._jitterTarget());
+
+    if (!this._playing) {
+      if (this._queue.length < this._target) return null;
+      this._playing = true;
+      // Re-buffering has already absorbed any gap
+      this._owedFrames = 0;
+    }
+
+    if (this._queue.length === 0) return this._conceal();
+
+    let frame;
+    const canCorrect = this._framesSinceCorrection >= CORRECTION_COOLDOWN_FRAMES && this._lastFrame;
+    if (canCorrect && this._queue.length > this._target + DRIFT_TOLERANCE_FRAMES) {
+      // Too far behind: blend two frames into one
+      const first = this._queue.shift();
+      frame = crossfade(first, this._queue.shift());
+      this._stats.compressedFrames++;
+      this._framesSinceCorrection = 0;
+    } else if (canCorrect && this._queue.length < Math.ceil(this._target / 2)) {
+      // About to run dry: play a blend of the last and next frames, keeping the next
+      frame = crossfade(this._lastFrame, this._queue[0]);
+      this._stats.stretchedFrames++;
+      this._framesSinceCorrection = 0;
+    } else {
+      frame = this._queue.shift();
+    }
+
+    this._lastFrame = frame;
+    this._concealedRun = 0;
+    return this._ramp(frame, 1);
+  }
+
+  /** @returns {boolean} true once playback has started and until it next re-buffers */
+  get isPlaying() {
+    return this._playing;
+  }
+
+  /** @returns {JitterStats} */
+  get stats() {
+    return {
+      delayMs: this._queue.length * FRAME_MS,
+      targetDelayMs: this._target * FRAME_MS,
+      jitterMs: Math.round(this._jitterMs * 10) / 10,
+      ...this._stats,
+    };
+  }
+
+  /**
+   * Updates the running jitter estimate: how far each gap between arrivals
+   * strays from one frame's duration.
+   * @param {number} arrivalMs
+   * @private
+   */
+  _measureJitter(arrivalMs) {
+    if (this._lastArrival !== null) {
+      const deviation = Math.abs(arrivalMs - this._lastArrival - FRAME_MS);
+      this._jitterMs += (deviation - this._jitterMs) * JITTER_SMOOTHING;
+    }
+    this._lastArrival = arrivalMs;
+  }
+
+  /**
+   * @returns {number} target delay in frames that the current jitter calls for
+   * @private
+   */
+  _jitterTarget() {
+    const frames = Math.ceil((this._jitterMs * JITTER_HEADROOM) / FRAME_MS) + 1;
+    return Math.min(MAX_TARGET_FRAMES, Math.max(MIN_TARGET_FRAMES, frames));
+  }
+
+  /**
+   * Covers an underrun with a fading repeat of the last frame, or gives up
+   * and re-buffers once the gap is too long to hide.
+   * @returns {Int16Array|null}
+   * @private
+   */
+  _conceal() {
+    if (this._concealedRun === 0) {
+      this._stats.underruns++;
+      this._framesSinceUnderrun = 0;
+      this._target = Math.min(MAX_TARGET_FRAMES, this._target + 1);
+    }
+    if (!this._lastFrame || this._concealedRun >= MAX_CONCEALED_FRAMES) {
+      this._playing = false;
+      this._level = 0;
+      return null;
+    }
+
+    this._concealedRun++;
+    this._owedFrames++;
+    this._stats.concealedFrames++;
+    return this._ramp(this._lastFrame, CONCEALMENT_DECAY ** this._concealedRun);
+  }
+
+  /**
+   * Scales a frame by a level that moves linearly from where the previous
+   * frame ended to `toLevel`, so level changes never step.
+   * @param {Int16Array} frame
+   * @param {number}     toLevel
+   * @returns {Int16Array}
+   * @private
+   */
+  _ramp(frame, toLevel) {
+    const fromLevel = this._level;
+    this._level = toLevel;
+    if (fromLevel === 1 && toLevel === 1) return frame;
+
+    const out = new Int16Array(frame.length);
+    const step = (toLevel - fromLevel) / frame.length;
+    for (let i = 0; i < frame.length; i++) out[i] = Math.round(frame[i] * (fromLevel + step * (i + 1)));
+    return out;
+  }
+}
+
+/**
+ * Blends from `a` into `b` across one frame.
+ * @param {Int16Array} a
+ * @param {Int16Array} b
+ * @returns {Int16Array}
+ */
+function crossfade(a, b) {
+  const out = new Int16Array(a.length);
+  for (let i = 0; i < a.length; i++) {
+    const w = (i + 1) / a.length;
+    out[i] = Math.round(a[i] * (1 - w) + b[i] * w);
+  }
+  return out;
+}
+
+module.exports = {
+  JitterBuffer,
+  FRAME_SAMPLES,
+  MIN_TARGET_FRAMES,
+  INITIAL_TARGET_FRAMES,
+  MAX_TARGET_FRAMES,
+  MAX_CONCEALED_FRAMES,
+};
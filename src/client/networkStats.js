@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * Network quality of WebRTC connections, from RTCPeerConnection.getStats().
+ *
+ * getStats() reports running totals, so rates — packet loss and bitrate —
+ * come from the difference between two snapshots.  A StatsSampler per
+ * connection keeps the previous snapshot; combineStats() sums up several
+ * connections, e.g. every peer of a mesh call.
+ */
+
+/**
+ * @typedef {'excellent'|'good'|'fair'|'poor'} QualityRating
+ */
+
+/**
+ * @typedef {Object} NetworkStats
+ * @property {number|null}        rttMs         - round trip over the selected ICE candidate pair
+ * @property {number|null}        jitterMs      - of the audio received; the worst stream's
+ * @property {number|null}        packetLoss    - fraction [0, 1] lost since the last sample,
+ *   in whichever direction lost more
+ * @property {number|null}        sendKbps
+ * @property {number|null}        receiveKbps
+ * @property {string|null}        candidateType - local end of the selected pair: host, srflx, prflx or relay
+ * @property {QualityRating|null} quality       - null until something has been measured
+ */
+
+/**
+ * Limits for each rating: every measured figure must be below the limit.
+ * Round trips up to ~150ms are unnoticeable in conversation and Opus hides
+ * a percent or so of loss; beyond ~500ms or ~8% people talk over each
+ * other and drop words.
+ */
+const QUALITY_LIMITS = [
+  { quality: 'excellent', rttMs: 150, jitterMs: 20, packetLoss: 0.01 },
+  { quality: 'good', rttMs: 300, jitterMs: 40, packetLoss: 0.03 },
+  { quality: 'fair', rttMs: 500, jitterMs: 80, packetLoss: 0.08 },
+];
+
+const QUALITY_ORDER = ['excellent', 'good', 'fair', 'poor'];
+
+/**
+ * @param {{ rttMs: number|null, jitterMs: number|null, packetLoss: number|null }} stats
+ * @returns {QualityRating|null} null when none of the figures is known
+ */
+function rateQuality({ rttMs, jitterMs, packetLoss }) {
+  const figures = { rttMs, jitterMs, packetLoss };
+  if (Object.values(figures).every((value) => value === null)) return null;
+  const met = QUALITY_LIMITS.find((limits) => (
+    Object.entries(figures).every(([name, value]) => value === null || value < limits[name])
+  ));
+  return met ? met.quality : 'poor';
+}
+
+/**
+ * Turns successive getStats() reports of one connection into NetworkStats.
+ */
+class StatsSampler {
+  constructor() {
+    /** Totals from the previous report; null before the first */
+    this._previous = null;
+  }
+
+  /**
+   * @param {Object[]} reports - one getStats() result, as an array of reports
+   * @returns {NetworkStats}
+   */
+  sample(reports) {
+    const byId = new Map(reports.map((report) => [report.id, report]));
+    const ofType = (type) => reports.filter((report) => report.type === type);
+
+    const pair = selectedPair(reports, byId);
+    const inbound = ofType('inbound-rtp').filter((report) => report.kind === 'audio');
+    const remoteInbound = ofType('remote-inbound-rtp').filter((report) => report.kind === 'audio');
+
+    const totals = {
+      timestamp: pair?.timestamp ?? reports[0]?.timestamp ?? 0,
+      bytesSent: pair?.bytesSent ?? 0,
+      bytesReceived: pair?.bytesReceived ?? 0,
+      packetsReceived: sum(inbound, 'packetsReceived'),
+      packetsLost: sum(inbound, 'packetsLost'),
+    };
+    const previous = this._previous;
+    this._previous = totals;
+
+    let rttMs = null;
+    if (typeof pair?.currentRoundTripTime === 'number') {
+      rttMs = pair.currentRoundTripTime * 1000;
+    } else if (remoteInbound.some((report) => typeof report.roundTripTime === 'number')) {
+      rttMs = Math.max(...remoteInbound.map((report) => report.roundTripTime ?? 0)) * 1000;
+    }
+
+    const jitterMs = inbound.length > 0
+      ? Math.max(...inbound.map((report) => report.jitter ?? 0)) * 1000
+      : null;
+
+    // Loss on the way to us since the last sample, and what the far end
+    // last reported losing on the way to them
+    const losses = [];
+    if (previous && inbound.length > 0) {
+      const lost = Math.max(0, totals.packetsLost - previous.packetsLost);
+      const expected = lost + Math.max(0, totals.packetsReceived - previous.packetsReceived);
+      if (expected > 0) losses.push(lost / expected);
+    }
+    for (const report of remoteInbound) {
+      if (typeof report.fractionLost === 'number') losses.push(report.fractionLost);
+    }
+    const packetLoss = losses.length > 0 ? Math.max(...losses) : null;
+
+    const seconds = previous ? (totals.timestamp - previous.timestamp) / 1000 : 0;
+    const kbps = (bytes, before) => (seconds > 0 ? (Math.max(0, bytes - before) * 8) / 1000 / seconds : null);
+
+    const local = pair && byId.get(pair.localCandidateId);
+    const stats = {
+      rttMs: round(rttMs),
+      jitterMs: round(jitterMs),
+      packetLoss,
+      sendKbps: round(previous && kbps(totals.bytesSent, previous.bytesSent)),
+      receiveKbps: round(previous && kbps(totals.bytesReceived, previous.bytesReceived)),
+      candidateType: local?.candidateType ?? null,
+    };
+    return { ...stats, quality: rateQuality(stats) };
+  }
+}
+
+/**
+ * Sums up several connections: the worst round trip, jitter and loss, the
+ * total bitrate, and the worst rating.  The candidate type is left out, as
+ * the connections may each take a different route.
+ *
+ * @param {NetworkStats[]} list
+ * @returns {NetworkStats|null} null for an empty list
+ */
+function combineStats(list) {
+  if (list.length === 0) return null;
+  const worst = (name) => maxOf(list.map((stats) => stats[name]));
+  const total = (name) => {
+    const known = list.map((stats) => stats[name]).filter((value) => value !== null);
+    return known.length > 0 ? known.reduce((a, b) => a + b, 0) : null;
+  };
+  const ratings = list.map((stats) => stats.quality).filter(Boolean);
+  return {
+    rttMs: worst('rttMs'),
+    jitterMs: worst('jitterMs'),
+    packetLoss: worst('packetLoss'),
+    sendKbps: total('sendKbps'),
+    receiveKbps: total('receiveKbps'),
+    candidateType: null,
+    quality: ratings.length > 0
+      ? ratings.reduce((a, b) => (QUALITY_ORDER.indexOf(b) > QUALITY_ORDER.indexOf(a) ? b : a))
+      : null,
+  };
+}
+
+/**
+ * @param {Object[]}            reports
+ * @param {Map<string, Object>} byId
+ * @returns {Object|undefined} the candidate pair carrying the connection
+ */
+function selectedPair(reports, byId) {
+  const transport = reports.find((report) => report.type === 'transport' && report.selectedCandidatePairId);
+  if (transport) return byId.get(transport.selectedCandidatePairId);
+  // Older implementations flag the pair itself instead
+  return reports.find((report) => report.type === 'candidate-pair' && (report.selected || report.nominated));
+}
+
+/** @returns {number} */
+function sum(reports, name) {
+  return reports.reduce((total, report) => total + (report[name] ?? 0), 0);
+}
+
+/** @returns {number|null} */
+function maxOf(values) {
+  const known = values.filter((value) => value !== null);
+  return known.length > 0 ? Math.max(...known) : null;
+}
+
+/** @returns {number|null} to one decimal place */
+function round(value) {
+  return value === null || value === undefined ? null : Math.round(value * 10) / 10;
+}
+
+module.exports = { StatsSampler, combineStats, rateQuality };
@@ -2,30 +2,44 @@
 
 const { EventEmitter } = require('events');
 const { PeerError } = require('../utils/errors');
+const { StatsSampler } = require('./networkStats');
+const { DEFAULT_ICE_SERVERS } = require('../utils/iceServers');
 const logger = require('../utils/logger');
 
-/** Public STUN servers used for ICE negotiation. */
-const ICE_SERVERS = [
-  { urls: 'stun:stun.l.google.com:19302' },
-  { urls: 'stun:stun1.l.google.com:19302' },
-];
+// Connection statistics are polled this often once connected
+const STATS_INTERVAL_MS = 2000;
 
 /**
  * Manages a set of WebRTC peer connections using simple-peer + wrtc.
  *
  * Events emitted:
  *   'signal'       (peerId, data)   — ICE/SDP data to forward via signaling
- *   'track'        (peerId, track)  — remote audio track received
+ *   'track'        (peerId, track, streamId) — remote audio track received
  *   'connected'    (peerId)         — data channel open; audio flowing
  *   'disconnected' (peerId)         — connection closed or failed
+ *   'stats'        (peerId, NetworkStats) — round trip, jitter, loss, bitrate
+ *                                    and route, every STATS_INTERVAL_MS
  *   'error'        (peerId, err)    — non-fatal connection error
  */
 class PeerManager extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object}  [opts]
+   * @param {boolean} [opts.stereo=false] - Offer to receive stereo audio on
+   *   new connections, unless createPeer says otherwise
+   * @param {import('../utils/iceServers').IceServer[]} [opts.iceServers] - STUN
+   *   and TURN servers for ICE; public STUN by default
+   */
+  constructor({ stereo = false, iceServers = DEFAULT_ICE_SERVERS } = {}) {
     super();
+    this._stereo = stereo;
+    this._iceServers = iceServers;
 
     /** @type {Map<string, import('simple-peer').Instance>} */
     this._peers = new Map();
+    /** @type {Map<string, ReturnType<typeof setInterval>>} peerId → stats polling timer */
+    this._statsTimers = new Map();
+    /** @type {Map<string, import('./networkStats').NetworkStats>} peerId → latest stats */
+    this._stats = new Map();
 
     this._SimplePeer = null;
     this._wrtc = null;
@@ -53,9 +67,11 @@ class PeerManager extends EventEmitter {
    * @param {string}                peerId     - Remote peer's server-assigned ID
    * @param {boolean}               initiator  - True when we initiate the offer
    * @param {MediaStreamTrack|null} localTrack - Local audio track (may be null)
+   * @param {Object}                [opts]
+   * @param {boolean}               [opts.stereo] - Offer to receive stereo; defaults to the manager's setting
    * @returns {import('simple-peer').Instance|null}
    */
-  createPeer(peerId, initiator, localTrack = null) {
+  createPeer(peerId, initiator, localTrack = null, { stereo = this._stereo } = {}) {
     if (!this.isAvailable) {
       logger.warn(`Cannot create peer connection to ${peerId} — WebRTC unavailable`);
       return null;
@@ -75,25 +91,31 @@ class PeerManager extends EventEmitter {
       initiator,
       wrtc: this._wrtc,
       streams,
-      config: { iceServers: ICE_SERVERS },
+      config: { iceServers: this._iceServers },
       trickle: true,
+      ...(stereo && { sdpTransform: allowStereo }),
     });
 
     peer.on('signal', (data) => this.emit('signal', peerId, data));
 
     peer.on('stream', (stream) => {
       const [track] = stream.getAudioTracks();
-      if (track) this.emit('track', peerId, track);
+      if (track) this.emit('track', peerId, track, stream.id);
     });
 
     peer.on('connect', () => {
       logger.info(`WebRTC connected → ${peerId}`);
+      this._startStats(peerId, peer);
       this.emit('connected', peerId);
     });
 
     peer.on('close', () => {
       logger.info(`WebRTC closed ← ${peerId}`);
+      // 'close' fires asynchronously, by which time a renegotiation may have
+      // registered a replacement connection under the same peerId
+      if (this._peers.get(peerId) !== peer) return;
       this._peers.delete(peerId);
+      this._stopStats(peerId);
       this.emit('disconnected', peerId);
     });
 
@@ -135,6 +157,7 @@ class PeerManager extends EventEmitter {
       peer.destroy();
       this._peers.delete(peerId);
     }
+    this._stopStats(peerId);
   }
 
   /** Closes all active peer connections. */
@@ -147,10 +170,83 @@ class PeerManager extends EventEmitter {
     return Array.from(this._peers.keys());
   }
 
+  /**
+   * Replaces the ICE servers used by connections created from now on, e.g.
+   * once the signaling server has handed out TURN credentials.
+   * @param {import('../utils/iceServers').IceServer[]} iceServers
+   */
+  setIceServers(iceServers) {
+    this._iceServers = iceServers;
+  }
+
+  /** @returns {import('../utils/iceServers').IceServer[]} */
+  get iceServers() {
+    return this._iceServers;
+  }
+
   /** @returns {number} */
   get peerCount() {
     return this._peers.size;
   }
+
+  /**
+   * @returns {Map<string, import('./networkStats').NetworkStats>} peerId → the
+   *   latest stats, for every connection that has been measured
+   */
+  get stats() {
+    return new Map(this._stats);
+  }
+
+  /**
+   * Polls a newly connected peer's statistics until it closes.
+   * @param {string} peerId
+   * @param {import('simple-peer').Instance} peer
+   * @private
+   */
+  _startStats(peerId, peer) {
+    this._stopStats(peerId);
+    const sampler = new StatsSampler();
+    const poll = () => {
+      peer.getStats((err, reports) => {
+        // The connection may have closed or been replaced while waiting
+        if (this._peers.get(peerId) !== peer) return;
+        if (err) {
+          logger.debug(`getStats failed for ${peerId}: ${err.message}`);
+          return;
+        }
+        const stats = sampler.sample(reports);
+        this._stats.set(peerId, stats);
+        this.emit('stats', peerId, stats);
+      });
+    };
+    poll();
+    this._statsTimers.set(peerId, setInterval(poll, STATS_INTERVAL_MS));
+  }
+
+  /**
+   * @param {string} peerId
+   * @private
+   */
+  _stopStats(peerId) {
+    clearInterval(this._statsTimers.get(peerId));
+    this._statsTimers.delete(peerId);
+    this._stats.delete(peerId);
+  }
+}
+
+/**
+ * Marks Opus in a session description as able to receive stereo.  WebRTC
+ * downmixes to mono unless the receiving side says this, whatever the
+ * sender captures.
+ *
+ * @param {string} sdp
+ * @returns {string}
+ */
+function allowStereo(sdp) {
+  const opus = new Set([...sdp.matchAll(/^a=rtpmap:(\d+) opus\/48000\/2/gim)].map((m) => m[1]));
+  return sdp.replace(/^a=fmtp:(\d+) (.*?)(\r?)$/gm, (line, pt, params, cr) => (
+    opus.has(pt) && !/(^|;)\s*stereo=1/.test(params) ? `a=fmtp:${pt} ${params};stereo=1${cr}` : line
+  ));
 }
 
-module.exports = { PeerManager };
+module.exports = { PeerManager, allowStereo };
@@ -0,0 +1,194 @@
+'use strict';
+
+const { JitterBuffer, FRAME_SAMPLES } = require('./jitterBuffer');
+
+// Mixed levels above this fraction of full scale are compressed smoothly
+// towards full scale instead of being clipped hard.
+const LIMITER_KNEE = 0.8;
+
+const FULL_SCALE = 32768;
+
+/**
+ * @typedef {Object} PlaybackInput
+ * @property {JitterBuffer} buffer
+ * @property {boolean}      leaving  - removed; plays out one faded frame then goes
+ * @property {number}       gain     - target gain
+ * @property {number}       lastGain - gain at the end of the previous frame
+ */
+
+/**
+ * Mixes every remote peer's audio into the single frame stream played on the
+ * local output device.
+ *
+ * Callers push decoded frames as they arrive and call `mix()` once per 10ms.
+ * Each peer's frames pass through their own JitterBuffer, which fades them in
+ * when they start and conceals gaps; the mixer fades peers out when they are
+ * removed and ramps gain changes across a frame, so people joining, leaving
+ * or being turned down never click.  The sum passes through a soft limiter,
+ * so several loud peers at once distort gently rather than wrapping around.
+ */
+class PlaybackMixer {
+  /**
+   * @param {Object} [opts]
+   * @param {1|2}    [opts.channels=1] - channels interleaved in each frame, in and out
+   */
+  constructor({ channels = 1 } = {}) {
+    this._channels = channels;
+    this._frameLength = FRAME_SAMPLES * channels;
+    /** @type {Map<string, PlaybackInput>} peerId → input */
+    this._inputs = new Map();
+    /**
+     * peerId → gain, for every peer ever adjusted.  Kept when their input is
+     * removed, so audio re-routed to the same peer comes back at their level.
+     * @type {Map<string, number>}
+     */
+    this._gains = new Map();
+  }
+
+  /**
+   * Queues a decoded frame from a peer, registering the peer on first use.
+   *
+   * @param {string}     peerId
+   * @param {Int16Array} samples     - Exactly FRAME_SAMPLES samples per channel
+   * @param {number}     [arrivalMs] - arrival time; defaults to now
+   * @throws {RangeError} if the frame is the wrong length
+   */
+  push(peerId, samples, arrivalMs) {
+    const input = this._getInput(peerId);
+    if (input.leaving) return;
+    input.buffer.push(samples, arrivalMs);
+  }
+
+  /**
+   * Sets a peer's playback gain.  1 is unchanged, 0 is silent.  The gain
+   * stays with the peer until `clear()`, even while they have no input.
+   *
+   * @param {string} peerId
+   * @param {number} gain
+   * @throws {RangeError} if gain is negative or not a number
+   */
+  setGain(peerId, gain) {
+    if (!Number.isFinite(gain) || gain < 0) {
+      throw new RangeError(`Gain must be a number ≥ 0, got ${gain}`);
+    }
+    this._gains.set(peerId, gain);
+    const input = this._inputs.get(peerId);
+    // A fading input keeps fading; the peer's next input starts at the new gain
+    if (!input || input.leaving) return;
+    input.gain = gain;
+    // Nothing is audible yet, so there is nothing to ramp from
+    if (!input.buffer.isPlaying) input.lastGain = gain;
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {number} the peer's gain; 1 for peers never adjusted
+   */
+  getGain(peerId) {
+    return this._gains.get(peerId) ?? 1;
+  }
+
+  /**
+   * Removes a peer.  A peer that is playing fades out over the next frame
+   * instead of stopping dead.
+   * @param {string} peerId
+   */
+  removeInput(peerId) {
+    const input = this._inputs.get(peerId);
+    if (!input) return;
+    if (input.buffer.isPlaying) {
+      input.leaving = true;
+    } else {
+      this._inputs.delete(peerId);
+    }
+  }
+
+  /** Removes every peer at once, without fading, and forgets their gains. */
+  clear() {
+    this._inputs.clear();
+    this._gains.clear();
+  }
+
+  /** @returns {1|2} channels in each mixed frame */
+  get channels() {
+    return this._channels;
+  }
+
+  /** @returns {number} peers currently registered, including any fading out */
+  get inputCount() {
+    return this._inputs.size;
+  }
+
+  /**
+   * @returns {Map<string, import('./jitterBuffer').JitterStats>} peerId → jitter
+   *   buffer statistics, for every peer not fading out
+   */
+  stats() {
+    const stats = new Map();
+    for (const [peerId, input] of this._inputs) {
+      if (!input.leaving) stats.set(peerId, input.buffer.stats);
+    }
+    return stats;
+  }
+
+  /**
+   * Produces the next 10ms of output: one queued frame from each playing
+   * peer, scaled by its gain and summed.
+   *
+   * @returns {Int16Array} FRAME_SAMPLES samples per channel; silence when nobody is playing
+   */
+  mix() {
+    const length = this._frameLength;
+    const sum = new Float32Array(length);
+
+    for (const [peerId, input] of this._inputs) {
+      const frame = input.buffer.pop();
+      if (input.leaving) this._inputs.delete(peerId);
+      if (!frame) continue;
+
+      const fromGain = input.lastGain;
+      const toGain = input.leaving ? 0 : input.gain;
+      const step = (toGain - fromGain) / length;
+      for (let i = 0; i < length; i++) {
+        sum[i] += frame[i] * (fromGain + step * (i + 1));
+      }
+      input.lastGain = toGain;
+    }
+
+    const out = new Int16Array(length);
+    for (let i = 0; i < length; i++) out[i] = limit(sum[i]);
+    return out;
+  }
+
+  /**
+   * @param {string} peerId
+   * @returns {PlaybackInput}
+   * @private
+   */
+  _getInput(peerId) {
+    let input = this._inputs.get(peerId);
+    if (!input) {
+      const gain = this.getGain(peerId);
+      input = { buffer: new JitterBuffer({ channels: this._channels }), leaving: false, gain, lastGain: gain };
+      this._inputs.set(peerId, input);
+    }
+    return input;
+  }
+}
+
+/**
+ * Soft limiter: passes samples below the knee unchanged and compresses the
+ * rest so the output approaches, but never exceeds, full scale.
+ *
+ * @param {number} sample - Summed sample in 16-bit units, possibly out of range
+ * @returns {number} sample within the 16-bit range
+ */
+function limit(sample) {
+  const level = Math.abs(sample) / FULL_SCALE;
+  if (level <= LIMITER_KNEE) return Math.round(sample);
+  const headroom = 1 - LIMITER_KNEE;
+  const compressed = LIMITER_KNEE + headroom * Math.tanh((level - LIMITER_KNEE) / headroom);
+  return Math.sign(sample) * Math.min(Math.round(compressed * FULL_SCALE), FULL_SCALE - 1);
+}
+
+module.exports = { PlaybackMixer, limit };
@@ -0,0 +1,66 @@
+'use strict';
+
+const { FRAME_SAMPLES, checkFrame, toInt16, rms } = require('./frame');
+
+// Speech is brought towards this level (−20dBFS RMS)…
+const TARGET_RMS = 0.1;
+// …within these bounds (+20dB / −12dB).
+const MAX_GAIN_DB = 20;
+const MIN_GAIN_DB = -12;
+
+// Frames quieter than this (−50dBFS) are treated as silence and leave the
+// gain alone, so pauses are not amplified into audible noise.
+const SPEECH_RMS = 0.003;
+// Smoothing of the speech level estimate per speech frame.
+const LEVEL_SMOOTHING = 0.1;
+// The gain falls quickly when speech gets loud but rises slowly, so a
+// single shout does not leave the next sentence too quiet for long.
+const MAX_FALL_DB_PER_FRAME = 1;
+const MAX_RISE_DB_PER_FRAME = 0.05; // 5dB/s
+
+/**
+ * Automatic gain control: evens out quiet and loud talkers, and speakers
+ * moving nearer to or further from the microphone.
+ */
+class AutomaticGainControl {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * @param {Int16Array} samples - FRAME_SAMPLES mono samples
+   * @returns {Int16Array}
+   */
+  process(samples) {
+    checkFrame(samples);
+    const level = rms(samples);
+    if (level > SPEECH_RMS) {
+      this._level = this._level === null ? level : this._level + (level - this._level) * LEVEL_SMOOTHING;
+      const wantedDb = Math.min(MAX_GAIN_DB, Math.max(MIN_GAIN_DB, 20 * Math.log10(TARGET_RMS / this._level)));
+      const change = Math.min(MAX_RISE_DB_PER_FRAME, Math.max(-MAX_FALL_DB_PER_FRAME, wantedDb - this._gainDb));
+      this._gainDb += change;
+    }
+
+    // Ramp across the frame so gain changes never step
+    const from = this._lastGain;
+    const to = 10 ** (this._gainDb / 20);
+    const step = (to - from) / FRAME_SAMPLES;
+    const out = new Int16Array(FRAME_SAMPLES);
+    for (let i = 0; i < FRAME_SAMPLES; i++) out[i] = toInt16(samples[i] * (from + step * (i + 1)));
+    this._lastGain = to;
+    return out;
+  }
+
+  /** @returns {number} gain currently applied, in dB */
+  get gainDb() {
+    return this._gainDb;
+  }
+
+  reset() {
+    this._level = null;
+    this._gainDb = 0;
+    this._lastGain = 1;
+  }
+}
+
+module.exports = { AutomaticGainControl, TARGET_RMS };
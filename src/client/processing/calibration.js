@@ -0,0 +1,72 @@
+'use strict';
+
+const { AudioError } = require('../../utils/errors');
+const { DEFAULT_VAD_SETTINGS } = require('./vad');
+
+// Speech frames are those at least this far above the ambient noise (6dB).
+const SPEECH_OVER_NOISE = 2;
+// At least this share of the speaking phase must be speech to trust it.
+const MIN_SPEECH_SHARE = 0.2;
+// Below this signal-to-noise ratio, pauses inside words are easily lost in
+// the noise, so a longer hangover is suggested.
+const NOISY_SNR_DB = 15;
+const NOISY_HANGOVER_MS = 300;
+
+/**
+ * @typedef {Object} CalibrationResult
+ * @property {number} noiseLevel  - ambient noise, speech-band RMS [0, 1]
+ * @property {number} speechLevel - typical speaking level on the same scale
+ * @property {number} snrDb       - speechLevel over noiseLevel
+ * @property {import('./vad').VadSettings} suggested - voice detection settings to save
+ */
+
+/**
+ * Suggests voice detection settings from levels measured by a
+ * VoiceActivityDetector while the user was quiet and then speaking.
+ *
+ * The threshold sits halfway between noise and speech in dB, so it has as
+ * much margin against noise opening the gate as against quiet words
+ * failing to.
+ *
+ * @param {number[]} ambientLevels - per-frame levels while the user was silent
+ * @param {number[]} speechLevels  - per-frame levels while the user talked
+ * @returns {CalibrationResult}
+ * @throws {AudioError} CALIBRATION_FAILED when either phase has no usable audio
+ */
+function suggestVadSettings(ambientLevels, speechLevels) {
+  if (ambientLevels.length === 0 || speechLevels.length === 0) {
+    throw new AudioError('No audio was captured from the microphone', 'CALIBRATION_FAILED');
+  }
+  // Nearly the loudest ambient frame, so occasional noises are covered but
+  // a single knock is not
+  const noiseLevel = percentile(ambientLevels, 0.95);
+
+  const speech = speechLevels.filter((level) => level > noiseLevel * SPEECH_OVER_NOISE);
+  if (speech.length < speechLevels.length * MIN_SPEECH_SHARE) {
+    throw new AudioError('Could not hear you speaking above the background noise', 'CALIBRATION_FAILED');
+  }
+  const speechLevel = percentile(speech, 0.5);
+  const snrDb = 20 * Math.log10(speechLevel / Math.max(noiseLevel, 1e-6));
+
+  return {
+    noiseLevel,
+    speechLevel,
+    snrDb,
+    suggested: {
+      threshold: Number(Math.sqrt(Math.max(noiseLevel, 1e-6) * speechLevel).toPrecision(3)),
+      hangoverMs: snrDb < NOISY_SNR_DB ? NOISY_HANGOVER_MS : DEFAULT_VAD_SETTINGS.hangoverMs,
+    },
+  };
+}
+
+/**
+ * @param {number[]} values
+ * @param {number}   fraction - 0 for the smallest, 1 for the largest
+ * @returns {number}
+ */
+function percentile(values, fraction) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.round(fraction * (sorted.length - 1))];
+}
+
+module.exports = { suggestVadSettings };
@@ -0,0 +1,84 @@
+'use strict';
+
+/** @type {Map<number, { reversed: Uint32Array, cos: Float64Array, sin: Float64Array }>} */
+const _tables = new Map();
+
+/**
+ * In-place radix-2 FFT of a complex signal held as separate real and
+ * imaginary arrays.
+ *
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ * @param {boolean}      [inverse=false] - compute the inverse transform, scaled by 1/n
+ * @throws {RangeError} if the length is not a power of two
+ */
+function fft(re, im, inverse = false) {
+  const n = re.length;
+  const { reversed, cos, sin } = tablesFor(n);
+
+  for (let i = 0; i < n; i++) {
+    const j = reversed[i];
+    if (j > i) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  const sign = inverse ? 1 : -1;
+  for (let size = 2; size <= n; size *= 2) {
+    const half = size / 2;
+    const stride = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const wr = cos[k * stride];
+        const wi = sign * sin[k * stride];
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * Bit-reversal permutation and twiddle factors for a transform size,
+ * computed once per size.
+ * @param {number} n
+ */
+function tablesFor(n) {
+  let tables = _tables.get(n);
+  if (tables) return tables;
+  if (n < 2 || (n & (n - 1)) !== 0) throw new RangeError(`FFT size must be a power of two, got ${n}`);
+
+  const bits = Math.log2(n);
+  const reversed = new Uint32Array(n);
+  for (let i = 0; i < n; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    reversed[i] = r;
+  }
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let k = 0; k < n / 2; k++) {
+    cos[k] = Math.cos((2 * Math.PI * k) / n);
+    sin[k] = Math.sin((2 * Math.PI * k) / n);
+  }
+
+  tables = { reversed, cos, sin };
+  _tables.set(n, tables);
+  return tables;
+}
+
+module.exports = { fft };
@@ -0,0 +1,26 @@
+'use strict';
+
+// FRAME_SAMPLES — one 10ms mono frame at 48kHz — is the block every stage works on
+const { FRAME_SAMPLES, SAMPLE_RATE, rms } = require('../../utils/audioFormat');
+
+/**
+ * @param {Int16Array} samples
+ * @throws {RangeError} if the frame is not FRAME_SAMPLES long
+ */
+function checkFrame(samples) {
+  if (samples.length !== FRAME_SAMPLES) {
+    throw new RangeError(`Capture frames must be ${FRAME_SAMPLES} samples, got ${samples.length}`);
+  }
+}
+
+/**
+ * Rounds and clips a sample to the 16-bit range.
+ * @param {number} value
+ * @returns {number}
+ */
+function toInt16(value) {
+  const rounded = Math.round(value);
+  return rounded > 32767 ? 32767 : rounded < -32768 ? -32768 : rounded;
+}
+
+module.exports = { FRAME_SAMPLES, SAMPLE_RATE, checkFrame, toInt16, rms };
@@ -0,0 +1,53 @@
+'use strict';
+
+const { FRAME_SAMPLES, SAMPLE_RATE, checkFrame, toInt16 } = require('./frame');
+
+// Below the lowest voices; removes DC offset, handling noise and mains hum
+// that would otherwise eat into the AGC's and limiter's headroom.
+const CUTOFF_HZ = 80;
+
+/**
+ * Second-order Butterworth high-pass filter (RBJ biquad).
+ */
+class HighPassFilter {
+  constructor() {
+    const w0 = (2 * Math.PI * CUTOFF_HZ) / SAMPLE_RATE;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cosW0 = Math.cos(w0);
+    const a0 = 1 + alpha;
+    this._b0 = (1 + cosW0) / 2 / a0;
+    this._b1 = -(1 + cosW0) / a0;
+    this._b2 = this._b0;
+    this._a1 = (-2 * cosW0) / a0;
+    this._a2 = (1 - alpha) / a0;
+    this.reset();
+  }
+
+  /**
+   * @param {Int16Array} samples - FRAME_SAMPLES mono samples
+   * @returns {Int16Array}
+   */
+  process(samples) {
+    checkFrame(samples);
+    const out = new Int16Array(FRAME_SAMPLES);
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      const x = samples[i];
+      const y = this._b0 * x + this._b1 * this._x1 + this._b2 * this._x2 - this._a1 * this._y1 - this._a2 * this._y2;
+      this._x2 = this._x1;
+      this._x1 = x;
+      this._y2 = this._y1;
+      this._y1 = y;
+      out[i] = toInt16(y);
+    }
+    return out;
+  }
+
+  reset() {
+    this._x1 = 0;
+    this._x2 = 0;
+    this._y1 = 0;
+    this._y2 = 0;
+  }
+}
+
+module.exports = { HighPassFilter, CUTOFF_HZ };
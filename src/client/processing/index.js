@@ -0,0 +1,141 @@
+'use strict';
+
+const { HighPassFilter } = require('./highPassFilter');
+const { NoiseSuppressor } = require('./noiseSuppressor');
+const { AutomaticGainControl } = require('./automaticGainControl');
+const { Limiter } = require('./limiter');
+const { FRAME_SAMPLES, checkFrame } = require('./frame');
+const { NOISE_SUPPRESSION_LEVELS } = require('../../utils/audioOptions');
+
+/**
+ * @typedef {Object} ProcessingSettings
+ * @property {boolean} highPass         - remove rumble, hum and DC offset below 80Hz
+ * @property {string}  noiseSuppression - one of NOISE_SUPPRESSION_LEVELS
+ * @property {boolean} agc              - automatic gain control
+ * @property {boolean} limiter          - hold peaks just below full scale
+ */
+
+/** @type {ProcessingSettings} */
+const DEFAULT_SETTINGS = Object.freeze({
+  highPass: true,
+  noiseSuppression: 'moderate',
+  agc: true,
+  limiter: true,
+});
+
+/**
+ * One step of the capture chain.  Every stage takes and returns
+ * FRAME_SAMPLES-long Int16Array frames and keeps whatever state it needs
+ * between them.
+ *
+ * @typedef {Object} CaptureStage
+ * @property {(samples: Int16Array) => Int16Array} process
+ * @property {() => void}                          reset
+ */
+
+/**
+ * Stage factories in the order frames pass through them.  Each returns the
+ * stage for the given settings, or null when its setting turns it off.
+ *
+ * High-pass runs first so the noise estimate and AGC level ignore rumble;
+ * AGC runs after noise suppression so it never amplifies the noise floor;
+ * the limiter runs last to catch anything AGC pushed too far.
+ *
+ * @type {Array<{ setting: keyof ProcessingSettings, create: (settings: ProcessingSettings) => CaptureStage|null }>}
+ */
+const STAGES = [
+  { setting: 'highPass', create: (s) => (s.highPass ? new HighPassFilter() : null) },
+  {
+    setting: 'noiseSuppression',
+    create: (s) => (s.noiseSuppression === 'off' ? null : new NoiseSuppressor(s.noiseSuppression)),
+  },
+  { setting: 'agc', create: (s) => (s.agc ? new AutomaticGainControl() : null) },
+  { setting: 'limiter', create: (s) => (s.limiter ? new Limiter() : null) },
+];
+
+/**
+ * Microphone processing applied after echo cancellation and before
+ * encoding: high-pass filter → noise suppression → automatic gain control →
+ * limiter.  Stages are switched on and off through settings; turning a stage
+ * off removes it from the chain entirely, so it costs nothing.
+ */
+class CaptureChain {
+  /**
+   * @param {Partial<ProcessingSettings>} [settings] - overrides of DEFAULT_SETTINGS;
+   *   undefined values are ignored
+   * @throws {RangeError} on an unknown setting or invalid value
+   */
+  constructor(settings = {}) {
+    this._settings = { ...DEFAULT_SETTINGS, ...validate(settings) };
+    /** @type {Array<CaptureStage|null>} parallel to STAGES */
+    this._stages = STAGES.map((stage) => stage.create(this._settings));
+  }
+
+  /**
+   * @param {Int16Array} samples - FRAME_SAMPLES mono samples
+   * @returns {Int16Array} the processed frame
+   * @throws {RangeError} if the frame is not FRAME_SAMPLES long
+   */
+  process(samples) {
+    checkFrame(samples);
+    let frame = samples;
+    for (const stage of this._stages) {
+      if (stage) frame = stage.process(frame);
+    }
+    return frame;
+  }
+
+  /**
+   * Changes settings while running.  Only stages whose setting changed are
+   * rebuilt; the rest keep their state.
+   *
+   * @param {Partial<ProcessingSettings>} changes
+   * @returns {ProcessingSettings} the settings now in effect
+   * @throws {RangeError} on an unknown setting or invalid value
+   */
+  configure(changes) {
+    const valid = validate(changes);
+    const previous = this._settings;
+    this._settings = { ...previous, ...valid };
+    STAGES.forEach((stage, i) => {
+      if (this._settings[stage.setting] !== previous[stage.setting]) {
+        this._stages[i] = stage.create(this._settings);
+      }
+    });
+    return this.settings;
+  }
+
+  /** @returns {ProcessingSettings} */
+  get settings() {
+    return { ...this._settings };
+  }
+
+  /** Clears every stage's state, e.g. when the microphone restarts. */
+  reset() {
+    for (const stage of this._stages) stage?.reset();
+  }
+}
+
+/**
+ * @param {Object} settings
+ * @returns {Partial<ProcessingSettings>} the defined settings
+ * @throws {RangeError} on an unknown setting or invalid value
+ */
+function validate(settings) {
+  const valid = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === undefined) continue;
+    if (!(key in DEFAULT_SETTINGS)) throw new RangeError(`Unknown audio processing setting "${key}"`);
+    if (key === 'noiseSuppression') {
+      if (!NOISE_SUPPRESSION_LEVELS.includes(value)) {
+        throw new RangeError(`Noise suppression must be one of ${NOISE_SUPPRESSION_LEVELS.join(', ')}, got "${value}"`);
+      }
+    } else if (typeof value !== 'boolean') {
+      throw new RangeError(`Audio processing setting "${key}" must be true or false, got ${value}`);
+    }
+    valid[key] = value;
+  }
+  return valid;
+}
+
+module.exports = { CaptureChain, DEFAULT_SETTINGS, FRAME_SAMPLES };
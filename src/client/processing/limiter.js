@@ -0,0 +1,44 @@
+'use strict';
+
+const { FRAME_SAMPLES, SAMPLE_RATE, checkFrame, toInt16 } = require('./frame');
+
+// Peaks are held to −1dBFS, leaving the Opus encoder a little headroom.
+const THRESHOLD = 32768 * 10 ** (-1 / 20);
+// After a peak, the gain recovers with this time constant.
+const RELEASE_MS = 50;
+
+/**
+ * Peak limiter: turns the gain down the instant a sample would exceed the
+ * threshold and lets it recover smoothly, so loud bursts are held just
+ * below full scale instead of clipping.
+ */
+class Limiter {
+  constructor() {
+    this._release = Math.exp(-1000 / (RELEASE_MS * SAMPLE_RATE));
+    this.reset();
+  }
+
+  /**
+   * @param {Int16Array} samples - FRAME_SAMPLES mono samples
+   * @returns {Int16Array}
+   */
+  process(samples) {
+    checkFrame(samples);
+    const out = new Int16Array(FRAME_SAMPLES);
+    let gain = this._gain;
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      gain = 1 - (1 - gain) * this._release;
+      const peak = Math.abs(samples[i]);
+      if (peak * gain > THRESHOLD) gain = THRESHOLD / peak;
+      out[i] = toInt16(samples[i] * gain);
+    }
+    this._gain = gain;
+    return out;
+  }
+
+  reset() {
+    this._gain = 1;
+  }
+}
+
+module.exports = { Limiter, THRESHOLD };
@@ -0,0 +1,113 @@
+'use strict';
+
+const { fft } = require('./fft');
+const { FRAME_SAMPLES, checkFrame, toInt16 } = require('./frame');
+
+// Frames are analysed two at a time (50% overlap) through a sqrt-Hann
+// window, zero-padded up to the FFT size.  Overlap-add makes the output one
+// frame (10ms) late.
+const WINDOW_SAMPLES = 2 * FRAME_SAMPLES;
+const FFT_SIZE = 1024;
+const BINS = FFT_SIZE / 2 + 1;
+
+// Smoothing of each bin's power before it feeds the noise estimate.
+const POWER_SMOOTHING = 0.2;
+// The noise estimate drops straight to any quieter smoothed power, and
+// otherwise creeps up by this factor per frame (~2dB/s) so it follows
+// rising background noise without mistaking speech for noise.
+const NOISE_RISE = 1.005;
+// Gain smoothing over time; damps the "musical noise" of bins flickering
+// on and off between frames.
+const GAIN_SMOOTHING = 0.5;
+
+/**
+ * Suppression strengths: how many times the noise estimate is subtracted,
+ * and the lowest gain any bin is turned down to.  Over-subtraction also
+ * makes up for the minimum tracking sitting below the mean noise power.
+ * @type {Object<string, { overSubtraction: number, floor: number }>}
+ */
+const LEVELS = {
+  moderate: { overSubtraction: 2.5, floor: 0.25 },   // up to −12dB
+  aggressive: { overSubtraction: 5, floor: 0.08 },   // up to −22dB
+};
+
+/** sqrt-Hann: applied on analysis and synthesis, so the overlap-add sums to one. */
+const WINDOW = Float64Array.from({ length: WINDOW_SAMPLES }, (_, i) => Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / WINDOW_SAMPLES)));
+
+/**
+ * Spectral-subtraction noise suppressor.
+ *
+ * Tracks the background noise spectrum by following the minimum of each
+ * frequency bin's power, then turns every bin down in proportion to how
+ * much of it is noise.  Steady noise — fans, hum, hiss — is reduced while
+ * speech, which rises well above the noise floor, passes through.
+ */
+class NoiseSuppressor {
+  /**
+   * @param {'moderate'|'aggressive'} [level='moderate']
+   * @throws {RangeError} for an unknown level
+   */
+  constructor(level = 'moderate') {
+    if (!LEVELS[level]) throw new RangeError(`Unknown noise suppression level "${level}"`);
+    this._level = LEVELS[level];
+    this._re = new Float64Array(FFT_SIZE);
+    this._im = new Float64Array(FFT_SIZE);
+    this.reset();
+  }
+
+  /**
+   * @param {Int16Array} samples - FRAME_SAMPLES mono samples
+   * @returns {Int16Array} the frame before, with noise suppressed
+   */
+  process(samples) {
+    checkFrame(samples);
+    const re = this._re;
+    const im = this._im;
+
+    this._history.copyWithin(0, FRAME_SAMPLES);
+    this._history.set(samples, FRAME_SAMPLES);
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < WINDOW_SAMPLES; i++) re[i] = this._history[i] * WINDOW[i];
+    fft(re, im);
+
+    const { overSubtraction, floor } = this._level;
+    for (let k = 0; k < BINS; k++) {
+      const power = re[k] * re[k] + im[k] * im[k];
+      const smoothed = this._started ? this._power[k] + (power - this._power[k]) * POWER_SMOOTHING : power;
+      this._power[k] = smoothed;
+      this._noise[k] = this._started ? Math.min(smoothed, this._noise[k] * NOISE_RISE) : smoothed;
+
+      const gain = power > 0 ? Math.max(floor, 1 - (overSubtraction * this._noise[k]) / power) : floor;
+      const smoothedGain = this._gain[k] * GAIN_SMOOTHING + gain * (1 - GAIN_SMOOTHING);
+      this._gain[k] = smoothedGain;
+
+      re[k] *= smoothedGain;
+      im[k] *= smoothedGain;
+      if (k > 0 && k < FFT_SIZE / 2) {
+        re[FFT_SIZE - k] *= smoothedGain;
+        im[FFT_SIZE - k] *= smoothedGain;
+      }
+    }
+    this._started = true;
+
+    fft(re, im, true);
+    const out = new Int16Array(FRAME_SAMPLES);
+    for (let i = 0; i < FRAME_SAMPLES; i++) {
+      out[i] = toInt16(this._overlap[i] + re[i] * WINDOW[i]);
+      this._overlap[i] = re[FRAME_SAMPLES + i] * WINDOW[FRAME_SAMPLES + i];
+    }
+    return out;
+  }
+
+  reset() {
+    this._history = new Float64Array(WINDOW_SAMPLES);
+    this._overlap = new Float64Array(FRAME_SAMPLES);
+    this._power = new Float64Array(BINS);
+    this._noise = new Float64Array(BINS);
+    this._gain = new Float64Array(BINS).fill(1);
+    this._started = false;
+  }
+}
+
+module.exports = { NoiseSuppressor };
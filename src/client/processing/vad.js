@@ -0,0 +1,152 @@
+'use strict';
+
+const { fft } = require('./fft');
+const { FRAME_SAMPLES, SAMPLE_RATE, checkFrame } = require('./frame');
+const { FRAME_MS } = require('../../utils/audioFormat');
+
+const FFT_SIZE = 512;
+
+// Level and voicing are measured over the band telephone speech occupies.
+// Ignoring everything outside it keeps DC offset, mains hum and rumble —
+// loud but never speech — from holding the detector open.
+const BAND_LOW_BIN = Math.round((300 * FFT_SIZE) / SAMPLE_RATE);   // 300Hz
+const BAND_HIGH_BIN = Math.round((3400 * FFT_SIZE) / SAMPLE_RATE); // 3400Hz
+
+// Speech must rise this far above the tracked noise floor…
+const NOISE_MARGIN = 10 ** (9 / 20);       // 9dB
+// …and be voiced (harmonic, so spectrally peaky) unless it is this far above.
+const LOUD_MARGIN = 10 ** (20 / 20);       // 20dB
+// Spectral flatness below which a frame counts as voiced.  Broadband noise
+// sits around 0.55, vowels well under 0.3.
+const VOICED_FLATNESS = 0.35;
+// The noise floor drops straight to any quieter frame and otherwise rises
+// by these factors per frame, following a room that gets noisier: slowly
+// (~2.6dB/s) through voiced frames so speech does not drag it up, quickly
+// (~17dB/s) through noise-like ones so a fan starting up is soon ignored.
+const FLOOR_RISE = 1.003;
+const FLOOR_RISE_UNVOICED = 1.02;
+
+/**
+ * @typedef {Object} VadSettings
+ * @property {number} threshold  - speech-band RMS level [0, 1] below which a
+ *                                 frame is never speech, however quiet the room
+ * @property {number} hangoverMs - how long speech is still reported after the
+ *                                 last speech frame, bridging gaps between words
+ */
+
+/** @type {VadSettings} */
+const DEFAULT_VAD_SETTINGS = Object.freeze({
+  threshold: 0.002,   // −54dBFS
+  hangoverMs: 200,
+});
+
+const WINDOW = Float64Array.from({ length: FRAME_SAMPLES }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME_SAMPLES));
+const WINDOW_POWER = WINDOW.reduce((sum, w) => sum + w * w, 0);
+
+/**
+ * Voice activity detector for 10ms frames.
+ *
+ * Combines three tests: the speech-band level must clear a fixed threshold
+ * and sit well above the noise floor tracked from the quietest recent
+ * frames, and the spectrum must look voiced rather than like broadband
+ * noise.  Detection is held for a hangover period so the unvoiced sounds
+ * and short pauses inside words are not cut off.  A steady noise source,
+ * however loud, therefore never counts as speech, while a quiet talker in
+ * a quiet room still does.
+ */
+class VoiceActivityDetector {
+  /**
+   * @param {Partial<VadSettings>} [settings] - overrides of DEFAULT_VAD_SETTINGS;
+   *   undefined values are ignored
+   * @throws {RangeError} on an unknown setting or invalid value
+   */
+  constructor(settings = {}) {
+    this._settings = { ...DEFAULT_VAD_SETTINGS };
+    for (const [key, value] of Object.entries(settings)) {
+      if (value === undefined) continue;
+      if (!(key in DEFAULT_VAD_SETTINGS)) throw new RangeError(`Unknown voice detection setting "${key}"`);
+      if (!Number.isFinite(value) || value < 0 || (key === 'threshold' && value >= 1)) {
+        throw new RangeError(`Voice detection setting "${key}" is out of range: ${value}`);
+      }
+      this._settings[key] = value;
+    }
+    this._hangoverFrames = Math.round(this._settings.hangoverMs / FRAME_MS);
+    this._re = new Float64Array(FFT_SIZE);
+    this._im = new Float64Array(FFT_SIZE);
+    this.reset();
+  }
+
+  /**
+   * Classifies the next frame.
+   *
+   * @param {Int16Array} samples - FRAME_SAMPLES mono samples
+   * @returns {boolean} true while speech is present, hangover included
+   * @throws {RangeError} if the frame is not FRAME_SAMPLES long
+   */
+  process(samples) {
+    checkFrame(samples);
+    const re = this._re;
+    const im = this._im;
+    re.fill(0);
+    im.fill(0);
+    for (let i = 0; i < FRAME_SAMPLES; i++) re[i] = samples[i] * WINDOW[i];
+    fft(re, im);
+
+    let sum = 0;
+    let logSum = 0;
+    for (let k = BAND_LOW_BIN; k <= BAND_HIGH_BIN; k++) {
+      const power = re[k] * re[k] + im[k] * im[k] + 1e-9;
+      sum += power;
+      logSum += Math.log(power);
+    }
+    const bins = BAND_HIGH_BIN - BAND_LOW_BIN + 1;
+    // Parseval, allowing for the window and the mirrored negative frequencies
+    const level = Math.sqrt((2 * sum) / (FFT_SIZE * WINDOW_POWER)) / 32768;
+    const flatness = Math.exp(logSum / bins) / (sum / bins);
+
+    this._level = level;
+    const voiced = flatness < VOICED_FLATNESS;
+    const rise = voiced ? FLOOR_RISE : FLOOR_RISE_UNVOICED;
+    this._floor = this._floor === null ? level : Math.min(level, this._floor * rise);
+
+    const aboveNoise = level > this._settings.threshold && level > this._floor * NOISE_MARGIN;
+    if (aboveNoise && (voiced || level > this._floor * LOUD_MARGIN)) {
+      this._hangover = this._hangoverFrames;
+      this._isSpeech = true;
+    } else if (this._hangover > 0) {
+      this._hangover--;
+    } else {
+      this._isSpeech = false;
+    }
+    return this._isSpeech;
+  }
+
+  /** @returns {boolean} the last frame's decision */
+  get isSpeech() {
+    return this._isSpeech;
+  }
+
+  /** @returns {number} speech-band RMS level [0, 1] of the last frame */
+  get level() {
+    return this._level;
+  }
+
+  /** @returns {number} tracked background noise level, on the same scale as `level` */
+  get noiseFloor() {
+    return this._floor ?? 0;
+  }
+
+  /** @returns {VadSettings} */
+  get settings() {
+    return { ...this._settings };
+  }
+
+  reset() {
+    this._level = 0;
+    this._floor = null;
+    this._hangover = 0;
+    this._isSpeech = false;
+  }
+}
+
+module.exports = { VoiceActivityDetector, DEFAULT_VAD_SETTINGS };
@@ -0,0 +1,409 @@
+'use strict';
+
+const fs = require('fs');
+const nodePath = require('path');
+const { EventEmitter } = require('events');
+const { JitterBuffer } = require('./jitterBuffer');
+const { limit } = require('./playbackMixer');
+const { WavWriter, MAX_DATA_BYTES } = require('./wavWriter');
+const { SAMPLE_RATE, FRAME_MS, FRAME_SAMPLES } = require('../utils/audioFormat');
+const { RECORDING_LAYOUTS } = require('../utils/audioOptions');
+const { AudioError } = require('../utils/errors');
+const { startFrameClock } = require('../utils/frameClock');
+const logger = require('../utils/logger');
+
+const FRAME_BYTES = FRAME_SAMPLES * 2;
+
+// Multitrack channels are interleaved from their temporary files this many
+// frames at a time, yielding to the event loop in between
+const ASSEMBLY_CHUNK_FRAMES = 100;
+
+/**
+ * @typedef {Object} RecordingSummary
+ * @property {string[]} files        - audio files written
+ * @property {string}   metadataPath - JSON sidecar with participants and timings
+ * @property {number}   durationMs
+ */
+
+/**
+ * @typedef {Object} Track
+ * @property {string}       name
+ * @property {boolean}      isSelf
+ * @property {JitterBuffer|null} buffer - evens out arrival timing, as for playback;
+ *                                  null for a participant recorded without audio
+ * @property {number}       startFrame - recording frame the track began at
+ * @property {Array<{ joinedMs: number, leftMs: number|null }>} presence
+ * @property {WavWriter|null} writer   - split layout: the participant's file
+ * @property {string|null}  partPath   - multitrack layout: raw samples awaiting assembly
+ * @property {number|null}  partFd
+ */
+
+/**
+ * Records a call: the local microphone and each remote participant's audio.
+ *
+ * Audio arrives in 10ms frames at network pace, so every track passes
+ * through a JitterBuffer and a clock takes one frame from each every 10ms —
+ * the same way playback works, so the recording sounds like the call did.
+ * Tracks are kept per username, so a participant who drops and resumes on a
+ * new connection stays on one track.  Gaps are recorded as silence.
+ *
+ * A JSON sidecar lists everyone recorded with their join and leave times.
+ *
+ * Events emitted:
+ *   'error' (AudioError) — recording stopped early, e.g. at the WAV size limit;
+ *                          what was recorded up to then is saved
+ */
+class CallRecorder extends EventEmitter {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.path          - WAV file, or a directory for the split layout
+   * @param {'mix'|'multitrack'|'split'} [opts.layout='mix']
+   * @param {string} opts.localName     - Name of the local participant's track
+   * @throws {RangeError} on an unknown layout
+   * @throws {AudioError} UNSUPPORTED_FORMAT for a file that is not .wav
+   */
+  constructor({ path, layout = 'mix', localName }) {
+    super();
+    if (!RECORDING_LAYOUTS.includes(layout)) {
+      throw new RangeError(`Recording layout must be one of ${RECORDING_LAYOUTS.join(', ')}, got "${layout}"`);
+    }
+    const ext = nodePath.extname(path).toLowerCase();
+    if (layout !== 'split' && ext !== '.wav') {
+      throw new AudioError(`Recordings are saved as WAV — use a .wav file name, not "${nodePath.basename(path)}"`, 'UNSUPPORTED_FORMAT');
+    }
+
+    this._path = path;
+    this._layout = layout;
+    this._localName = localName;
+
+    /** @type {Map<string, Track>} name → track */
+    this._tracks = new Map();
+    /** @type {Map<string, Track>} peerId → track of someone currently in the call */
+    this._byPeer = new Map();
+    this._local = null;
+
+    this._mixWriter = null;
+    this._frames = 0;
+    this._startedAt = null;
+    this._clock = null;
+    this._stopping = null;
+  }
+
+  /**
+   * Creates the output files and starts the recording clock.
+   * @throws {AudioError} RECORDING_OPEN_FAILED when the files cannot be created
+   */
+  start() {
+    if (this._clock) return;
+    if (this._layout === 'split') {
+      try {
+        fs.mkdirSync(this._path, { recursive: true });
+      } catch (err) {
+        throw new AudioError(`Cannot create ${this._path}: ${err.message}`, 'RECORDING_OPEN_FAILED');
+      }
+    }
+    if (this._layout !== 'multitrack') this._mixWriter = new WavWriter(this._mixPath());
+
+    this._startedAt = new Date();
+    this._local = this._addTrack(this._localName, true);
+
+    // Every frame is written, however late, so the files keep to the call's length
+    this._clock = startFrameClock(FRAME_MS, () => {
+      try {
+        this._tick();
+      } catch (err) {
+        this._fail(err);
+      }
+    }, { maxCatchUp: Infinity });
+    logger.info(`Recording to ${this._path}`);
+  }
+
+  /**
+   * Notes that a participant is in the call.  Someone seen before under the
+   * same name carries on their earlier track.
+   *
+   * @param {string}  peerId
+   * @param {string}  username
+   * @param {Object}  [opts]
+   * @param {boolean} [opts.audio=true] - false when their audio does not arrive
+   *   separately, e.g. in a server mix; only their presence is recorded
+   */
+  addParticipant(peerId, username, { audio = true } = {}) {
+    if (!this._clock) return;
+    let track = this._tracks.get(username);
+    if (track) {
+      const last = track.presence[track.presence.length - 1];
+      if (last.leftMs !== null) track.presence.push({ joinedMs: this._elapsedMs(), leftMs: null });
+    } else {
+      track = this._addTrack(username, false, audio);
+    }
+    this._byPeer.set(peerId, track);
+  }
+
+  /**
+   * Notes that a participant left.  Anything still buffered plays out first.
+   * @param {string} peerId
+   */
+  removeParticipant(peerId) {
+    const track = this._byPeer.get(peerId);
+    if (!track) return;
+    this._byPeer.delete(peerId);
+    // A resume may already have moved them to a new peer ID
+    if ([...this._byPeer.values()].includes(track)) return;
+    track.presence[track.presence.length - 1].leftMs = this._elapsedMs();
+  }
+
+  /**
+   * Queues a 10ms frame of the local microphone, as sent to the call.
+   * @param {Int16Array} samples
+   */
+  pushLocal(samples) {
+    if (this._clock) this._local.buffer.push(samples);
+  }
+
+  /**
+   * Queues a 10ms frame of a participant's audio.  Audio from a peer that
+   * was never added gets a track named after its peer ID.
+   *
+   * @param {string}     peerId
+   * @param {Int16Array} samples
+   */
+  push(peerId, samples) {
+    if (!this._clock) return;
+    if (!this._byPeer.has(peerId)) this.addParticipant(peerId, peerId);
+    this._byPeer.get(peerId).buffer?.push(samples);
+  }
+
+  /**
+   * Stops recording and finishes the files.  Safe to call more than once.
+   * @returns {Promise<RecordingSummary|null>} null when it never started
+   */
+  stop() {
+    if (!this._stopping) {
+      this._stopping = this._clock ? this._finish() : Promise.resolve(null);
+    }
+    return this._stopping;
+  }
+
+  /** @returns {boolean} */
+  get isRecording() {
+    return this._clock !== null;
+  }
+
+  /** @returns {string} */
+  get path() {
+    return this._path;
+  }
+
+  /** @returns {number} milliseconds recorded so far */
+  get durationMs() {
+    return this._frames * FRAME_MS;
+  }
+
+  /**
+   * @param {string}  name
+   * @param {boolean} isSelf
+   * @param {boolean} [audio=true]
+   * @returns {Track}
+   * @private
+   */
+  _addTrack(name, isSelf, audio = true) {
+    const index = this._audioTracks().length + 1;
+    const track = {
+      name,
+      isSelf,
+      buffer: audio ? new JitterBuffer() : null,
+      startFrame: this._frames,
+      presence: [{ joinedMs: this._elapsedMs(), leftMs: null }],
+      writer: null,
+      partPath: null,
+      partFd: null,
+    };
+    if (audio && this._layout === 'split') {
+      track.writer = new WavWriter(nodePath.join(this._path, trackFileName(index, name)));
+    } else if (audio && this._layout === 'multitrack') {
+      track.partPath = `${this._path}.${index}.part`;
+      try {
+        track.partFd = fs.openSync(track.partPath, 'w+');
+      } catch (err) {
+        throw new AudioError(`Cannot write ${track.partPath}: ${err.message}`, 'RECORDING_OPEN_FAILED');
+      }
+    }
+    this._tracks.set(name, track);
+    return track;
+  }
+
+  /**
+   * Records the next 10ms: a frame from every track, or silence for tracks
+   * with nothing to play, and their mix.
+   * @private
+   */
+  _tick() {
+    const tracks = this._audioTracks();
+    const channels = this._layout === 'multitrack' ? tracks.length : 1;
+    if ((this._frames + 1) * FRAME_BYTES * channels > MAX_DATA_BYTES) {
+      throw new AudioError('The recording reached the 4GB WAV size limit', 'RECORDING_TOO_LARGE');
+    }
+
+    const sum = this._mixWriter ? new Float32Array(FRAME_SAMPLES) : null;
+    for (const track of tracks) {
+      const frame = track.buffer.pop() || new Int16Array(FRAME_SAMPLES);
+      if (sum) {
+        for (let i = 0; i < FRAME_SAMPLES; i++) sum[i] += frame[i];
+      }
+      if (track.writer) track.writer.write(frame);
+      if (track.partFd !== null) fs.writeSync(track.partFd, Buffer.from(frame.buffer, frame.byteOffset, frame.byteLength));
+    }
+    if (sum) this._mixWriter.write(Int16Array.from(sum, limit));
+    this._frames++;
+  }
+
+  /**
+   * @param {Error} err
+   * @private
+   */
+  _fail(err) {
+    logger.error(`Recording stopped: ${err.message}`);
+    this.stop().catch((finishErr) => logger.error(`Could not finish recording: ${finishErr.message}`));
+    this.emit('error', err instanceof AudioError ? err : new AudioError(err.message, 'RECORDING_FAILED'));
+  }
+
+  /**
+   * @returns {Promise<RecordingSummary>}
+   * @private
+   */
+  async _finish() {
+    this._clock.stop();
+    this._clock = null;
+    const endedAt = new Date();
+    const durationMs = this.durationMs;
+    for (const track of this._tracks.values()) {
+      const last = track.presence[track.presence.length - 1];
+      if (last.leftMs === null) last.leftMs = durationMs;
+    }
+
+    const files = [];
+    if (this._mixWriter) {
+      this._mixWriter.close();
+      files.push(this._mixWriter.path);
+    }
+    for (const track of this._tracks.values()) {
+      if (track.writer) {
+        track.writer.close();
+        files.push(track.writer.path);
+      }
+    }
+    if (this._layout === 'multitrack') {
+      await this._assembleMultitrack();
+      files.push(this._path);
+    }
+
+    const metadataPath = this._layout === 'split'
+      ? nodePath.join(this._path, 'recording.json')
+      : this._path.replace(/\.wav$/i, '.json');
+    fs.writeFileSync(metadataPath, JSON.stringify(this._metadata(endedAt, durationMs), null, 2) + '\n');
+
+    logger.info(`Recording saved: ${files.join(', ')}`);
+    return { files, metadataPath, durationMs };
+  }
+
+  /**
+   * Interleaves the per-track temporary files into one WAV, with silence
+   * before each track began, and removes them.
+   * @private
+   */
+  async _assembleMultitrack() {
+    const tracks = this._audioTracks();
+    const writer = new WavWriter(this._path, { channels: tracks.length });
+    try {
+      for (let from = 0; from < this._frames; from += ASSEMBLY_CHUNK_FRAMES) {
+        const frames = Math.min(ASSEMBLY_CHUNK_FRAMES, this._frames - from);
+        const out = new Int16Array(frames * FRAME_SAMPLES * tracks.length);
+        tracks.forEach((track, channel) => {
+          const first = Math.max(from, track.startFrame);
+          const count = from + frames - first;
+          if (count <= 0) return;
+          const raw = Buffer.alloc(count * FRAME_BYTES);
+          fs.readSync(track.partFd, raw, 0, raw.length, (first - track.startFrame) * FRAME_BYTES);
+          const samples = new Int16Array(raw.buffer, raw.byteOffset, count * FRAME_SAMPLES);
+          const offset = (first - from) * FRAME_SAMPLES;
+          for (let i = 0; i < samples.length; i++) out[(offset + i) * tracks.length + channel] = samples[i];
+        });
+        writer.write(out);
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+    } finally {
+      writer.close();
+      for (const track of tracks) {
+        fs.closeSync(track.partFd);
+        fs.rmSync(track.partPath, { force: true });
+      }
+    }
+  }
+
+  /**
+   * @param {Date}   endedAt
+   * @param {number} durationMs
+   * @returns {Object} the sidecar contents
+   * @private
+   */
+  _metadata(endedAt, durationMs) {
+    const startMs = this._startedAt.getTime();
+    const at = (ms) => new Date(startMs + ms).toISOString();
+    const dir = this._layout === 'split' ? this._path : nodePath.dirname(this._path);
+    const audioTracks = this._audioTracks();
+
+    return {
+      layout: this._layout,
+      sampleRate: SAMPLE_RATE,
+      startedAt: this._startedAt.toISOString(),
+      endedAt: endedAt.toISOString(),
+      durationMs,
+      ...(this._mixWriter && { mix: nodePath.relative(dir, this._mixWriter.path) }),
+      participants: [...this._tracks.values()].map((track) => ({
+        username: track.name,
+        isSelf: track.isSelf,
+        ...(this._layout === 'multitrack' && track.buffer && { channel: audioTracks.indexOf(track) + 1 }),
+        ...(track.writer && { file: nodePath.relative(dir, track.writer.path), offsetMs: track.startFrame * FRAME_MS }),
+        presence: track.presence.map(({ joinedMs, leftMs }) => ({
+          joinedMs, leftMs, joinedAt: at(joinedMs), leftAt: at(leftMs),
+        })),
+      })),
+    };
+  }
+
+  /**
+   * @returns {Track[]} tracks with audio, in the order they were added
+   * @private
+   */
+  _audioTracks() {
+    return [...this._tracks.values()].filter((track) => track.buffer !== null);
+  }
+
+  /**
+   * @returns {string} the mixed-down file: the recording itself, or mix.wav in its directory
+   * @private
+   */
+  _mixPath() {
+    return this._layout === 'split' ? nodePath.join(this._path, 'mix.wav') : this._path;
+  }
+
+  /**
+   * @returns {number} milliseconds since recording started
+   * @private
+   */
+  _elapsedMs() {
+    return this._frames * FRAME_MS;
+  }
+}
+
+/**
+ * @param {number} index - 1-based track number
+ * @param {string} name
+ * @returns {string} e.g. "02-bob.wav"
+ */
+function trackFileName(index, name) {
+  return `${String(index).padStart(2, '0')}-${name.replace(/[^\w.-]+/g, '_')}.wav`;
+}
+
+module.exports = { CallRecorder };
@@ -0,0 +1,223 @@
+'use strict';
+
+const { performance } = require('perf_hooks');
+const { PeerManager } = require('./peers');
+const { FRAME_SAMPLES, SAMPLE_RATE, rms, rtcFrame, fromRtcFrame } = require('../utils/audioFormat');
+const { AudioError } = require('../utils/errors');
+
+/**
+ * Building blocks of `voicesync test-audio`: level and clipping analysis of
+ * a recording, and a WebRTC loopback that sends audio through two
+ * in-process peer connections — encode, transport, decode and back again —
+ * without a signaling server or anyone on the other end.
+ */
+
+// Samples this close to full scale are counted as clipped
+const CLIP_LEVEL = 32700;
+
+// Loopback schedule, in 10ms frames: silence while the connection settles,
+// a tone burst whose echo times the round trip, a gap, then the audio
+const SETTLE_FRAMES = 30;
+const PROBE_FRAMES = 2;
+const GAP_FRAMES = 20;
+// Silence after the audio, so its end makes it back before hanging up
+const TAIL_FRAMES = 40;
+
+const PROBE_HZ = 1000;
+const PROBE_AMPLITUDE = 16384;  // −6dBFS
+// A returned frame this loud is the probe coming back
+const PROBE_DETECT_RMS = 0.05;
+
+const CONNECT_TIMEOUT_MS = 10_000;
+
+/**
+ * @typedef {Object} RecordingAnalysis
+ * @property {number} peak           - Largest absolute sample [0, 1]
+ * @property {number} rms            - Overall RMS level [0, 1]
+ * @property {number} clippedSamples - Samples at or near full scale
+ * @property {number} clippedRatio   - clippedSamples / total samples
+ */
+
+/**
+ * @param {Int16Array} samples
+ * @returns {RecordingAnalysis}
+ */
+function analyzeRecording(samples) {
+  let peak = 0;
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const magnitude = Math.abs(samples[i]);
+    if (magnitude > peak) peak = magnitude;
+    if (magnitude >= CLIP_LEVEL) clipped++;
+  }
+  return {
+    peak: Math.min(peak / 32767, 1),
+    rms: samples.length > 0 ? rms(samples) : 0,
+    clippedSamples: clipped,
+    clippedRatio: samples.length > 0 ? clipped / samples.length : 0,
+  };
+}
+
+/**
+ * @typedef {Object} LoopbackResult
+ * @property {number}     roundTripMs - Time for the probe to go out and come back
+ * @property {Int16Array} received    - The audio as it came back, aligned with what was sent
+ */
+
+/**
+ * Sends audio over a WebRTC connection between two in-process peers; the
+ * second echoes everything back over its own track, so the audio is encoded
+ * and decoded twice, as on a round trip to another participant.
+ *
+ * @param {Int16Array} samples - 48kHz mono audio to send
+ * @returns {Promise<LoopbackResult>}
+ * @throws {AudioError} WEBRTC_UNAVAILABLE, LOOPBACK_TIMEOUT or LOOPBACK_SILENT
+ */
+async function runLoopback(samples) {
+  let wrtc;
+  try {
+    wrtc = require('@roamhq/wrtc');
+  } catch {
+    throw new AudioError('WebRTC is unavailable. Run: npm install @roamhq/wrtc', 'WEBRTC_UNAVAILABLE');
+  }
+  const { RTCAudioSource, RTCAudioSink } = wrtc.nonstandard;
+
+  // Both ends are in this process, so no STUN is needed to find them
+  const sender = new PeerManager({ iceServers: [] });
+  const echoer = new PeerManager({ iceServers: [] });
+  const sendSource = new RTCAudioSource();
+  const sendTrack = sendSource.createTrack();
+  const echoSource = new RTCAudioSource();
+  const echoTrack = echoSource.createTrack();
+  const sinks = [];
+  let clock = null;
+
+  const cleanUp = () => {
+    clearInterval(clock);
+    for (const sink of sinks) sink.stop();
+    sender.destroyAll();
+    echoer.destroyAll();
+    sendTrack.stop();
+    echoTrack.stop();
+  };
+
+  try {
+    sender.on('signal', (_peerId, data) => echoer.signal('sender', data));
+    echoer.on('signal', (_peerId, data) => sender.signal('echoer', data));
+
+    echoer.on('track', (_peerId, track) => {
+      const sink = new RTCAudioSink(track);
+      sink.ondata = (frame) => {
+        const mono = fromRtcFrame(frame);
+        if (mono) echoSource.onData(rtcFrame(mono));
+      };
+      sinks.push(sink);
+    });
+
+    const returned = new Promise((resolve) => {
+      sender.on('track', (_peerId, track) => {
+        const sink = new RTCAudioSink(track);
+        sinks.push(sink);
+        resolve(sink);
+      });
+    });
+
+    const connected = Promise.all([
+      new Promise((resolve) => sender.once('connected', resolve)),
+      new Promise((resolve) => echoer.once('connected', resolve)),
+    ]);
+    sender.createPeer('echoer', true, sendTrack);
+    echoer.createPeer('sender', false, echoTrack);
+
+    const returnSink = await withTimeout(
+      connected.then(() => returned), CONNECT_TIMEOUT_MS,
+      new AudioError('The WebRTC loopback did not connect', 'LOOPBACK_TIMEOUT'),
+    );
+
+    const frames = schedule(samples);
+    const probeIndex = SETTLE_FRAMES;
+    let probeSentAt = null;
+    let probeHeardAt = null;
+    /** @type {Int16Array[]} frames heard from the probe onwards */
+    const heard = [];
+
+    returnSink.ondata = (frame) => {
+      const mono = fromRtcFrame(frame);
+      if (!mono || probeSentAt === null) return;
+      if (probeHeardAt === null) {
+        if (rms(mono) < PROBE_DETECT_RMS) return;
+        probeHeardAt = performance.now();
+      }
+      heard.push(mono);
+    };
+
+    // Paced in real time from the clock rather than per tick, as timers drift
+    await new Promise((resolve) => {
+      const started = performance.now();
+      let sent = 0;
+      clock = setInterval(() => {
+        const due = Math.min(Math.floor((performance.now() - started) / 10), frames.length);
+        for (; sent < due; sent++) {
+          if (sent === probeIndex) probeSentAt = performance.now();
+          sendSource.onData(rtcFrame(frames[sent]));
+        }
+        if (sent === frames.length) resolve();
+      }, 10);
+    });
+
+    if (probeHeardAt === null) {
+      throw new AudioError('No audio came back through the WebRTC loopback', 'LOOPBACK_SILENT');
+    }
+
+    const received = new Int16Array(samples.length);
+    const skip = PROBE_FRAMES + GAP_FRAMES;
+    for (let i = skip; i < heard.length && (i - skip) * FRAME_SAMPLES < received.length; i++) {
+      received.set(heard[i].subarray(0, received.length - (i - skip) * FRAME_SAMPLES), (i - skip) * FRAME_SAMPLES);
+    }
+    return { roundTripMs: Math.round(probeHeardAt - probeSentAt), received };
+  } finally {
+    cleanUp();
+  }
+}
+
+/**
+ * Lays out the frames to send: settling silence, probe, gap, the audio
+ * (zero-padded to whole frames) and a silent tail.
+ *
+ * @param {Int16Array} samples
+ * @returns {Int16Array[]}
+ */
+function schedule(samples) {
+  const frames = [];
+  for (let i = 0; i < SETTLE_FRAMES; i++) frames.push(new Int16Array(FRAME_SAMPLES));
+  for (let i = 0; i < PROBE_FRAMES; i++) {
+    const frame = new Int16Array(FRAME_SAMPLES);
+    for (let j = 0; j < FRAME_SAMPLES; j++) {
+      const t = i * FRAME_SAMPLES + j;
+      frame[j] = Math.round(PROBE_AMPLITUDE * Math.sin((2 * Math.PI * PROBE_HZ * t) / SAMPLE_RATE));
+    }
+    frames.push(frame);
+  }
+  for (let i = 0; i < GAP_FRAMES; i++) frames.push(new Int16Array(FRAME_SAMPLES));
+  for (let offset = 0; offset < samples.length; offset += FRAME_SAMPLES) {
+    const frame = new Int16Array(FRAME_SAMPLES);
+    frame.set(samples.subarray(offset, offset + FRAME_SAMPLES));
+    frames.push(frame);
+  }
+  for (let i = 0; i < TAIL_FRAMES; i++) frames.push(new Int16Array(FRAME_SAMPLES));
+  return frames;
+}
+
+/**
+ * @param {Promise} promise
+ * @param {number}  ms
+ * @param {Error}   error - rejected with when `ms` passes first
+ * @returns {Promise}
+ */
+function withTimeout(promise, ms, error) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => { timer = setTimeout(() => reject(error), ms); });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = { analyzeRecording, runLoopback, CLIP_LEVEL };
@@ -4,6 +4,10 @@ const { EventEmitter } = require('events');
 const { SignalingClient } = require('./signaling');
 const { PeerManager } = require('./peers');
 const { AudioManager } = require('./audio');
+const { CallRecorder } = require('./recorder');
+const { AudioError } = require('../utils/errors');
+const { combineStats } = require('./networkStats');
+const { DEFAULT_ICE_SERVERS, describeIceServers } = require('../utils/iceServers');
 const logger = require('../utils/logger');
 
 /**
@@ -12,11 +16,52 @@ const logger = require('../utils/logger');
  * @property {string}  username
  * @property {boolean} isSpeaking
  * @property {boolean} isMuted
+ * @property {boolean} isPushToTalk   - only transmits while their talk key is held
+ * @property {boolean} isTransmitting - push-to-talk participant currently on air
+ * @property {boolean} isRecording    - recording the call
+ * @property {number}  volume         - how loud they play for us; 1 is as received
+ * @property {boolean} isSilenced     - muted for us only
  * @property {boolean} isSelf
+ * @property {boolean} isHost
  */
 
-/** RMS threshold above which a participant is considered "speaking". */
-const SPEAKING_THRESHOLD = 0.01;
+/**
+ * One WebRTC connection's quality.  A mesh call has one per participant;
+ * SFU and MCU rooms have a single one, to the server.
+ * @typedef {Object} NetworkLink
+ * @property {string}      peerId
+ * @property {string|null} username  - null for the server
+ * @property {boolean}     viaServer - the connection to an SFU or MCU server
+ * @property {import('./networkStats').NetworkStats} stats
+ */
+
+/**
+ * @typedef {Object} NetworkSummary
+ * @property {import('./networkStats').NetworkStats|null} overall - every link summed up;
+ *   null before any has been measured
+ * @property {NetworkLink[]} links
+ */
+
+/**
+ * Loudest-frame RMS above which an MCU room's level report marks a
+ * participant as speaking.  The server measures levels over ~100ms, which
+ * already smooths out flicker, so no voice detection is needed on top.
+ */
+const MCU_SPEAKING_LEVEL = 0.01;
+
+/**
+ * @param {Participant} participant
+ * @returns {boolean} true when the participant's microphone can be heard
+ */
+function isOnAir(participant) {
+  return !participant.isMuted && (!participant.isPushToTalk || participant.isTransmitting);
+}
+
+/** Peer ID the server's media connection signals as in SFU and MCU rooms. */
+const SFU_PEER_ID = 'sfu';
+
+/** Track name for the server's mix, the only audio an MCU room sends down. */
+const MCU_MIX_TRACK = 'room mix';
 
 /**
  * Top-level coordinator for a single voice call session.
@@ -24,33 +69,78 @@ const SPEAKING_THRESHOLD = 0.01;
  * Wires together the SignalingClient, PeerManager, and AudioManager and
  * exposes a clean async API so CLI commands only interact with this class.
  *
+ * Rooms carry audio in one of three modes, fixed when the room is created:
+ * a full mesh with one P2P connection per participant; SFU, where a single
+ * connection to the server carries our microphone up and everyone else's
+ * audio down as separate tracks; or MCU, where the server sends down one
+ * pre-mixed track instead.  The participant list and events are the same
+ * in every mode.
+ *
  * Events emitted:
  *   'participant-update' (Participant[]) — any change to the participant list
+ *   'peer-joined'        ({ peerId, username })    — someone new entered our room
  *   'audio-samples'      (Float32Array)  — local mic PCM for waveform display
+ *   'transmitting'       (boolean)                  — mic went on or off air (push-to-talk)
+ *   'network-stats'      (NetworkSummary)           — WebRTC connection quality, every few
+ *                                                    seconds and when a connection closes
+ *   'recording-stopped'  (RecordingSummary|null, AudioError?) — our recording ended: stopped,
+ *                                                    the call ended, or it failed with the error
  *   'invite'             ({ fromUsername, roomKey }) — incoming call invite
  *   'invite-sent'        ({ toUsername })            — invite was delivered
  *   'invite-error'       (string)                   — invite send failed
+ *   'invite-declined'    ({ username })             — someone declined an invite to our room
+ *   'invite-cancelled'   ({ fromUsername, roomKey }) — an invite to us was withdrawn
+ *   'reconnecting'       (number)                   — signaling dropped; reconnect attempt N scheduled
+ *   'reconnected'                                   — logged back in and the call was resumed
+ *   'host-changed'       ({ username, isSelf })     — room hosting moved to someone else
+ *   'room-locked'        (boolean)                  — host locked/unlocked the room
+ *   'force-muted'        ({ byUsername })           — the host muted our microphone
+ *   'moderation-error'   (string)                   — a host action was refused
  *   'error'              (Error)                    — unrecoverable error
- *   'ended'                                         — call ended or kicked
+ *   'ended'              ({ reason }?)              — call ended, once any recording is saved;
+ *                                                    `reason` is set when kicked
  */
 class Session extends EventEmitter {
   /**
-   * @param {string} serverUrl - WebSocket signaling server URL
-   * @param {string} username  - Display name for this user
+   * @param {string} serverUrl      - WebSocket signaling server URL
+   * @param {string} username       - Display name for this user
+   * @param {Object} [audioOptions] - Passed to AudioManager, e.g.
+   *                                  `{ echoCancellation: false, processing: { agc: false } }`
+   * @param {Object} [networkOptions]
+   * @param {import('../utils/iceServers').IceServer[]} [networkOptions.iceServers] - STUN/TURN
+   *   servers for peer connections; public STUN by default.  TURN credentials
+   *   the signaling server hands out are added to these.
    */
-  constructor(serverUrl, username) {
+  constructor(serverUrl, username, audioOptions = {}, { iceServers = DEFAULT_ICE_SERVERS } = {}) {
     super();
     this._serverUrl = serverUrl;
     this._username = username;
     this._peerId = null;
     this._roomKey = null;
+    this._roomPassword = null;  // kept so a fallback rejoin can re-authenticate
+    this._hostPeerId = null;
+    this._isRoomLocked = false;
+    this._maxPeers = null;
+    this._mode = 'mesh';
+    this._resumeToken = null;
+    this._isReconnecting = false;
 
     /** @type {Map<string, Participant>} peerId → participant */
     this._participants = new Map();
+    /** @type {Map<string, MediaStreamTrack>} streamId → SFU downstream track */
+    this._sfuTracks = new Map();
+    /** @type {Map<string, string>} streamId → peerId whose audio the SFU sends on it */
+    this._sfuSlots = new Map();
 
     this._signaling = new SignalingClient(serverUrl);
-    this._peers = new PeerManager();
-    this._audio = new AudioManager();
+    this._audio = new AudioManager(audioOptions);
+    this._iceServers = iceServers;
+    // Stereo goes peer to peer; the server's media path is mono
+    this._peers = new PeerManager({ stereo: this._audio.isStereo, iceServers });
+    /** @type {CallRecorder|null} */
+    this._recorder = null;
+    /** @type {Promise<void>|null} settles once the last recording stopped is saved */
+    this._recordingSaved = null;
 
     // Safety net: prevent Node.js from crashing on unhandled 'error' events
     // (e.g. when errors fire before the dashboard registers its own listener).
@@ -69,49 +159,97 @@ class Session extends EventEmitter {
   _bindSignalingEvents() {
     const sig = this._signaling;
 
-    sig.on('login-ok', ({ peerId }) => {
+    sig.on('login-ok', ({ peerId, resumeToken, iceServers }) => {
       this._peerId = peerId;
+      this._resumeToken = resumeToken || null;
+      this._useServerIceServers(iceServers);
       logger.debug(`Logged in as "${this._username}" (peerId: ${peerId})`);
     });
 
     // login-error is handled by _waitFor in connect()
 
-    sig.on('room-created', ({ roomKey }) => {
+    sig.on('room-created', ({ roomKey, hostPeerId, maxPeers, mode = 'mesh' }) => {
       this._roomKey = roomKey;
+      this._hostPeerId = hostPeerId;
+      this._isRoomLocked = false;
+      this._maxPeers = maxPeers;
+      this._mode = mode;
       this._upsertParticipant(this._peerId, this._username, true);
+      if (mode !== 'mesh') this._openServerConnection();
+      this._publishInitialState();
     });
 
     // create-error is handled by _waitFor in createRoom()
 
-    sig.on('room-joined', ({ roomKey, peers }) => {
-      this._roomKey = roomKey;
-      this._upsertParticipant(this._peerId, this._username, true);
-
-      // Existing peers: we are the initiator for each P2P connection
-      for (const { peerId, username } of peers) {
-        this._upsertParticipant(peerId, username, false);
-        this._peers.createPeer(peerId, true, this._audio.getLocalTrack());
-      }
-    });
+    sig.on('room-joined', (msg) => this._enterRoom(msg));
 
     // join-error is handled by _waitFor in joinRoom()
 
-    sig.on('peer-joined', ({ peerId, username }) => {
-      this._upsertParticipant(peerId, username, false);
+    sig.on('peer-joined', ({ peerId, username, isMuted }) => {
+      this._upsertParticipant(peerId, username, false, { isMuted });
       // New peer will initiate towards us; we respond (initiator: false)
-      this._peers.createPeer(peerId, false, this._audio.getLocalTrack());
+      if (this._mode === 'mesh') this._peers.createPeer(peerId, false, this._audio.getLocalTrack());
+      this.emit('peer-joined', { peerId, username });
     });
 
     sig.on('peer-left', ({ peerId }) => {
       this._removeParticipant(peerId);
       this._peers.destroyPeer(peerId);
       this._audio.removePeerAudio(peerId);
+      this._emitNetworkStats();
+    });
+
+    // A peer came back on a new connection: drop the stale P2P link and wait
+    // for their fresh offer (the resuming side always initiates).  In SFU
+    // rooms the server re-routes their audio and reports it via sfu-slot.
+    sig.on('peer-resumed', ({ previousPeerId, peerId, username, hostPeerId }) => {
+      const previous = this._participants.get(previousPeerId);
+      // A resumed host is still the host, under their new ID
+      if (hostPeerId) this._hostPeerId = hostPeerId;
+      // They keep the volume we gave them
+      const { volume, isSilenced } = this._audio.getPeerVolume(previousPeerId);
+      this._audio.setPeerVolume(peerId, volume);
+      this._audio.setPeerSilenced(peerId, isSilenced);
+      this._peers.destroyPeer(previousPeerId);
+      this._audio.removePeerAudio(previousPeerId);
+      this._participants.delete(previousPeerId);
+      this._upsertParticipant(peerId, username, false, previous);
+      // Added under the new ID first, so they carry on the same recording track
+      this._recorder?.removeParticipant(previousPeerId);
+      if (this._mode === 'mesh') this._peers.createPeer(peerId, false, this._audio.getLocalTrack());
+    });
+
+    sig.on('peer-state', ({ peerId, ...state }) => {
+      const participant = this._participants.get(peerId);
+      if (!participant) return;
+      for (const field of ['isMuted', 'isPushToTalk', 'isTransmitting', 'isRecording']) {
+        if (typeof state[field] === 'boolean') participant[field] = state[field];
+      }
+      if (!isOnAir(participant)) participant.isSpeaking = false;
+      this._emitParticipantUpdate();
     });
 
     sig.on('signal', ({ fromPeerId, data }) => {
       this._peers.signal(fromPeerId, data);
     });
 
+    sig.on('sfu-slot', ({ streamId, peerId }) => this._assignSfuSlot(streamId, peerId));
+
+    // A mix cannot tell us who is talking, so MCU rooms report it separately
+    sig.on('mcu-levels', ({ levels }) => {
+      let changed = false;
+      for (const [peerId, rms] of Object.entries(levels)) {
+        const participant = this._participants.get(peerId);
+        if (!participant || participant.isSelf) continue;
+        const isSpeaking = rms > MCU_SPEAKING_LEVEL && !participant.isMuted;
+        if (participant.isSpeaking !== isSpeaking) {
+          participant.isSpeaking = isSpeaking;
+          changed = true;
+        }
+      }
+      if (changed) this._emitParticipantUpdate();
+    });
+
     sig.on('invite', ({ fromUsername, roomKey }) => {
       this.emit('invite', { fromUsername, roomKey });
     });
@@ -124,25 +262,76 @@ class Session extends EventEmitter {
       this.emit('invite-error', message);
     });
 
+    sig.on('invite-declined', ({ username }) => {
+      this.emit('invite-declined', { username });
+    });
+
+    sig.on('invite-cancelled', ({ fromUsername, roomKey }) => {
+      this.emit('invite-cancelled', { fromUsername, roomKey });
+    });
+
     sig.on('chat', ({ fromUsername, text }) => {
       this.emit('chat', { fromUsername, text });
     });
 
+    // Only the room is gone — signaling and audio stay up until leave()
     sig.on('left-room', () => {
-      this._cleanupCall();
-      this.emit('ended');
+      this._resetPeers();
+      this._roomKey = null;
+      this._finishRecording().then(() => this.emit('ended'));
+    });
+
+    // ── Host moderation ──
+
+    sig.on('host-changed', ({ hostPeerId, username }) => {
+      this._hostPeerId = hostPeerId;
+      for (const participant of this._participants.values()) {
+        participant.isHost = participant.peerId === hostPeerId;
+      }
+      this._emitParticipantUpdate();
+      this.emit('host-changed', { username, isSelf: hostPeerId === this._peerId });
+    });
+
+    sig.on('room-locked', ({ locked }) => {
+      this._isRoomLocked = locked;
+      this.emit('room-locked', locked);
+    });
+
+    sig.on('kicked', ({ reason }) => {
+      this._resetPeers();
+      this._roomKey = null;
+      this._roomPassword = null;
+      this._hostPeerId = null;
+      this._finishRecording().then(() => this.emit('ended', { reason }));
+    });
+
+    // The server already told the room; only local capture needs to follow
+    sig.on('force-muted', ({ byUsername }) => {
+      this._applyMute(true);
+      this.emit('force-muted', { byUsername });
     });
 
+    sig.on('moderation-error', ({ message }) => this.emit('moderation-error', message));
+
     sig.on('error', (err) => this.emit('error', err));
 
     sig.on('latency', (ms) => this.emit('latency', ms));
 
-    sig.on('close', () => {
-      if (this._roomKey) {
-        const err = new Error('Signaling connection lost');
-        err.code = 'CONN_LOST';
-        this.emit('error', err);
-      }
+    // Unintentional drop — SignalingClient retries on its own; we only need to
+    // log back in once a new socket is open.
+    sig.on('reconnecting', (attempt) => {
+      if (!this._peerId) return;
+      this._isReconnecting = true;
+      this.emit('reconnecting', attempt);
+    });
+
+    sig.on('reconnected', () => {
+      if (!this._isReconnecting) return;
+      this._resumeCall().catch((err) => {
+        const fatal = new Error(`Could not resume call: ${err.message}`);
+        fatal.code = 'CONN_LOST';
+        this.emit('error', fatal);
+      });
     });
   }
 
@@ -152,14 +341,25 @@ class Session extends EventEmitter {
       this._signaling.signal(peerId, data);
     });
 
-    this._peers.on('track', (peerId, track) => {
-      this._audio.addPeerAudio(peerId, track);
+    this._peers.on('track', (peerId, track, streamId) => {
+      // Mesh tracks are per peer, and an MCU room's single track is the whole mix
+      if (peerId !== SFU_PEER_ID || this._mode === 'mcu') {
+        this._audio.addPeerAudio(peerId, track);
+        return;
+      }
+      // Downstream slots arrive unassigned or ahead of their sfu-slot message
+      this._sfuTracks.set(streamId, track);
+      const fromPeerId = this._sfuSlots.get(streamId);
+      if (fromPeerId) this._audio.addPeerAudio(fromPeerId, track);
     });
 
     this._peers.on('disconnected', (peerId) => {
       logger.debug(`P2P disconnected from ${peerId}`);
+      this._emitNetworkStats();
     });
 
+    this._peers.on('stats', () => this._emitNetworkStats());
+
     this._peers.on('error', (peerId, err) => {
       logger.warn(`Peer error (${peerId}): ${err.message}`);
     });
@@ -167,45 +367,233 @@ class Session extends EventEmitter {
 
   /** @private */
   _bindAudioEvents() {
-    this._audio.on('samples', (samples) => {
-      // Detect whether the local user is speaking
-      const rms = Math.sqrt(samples.reduce((sum, x) => sum + x * x, 0) / samples.length);
-      const isSpeaking = rms > SPEAKING_THRESHOLD;
-
-      const self = this._peerId && this._participants.get(this._peerId);
-      if (self && self.isSpeaking !== isSpeaking) {
-        self.isSpeaking = isSpeaking;
-        this._emitParticipantUpdate();
-      }
+    this._audio.on('samples', (samples) => this.emit('audio-samples', samples));
 
-      this.emit('audio-samples', samples);
+    // Speaking indicators come from the same voice detection that gates the
+    // microphone.  Remote speaking state is derived locally from the decoded
+    // audio, so it needs no signaling traffic and tracks what we actually hear.
+    this._audio.on('voice-activity', (isSpeech) => {
+      if (this._peerId) this._setSpeaking(this._peerId, isSpeech);
     });
+    this._audio.on('peer-voice-activity', (peerId, isSpeech) => this._setSpeaking(peerId, isSpeech));
+
+    this._audio.on('transmitting', () => this._onTransmitChange());
 
     this._audio.on('error', (err) => {
       logger.warn(`Audio error: ${err.message}`);
     });
   }
 
+  // ── Room helpers ───────────────────────────────────────────────────────────
+
+  /**
+   * Records room membership and opens a P2P connection to every existing peer.
+   * @param {Object} room
+   * @param {string} room.roomKey
+   * @param {string} room.hostPeerId
+   * @param {boolean} [room.locked]
+   * @param {number} room.maxPeers
+   * @param {'mesh'|'sfu'|'mcu'} [room.mode]
+   * @param {Array<{peerId: string, username: string} & Object>} room.peers - with published state
+   * @private
+   */
+  _enterRoom({ roomKey, hostPeerId, locked = false, maxPeers, mode = 'mesh', peers }) {
+    this._roomKey = roomKey;
+    this._hostPeerId = hostPeerId;
+    this._isRoomLocked = locked;
+    this._maxPeers = maxPeers;
+    this._mode = mode;
+    this._upsertParticipant(this._peerId, this._username, true);
+
+    for (const { peerId, username, ...state } of peers) {
+      this._upsertParticipant(peerId, username, false, state);
+      // Mesh: we are the initiator towards each existing peer
+      if (mode === 'mesh') this._peers.createPeer(peerId, true, this._audio.getLocalTrack());
+    }
+    if (mode !== 'mesh') this._openServerConnection();
+
+    this._publishInitialState();
+  }
+
+  /**
+   * The room's copy of our state starts fresh — republishes anything
+   * non-default.
+   * @private
+   */
+  _publishInitialState() {
+    const state = {};
+    if (this._audio.isMuted) state.isMuted = true;
+    if (this._audio.isPushToTalk) {
+      state.isPushToTalk = true;
+      state.isTransmitting = this._audio.isTransmitting;
+    }
+    if (this._recorder) state.isRecording = true;
+    if (Object.keys(state).length > 0) this._signaling.publishState(state);
+  }
+
+  /**
+   * Tears down every P2P connection and remote participant while keeping
+   * local capture running, ready for renegotiation.
+   * @private
+   */
+  _resetPeers() {
+    // Whoever is still there after a reconnect rejoins the recording
+    for (const peerId of this._participants.keys()) this._recorder?.removeParticipant(peerId);
+    this._peers.destroyAll();
+    this._audio.removeAllPeerAudio();
+    this._participants.clear();
+    this._sfuTracks.clear();
+    this._sfuSlots.clear();
+    this._emitNetworkStats();
+  }
+
+  /**
+   * Answers the server's media connection in an SFU or MCU room.  The server
+   * offers, so only our microphone track needs to be ready.  The server
+   * forwards and mixes mono, so stereo is not offered.
+   * @private
+   */
+  _openServerConnection() {
+    this._peers.createPeer(SFU_PEER_ID, false, this._audio.getLocalTrack(), { stereo: false });
+  }
+
+  /**
+   * Points an SFU downstream slot at the participant it now carries, moving
+   * playback over if the track has already arrived.
+   * @param {string}      streamId
+   * @param {string|null} peerId - null when the slot was freed
+   * @private
+   */
+  _assignSfuSlot(streamId, peerId) {
+    const previous = this._sfuSlots.get(streamId);
+    if (previous) this._audio.removePeerAudio(previous);
+
+    if (!peerId) {
+      this._sfuSlots.delete(streamId);
+      return;
+    }
+    this._sfuSlots.set(streamId, peerId);
+    const track = this._sfuTracks.get(streamId);
+    if (track) this._audio.addPeerAudio(peerId, track);
+  }
+
+  /**
+   * Restores the session on a freshly reconnected socket.
+   *
+   * Tries the server-issued resume token first so the room slot held during
+   * the grace period is reclaimed; if that fails (token expired, server
+   * restarted) falls back to a normal login and rejoins the same room key.
+   * Either way every WebRTC peer is renegotiated because our peerId changed.
+   *
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _resumeCall() {
+    const roomKey = this._roomKey;
+    let resumed = null;
+
+    if (this._resumeToken) {
+      resumed = await this._waitFor(
+        'resume-ok',
+        'resume-error',
+        () => this._signaling.resume(this._resumeToken),
+      ).catch((err) => {
+        logger.warn(`Session resume rejected: ${err.message}`);
+        return null;
+      });
+    }
+
+    this._resetPeers();
+
+    if (resumed) {
+      this._peerId = resumed.peerId;
+      this._resumeToken = resumed.resumeToken;
+      this._useServerIceServers(resumed.iceServers);
+      if (roomKey && !resumed.roomKey) throw new Error(`Room ${roomKey} no longer exists`);
+      if (resumed.roomKey) this._enterRoom(resumed);
+    } else {
+      this._roomKey = null;
+      await this._waitFor('login-ok', 'login-error', () => this._signaling.login(this._username));
+      if (roomKey) await this.joinRoom(roomKey, { password: this._roomPassword });
+    }
+
+    this._isReconnecting = false;
+    logger.info('Session resumed after reconnect');
+    this.emit('reconnected');
+  }
+
+  /**
+   * Adds the TURN relay the signaling server issued credentials for to our
+   * own ICE servers.  Credentials from a later login replace earlier ones.
+   * @param {import('../utils/iceServers').IceServer[]} [serverIceServers]
+   * @private
+   */
+  _useServerIceServers(serverIceServers) {
+    const issued = Array.isArray(serverIceServers) ? serverIceServers : [];
+    this._peers.setIceServers([...this._iceServers, ...issued]);
+    logger.debug(`ICE servers: ${describeIceServers(this._peers.iceServers)}`);
+  }
+
   // ── Participant helpers ────────────────────────────────────────────────────
 
-  /** @private */
-  _upsertParticipant(peerId, username, isSelf = false) {
+  /**
+   * @param {string}  peerId
+   * @param {string}  username
+   * @param {boolean} [isSelf]
+   * @param {{ isMuted?: boolean, isPushToTalk?: boolean, isTransmitting?: boolean, isRecording?: boolean }} [state]
+   *   - State the peer has published
+   * @private
+   */
+  _upsertParticipant(peerId, username, isSelf = false, state = {}) {
     this._participants.set(peerId, {
       peerId,
       username,
       isSpeaking: false,
-      isMuted: false,
+      isMuted: isSelf ? this._audio.isMuted : Boolean(state.isMuted),
+      isPushToTalk: isSelf ? this._audio.isPushToTalk : Boolean(state.isPushToTalk),
+      isTransmitting: isSelf ? this._audio.isPushToTalk && this._audio.isTransmitting : Boolean(state.isTransmitting),
+      isRecording: isSelf ? this._recorder !== null : Boolean(state.isRecording),
+      ...(isSelf ? { volume: 1, isSilenced: false } : this._audio.getPeerVolume(peerId)),
       isSelf,
+      isHost: peerId === this._hostPeerId,
     });
+    // An MCU room's audio all comes in the server mix, recorded on its own track
+    if (!isSelf) this._recorder?.addParticipant(peerId, username, { audio: this._mode !== 'mcu' });
     this._emitParticipantUpdate();
   }
 
   /** @private */
   _removeParticipant(peerId) {
     this._participants.delete(peerId);
+    this._recorder?.removeParticipant(peerId);
     this._emitParticipantUpdate();
   }
 
+  /**
+   * Updates a participant's speaking indicator.  Muted participants, and
+   * push-to-talk participants off air, never show as speaking.  Only emits
+   * an update when the indicator flips.
+   *
+   * @param {string}  peerId
+   * @param {boolean} isSpeech - voice detected in their audio
+   * @private
+   */
+  _setSpeaking(peerId, isSpeech) {
+    const participant = this._participants.get(peerId);
+    if (!participant) return;
+
+    const isSpeaking = isSpeech && isOnAir(participant);
+    if (participant.isSpeaking !== isSpeaking) {
+      participant.isSpeaking = isSpeaking;
+      this._emitParticipantUpdate();
+    }
+  }
+
+  /** @private */
+  _emitNetworkStats() {
+    this.emit('network-stats', this.networkStats);
+  }
+
   /** @private */
   _emitParticipantUpdate() {
     this.emit('participant-update', Array.from(this._participants.values()));
@@ -216,6 +604,8 @@ class Session extends EventEmitter {
     this._peers.destroyAll();
     this._audio.destroy();
     this._roomKey = null;
+    this._roomPassword = null;
+    this._hostPeerId = null;
     this._participants.clear();
   }
 
@@ -223,36 +613,59 @@ class Session extends EventEmitter {
 
   /**
    * Connects to the signaling server and logs in with the configured username.
-   * Starts microphone capture on success.
+   * Starts microphone capture on success unless `capture` is false, in which
+   * case it starts when a room is entered via acceptInvite().
    *
+   * @param {Object}  [opts]
+   * @param {boolean} [opts.capture=true] - Open the microphone immediately
    * @returns {Promise<void>}
    */
-  async connect() {
+  async connect({ capture = true } = {}) {
     await this._signaling.connect();
     await this._waitFor(
       'login-ok',
       'login-error',
       () => this._signaling.login(this._username),
     );
-    this._audio.startCapture();
+    if (capture) this._audio.startCapture();
   }
 
   /**
    * Creates a new room and returns its key.
+   * @param {Object}             [opts]
+   * @param {string}             [opts.password] - Makes the room private
+   * @param {number}             [opts.maxPeers] - Capacity; the server's maximum when omitted
+   * @param {'mesh'|'sfu'|'mcu'} [opts.mode]     - 'sfu' forwards audio through the server (large
+   *                                               rooms); 'mcu' has the server mix it (weak clients)
    * @returns {Promise<string>}
    */
-  createRoom() {
-    return this._waitFor('room-created', 'create-error', () => this._signaling.createRoom())
-      .then(({ roomKey }) => roomKey);
+  async createRoom({ password, maxPeers, mode } = {}) {
+    const { roomKey } = await this._waitFor(
+      'room-created',
+      'create-error',
+      () => this._signaling.createRoom({ password: password || undefined, maxPeers, mode }),
+    );
+    this._roomPassword = password || null;
+    return roomKey;
   }
 
   /**
    * Joins an existing room by key.
+   * Rejects with `err.code === 'ROOM_AUTH_FAILED'` when a private room's
+   * password is missing or wrong, or `'ROOM_FULL'` when it is at capacity.
+   *
    * @param {string} roomKey
+   * @param {Object} [opts]
+   * @param {string} [opts.password] - Required for private rooms
    * @returns {Promise<void>}
    */
-  joinRoom(roomKey) {
-    return this._waitFor('room-joined', 'join-error', () => this._signaling.joinRoom(roomKey));
+  async joinRoom(roomKey, { password } = {}) {
+    await this._waitFor(
+      'room-joined',
+      'join-error',
+      () => this._signaling.joinRoom(roomKey, password || undefined),
+    );
+    this._roomPassword = password || null;
   }
 
   /**
@@ -264,19 +677,336 @@ class Session extends EventEmitter {
     return this._waitFor('invite-sent', 'invite-error', () => this._signaling.invite(toUsername));
   }
 
+  /**
+   * Withdraws an invite that has not been answered, so the user stops ringing.
+   * @param {string} toUsername
+   */
+  cancelInvite(toUsername) {
+    this._signaling.cancelInvite(toUsername);
+  }
+
+  /**
+   * Lists every other online user.
+   * @returns {Promise<Array<{username: string, inCall: boolean}>>}
+   */
+  listUsers() {
+    return this._waitFor('user-list', 'list-users-error', () => this._signaling.listUsers())
+      .then(({ users }) => users);
+  }
+
+  /**
+   * Accepts an incoming invite and joins the inviter's room.  The microphone
+   * opens first, since the room's connections are set up as it is entered,
+   * and closes again if the room cannot be joined.
+   *
+   * @param {string} roomKey
+   * @returns {Promise<void>}
+   */
+  async acceptInvite(roomKey) {
+    this._audio.startCapture();
+    try {
+      await this._waitFor('room-joined', 'join-error', () => this._signaling.acceptInvite(roomKey));
+    } catch (err) {
+      this._audio.stopCapture();
+      throw err;
+    }
+  }
+
+  /**
+   * Declines an incoming invite; the inviter's room is notified.
+   * @param {string} roomKey
+   */
+  declineInvite(roomKey) {
+    this._signaling.declineInvite(roomKey);
+  }
+
   /**
    * Mutes or unmutes the local microphone.
    * @param {boolean} muted
    */
   setMuted(muted) {
+    this._applyMute(muted);
+    if (this._roomKey) this._signaling.publishState({ isMuted: muted });
+  }
+
+  /**
+   * Mutes/unmutes capture and the local participant record without telling
+   * the room.
+   * @param {boolean} muted
+   * @private
+   */
+  _applyMute(muted) {
     muted ? this._audio.mute() : this._audio.unmute();
     const self = this._participants.get(this._peerId);
     if (self) {
       self.isMuted = muted;
+      if (muted) self.isSpeaking = false;
       this._emitParticipantUpdate();
     }
   }
 
+  /**
+   * Changes echo cancellation and microphone processing mid-call.
+   *
+   * @param {Object} changes - `echoCancellation` and/or ProcessingSettings keys
+   * @returns {Object} the audio settings now in effect
+   * @throws {RangeError} on an unknown setting or invalid value
+   */
+  updateAudioSettings(changes) {
+    return this._audio.updateSettings(changes);
+  }
+
+  /** @returns {Object} echo cancellation and microphone processing settings */
+  get audioSettings() { return this._audio.settings; }
+
+  /**
+   * Lists the system's audio devices.
+   * @returns {import('./devices').AudioDevice[]}
+   */
+  listAudioDevices() {
+    return this._audio.listDevices();
+  }
+
+  /**
+   * Switches the microphone without interrupting the call.
+   * @param {number|string|null} device - Device ID or name; null for the system default
+   * @throws {AudioError} when it cannot be found or opened
+   */
+  setInputDevice(device) {
+    this._audio.setInputDevice(device);
+  }
+
+  /**
+   * Switches the speaker without interrupting the call.
+   * @param {number|string|null} device - Device ID or name; null for the system default
+   * @throws {AudioError} when it cannot be found or opened
+   */
+  setOutputDevice(device) {
+    this._audio.setOutputDevice(device);
+  }
+
+  /** @returns {{ input: Object|null, output: Object|null }} chosen devices; null is the system default */
+  get audioDevices() { return this._audio.devices; }
+
+  /**
+   * Switches between push-to-talk and an open microphone.
+   * @param {boolean} enabled
+   */
+  setPushToTalk(enabled) {
+    if (enabled === this._audio.isPushToTalk) return;
+    this._audio.setPushToTalk(enabled);
+    this._onTransmitChange();
+  }
+
+  /**
+   * Presses (true) or releases (false) push-to-talk.  Ignored with an open mic.
+   * @param {boolean} active
+   */
+  setTransmitting(active) { this._audio.setTransmitting(active); }
+
+  /** @returns {boolean} */
+  get isPushToTalk() { return this._audio.isPushToTalk; }
+
+  /** @returns {boolean} true while the microphone may go out, mute aside */
+  get isTransmitting() { return this._audio.isTransmitting; }
+
+  /**
+   * Brings the local participant record, the room and listeners up to date
+   * after push-to-talk was switched, pressed or released.
+   * @private
+   */
+  _onTransmitChange() {
+    const isPushToTalk = this._audio.isPushToTalk;
+    const isTransmitting = isPushToTalk && this._audio.isTransmitting;
+    const self = this._participants.get(this._peerId);
+    if (self) {
+      self.isPushToTalk = isPushToTalk;
+      self.isTransmitting = isTransmitting;
+      if (!isOnAir(self)) self.isSpeaking = false;
+      this._emitParticipantUpdate();
+    }
+    if (this._roomKey) this._signaling.publishState({ isPushToTalk, isTransmitting });
+    this.emit('transmitting', this._audio.isTransmitting);
+  }
+
+  // ── Recording ──────────────────────────────────────────────────────────────
+
+  /**
+   * Starts recording the call: our microphone as sent and everyone we hear.
+   * The room is told, so everyone sees that we are recording.  Recording
+   * stops by itself when the call ends.
+   *
+   * @param {Object} opts
+   * @param {string} opts.path   - WAV file, or a directory for the split layout
+   * @param {'mix'|'multitrack'|'split'} [opts.layout='mix']
+   * @throws {AudioError} NOT_IN_ROOM, ALREADY_RECORDING, UNSUPPORTED_FORMAT or
+   *   RECORDING_OPEN_FAILED
+   * @throws {RangeError} on an unknown layout
+   */
+  startRecording({ path, layout }) {
+    if (!this._roomKey) throw new AudioError('Join a room before recording', 'NOT_IN_ROOM');
+    if (this._recorder) throw new AudioError('Already recording', 'ALREADY_RECORDING');
+
+    const recorder = new CallRecorder({ path, layout, localName: this._username });
+    this._audio.startRecording(recorder);
+    // What was recorded up to a failure is still saved
+    recorder.once('error', (err) => {
+      if (this._recorder !== recorder) return;
+      this._recorder = null;
+      this._setSelfRecording(false);
+      this._recordingSaved = recorder.stop().then(
+        (summary) => this.emit('recording-stopped', summary, err),
+        (finishErr) => this.emit('recording-stopped', null, finishErr),
+      );
+    });
+    this._recorder = recorder;
+
+    if (this._mode === 'mcu') recorder.addParticipant(SFU_PEER_ID, MCU_MIX_TRACK);
+    for (const participant of this._participants.values()) {
+      if (!participant.isSelf) {
+        recorder.addParticipant(participant.peerId, participant.username, { audio: this._mode !== 'mcu' });
+      }
+    }
+    this._setSelfRecording(true);
+  }
+
+  /**
+   * Stops recording and finishes the files.
+   * @returns {Promise<import('./recorder').RecordingSummary|null>} null when not recording
+   */
+  stopRecording() {
+    if (!this._recorder) return Promise.resolve(null);
+    this._recorder = null;
+    this._setSelfRecording(false);
+    const saved = this._audio.stopRecording().then(
+      (summary) => {
+        this.emit('recording-stopped', summary);
+        return summary;
+      },
+      (err) => {
+        this.emit('recording-stopped', null, err);
+        throw err;
+      },
+    );
+    this._recordingSaved = saved.catch(() => {});
+    return saved;
+  }
+
+  /** @returns {boolean} */
+  get isRecording() { return this._recorder !== null; }
+
+  /**
+   * Stops any recording because the call ended, and waits for it to be
+   * saved — including one already stopping.  The outcome is reported through
+   * 'recording-stopped'.
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _finishRecording() {
+    try {
+      await this.stopRecording();
+    } catch (err) {
+      logger.error(`Could not finish recording: ${err.message}`);
+    }
+    await this._recordingSaved;
+  }
+
+  /**
+   * Updates the local participant record and tells the room.
+   * @param {boolean} isRecording
+   * @private
+   */
+  _setSelfRecording(isRecording) {
+    const self = this._participants.get(this._peerId);
+    if (self) {
+      self.isRecording = isRecording;
+      this._emitParticipantUpdate();
+    }
+    if (this._roomKey) this._signaling.publishState({ isRecording });
+  }
+
+  // ── Local playback ─────────────────────────────────────────────────────────
+  // Affects only what we hear.  An MCU room sends everyone in one mix, so
+  // there is nobody to turn up or down individually.
+
+  /**
+   * Sets how loud a participant plays for us.
+   *
+   * @param {string} peerId
+   * @param {number} volume - 1 is as received, 0 is silent, up to MAX_PEER_VOLUME
+   * @throws {AudioError} MIXED_AUDIO in an MCU room
+   * @throws {RangeError} if volume is out of range
+   */
+  setPeerVolume(peerId, volume) {
+    this._adjustPeerPlayback(peerId, () => this._audio.setPeerVolume(peerId, volume));
+  }
+
+  /**
+   * Mutes a participant for us only, or unmutes them at their volume.
+   *
+   * @param {string}  peerId
+   * @param {boolean} silenced
+   * @throws {AudioError} MIXED_AUDIO in an MCU room
+   */
+  setPeerSilenced(peerId, silenced) {
+    this._adjustPeerPlayback(peerId, () => this._audio.setPeerSilenced(peerId, silenced));
+  }
+
+  /**
+   * @param {string}     peerId
+   * @param {() => void} adjust - changes the peer's volume in the AudioManager
+   * @private
+   */
+  _adjustPeerPlayback(peerId, adjust) {
+    if (this._mode === 'mcu') {
+      throw new AudioError('This room mixes everyone together on the server', 'MIXED_AUDIO');
+    }
+    const participant = this._participants.get(peerId);
+    if (!participant || participant.isSelf) return;
+    adjust();
+    Object.assign(participant, this._audio.getPeerVolume(peerId));
+    this._emitParticipantUpdate();
+  }
+
+  // ── Host moderation ────────────────────────────────────────────────────────
+  // Refusals (not host, unknown target) arrive as 'moderation-error' events.
+
+  /**
+   * Removes a participant from the room.
+   * @param {string} peerId
+   */
+  kickPeer(peerId) { this._signaling.kickPeer(peerId); }
+
+  /**
+   * Mutes a participant's microphone; they can unmute themselves afterwards.
+   * @param {string} peerId
+   */
+  mutePeer(peerId) { this._signaling.mutePeer(peerId); }
+
+  /**
+   * Stops (or again allows) uninvited users from joining.
+   * @param {boolean} locked
+   */
+  setRoomLocked(locked) { this._signaling.lockRoom(locked); }
+
+  /**
+   * Hands hosting over to another participant.
+   * @param {string} peerId
+   */
+  transferHost(peerId) { this._signaling.transferHost(peerId); }
+
+  /** @returns {boolean} */
+  get isHost() { return Boolean(this._peerId) && this._peerId === this._hostPeerId; }
+
+  /** @returns {boolean} */
+  get isRoomLocked() { return this._isRoomLocked; }
+
+  /** @returns {number|null} Capacity of the current room, host included */
+  get maxPeers() { return this._maxPeers; }
+
+  /** @returns {'mesh'|'sfu'|'mcu'} How the current room carries audio */
+  get mode() { return this._mode; }
+
   /** @returns {boolean} */
   get isMuted() { return this._audio.isMuted; }
 
@@ -289,11 +1019,25 @@ class Session extends EventEmitter {
     this._signaling.chat(text.trim());
   }
 
+  /**
+   * Leaves the current room but stays logged in, e.g. to wait for the next
+   * call.  The microphone is released until another room is entered.
+   * @returns {Promise<void>}
+   */
+  async hangUp() {
+    if (!this._roomKey) return;
+    await this._finishRecording();
+    await this._waitFor('left-room', 'error', () => this._signaling.leaveRoom());
+    this._audio.stopCapture();
+  }
+
   /**
    * Leaves the current room and disconnects from the signaling server.
    * @returns {Promise<void>}
    */
   async leave() {
+    // Saved before the process can exit with the files half written
+    await this._finishRecording();
     try {
       if (this._roomKey) this._signaling.leaveRoom();
       // Allow the leave-room message to be processed before closing the socket
@@ -311,6 +1055,23 @@ class Session extends EventEmitter {
   /** @returns {string|null} */
   get peerId() { return this._peerId; }
 
+  /** @returns {Participant[]} */
+  get participants() { return Array.from(this._participants.values()); }
+
+  /** @returns {NetworkSummary} quality of every WebRTC connection measured so far */
+  get networkStats() {
+    const links = Array.from(this._peers.stats, ([peerId, stats]) => ({
+      peerId,
+      username: this._participants.get(peerId)?.username ?? null,
+      viaServer: peerId === SFU_PEER_ID,
+      stats,
+    }));
+    return { overall: combineStats(links.map((link) => link.stats)), links };
+  }
+
+  /** @returns {boolean} true while the signaling link is down and being restored */
+  get isReconnecting() { return this._isReconnecting; }
+
   /** @returns {string} */
   get username() { return this._username; }
 
@@ -342,7 +1103,10 @@ class Session extends EventEmitter {
       };
       const onError = (msg) => {
         cleanup();
-        reject(new Error(typeof msg === 'string' ? msg : msg.message));
+        const err = new Error(typeof msg === 'string' ? msg : msg.message);
+        // Preserve machine-readable server codes (e.g. ROOM_AUTH_FAILED)
+        if (msg?.code) err.code = msg.code;
+        reject(err);
       };
 
       timer = setTimeout(() => {
@@ -19,9 +19,11 @@ const MAX_RECONNECT_ATTEMPTS = 5;
  * `on('room-joined', …)` listeners.
  *
  * Additional events:
- *   'open'  — connection established
- *   'close' — connection closed (intentional or not)
- *   'error' — a SignalingError was encountered
+ *   'open'         — connection established
+ *   'close'        — connection closed (intentional or not)
+ *   'reconnecting' (attempt) — an automatic reconnect has been scheduled
+ *   'reconnected'  — an automatic reconnect succeeded (follows 'open')
+ *   'error'        — a SignalingError was encountered
  */
 class SignalingClient extends EventEmitter {
   /**
@@ -37,6 +39,7 @@ class SignalingClient extends EventEmitter {
     this._latencyTimer = null;
     this._latencyMs = -1;
     this._reconnectAttempts = 0;
+    this._reconnectTimer = null;
     this._intentionalClose = false;
   }
 
@@ -61,7 +64,6 @@ class SignalingClient extends EventEmitter {
         // Connection established — remove the connect-phase error handler so
         // the ongoing handler (registered below) takes over exclusively.
         this._ws.removeListener('error', onConnectError);
-        this._reconnectAttempts = 0;
         this._startPing();
         logger.info(`Signaling connected to ${this._url}`);
 
@@ -88,8 +90,11 @@ class SignalingClient extends EventEmitter {
           this.emit('error', new SignalingError(err.message, 'WS_ERROR'));
         });
 
+        const wasReconnecting = this._reconnectAttempts > 0;
+        this._reconnectAttempts = 0;
         resolve();
         this.emit('open');
+        if (wasReconnecting) this.emit('reconnected');
       });
 
       this._ws.once('error', onConnectError);
@@ -137,10 +142,15 @@ class SignalingClient extends EventEmitter {
     }
     this._reconnectAttempts++;
     logger.warn(`Reconnecting in ${RECONNECT_DELAY_MS}ms (attempt ${this._reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`);
-    setTimeout(
-      () => this.connect().catch((err) => this.emit('error', err)),
-      RECONNECT_DELAY_MS,
-    );
+    this.emit('reconnecting', this._reconnectAttempts);
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      // A failed attempt never opens, so no 'close' fires — chain the next one here
+      this.connect().catch((err) => {
+        logger.warn(err.message);
+        if (!this._intentionalClose) this._scheduleReconnect();
+      });
+    }, RECONNECT_DELAY_MS);
   }
 
   // ── Send helpers ──────────────────────────────────────────────────────────
@@ -163,10 +173,26 @@ class SignalingClient extends EventEmitter {
   /** @param {string} username */
   login(username) { this.send({ type: 'login', username }); }
 
-  createRoom() { this.send({ type: 'create-room' }); }
+  /** @param {string} resumeToken - Token issued in the last login-ok / resume-ok */
+  resume(resumeToken) { this.send({ type: 'resume', resumeToken }); }
 
-  /** @param {string} roomKey */
-  joinRoom(roomKey) { this.send({ type: 'join-room', roomKey }); }
+  /**
+   * @param {Object}             [opts]
+   * @param {string}             [opts.password] - Makes the room private
+   * @param {number}             [opts.maxPeers] - Room capacity; the server default when omitted
+   * @param {'mesh'|'sfu'|'mcu'} [opts.mode]     - How audio is carried; the server default is mesh
+   */
+  createRoom({ password, maxPeers, mode } = {}) {
+    this.send({ type: 'create-room', password, maxPeers, mode });
+  }
+
+  /**
+   * @param {string} roomKey
+   * @param {string} [password] - Required for private rooms
+   */
+  joinRoom(roomKey, password) { this.send({ type: 'join-room', roomKey, password }); }
+
+  listUsers() { this.send({ type: 'list-users' }); }
 
   /** @param {string} toUsername */
   invite(toUsername) { this.send({ type: 'invite', toUsername }); }
@@ -177,11 +203,34 @@ class SignalingClient extends EventEmitter {
   /** @param {string} roomKey */
   declineInvite(roomKey) { this.send({ type: 'decline-invite', roomKey }); }
 
+  /** @param {string} toUsername */
+  cancelInvite(toUsername) { this.send({ type: 'cancel-invite', toUsername }); }
+
   leaveRoom() { this.send({ type: 'leave-room' }); }
 
   /** @param {string} text */
   chat(text) { this.send({ type: 'chat', text }); }
 
+  /**
+   * Publishes this client's state flags (e.g. `{ isMuted: true }`) to the room.
+   * @param {Object} state
+   */
+  publishState(state) { this.send({ type: 'peer-state', ...state }); }
+
+  // Host-only moderation; the server answers non-hosts with moderation-error
+
+  /** @param {string} peerId */
+  kickPeer(peerId) { this.send({ type: 'kick-peer', peerId }); }
+
+  /** @param {string} peerId */
+  mutePeer(peerId) { this.send({ type: 'mute-peer', peerId }); }
+
+  /** @param {boolean} locked */
+  lockRoom(locked) { this.send({ type: 'lock-room', locked }); }
+
+  /** @param {string} peerId */
+  transferHost(peerId) { this.send({ type: 'transfer-host', peerId }); }
+
   /**
    * Forwards a WebRTC signal payload to another peer via the server.
    * @param {string} toPeerId
@@ -194,6 +243,8 @@ class SignalingClient extends EventEmitter {
   /** Closes the connection intentionally (no reconnection will be attempted). */
   disconnect() {
     this._intentionalClose = true;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
     this._stopPing();
     this._ws?.close();
     this._ws = null;
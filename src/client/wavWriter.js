@@ -0,0 +1,114 @@
+'use strict';
+
+const fs = require('fs');
+const { SAMPLE_RATE } = require('../utils/audioFormat');
+const { AudioError } = require('../utils/errors');
+
+const HEADER_BYTES = 44;
+const BITS_PER_SAMPLE = 16;
+
+/** RIFF sizes are 32-bit, which caps the audio data of one file at just under 4GB. */
+const MAX_DATA_BYTES = 0xFFFFFFFF - (HEADER_BYTES - 8);
+
+// Samples are gathered in memory and written in blocks of about this size
+const FLUSH_BYTES = 192_000;
+
+/**
+ * Writes 16-bit PCM to a WAV file as it arrives.  The header is written with
+ * empty sizes up front and filled in by close(), so a file is only valid
+ * once closed.
+ */
+class WavWriter {
+  /**
+   * @param {string} path
+   * @param {Object} [opts]
+   * @param {number} [opts.channels=1]       - Interleaved channels per sample frame
+   * @param {number} [opts.sampleRate=SAMPLE_RATE]
+   * @throws {AudioError} RECORDING_OPEN_FAILED when the file cannot be created
+   */
+  constructor(path, { channels = 1, sampleRate = SAMPLE_RATE } = {}) {
+    this._path = path;
+    this._channels = channels;
+    this._sampleRate = sampleRate;
+    this._dataBytes = 0;
+    /** @type {Buffer[]} */
+    this._pending = [];
+    this._pendingBytes = 0;
+
+    try {
+      this._fd = fs.openSync(path, 'w');
+      fs.writeSync(this._fd, this._header());
+    } catch (err) {
+      throw new AudioError(`Cannot write ${path}: ${err.message}`, 'RECORDING_OPEN_FAILED');
+    }
+  }
+
+  /**
+   * Appends samples, interleaved when there is more than one channel.
+   *
+   * @param {Int16Array} samples
+   * @throws {AudioError} RECORDING_TOO_LARGE once the file would pass the WAV size limit
+   */
+  write(samples) {
+    if (this._fd === null) return;
+    if (this._dataBytes + samples.byteLength > MAX_DATA_BYTES) {
+      throw new AudioError(`${this._path} reached the 4GB WAV size limit`, 'RECORDING_TOO_LARGE');
+    }
+    this._pending.push(Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+    this._pendingBytes += samples.byteLength;
+    this._dataBytes += samples.byteLength;
+    if (this._pendingBytes >= FLUSH_BYTES) this._flush();
+  }
+
+  /** Writes what is buffered, fills in the header sizes and closes the file. */
+  close() {
+    if (this._fd === null) return;
+    this._flush();
+    fs.writeSync(this._fd, this._header(), 0, HEADER_BYTES, 0);
+    fs.closeSync(this._fd);
+    this._fd = null;
+  }
+
+  /** @returns {number} seconds of audio written */
+  get duration() {
+    return this._dataBytes / (this._channels * (BITS_PER_SAMPLE / 8) * this._sampleRate);
+  }
+
+  /** @returns {string} */
+  get path() {
+    return this._path;
+  }
+
+  /** @private */
+  _flush() {
+    if (this._pendingBytes === 0) return;
+    fs.writeSync(this._fd, Buffer.concat(this._pending, this._pendingBytes));
+    this._pending = [];
+    this._pendingBytes = 0;
+  }
+
+  /**
+   * @returns {Buffer} a canonical 44-byte PCM header for the data written so far
+   * @private
+   */
+  _header() {
+    const blockAlign = this._channels * (BITS_PER_SAMPLE / 8);
+    const header = Buffer.alloc(HEADER_BYTES);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(HEADER_BYTES - 8 + this._dataBytes, 4);
+    header.write('WAVE', 8, 'ascii');
+    header.write('fmt ', 12, 'ascii');
+    header.writeUInt32LE(16, 16);                  // fmt chunk size
+    header.writeUInt16LE(1, 20);                   // PCM
+    header.writeUInt16LE(this._channels, 22);
+    header.writeUInt32LE(this._sampleRate, 24);
+    header.writeUInt32LE(this._sampleRate * blockAlign, 28);
+    header.writeUInt16LE(blockAlign, 32);
+    header.writeUInt16LE(BITS_PER_SAMPLE, 34);
+    header.write('data', 36, 'ascii');
+    header.writeUInt32LE(this._dataBytes, 40);
+    return header;
+  }
+}
+
+module.exports = { WavWriter, MAX_DATA_BYTES };
@@ -0,0 +1,146 @@
+'use strict';
+
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const ora = require('ora');
+const { VoiceActivityDetector, DEFAULT_VAD_SETTINGS } = require('../client/processing/vad');
+const { suggestVadSettings } = require('../client/processing/calibration');
+const { SAMPLE_RATE, FRAME_SAMPLES, pcmSamples, FrameAssembler, Resampler } = require('../utils/audioFormat');
+const { findDevice, defaultDevice, chooseFormat } = require('../client/devices');
+const { loadSettings, saveSettings, settingsPath } = require('../utils/settings');
+const theme = require('../ui/theme');
+
+const QUIET_MS = 3_000;
+const SPEAK_MS = 5_000;
+
+/**
+ * `voicesync calibrate` command handler.
+ *
+ * Listens to the microphone while the user stays quiet and then while they
+ * talk, and suggests voice detection settings for the noise gate and
+ * speaking indicator.  Accepted settings are saved for every later call.
+ *
+ * @param {Object}  opts
+ * @param {boolean} [opts.yes]         - Save the suggestion without asking
+ * @param {string}  [opts.inputDevice] - Microphone ID or name; the system default when unset
+ * @param {number}  [opts.sampleRate]  - Rate to open the microphone at; 48kHz or the nearest it supports when unset
+ */
+async function runCalibrate(opts) {
+  let AudifyMic, listDevices;
+  try {
+    ({ AudifyMic, listDevices } = require('../client/audifyAudio'));
+  } catch {
+    console.error(theme.error('Calibration needs microphone access. Run: npm install audify'));
+    process.exit(1);
+  }
+
+  let device = null;
+  let format;
+  try {
+    const devices = listDevices();
+    if (opts.inputDevice !== undefined) device = findDevice(devices, opts.inputDevice, 'input');
+    format = chooseFormat(device ?? defaultDevice(devices, 'input'), 'input', { sampleRate: opts.sampleRate });
+  } catch (err) {
+    console.error(theme.error(err.message));
+    process.exit(1);
+  }
+
+  console.log(theme.title('\nMicrophone calibration\n'));
+  console.log(theme.muted('Measures your background noise and speaking level to tune when your'));
+  console.log(theme.muted('microphone opens and when you show as speaking.\n'));
+  if (device) console.log(`Using ${theme.highlight(device.name)}\n`);
+
+  const vad = new VoiceActivityDetector();
+  /** @type {number[]|null} levels of the phase being recorded */
+  let levels = null;
+  // Measured as calls hear it: at 48kHz, in 10ms frames
+  const resampler = new Resampler(format.sampleRate, SAMPLE_RATE);
+  const frames = new FrameAssembler(FRAME_SAMPLES);
+
+  const mic = new AudifyMic({ sampleRate: format.sampleRate, deviceId: device?.id });
+  mic.on('data', (chunk) => {
+    for (const frame of frames.push(resampler.process(pcmSamples(chunk)))) {
+      vad.process(frame);
+      levels?.push(vad.level);
+    }
+  });
+
+  /**
+   * Collects levels for a while behind a spinner.
+   * @param {string} text
+   * @param {number} ms
+   * @returns {Promise<number[]>}
+   */
+  const record = async (text, ms) => {
+    const spinner = ora(text).start();
+    levels = [];
+    await new Promise((resolve) => setTimeout(resolve, ms));
+    const recorded = levels;
+    levels = null;
+    spinner.succeed();
+    return recorded;
+  };
+
+  try {
+    mic.start();
+  } catch (err) {
+    console.error(theme.error(`Failed to open microphone: ${err.message}`));
+    process.exit(1);
+  }
+
+  await inquirer.prompt([{ type: 'input', name: 'ready', message: 'Stay quiet for 3 seconds. Press Enter to start' }]);
+  const ambient = await record('Measuring background noise — stay quiet…', QUIET_MS);
+  await inquirer.prompt([{ type: 'input', name: 'ready', message: 'Now talk normally for 5 seconds, e.g. read this line aloud. Press Enter to start' }]);
+  const speech = await record('Listening — keep talking…', SPEAK_MS);
+  mic.stop();
+
+  let result;
+  try {
+    result = suggestVadSettings(ambient, speech);
+  } catch (err) {
+    console.error(theme.error(`\n${err.message}. Check your input device and try again.`));
+    process.exit(1);
+  }
+
+  const current = { ...DEFAULT_VAD_SETTINGS, ...loadSettings().vad };
+  const { suggested } = result;
+  console.log('');
+  const row = (label, value, note = '') => console.log(`  ${label.padEnd(19)}${value}${note && `  ${note}`}`);
+  row('Background noise', dbfs(result.noiseLevel));
+  row('Your voice', dbfs(result.speechLevel), `(${result.snrDb.toFixed(0)}dB above the noise)`);
+  row('Voice threshold', dbfs(suggested.threshold), theme.muted(`currently ${dbfs(current.threshold)}`));
+  row('Hold after speech', `${suggested.hangoverMs}ms`, theme.muted(`currently ${current.hangoverMs}ms`));
+  if (result.snrDb < 15) {
+    console.log(theme.warning('\n  Your voice is not far above the background noise. Moving closer to the'));
+    console.log(theme.warning('  microphone or trying --ns=aggressive in calls may help.'));
+  }
+  console.log('');
+
+  if (!opts.yes) {
+    const { save } = await inquirer.prompt([
+      { type: 'confirm', name: 'save', message: 'Save these settings?', default: true },
+    ]);
+    if (!save) {
+      console.log(chalk.yellow('Settings left unchanged.'));
+      return;
+    }
+  }
+
+  try {
+    saveSettings({ vad: suggested });
+  } catch (err) {
+    console.error(theme.error(err.message));
+    process.exit(1);
+  }
+  console.log(theme.success(`Saved to ${settingsPath()}`));
+}
+
+/**
+ * @param {number} level - RMS [0, 1]
+ * @returns {string} e.g. "-42 dBFS"
+ */
+function dbfs(level) {
+  return `${(20 * Math.log10(Math.max(level, 1e-6))).toFixed(0)} dBFS`;
+}
+
+module.exports = { runCalibrate };
@@ -1,10 +1,27 @@
 'use strict';
 
+const path = require('path');
+const inquirer = require('inquirer');
 const chalk = require('chalk');
 const notifier = require('node-notifier');
 const { createDashboard } = require('../ui/dashboard');
+const { createPushToTalkKey } = require('../ui/pushToTalkKey');
+const { devicesOfKind } = require('../client/devices');
+const { MAX_PEER_VOLUME } = require('../client/audio');
+const { loadSettings } = require('../utils/settings');
+const { loadProfile } = require('../utils/config');
+const { NOISE_SUPPRESSION_LEVELS } = require('../utils/audioOptions');
+const { resolveIceServers } = require('../utils/iceServers');
 const logger = require('../utils/logger');
 
+// [?] help, in groups; the host-only keys are shown to the host alone
+const HELP_KEYS = '[M] Mute  [C] Chat  [I] Invite  [P] Audio  [T] PTT  [Space] Talk  [D] Devices  [R] Rec  [N] Network  [Q] Leave  [?] This help';
+const PARTICIPANT_HELP_KEYS = '[↑↓] Select  [+/-] Volume  [S] Silence';
+const HOST_HELP_KEYS = 'Host: [K] Kick  [X] Mute  [L] Lock  [H] Make host';
+
+/** Signaling server used when no flag, $VOICESYNC_SERVER or profile names one. */
+const DEFAULT_SERVER = 'ws://localhost:3000';
+
 /**
  * Runs the interactive in-call blessed dashboard for an active Session.
  *
@@ -13,27 +30,73 @@ const logger = require('../utils/logger');
  *
  * Keyboard shortcuts handled here:
  *   [M]       — toggle microphone mute
- *   [Q]       — leave the call and exit
+ *   [C]       — open the chat input
+ *   [I]       — invite an online user into the call
+ *   [P]       — audio processing menu (echo cancellation, noise suppression, AGC, …)
+ *   [T]       — toggle push-to-talk mode
+ *   [D]       — switch microphone or speaker without leaving the call
+ *   [R]       — start or stop recording the call
+ *   [N]       — show or hide connection quality for each peer
+ *   [Space]   — (push-to-talk) hold to talk, or tap to start and tap again to stop
+ *   [↑/↓]     — select a participant for the actions below
+ *   [+/-]     — turn the selected participant up or down, for you only
+ *   [S]       — silence the selected participant for you, or hear them again
+ *   [K]       — (host) kick the selected participant
+ *   [X]       — (host) mute the selected participant
+ *   [L]       — (host) lock/unlock the room to uninvited users
+ *   [H]       — (host) hand hosting to the selected participant
+ *   [Q]       — leave the call and exit (or hang up, with `stayConnected`)
  *   [?]       — show shortcut reminder in status bar
  *   [Ctrl+C]  — emergency exit
  *
  * @param {import('../client/session').Session} session - Active, connected session
  * @param {string} roomKey
  * @param {string} username
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.stayConnected=false] - [Q] hangs up and resolves instead
+ *                                               of exiting the process
+ * @param {{ path?: string, layout?: string }} [opts.record] - Recording layout for [R];
+ *                                               with a path, recording starts at once
  * @returns {Promise<void>} Resolves when the call ends
  */
-async function runCallUI(session, roomKey, username) {
+async function runCallUI(session, roomKey, username, { stayConnected = false, record = {} } = {}) {
   const dashboard = createDashboard({ username, roomKey });
 
+  // Listeners are detached when the call ends so a long-lived session
+  // (`voicesync listen`) does not keep feeding a destroyed dashboard.
+  const bound = [];
+  const on = (event, fn) => {
+    session.on(event, fn);
+    bound.push([event, fn]);
+  };
+
+  let resolveEnded;
+  const ended = new Promise((resolve) => { resolveEnded = resolve; });
+  let finished = false;
+  const finish = (details = {}) => {
+    if (finished) return;
+    finished = true;
+    session.removeListener('ended', finish);
+    for (const [event, fn] of bound) session.removeListener(event, fn);
+    dashboard.destroy();
+    if (details.reason) console.log(chalk.yellow(`\n${details.reason}`));
+    if (savedTo) console.log(chalk.green(`\nRecording saved to ${savedTo}`));
+    resolveEnded();
+  };
+
   // ── Forward session events to dashboard ───────────────────────────────────
 
-  session.on('audio-samples', (samples) => dashboard.updateWaveform(samples));
+  on('audio-samples', (samples) => dashboard.updateWaveform(samples));
 
-  session.on('participant-update', (participants) => dashboard.updateParticipants(participants));
+  on('participant-update', (participants) => dashboard.updateParticipants(participants));
 
-  session.on('latency', (ms) => dashboard.updateLatency(ms));
+  on('latency', (ms) => dashboard.updateLatency(ms));
 
-  session.on('chat', ({ fromUsername, text }) => {
+  on('network-stats', (summary) => dashboard.updateNetworkStats(summary));
+
+  on('transmitting', (active) => dashboard.updatePushToTalk(session.isPushToTalk, active));
+
+  on('chat', ({ fromUsername, text }) => {
     dashboard.addChatMessage(fromUsername, text, false);
 
     // OS push notification so the user sees chat even when terminal is in the background
@@ -44,19 +107,94 @@ async function runCallUI(session, roomKey, username) {
     });
   });
 
-  session.on('error', (err) => {
+  on('reconnecting', (attempt) => {
+    dashboard.updateConnectionState(true);
+    dashboard.setStatus(chalk.yellow(`Connection lost — reconnecting… (attempt ${attempt})`));
+  });
+
+  on('reconnected', () => {
+    dashboard.updateConnectionState(false);
+    dashboard.showMessage(chalk.green('Reconnected — call resumed'));
+  });
+
+  on('invite-sent', ({ toUsername }) => {
+    dashboard.showMessage(chalk.green(`Invite sent to ${toUsername}`));
+  });
+
+  on('invite-declined', ({ username: decliner }) => {
+    dashboard.showMessage(chalk.yellow(`${decliner} declined the invite`));
+  });
+
+  on('force-muted', ({ byUsername }) => {
+    dashboard.updateMuteState(true);
+    dashboard.showMessage(chalk.yellow(`${byUsername} muted your microphone — press [M] to unmute`));
+  });
+
+  on('host-changed', ({ username: host, isSelf }) => {
+    dashboard.showMessage(isSelf ? chalk.green('You are now the host') : `${host} is now the host`);
+  });
+
+  on('room-locked', (locked) => {
+    dashboard.updateRoomLock(locked);
+    dashboard.showMessage(locked ? 'Room locked — only invited users can join' : 'Room unlocked');
+  });
+
+  on('moderation-error', (message) => {
+    dashboard.showMessage(chalk.red(message));
+  });
+
+  // Where the last recording went, to repeat once the dashboard is gone
+  let savedTo = null;
+  on('recording-stopped', (summary, err) => {
+    if (summary) savedTo = recordingLocation(summary);
+    if (err) {
+      dashboard.showMessage(chalk.red(`Recording stopped: ${err.message}${summary ? ` — saved to ${savedTo}` : ''}`));
+    } else if (summary) {
+      dashboard.showMessage(chalk.green(`Recording saved to ${savedTo}`));
+    }
+  });
+
+  let disconnected = false;
+  on('error', (err) => {
     logger.error(err.message);
 
-    // Connection lost is fatal — exit gracefully instead of sitting in a dead UI
-    if (err.code === 'CONN_LOST' || err.code === 'WS_ERROR') {
-      dashboard.destroy();
-      console.error(chalk.red(`\nDisconnected: ${err.message}\n`));
-      process.exit(1);
+    // Socket errors are followed by an automatic reconnect; only give up once
+    // the session reports the connection as unrecoverable.
+    if (err.code === 'CONN_LOST') {
+      if (disconnected) return;
+      disconnected = true;
+      // A recording is saved first, as when leaving with [Q]
+      if (session.isRecording) dashboard.setStatus(chalk.red('Connection lost — saving recording...'));
+      session.leave().catch(() => {}).then(() => {
+        dashboard.destroy();
+        console.error(chalk.red(`\nDisconnected: ${err.message}\n`));
+        if (savedTo) console.log(chalk.green(`Recording saved to ${savedTo}\n`));
+        process.exit(1);
+      });
+      return;
     }
 
     dashboard.showMessage(chalk.red(`Error: ${err.message}`));
   });
 
+  // Participants may have arrived before the dashboard existed
+  dashboard.updateParticipants(session.participants);
+  dashboard.updateRoomLock(session.isRoomLocked);
+  dashboard.updateCapacity(session.maxPeers);
+  dashboard.updatePushToTalk(session.isPushToTalk, session.isTransmitting);
+  dashboard.updateNetworkStats(session.networkStats);
+
+  /** @param {string} file */
+  const startRecording = (file) => {
+    try {
+      session.startRecording({ path: file, layout: record.layout });
+      dashboard.showMessage(`Recording to ${file} — press [R] to stop`);
+    } catch (err) {
+      dashboard.showMessage(chalk.red(`Could not start recording: ${err.message}`));
+    }
+  };
+  if (record.path) startRecording(record.path);
+
   // ── Keyboard shortcuts ────────────────────────────────────────────────────
 
   const { screen } = dashboard;
@@ -69,6 +207,27 @@ async function runCallUI(session, roomKey, username) {
     dashboard.showMessage(nowMuted ? 'Microphone muted' : 'Microphone unmuted');
   });
 
+  const talkKey = createPushToTalkKey((active) => session.setTransmitting(active));
+
+  screen.key(['space'], () => {
+    if (dashboard.isPromptActive()) return;
+    if (!session.isPushToTalk) {
+      dashboard.showMessage('Push-to-talk is off — press [T] to turn it on');
+      return;
+    }
+    talkKey.press();
+  });
+
+  screen.key(['t', 'T'], () => {
+    if (dashboard.isPromptActive()) return;
+    const enabled = !session.isPushToTalk;
+    talkKey.reset();
+    session.setPushToTalk(enabled);
+    dashboard.showMessage(enabled
+      ? 'Push-to-talk on — hold [Space] to talk, or tap it to start and stop'
+      : 'Push-to-talk off — the mic is open');
+  });
+
   screen.key(['c', 'C'], () => {
     if (dashboard.isPromptActive()) return;
     dashboard.openChatInput((text) => {
@@ -78,11 +237,247 @@ async function runCallUI(session, roomKey, username) {
     });
   });
 
+  screen.key(['i', 'I'], async () => {
+    if (dashboard.isPromptActive()) return;
+
+    let users;
+    try {
+      users = await session.listUsers();
+    } catch (err) {
+      dashboard.showMessage(chalk.red(`Could not list users: ${err.message}`));
+      return;
+    }
+    if (users.length === 0) {
+      dashboard.showMessage('No other users are online');
+      return;
+    }
+
+    dashboard.openUserPicker(users, (toUsername) => {
+      if (!toUsername) return;
+      dashboard.setStatus(`Inviting ${toUsername}…`);
+      // invite-sent is reported by the listener above
+      session.inviteUser(toUsername).catch((err) => {
+        dashboard.showMessage(chalk.red(`Invite failed: ${err.message}`));
+      });
+    });
+  });
+
+  // Settings listed in the [P] menu, in capture-chain order
+  const audioMenuItems = [
+    { label: 'Echo cancellation', key: 'echoCancellation' },
+    { label: 'High-pass filter', key: 'highPass' },
+    { label: 'Noise suppression', key: 'noiseSuppression' },
+    { label: 'Automatic gain control', key: 'agc' },
+    { label: 'Limiter', key: 'limiter' },
+  ];
+
+  /** @param {number} [selected] */
+  const openAudioMenu = (selected = 0) => {
+    const settings = session.audioSettings;
+    const labels = audioMenuItems.map(({ label, key }) => {
+      const value = settings[key];
+      const shown = typeof value === 'boolean' ? (value ? 'on' : 'off') : value;
+      return `${label.padEnd(24)} ${value === false || value === 'off' ? `{gray-fg}${shown}{/gray-fg}` : shown}`;
+    });
+
+    dashboard.openAudioMenu(labels, (index) => {
+      if (index === null) return;
+      const { label, key } = audioMenuItems[index];
+      const value = settings[key];
+      // Booleans toggle; noise suppression steps through its levels
+      const next = typeof value === 'boolean'
+        ? !value
+        : NOISE_SUPPRESSION_LEVELS[(NOISE_SUPPRESSION_LEVELS.indexOf(value) + 1) % NOISE_SUPPRESSION_LEVELS.length];
+      const now = session.updateAudioSettings({ [key]: next })[key];
+      dashboard.showMessage(`${label}: ${typeof now === 'boolean' ? (now ? 'on' : 'off') : now}`);
+      openAudioMenu(index);
+    }, selected);
+  };
+
+  screen.key(['p', 'P'], () => {
+    if (dashboard.isPromptActive()) return;
+    openAudioMenu();
+  });
+
+  const DEVICE_KINDS = [
+    { kind: 'input', label: 'Microphone', set: (id) => session.setInputDevice(id) },
+    { kind: 'output', label: 'Speaker', set: (id) => session.setOutputDevice(id) },
+  ];
+
+  /** @param {number} [selected] */
+  const openDeviceMenu = (selected = 0) => {
+    const current = session.audioDevices;
+    const labels = DEVICE_KINDS.map(({ kind, label }) =>
+      `${label.padEnd(12)} ${current[kind] ? current[kind].name : '{gray-fg}System default{/gray-fg}'}`);
+
+    dashboard.openDeviceMenu('Audio devices (Enter to change, Esc to close)', labels, (index) => {
+      if (index !== null) openDevicePicker(DEVICE_KINDS[index], index);
+    }, selected);
+  };
+
+  /**
+   * Lists the devices of one kind; choosing one switches to it, Esc goes back.
+   * @param {{ kind: 'input'|'output', label: string, set: Function }} entry
+   * @param {number} menuIndex - position of `entry` in the device menu
+   */
+  const openDevicePicker = ({ kind, label, set }, menuIndex) => {
+    let devices;
+    try {
+      devices = devicesOfKind(session.listAudioDevices(), kind);
+    } catch (err) {
+      dashboard.showMessage(chalk.red(`Could not list audio devices: ${err.message}`));
+      return;
+    }
+    if (devices.length === 0) {
+      dashboard.showMessage(`No ${label.toLowerCase()}s found`);
+      return;
+    }
+
+    const choices = [null, ...devices];
+    const current = session.audioDevices[kind];
+    const labels = choices.map((d) => {
+      if (!d) return 'System default';
+      const isDefault = kind === 'input' ? d.isDefaultInput : d.isDefaultOutput;
+      return `${d.name}${isDefault ? ' {gray-fg}(default){/gray-fg}' : ''}`;
+    });
+    const selected = current ? Math.max(0, choices.findIndex((d) => d && d.id === current.id)) : 0;
+
+    dashboard.openDeviceMenu(`${label} (Enter to switch, Esc to go back)`, labels, (index) => {
+      if (index === null) {
+        openDeviceMenu(menuIndex);
+        return;
+      }
+      const device = choices[index];
+      try {
+        set(device ? device.id : null);
+        dashboard.showMessage(`${label}: ${device ? device.name : 'system default'}`);
+      } catch (err) {
+        dashboard.showMessage(chalk.red(`Could not switch ${label.toLowerCase()}: ${err.message}`));
+      }
+    }, selected);
+  };
+
+  screen.key(['d', 'D'], () => {
+    if (dashboard.isPromptActive()) return;
+    openDeviceMenu();
+  });
+
+  screen.key(['r', 'R'], () => {
+    if (dashboard.isPromptActive()) return;
+    if (!session.isRecording) {
+      startRecording(defaultRecordingPath(session.roomKey || roomKey, record.layout));
+      return;
+    }
+    dashboard.setStatus('Saving recording…');
+    // The outcome is reported by the recording-stopped listener above
+    session.stopRecording().catch((err) => logger.warn(`Could not finish recording: ${err.message}`));
+  });
+
+  screen.key(['n', 'N'], () => {
+    if (dashboard.isPromptActive()) return;
+    dashboard.toggleNetworkPanel();
+  });
+
+  screen.key(['up', 'down'], (_ch, key) => {
+    if (dashboard.isPromptActive()) return;
+    dashboard.moveSelection(key.name === 'up' ? -1 : 1);
+  });
+
+  /**
+   * Changes how the selected participant plays for us alone.
+   * @param {(target: Object) => string} adjust - returns the message to show
+   */
+  const adjustSelected = (adjust) => {
+    if (dashboard.isPromptActive()) return;
+    const target = dashboard.getSelectedParticipant();
+    if (!target) {
+      dashboard.showMessage('Select a participant with the arrow keys first');
+      return;
+    }
+    try {
+      dashboard.showMessage(adjust(target));
+    } catch (err) {
+      if (err.code !== 'MIXED_AUDIO') throw err;
+      dashboard.showMessage(chalk.yellow(`${err.message} — volume is the same for everyone`));
+    }
+  };
+
+  /** @param {1|-1} direction */
+  const stepVolume = (direction) => adjustSelected((target) => {
+    const volume = Math.min(MAX_PEER_VOLUME, Math.max(0, (Math.round(target.volume * 10) + direction) / 10));
+    session.setPeerVolume(target.peerId, volume);
+    const note = target.isSilenced ? ' (silenced — press [S] to hear them)' : '';
+    return `${target.username} at ${Math.round(volume * 100)}% for you${note}`;
+  });
+
+  screen.key(['+', '='], () => stepVolume(1));
+  screen.key(['-', '_'], () => stepVolume(-1));
+
+  screen.key(['s', 'S'], () => adjustSelected((target) => {
+    const silence = !target.isSilenced;
+    session.setPeerSilenced(target.peerId, silence);
+    return silence ? `Silenced ${target.username} for you` : `You can hear ${target.username} again`;
+  }));
+
+  /**
+   * Runs a host action against the selected participant.
+   * @param {(target: Object) => void} action
+   */
+  const withSelected = (action) => {
+    if (dashboard.isPromptActive()) return;
+    if (!session.isHost) {
+      dashboard.showMessage('Only the host can do that');
+      return;
+    }
+    const target = dashboard.getSelectedParticipant();
+    if (!target) {
+      dashboard.showMessage('Select a participant with the arrow keys first');
+      return;
+    }
+    action(target);
+  };
+
+  screen.key(['k', 'K'], () => withSelected((target) => {
+    session.kickPeer(target.peerId);
+    dashboard.showMessage(`Removed ${target.username} from the call`);
+  }));
+
+  screen.key(['x', 'X'], () => withSelected((target) => {
+    session.mutePeer(target.peerId);
+    dashboard.showMessage(`Muted ${target.username}`);
+  }));
+
+  screen.key(['h', 'H'], () => withSelected((target) => {
+    session.transferHost(target.peerId);
+  }));
+
+  screen.key(['l', 'L'], () => {
+    if (dashboard.isPromptActive()) return;
+    if (!session.isHost) {
+      dashboard.showMessage('Only the host can do that');
+      return;
+    }
+    // Confirmed by the room-locked broadcast
+    session.setRoomLocked(!session.isRoomLocked);
+  });
+
   screen.key(['q', 'Q'], async () => {
     if (dashboard.isPromptActive()) return;
-    dashboard.setStatus('Leaving call...');
+
+    if (stayConnected) {
+      dashboard.setStatus('Hanging up...');
+      // The session's 'ended' event tears the dashboard down once the server confirms
+      await session.hangUp().catch((err) => {
+        logger.warn(`Hang up failed: ${err.message}`);
+        finish();
+      });
+      return;
+    }
+
+    dashboard.setStatus(session.isRecording ? 'Saving recording and leaving call...' : 'Leaving call...');
     await session.leave();
     dashboard.destroy();
+    if (savedTo) console.log(chalk.green(`\nRecording saved to ${savedTo}`));
     console.log(chalk.yellow('\nYou left the call. Goodbye!\n'));
     process.exit(0);
   });
@@ -90,22 +485,170 @@ async function runCallUI(session, roomKey, username) {
   screen.key(['C-c'], async () => {
     await session.leave();
     dashboard.destroy();
+    if (savedTo) console.log(chalk.green(`\nRecording saved to ${savedTo}`));
     process.exit(0);
   });
 
   screen.key(['?'], () => {
     if (dashboard.isPromptActive()) return;
-    dashboard.showMessage('[M] Mute  [C] Chat  [Q] Leave  [?] This help');
+    const groups = [HELP_KEYS, PARTICIPANT_HELP_KEYS];
+    if (session.isHost) groups.push(HOST_HELP_KEYS);
+    dashboard.showMessage(groups.join('  |  '));
   });
 
   // ── Wait for the call to end ───────────────────────────────────────────────
 
-  return new Promise((resolve) => {
-    session.once('ended', () => {
-      dashboard.destroy();
-      resolve();
-    });
+  session.once('ended', finish);
+  return ended;
+}
+
+/**
+ * Asks an idle (not-in-a-call) user whether to take an incoming invite and
+ * answers it through the session.  The question is withdrawn if the caller
+ * hangs up first.  Must be called outside the dashboard, since it prompts on
+ * the plain terminal.
+ *
+ * @param {import('../client/session').Session} session
+ * @param {{ fromUsername: string, roomKey: string }} invite
+ * @returns {Promise<'accepted'|'declined'|'cancelled'>} 'accepted' once the room was joined
+ */
+async function answerInvite(session, { fromUsername, roomKey }) {
+  const prompt = inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'accept',
+      message: `Incoming call from ${chalk.bold(fromUsername)} — accept?`,
+      default: true,
+    },
+  ]);
+  let onCancelled;
+  const cancelled = new Promise((resolve) => {
+    onCancelled = (invite) => {
+      if (invite.roomKey !== roomKey) return;
+      // A closed prompt never answers, so end the line it was on here
+      prompt.ui.close();
+      process.stdout.write('\n');
+      resolve(null);
+    };
+    session.on('invite-cancelled', onCancelled);
   });
+  const answer = await Promise.race([prompt, cancelled])
+    .finally(() => session.removeListener('invite-cancelled', onCancelled));
+
+  if (!answer) return 'cancelled';
+  if (!answer.accept) {
+    session.declineInvite(roomKey);
+    return 'declined';
+  }
+  await session.acceptInvite(roomKey);
+  return 'accepted';
+}
+
+/**
+ * Builds the Session audio options from the audio flags shared by every
+ * call command, plus the voice detection settings saved by
+ * `voicesync calibrate`.
+ *
+ * @param {Object}  opts
+ * @param {boolean} [opts.aec] - false with --no-aec
+ * @param {boolean} [opts.agc] - false with --no-agc
+ * @param {string}  [opts.ns]  - noise suppression level from --ns
+ * @param {boolean} [opts.ptt] - true with --ptt
+ * @param {string}  [opts.inputDevice]  - microphone ID or name from --input-device
+ * @param {string}  [opts.outputDevice] - speaker ID or name from --output-device
+ * @param {boolean} [opts.stereo]       - true with --stereo
+ * @param {number}  [opts.sampleRate]   - device rate from --sample-rate
+ * @returns {Object} options for the Session constructor
+ */
+function audioOptions(opts) {
+  return {
+    echoCancellation: opts.aec,
+    processing: { agc: opts.agc, noiseSuppression: opts.ns },
+    vad: loadSettings().vad,
+    pushToTalk: Boolean(opts.ptt),
+    inputDevice: opts.inputDevice,
+    outputDevice: opts.outputDevice,
+    stereo: Boolean(opts.stereo),
+    sampleRate: opts.sampleRate,
+  };
+}
+
+/**
+ * Builds the Session network options from the ICE flags shared by every
+ * call command, falling back to the environment, the active profile and
+ * then saved settings (see resolveIceServers).
+ *
+ * @param {Object}   opts
+ * @param {string[]} [opts.iceServer]      - STUN/TURN URLs from --ice-server
+ * @param {string}   [opts.turnUsername]   - from --turn-username
+ * @param {string}   [opts.turnCredential] - from --turn-credential
+ * @param {string}   [opts.profile]        - from --profile
+ * @returns {Object} network options for the Session constructor
+ * @throws {import('../utils/errors').VoiceSyncError} on a malformed ICE server
+ */
+function networkOptions(opts) {
+  const { values } = loadProfile(opts.profile);
+  const saved = loadSettings().ice ?? {};
+  return {
+    iceServers: resolveIceServers({
+      urls: opts.iceServer,
+      turnUsername: opts.turnUsername,
+      turnCredential: opts.turnCredential,
+      settings: {
+        servers: values.iceServers ?? saved.servers,
+        turnUsername: values.turnUsername ?? saved.turnUsername,
+        turnCredential: values.turnCredential ?? saved.turnCredential,
+      },
+    }),
+  };
+}
+
+/**
+ * Defaults for the server and username prompts: $VOICESYNC_SERVER, else the
+ * active profile's server, else DEFAULT_SERVER; and the profile's username.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.profile] - from --profile
+ * @returns {{ server: string, username?: string }}
+ * @throws {import('../utils/errors').VoiceSyncError} PROFILE_NOT_FOUND
+ */
+function promptDefaults(opts) {
+  const { values } = loadProfile(opts.profile);
+  return {
+    server: process.env.VOICESYNC_SERVER || values.server || DEFAULT_SERVER,
+    username: values.username,
+  };
+}
+
+/**
+ * Builds the runCallUI recording options from --record and --record-layout.
+ *
+ * @param {Object} opts
+ * @param {string} [opts.record]       - file (or directory, for the split layout) to record to
+ * @param {string} [opts.recordLayout] - mix, multitrack or split
+ * @returns {{ path?: string, layout?: string }}
+ */
+function recordOptions(opts) {
+  return { path: opts.record, layout: opts.recordLayout };
+}
+
+/**
+ * @param {string} roomKey
+ * @param {string} [layout='mix']
+ * @returns {string} e.g. "voicesync-ABC-DEF-GHJ-2024-05-01-14-30-00.wav" in the
+ *   working directory; no extension for the split layout's directory
+ */
+function defaultRecordingPath(roomKey, layout = 'mix') {
+  const stamp = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  return `voicesync-${roomKey}-${stamp}${layout === 'split' ? '' : '.wav'}`;
+}
+
+/**
+ * @param {import('../client/recorder').RecordingSummary} summary
+ * @returns {string} the file written, or the directory for the split layout
+ */
+function recordingLocation({ files, metadataPath }) {
+  return files.length === 1 ? files[0] : path.dirname(metadataPath);
 }
 
-module.exports = { runCallUI };
+module.exports = { runCallUI, answerInvite, audioOptions, networkOptions, promptDefaults, recordOptions };
@@ -0,0 +1,123 @@
+'use strict';
+
+const {
+  PROFILE_KEYS,
+  configPath,
+  loadConfig,
+  activeProfileName,
+  loadProfile,
+  setProfileValue,
+  unsetProfileValue,
+  setDefaultProfile,
+  normaliseKey,
+  formatValue,
+} = require('../utils/config');
+const theme = require('../ui/theme');
+
+/**
+ * `voicesync config list` command handler: every profile and its settings,
+ * with the active one marked.
+ *
+ * @param {Object}  opts
+ * @param {boolean} [opts.showSecrets] - Show TURN credentials instead of masking them
+ */
+function runConfigList({ showSecrets = false } = {}) {
+  const { profiles } = loadConfig();
+  const active = activeProfileName();
+  console.log(theme.muted(`Config file: ${configPath()}`));
+
+  const names = Object.keys(profiles);
+  if (names.length === 0) {
+    console.log('\nNo profiles saved yet. Create one with, e.g.:');
+    console.log(theme.muted('  voicesync config set server wss://voice.example.com'));
+    console.log(theme.muted('  voicesync config set --profile work username alice\n'));
+    return;
+  }
+
+  const keyWidth = Math.max(...Object.keys(PROFILE_KEYS).map((key) => key.length)) + 2;
+  for (const name of names) {
+    console.log(`\n${theme.title(name)}${name === active ? theme.success('  (active)') : ''}`);
+    const entries = Object.entries(profiles[name]);
+    if (entries.length === 0) console.log(theme.muted('  nothing set'));
+    for (const [key, value] of entries) {
+      console.log(`  ${key.padEnd(keyWidth)}${formatValue(key, value, { reveal: showSecrets })}`);
+    }
+  }
+  console.log();
+}
+
+/**
+ * `voicesync config get <key>` command handler.  Prints the value alone, so
+ * scripts can use it; exits with status 1 when the key is not set.
+ *
+ * @param {string} key
+ * @param {Object} opts
+ * @param {string} [opts.profile] - Profile to read; the active one by default
+ */
+function runConfigGet(key, { profile } = {}) {
+  handleErrors(() => {
+    const name = normaliseKey(key);
+    const { values } = loadProfile(profile);
+    if (!(name in values)) process.exit(1);
+    console.log(formatValue(name, values[name], { reveal: true }));
+  });
+}
+
+/**
+ * `voicesync config set <key> <value>` command handler.
+ *
+ * @param {string} key
+ * @param {string} value
+ * @param {Object} opts
+ * @param {string} [opts.profile] - Profile to change; the active one by default
+ */
+function runConfigSet(key, value, { profile } = {}) {
+  handleErrors(() => {
+    const name = activeProfileName(profile);
+    const saved = setProfileValue(name, key, value);
+    console.log(theme.success(`${normaliseKey(key)} = ${formatValue(normaliseKey(key), saved)}`) + theme.muted(`  (profile "${name}")`));
+  });
+}
+
+/**
+ * `voicesync config unset <key>` command handler.
+ *
+ * @param {string} key
+ * @param {Object} opts
+ * @param {string} [opts.profile] - Profile to change; the active one by default
+ */
+function runConfigUnset(key, { profile } = {}) {
+  handleErrors(() => {
+    const name = activeProfileName(profile);
+    if (unsetProfileValue(name, key)) console.log(theme.success(`Removed ${normaliseKey(key)} from profile "${name}"`));
+    else console.log(theme.muted(`${normaliseKey(key)} is not set in profile "${name}"`));
+  });
+}
+
+/**
+ * `voicesync config use <profile>` command handler: makes a profile the
+ * one used when --profile is not given.
+ *
+ * @param {string} profile
+ */
+function runConfigUse(profile) {
+  handleErrors(() => {
+    setDefaultProfile(profile);
+    console.log(theme.success(`Using profile "${profile}" by default`));
+    if (process.env.VOICESYNC_PROFILE && process.env.VOICESYNC_PROFILE !== profile) {
+      console.log(theme.warning(`VOICESYNC_PROFILE is set to "${process.env.VOICESYNC_PROFILE}" and takes precedence in this shell.`));
+    }
+  });
+}
+
+/** Runs `fn`, turning a VoiceSyncError into a message and exit status 1. */
+function handleErrors(fn) {
+  try {
+    fn();
+  } catch (err) {
+    console.error(theme.error(err.message));
+    process.exit(1);
+  }
+}
+
+module.exports = { runConfigList, runConfigGet, runConfigSet, runConfigUnset, runConfigUse };
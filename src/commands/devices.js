@@ -0,0 +1,72 @@
+'use strict';
+
+const { devicesOfKind, chooseFormat } = require('../client/devices');
+const { SAMPLE_RATE } = require('../utils/audioFormat');
+const theme = require('../ui/theme');
+
+/**
+ * `voicesync devices` command handler.
+ *
+ * Lists the microphones and speakers the system offers, with the IDs and
+ * names that `--input-device` and `--output-device` accept.
+ */
+async function runDevices() {
+  let listDevices;
+  try {
+    ({ listDevices } = require('../client/audifyAudio'));
+  } catch {
+    console.error(theme.error('Listing devices needs audio support. Run: npm install audify'));
+    process.exit(1);
+  }
+
+  let devices;
+  try {
+    devices = listDevices();
+  } catch (err) {
+    console.error(theme.error(`Could not list audio devices: ${err.message}`));
+    process.exit(1);
+  }
+
+  printDevices('Input devices', devicesOfKind(devices, 'input'), 'input');
+  printDevices('Output devices', devicesOfKind(devices, 'output'), 'output');
+  console.log(theme.muted('\nChoose one by ID or name, e.g. voicesync join --input-device "USB"'));
+  console.log(theme.muted('or switch mid-call with [D].\n'));
+}
+
+/**
+ * @param {string} title
+ * @param {import('../client/devices').AudioDevice[]} devices
+ * @param {'input'|'output'} kind
+ */
+function printDevices(title, devices, kind) {
+  console.log(theme.title(`\n${title}`));
+  if (devices.length === 0) {
+    console.log(theme.muted('  none found'));
+    return;
+  }
+
+  const nameWidth = Math.max(...devices.map((d) => d.name.length), 4) + 2;
+  console.log(theme.muted(`  ${'ID'.padEnd(6)}${'Name'.padEnd(nameWidth)}${'Ch'.padEnd(4)}Sample rates`));
+  for (const d of devices) {
+    const isDefault = kind === 'input' ? d.isDefaultInput : d.isDefaultOutput;
+    const channels = kind === 'input' ? d.inputChannels : d.outputChannels;
+    const rates = d.sampleRates.map(formatRate).join(', ');
+    const notes = [
+      isDefault ? theme.success('default') : '',
+      d.sampleRates.includes(SAMPLE_RATE) || d.sampleRates.length === 0
+        ? ''
+        : theme.muted(`no ${formatRate(SAMPLE_RATE)}Hz — opens at ${formatRate(chooseFormat(d, kind).sampleRate)}Hz and converts`),
+    ].filter(Boolean).join('  ');
+    console.log(`  ${String(d.id).padEnd(6)}${d.name.padEnd(nameWidth)}${String(channels).padEnd(4)}${rates}${notes && `  ${notes}`}`);
+  }
+}
+
+/**
+ * @param {number} hz
+ * @returns {string} e.g. "44.1k"
+ */
+function formatRate(hz) {
+  return `${hz / 1000}k`;
+}
+
+module.exports = { runDevices };
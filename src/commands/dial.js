@@ -0,0 +1,150 @@
+'use strict';
+
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const ora = require('ora');
+const { Session } = require('../client/session');
+const { runCallUI, audioOptions, networkOptions, recordOptions, promptDefaults } = require('./call');
+
+// How long to ring before giving up on an unanswered call
+const RING_TIMEOUT_MS = 45_000;
+
+/**
+ * `voicesync call <username>` command handler.
+ *
+ * Creates a room locked to everyone but invited users, invites the named
+ * user into it and rings until they accept, decline, the ring times out,
+ * the caller cancels with Ctrl+C or the connection to the server is lost.
+ * The dashboard only opens once the callee has actually joined.
+ *
+ * @param {Object}      opts
+ * @param {string}      [opts.server]   - Signaling server URL
+ * @param {string}      [opts.username] - Display name
+ * @param {string}      [opts.profile]  - Profile to take defaults from (--profile)
+ * @param {boolean}     [opts.aec]      - Echo cancellation; false with --no-aec
+ * @param {boolean}     [opts.agc]      - Automatic gain control; false with --no-agc
+ * @param {string}      [opts.ns]       - Noise suppression level: off, moderate or aggressive
+ * @param {boolean}     [opts.ptt]      - Push-to-talk mode
+ * @param {string}      [opts.inputDevice]  - Microphone ID or name
+ * @param {string}      [opts.outputDevice] - Speaker ID or name
+ * @param {boolean}     [opts.stereo]       - Capture, send and play in stereo
+ * @param {number}      [opts.sampleRate]   - Rate to open the devices at
+ * @param {string[]}    [opts.iceServer]    - STUN/TURN server URLs; "none" for none
+ * @param {string}      [opts.turnUsername] - Username for the TURN servers
+ * @param {string}      [opts.turnCredential] - Credential for the TURN servers
+ * @param {string}      [opts.record]       - Record the call to this WAV file (or directory)
+ * @param {string}      [opts.recordLayout] - Recording layout: mix, multitrack or split
+ * @param {string|undefined} targetArg  - Username to call, passed as CLI argument
+ */
+async function runDial(opts, targetArg) {
+  const defaults = promptDefaults(opts);
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'target',
+      message: 'Who do you want to call?',
+      when: !targetArg,
+      validate: (v) => v.trim().length > 0 || 'Username cannot be empty.',
+    },
+    {
+      type: 'input',
+      name: 'server',
+      message: 'Signaling server URL:',
+      default: defaults.server,
+      when: !opts.server,
+    },
+    {
+      type: 'input',
+      name: 'username',
+      message: 'Your display name:',
+      default: defaults.username,
+      when: !opts.username,
+      validate: (v) => v.trim().length > 0 || 'Username cannot be empty.',
+    },
+  ]);
+
+  const target = (targetArg || answers.target).trim();
+  const serverUrl = opts.server || answers.server || defaults.server;
+  const username = (opts.username || answers.username).trim();
+
+  const session = new Session(serverUrl, username, audioOptions(opts), networkOptions(opts));
+  const spinner = ora('Connecting to signaling server…').start();
+
+  let roomKey;
+  try {
+    await session.connect();
+    spinner.text = 'Creating room…';
+    roomKey = await session.createRoom();
+    // Locked rooms only admit invited users, so nobody else can walk in
+    session.setRoomLocked(true);
+    // Rejects straight away when the target is offline or already in a call
+    await session.inviteUser(target);
+  } catch (err) {
+    spinner.fail(chalk.red(err.message));
+    await session.leave();
+    process.exit(1);
+  }
+
+  spinner.text = `Ringing ${chalk.bold(target)}… ${chalk.gray('(Ctrl+C to cancel)')}`;
+  const outcome = await waitForAnswer(session, target, RING_TIMEOUT_MS);
+
+  if (outcome !== 'accepted') {
+    const reasons = {
+      declined: `${target} declined the call.`,
+      timeout: `${target} did not answer.`,
+      cancelled: 'Call cancelled.',
+      disconnected: 'Lost the connection to the server.',
+    };
+    spinner.fail(chalk.yellow(reasons[outcome]));
+    // Stop their phone ringing; nothing gets through a lost connection
+    if (outcome === 'timeout' || outcome === 'cancelled') session.cancelInvite(target);
+    await session.leave();
+    process.exit(outcome === 'cancelled' ? 0 : 1);
+  }
+
+  spinner.succeed(chalk.green(`${target} answered!`));
+  await runCallUI(session, roomKey, username, { record: recordOptions(opts) });
+  // Only reached when the call ends without [Q], e.g. after being kicked
+  await session.leave();
+  process.exit(0);
+}
+
+/**
+ * Waits for the invited user to join, decline, or for the ring to end.
+ *
+ * @param {import('../client/session').Session} session
+ * @param {string} target
+ * @param {number} timeoutMs
+ * @returns {Promise<'accepted'|'declined'|'timeout'|'cancelled'|'disconnected'>}
+ */
+function waitForAnswer(session, target, timeoutMs) {
+  const isTarget = (name) => name.toLowerCase() === target.toLowerCase();
+
+  return new Promise((resolve) => {
+    let timer;
+
+    const settle = (outcome) => {
+      clearTimeout(timer);
+      session.removeListener('peer-joined', onJoined);
+      session.removeListener('invite-declined', onDeclined);
+      session.removeListener('error', onError);
+      process.removeListener('SIGINT', onCancel);
+      resolve(outcome);
+    };
+
+    const onJoined = ({ username }) => { if (isTarget(username)) settle('accepted'); };
+    const onDeclined = ({ username }) => { if (isTarget(username)) settle('declined'); };
+    const onCancel = () => settle('cancelled');
+    // Socket errors are followed by an automatic reconnect; keep ringing
+    // through those and stop only once the session gives up
+    const onError = (err) => { if (err.code === 'CONN_LOST') settle('disconnected'); };
+
+    timer = setTimeout(() => settle('timeout'), timeoutMs);
+    session.on('peer-joined', onJoined);
+    session.on('invite-declined', onDeclined);
+    session.on('error', onError);
+    process.on('SIGINT', onCancel);
+  });
+}
+
+module.exports = { runDial };
@@ -4,12 +4,10 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
 const { Session } = require('../client/session');
-const { runCallUI } = require('./call');
+const { runCallUI, audioOptions, networkOptions, recordOptions, promptDefaults } = require('./call');
 const { isValidRoomKey, normaliseRoomKey } = require('../utils/roomKey');
 const theme = require('../ui/theme');
 
-const DEFAULT_SERVER = process.env.VOICESYNC_SERVER || 'ws://localhost:3000';
-
 /**
  * `voicesync join [roomKey]` command handler.
  *
@@ -17,12 +15,31 @@ const DEFAULT_SERVER = process.env.VOICESYNC_SERVER || 'ws://localhost:3000';
  * connects to the signaling server, joins the specified room, and launches
  * the interactive in-call dashboard.
  *
+ * Private rooms: a missing or wrong password re-prompts until the server
+ * accepts it or starts refusing attempts.
+ *
  * @param {Object}      opts
  * @param {string}      [opts.server]   - Signaling server URL
  * @param {string}      [opts.username] - Display name
+ * @param {string}      [opts.profile]  - Profile to take defaults from (--profile)
+ * @param {string}      [opts.password] - Password for a private room
+ * @param {boolean}     [opts.aec]      - Echo cancellation; false with --no-aec
+ * @param {boolean}     [opts.agc]      - Automatic gain control; false with --no-agc
+ * @param {string}      [opts.ns]       - Noise suppression level: off, moderate or aggressive
+ * @param {boolean}     [opts.ptt]      - Push-to-talk mode
+ * @param {string}      [opts.inputDevice]  - Microphone ID or name
+ * @param {string}      [opts.outputDevice] - Speaker ID or name
+ * @param {boolean}     [opts.stereo]       - Capture, send and play in stereo
+ * @param {number}      [opts.sampleRate]   - Rate to open the devices at
+ * @param {string[]}    [opts.iceServer]    - STUN/TURN server URLs; "none" for none
+ * @param {string}      [opts.turnUsername] - Username for the TURN servers
+ * @param {string}      [opts.turnCredential] - Credential for the TURN servers
+ * @param {string}      [opts.record]       - Record the call to this WAV file (or directory)
+ * @param {string}      [opts.recordLayout] - Recording layout: mix, multitrack or split
  * @param {string|undefined} roomKeyArg - Room key passed as CLI argument
  */
 async function runJoin(opts, roomKeyArg) {
+  const defaults = promptDefaults(opts);
   const answers = await inquirer.prompt([
     {
       type: 'input',
@@ -35,13 +52,14 @@ async function runJoin(opts, roomKeyArg) {
       type: 'input',
       name: 'server',
       message: 'Signaling server URL:',
-      default: DEFAULT_SERVER,
+      default: defaults.server,
       when: !opts.server,
     },
     {
       type: 'input',
       name: 'username',
       message: 'Your display name:',
+      default: defaults.username,
       when: !opts.username,
       validate: (v) => v.trim().length > 0 || 'Username cannot be empty.',
     },
@@ -55,24 +73,62 @@ async function runJoin(opts, roomKeyArg) {
     process.exit(1);
   }
 
-  const serverUrl = opts.server || answers.server || DEFAULT_SERVER;
+  const serverUrl = opts.server || answers.server || defaults.server;
   const username = (opts.username || answers.username).trim();
 
-  const session = new Session(serverUrl, username);
+  const session = new Session(serverUrl, username, audioOptions(opts), networkOptions(opts));
   const spinner = ora('Connecting to signaling server…').start();
 
   try {
     await session.connect();
     spinner.text = `Joining room ${theme.roomKey(roomKey)}…`;
-    await session.joinRoom(roomKey);
+
+    let password = opts.password;
+    for (;;) {
+      try {
+        await session.joinRoom(roomKey, { password });
+        break;
+      } catch (err) {
+        if (err.code !== 'ROOM_AUTH_FAILED') throw err;
+        spinner.warn(chalk.yellow(err.message));
+        password = await promptPassword();
+        spinner.start(`Joining room ${theme.roomKey(roomKey)}…`);
+      }
+    }
     spinner.succeed(chalk.green(`Joined room ${roomKey}!`));
 
     console.log(`\n  ${theme.muted('Room:')} ${theme.roomKey(roomKey)}\n`);
-    await runCallUI(session, roomKey, username);
+    await runCallUI(session, roomKey, username, { record: recordOptions(opts) });
+    // Only reached when the call ends without [Q], e.g. after being kicked
+    await session.leave();
+    process.exit(0);
   } catch (err) {
-    spinner.fail(chalk.red(err.message));
+    if (err.code === 'ROOM_FULL') {
+      spinner.fail(chalk.yellow(err.message));
+      console.log(theme.muted('  Try again once someone leaves, or ask the host to start a larger room.\n'));
+    } else {
+      spinner.fail(chalk.red(err.message));
+    }
+    await session.leave();
     process.exit(1);
   }
 }
 
+/**
+ * Asks for a room password without echoing it.
+ * @returns {Promise<string>}
+ */
+async function promptPassword() {
+  const { password } = await inquirer.prompt([
+    {
+      type: 'password',
+      name: 'password',
+      message: 'Room password:',
+      mask: '*',
+      validate: (v) => v.length > 0 || 'Password cannot be empty.',
+    },
+  ]);
+  return password;
+}
+
 module.exports = { runJoin };
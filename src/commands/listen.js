@@ -0,0 +1,165 @@
+'use strict';
+
+const inquirer = require('inquirer');
+const chalk = require('chalk');
+const ora = require('ora');
+const notifier = require('node-notifier');
+const { Session } = require('../client/session');
+const { runCallUI, answerInvite, audioOptions, networkOptions, promptDefaults } = require('./call');
+const theme = require('../ui/theme');
+
+// Terminal bell cadence while an invite is waiting for an answer
+const RING_INTERVAL_MS = 2_000;
+
+/**
+ * `voicesync listen` command handler.
+ *
+ * Logs in and idles in the lobby without joining a room, so other users can
+ * reach this user with an invite.  Each incoming invite rings (terminal bell
+ * plus an OS notification) and prompts to accept or decline; accepted calls
+ * open the dashboard, and hanging up returns to listening.
+ *
+ * @param {Object}  opts
+ * @param {string}  [opts.server]   - Signaling server URL
+ * @param {string}  [opts.username] - Display name
+ * @param {string}  [opts.profile]  - Profile to take defaults from (--profile)
+ * @param {boolean} [opts.aec]      - Echo cancellation; false with --no-aec
+ * @param {boolean} [opts.agc]      - Automatic gain control; false with --no-agc
+ * @param {string}  [opts.ns]       - Noise suppression level: off, moderate or aggressive
+ * @param {boolean} [opts.ptt]      - Push-to-talk mode
+ * @param {string}  [opts.inputDevice]  - Microphone ID or name
+ * @param {string}  [opts.outputDevice] - Speaker ID or name
+ * @param {boolean} [opts.stereo]       - Capture, send and play in stereo
+ * @param {number}  [opts.sampleRate]   - Rate to open the devices at
+ * @param {string[]} [opts.iceServer]    - STUN/TURN server URLs; "none" for none
+ * @param {string}  [opts.turnUsername] - Username for the TURN servers
+ * @param {string}  [opts.turnCredential] - Credential for the TURN servers
+ * @param {string}  [opts.recordLayout] - Layout of recordings started with [R]
+ */
+async function runListen(opts) {
+  const defaults = promptDefaults(opts);
+  const answers = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'server',
+      message: 'Signaling server URL:',
+      default: defaults.server,
+      when: !opts.server,
+    },
+    {
+      type: 'input',
+      name: 'username',
+      message: 'Your display name:',
+      default: defaults.username,
+      when: !opts.username,
+      validate: (v) => v.trim().length > 0 || 'Username cannot be empty.',
+    },
+  ]);
+
+  const serverUrl = opts.server || answers.server || defaults.server;
+  const username = (opts.username || answers.username).trim();
+
+  const session = new Session(serverUrl, username, audioOptions(opts), networkOptions(opts));
+  const spinner = ora('Connecting to signaling server…').start();
+
+  try {
+    // The mic stays closed while idle; accepting an invite opens it
+    await session.connect({ capture: false });
+  } catch (err) {
+    spinner.fail(chalk.red(err.message));
+    process.exit(1);
+  }
+  spinner.succeed(chalk.green(`Logged in as ${theme.username(username)}`));
+
+  // While idle there is no dashboard to report a dead connection, so do it here
+  let inCall = false;
+  session.on('error', (err) => {
+    if (inCall || err.code !== 'CONN_LOST') return;
+    console.error(theme.error(`\nDisconnected: ${err.message}\n`));
+    process.exit(1);
+  });
+
+  process.on('SIGINT', async () => {
+    if (inCall) return; // the dashboard handles Ctrl+C itself
+    await session.leave();
+    console.log(chalk.yellow('\nStopped listening. Goodbye!\n'));
+    process.exit(0);
+  });
+
+  const nextInvite = queueInvites(session, (invite) => {
+    if (!inCall) console.log(theme.muted(`Declined call from ${invite.fromUsername} — busy with another.`));
+  });
+
+  for (;;) {
+    printListeningBanner(username);
+    const invite = await nextInvite();
+
+    notifier.notify({
+      title: 'VoiceSync - Incoming call',
+      message: `${invite.fromUsername} is calling you`,
+      sound: true,
+    });
+
+    const ring = setInterval(() => process.stdout.write('\x07'), RING_INTERVAL_MS);
+    process.stdout.write('\x07');
+    let answer;
+    try {
+      answer = await answerInvite(session, invite);
+    } catch (err) {
+      console.error(theme.error(`Could not join the call: ${err.message}`));
+      continue;
+    } finally {
+      clearInterval(ring);
+    }
+
+    if (answer === 'declined') {
+      console.log(theme.muted(`Declined call from ${invite.fromUsername}.`));
+      continue;
+    }
+    if (answer === 'cancelled') {
+      console.log(theme.muted(`Missed call from ${invite.fromUsername} — they hung up.`));
+      continue;
+    }
+
+    inCall = true;
+    await runCallUI(session, invite.roomKey, username, {
+      stayConnected: true,
+      record: { layout: opts.recordLayout },
+    });
+    inCall = false;
+    console.log(chalk.yellow('\nCall ended.'));
+  }
+}
+
+/**
+ * Hands incoming invites to the listen loop one at a time.  Invites that
+ * arrive while the loop is busy — answering another or in a call — are
+ * declined at once, so their callers are not left ringing.
+ *
+ * @param {import('../client/session').Session} session
+ * @param {(invite: { fromUsername: string, roomKey: string }) => void} onDeclined
+ * @returns {() => Promise<{ fromUsername: string, roomKey: string }>} waits
+ *   for the next invite; the loop counts as busy until it is called again
+ */
+function queueInvites(session, onDeclined) {
+  let waiting = null;
+  session.on('invite', (invite) => {
+    if (!waiting) {
+      session.declineInvite(invite.roomKey);
+      onDeclined(invite);
+      return;
+    }
+    const resolve = waiting;
+    waiting = null;
+    resolve(invite);
+  });
+  return () => new Promise((resolve) => { waiting = resolve; });
+}
+
+/** @param {string} username */
+function printListeningBanner(username) {
+  console.log(`\n  ${theme.title('Waiting for calls')} ${theme.muted(`as ${username} — others can ring you with [I] in a call.`)}`);
+  console.log(theme.muted('  Press Ctrl+C to stop.\n'));
+}
+
+module.exports = { runListen };
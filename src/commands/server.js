@@ -3,6 +3,9 @@
 const chalk = require('chalk');
 const ora = require('ora');
 const { createServer } = require('../server/app');
+const { getMaxRoomSize } = require('../server/rooms');
+const { DEFAULT_TURN_PORT } = require('../server/turnServer');
+const { resolveIceServers, describeIceServers } = require('../utils/iceServers');
 const logger = require('../utils/logger');
 
 /**
@@ -12,15 +15,71 @@ const logger = require('../utils/logger');
  * @param {Object} opts
  * @param {number} opts.port - TCP port to listen on
  * @param {string} opts.host - Hostname / IP to bind to
+ * @param {number}   [opts.maxRoomSize]        - Largest room clients may create
+ * @param {boolean}  [opts.turn]               - Run the built-in STUN/TURN relay
+ * @param {number}   [opts.turnPort]           - UDP and TCP port for the built-in relay
+ * @param {string}   [opts.turnExternalIp]     - Address the built-in relay advertises
+ * @param {number[]} [opts.turnRelayPorts]     - [min, max] UDP ports the built-in relay relays from
+ * @param {number}   [opts.turnMaxAllocations] - Relays the built-in relay keeps open at once
+ * @param {boolean}  [opts.turnAllowLanPeers]  - Let the built-in relay forward to private addresses
+ * @param {string[]} [opts.turnUrl]            - TURN relay URLs to issue credentials for
+ * @param {string}   [opts.turnSecret]         - Secret shared with the TURN relay; VOICESYNC_TURN_SECRET when unset
+ * @param {number}   [opts.turnTtl]            - Lifetime of issued credentials in seconds
+ * @param {string[]} [opts.iceServer]          - ICE servers for the server's own SFU/MCU connections
  */
-function runServer({ port, host }) {
+function runServer({
+  port, host, maxRoomSize, turn, turnPort = DEFAULT_TURN_PORT, turnExternalIp, turnRelayPorts, turnMaxAllocations,
+  turnAllowLanPeers, turnUrl, turnSecret, turnTtl, iceServer,
+}) {
   const spinner = ora('Starting VoiceSync signaling server…').start();
-  const { httpServer, wss } = createServer();
+  const secret = turnSecret || process.env.VOICESYNC_TURN_SECRET;
+  if (turn && turnUrl) {
+    spinner.fail(chalk.red('--turn runs the built-in relay and --turn-url points at another one — pick one'));
+    process.exit(1);
+  }
+  if (turnUrl && !secret) {
+    spinner.fail(chalk.red('--turn-url needs a shared secret: pass --turn-secret or set VOICESYNC_TURN_SECRET'));
+    process.exit(1);
+  }
 
-  httpServer.listen(port, host, () => {
+  let httpServer;
+  let wss;
+  let turnServer;
+  let iceServers;
+  try {
+    iceServers = resolveIceServers({ urls: iceServer });
+    ({ httpServer, wss, turnServer } = createServer({
+      maxRoomSize,
+      turn: turnUrl ? { urls: turnUrl, secret, ttlSeconds: turnTtl } : null,
+      relay: turn ? {
+        secret,
+        ttlSeconds: turnTtl,
+        externalIp: turnExternalIp,
+        relayPorts: turnRelayPorts,
+        maxAllocations: turnMaxAllocations,
+        allowLanPeers: turnAllowLanPeers,
+      } : null,
+      iceServers,
+    }));
+  } catch (err) {
+    spinner.fail(chalk.red(err.message));
+    process.exit(1);
+  }
+
+  const relayReady = turnServer ? turnServer.listen(turnPort, host) : Promise.resolve();
+  relayReady.then(() => httpServer.listen(port, host, () => {
     spinner.succeed(chalk.green(`Signaling server listening on ws://${host}:${port}`));
     console.log(chalk.gray('  Health:  ') + chalk.cyan(`http://${host}:${port}/health`));
+    console.log(chalk.gray('  Rooms:   ') + `up to ${getMaxRoomSize()} people each`);
+    if (turnServer) {
+      console.log(chalk.gray('  TURN:    ') + `built-in relay at ${turnServer.urls.join(', ')} (credentials issued at login)`);
+    }
+    if (turnUrl) console.log(chalk.gray('  TURN:    ') + `${turnUrl.join(', ')} (credentials issued at login)`);
+    console.log(chalk.gray('  ICE:     ') + describeIceServers(iceServers));
     console.log(chalk.gray('  Press Ctrl+C to stop.\n'));
+  }), (err) => {
+    spinner.fail(chalk.red(`TURN relay could not listen on port ${turnPort}: ${err.message}`));
+    process.exit(1);
   });
 
   httpServer.on('error', (err) => {
@@ -32,6 +91,7 @@ function runServer({ port, host }) {
     console.log(chalk.yellow('\nShutting down server…'));
     // Close all active WebSocket connections before shutting down
     for (const client of wss.clients) client.terminate();
+    turnServer?.close();
     wss.close(() => {
       httpServer.close(() => {
         console.log(chalk.green('Server stopped.'));
@@ -4,11 +4,9 @@ const inquirer = require('inquirer');
 const chalk = require('chalk');
 const ora = require('ora');
 const { Session } = require('../client/session');
-const { runCallUI } = require('./call');
+const { runCallUI, audioOptions, networkOptions, recordOptions, promptDefaults } = require('./call');
 const theme = require('../ui/theme');
 
-const DEFAULT_SERVER = process.env.VOICESYNC_SERVER || 'ws://localhost:3000';
-
 /**
  * `voicesync start` command handler.
  *
@@ -17,41 +15,82 @@ const DEFAULT_SERVER = process.env.VOICESYNC_SERVER || 'ws://localhost:3000';
  * the interactive in-call dashboard.
  *
  * @param {Object} opts
- * @param {string} [opts.server]   - Signaling server URL
- * @param {string} [opts.username] - Display name
+ * @param {string}         [opts.server]   - Signaling server URL
+ * @param {string}         [opts.username] - Display name
+ * @param {string}         [opts.profile]  - Profile to take defaults from (--profile)
+ * @param {string|boolean} [opts.password] - Room password; `true` prompts for one
+ * @param {number}         [opts.maxPeers] - Room capacity; the server's limit when omitted
+ * @param {boolean}        [opts.sfu]      - Route audio through the server instead of a P2P mesh
+ * @param {boolean}        [opts.mcu]      - Have the server mix everyone into one stream per listener
+ * @param {boolean}        [opts.aec]      - Echo cancellation; false with --no-aec
+ * @param {boolean}        [opts.agc]      - Automatic gain control; false with --no-agc
+ * @param {string}         [opts.ns]       - Noise suppression level: off, moderate or aggressive
+ * @param {boolean}        [opts.ptt]      - Push-to-talk mode
+ * @param {string}         [opts.inputDevice]  - Microphone ID or name
+ * @param {string}         [opts.outputDevice] - Speaker ID or name
+ * @param {boolean}        [opts.stereo]       - Capture, send and play in stereo
+ * @param {number}         [opts.sampleRate]   - Rate to open the devices at
+ * @param {string[]}       [opts.iceServer]    - STUN/TURN server URLs; "none" for none
+ * @param {string}         [opts.turnUsername] - Username for the TURN servers
+ * @param {string}         [opts.turnCredential] - Credential for the TURN servers
+ * @param {string}         [opts.record]       - Record the call to this WAV file (or directory)
+ * @param {string}         [opts.recordLayout] - Recording layout: mix, multitrack or split
  */
 async function runStart(opts) {
+  if (opts.sfu && opts.mcu) {
+    console.error(chalk.red('Choose either --sfu or --mcu, not both.'));
+    process.exit(1);
+  }
+
+  const defaults = promptDefaults(opts);
   const answers = await inquirer.prompt([
     {
       type: 'input',
       name: 'server',
       message: 'Signaling server URL:',
-      default: DEFAULT_SERVER,
+      default: defaults.server,
       when: !opts.server,
     },
     {
       type: 'input',
       name: 'username',
       message: 'Your display name:',
+      default: defaults.username,
       when: !opts.username,
       validate: (v) => v.trim().length > 0 || 'Username cannot be empty.',
     },
+    {
+      type: 'password',
+      name: 'password',
+      message: 'Room password:',
+      mask: '*',
+      when: opts.password === true,
+      validate: (v) => v.length > 0 || 'Password cannot be empty.',
+    },
   ]);
 
-  const serverUrl = opts.server || answers.server || DEFAULT_SERVER;
+  const serverUrl = opts.server || answers.server || defaults.server;
   const username = (opts.username || answers.username).trim();
+  const password = typeof opts.password === 'string' ? opts.password : answers.password;
 
-  const session = new Session(serverUrl, username);
+  const session = new Session(serverUrl, username, audioOptions(opts), networkOptions(opts));
   const spinner = ora('Connecting to signaling server…').start();
 
   try {
     await session.connect();
     spinner.text = 'Creating room…';
-    const roomKey = await session.createRoom();
-    spinner.succeed(chalk.green('Room created!'));
+    const roomKey = await session.createRoom({
+      password,
+      maxPeers: opts.maxPeers,
+      mode: opts.sfu ? 'sfu' : opts.mcu ? 'mcu' : undefined,
+    });
+    spinner.succeed(chalk.green(password ? 'Private room created!' : 'Room created!'));
 
-    printRoomBanner(roomKey);
-    await runCallUI(session, roomKey, username);
+    printRoomBanner(roomKey, Boolean(password));
+    await runCallUI(session, roomKey, username, { record: recordOptions(opts) });
+    // Only reached when the call ends without [Q], e.g. after being kicked
+    await session.leave();
+    process.exit(0);
   } catch (err) {
     spinner.fail(chalk.red(err.message));
     process.exit(1);
@@ -60,14 +99,16 @@ async function runStart(opts) {
 
 /**
  * Prints the styled room key banner to stdout before entering the dashboard.
- * @param {string} roomKey
+ * @param {string}  roomKey
+ * @param {boolean} isPrivate - Whether joiners need a password
  */
-function printRoomBanner(roomKey) {
+function printRoomBanner(roomKey, isPrivate) {
   const divider = theme.title('═'.repeat(42));
   console.log('\n' + divider);
   console.log(theme.title('  VoiceSync — Room Ready'));
   console.log(divider);
   console.log(`  Room Key : ${theme.roomKey(roomKey)}`);
+  if (isPrivate) console.log(`  Access   : ${theme.warning('password required')}`);
   console.log(theme.muted('  Share this key so others can join with:'));
   console.log(theme.muted(`    voicesync join ${roomKey}`));
   console.log(divider + '\n');
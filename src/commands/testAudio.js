@@ -0,0 +1,252 @@
+'use strict';
+
+const inquirer = require('inquirer');
+const ora = require('ora');
+const { analyzeRecording, runLoopback } = require('../client/selfTest');
+const { findDevice, defaultDevice, chooseFormat } = require('../client/devices');
+const { SAMPLE_RATE, samplesPer10ms, pcmSamples, rms, Resampler } = require('../utils/audioFormat');
+const { generateWaveform } = require('../ui/waveform');
+const theme = require('../ui/theme');
+
+const DEFAULT_SECONDS = 5;
+
+// Below this peak the microphone is probably not delivering anything
+const NO_SIGNAL_PEAK = 0.003;   // −50dBFS
+// Speech peaking below this is too quiet for others to hear comfortably
+const QUIET_PEAK = 0.05;        // −26dBFS
+// More clipped samples than this are audible as distortion
+const CLIPPING_RATIO = 0.001;
+
+// The live meter redraws this often
+const METER_INTERVAL_MS = 100;
+// A microphone that delivers nothing is given up on this long after the end
+const RECORD_GRACE_MS = 2_000;
+// Speaker output is buffered; wait this long for the end to play out
+const PLAYBACK_DRAIN_MS = 300;
+
+/**
+ * `voicesync test-audio` command handler.
+ *
+ * Checks the audio path without calling anyone: records a few seconds from
+ * the microphone behind a live level meter, reports its level and clipping,
+ * and plays it back.  With `--loopback` the recording also makes a round
+ * trip through WebRTC between two in-process peers, to check encoding and
+ * decoding and time the trip, and that version is played back too.
+ *
+ * @param {Object}  opts
+ * @param {number}  [opts.seconds=5]    - Length of the recording
+ * @param {boolean} [opts.loopback]     - Also send the recording through WebRTC
+ * @param {string}  [opts.inputDevice]  - Microphone ID or name; the system default when unset
+ * @param {string}  [opts.outputDevice] - Speaker ID or name; the system default when unset
+ * @param {number}  [opts.sampleRate]   - Rate to open both devices at; 48kHz or the nearest they support when unset
+ */
+async function runTestAudio(opts) {
+  let audify;
+  try {
+    audify = require('../client/audifyAudio');
+  } catch {
+    console.error(theme.error('Testing audio needs audio support. Run: npm install audify'));
+    process.exit(1);
+  }
+  const seconds = opts.seconds || DEFAULT_SECONDS;
+
+  let input = null;
+  let output = null;
+  let inputFormat;
+  let outputFormat;
+  try {
+    const devices = audify.listDevices();
+    if (opts.inputDevice !== undefined) input = findDevice(devices, opts.inputDevice, 'input');
+    if (opts.outputDevice !== undefined) output = findDevice(devices, opts.outputDevice, 'output');
+    const wanted = { sampleRate: opts.sampleRate };
+    inputFormat = chooseFormat(input ?? defaultDevice(devices, 'input'), 'input', wanted);
+    outputFormat = chooseFormat(output ?? defaultDevice(devices, 'output'), 'output', wanted);
+  } catch (err) {
+    console.error(theme.error(err.message));
+    process.exit(1);
+  }
+
+  console.log(theme.title('\nAudio self-test\n'));
+  console.log(`  Microphone  ${input ? input.name : 'system default'}  ${theme.muted(`${inputFormat.sampleRate}Hz`)}`);
+  console.log(`  Speaker     ${output ? output.name : 'system default'}  ${theme.muted(`${outputFormat.sampleRate}Hz`)}\n`);
+
+  await inquirer.prompt([{
+    type: 'input',
+    name: 'ready',
+    message: `Talk normally for ${seconds} seconds after pressing Enter, e.g. count out loud`,
+  }]);
+
+  let recording;
+  try {
+    recording = await record(audify.AudifyMic, input, inputFormat.sampleRate, seconds * 1000);
+  } catch (err) {
+    console.error(theme.error(`Failed to open microphone: ${err.message}`));
+    process.exit(1);
+  }
+
+  const analysis = analyzeRecording(recording);
+  console.log('');
+  row('Peak level', dbfs(analysis.peak));
+  row('Average level', dbfs(analysis.rms));
+  row('Clipping', analysis.clippedSamples === 0
+    ? 'none'
+    : `${(analysis.clippedRatio * 100).toFixed(2)}% of samples`);
+
+  const problems = [];
+  if (analysis.peak < NO_SIGNAL_PEAK) {
+    problems.push('No sound reached the microphone. Check it is plugged in, not muted, selected');
+    problems.push('(see `voicesync devices`) and that your terminal may use it.');
+  } else if (analysis.peak < QUIET_PEAK) {
+    problems.push('Your voice is very quiet. Move closer to the microphone or raise its input volume.');
+  }
+  if (analysis.clippedRatio > CLIPPING_RATIO) {
+    problems.push('Your voice is clipping and will sound distorted. Lower the microphone input volume.');
+  }
+  for (const line of problems) console.log(theme.warning(`  ${line}`));
+  console.log('');
+
+  if (!(await play(audify.AudifySpeaker, output, outputFormat.sampleRate, recording, 'Playing your recording back…'))) {
+    problems.push('The speaker could not be opened.');
+  }
+
+  if (opts.loopback) {
+    const spinner = ora('Sending the recording through a local WebRTC connection…').start();
+    let result;
+    try {
+      result = await runLoopback(recording);
+    } catch (err) {
+      spinner.fail(theme.error(err.message));
+      process.exit(1);
+    }
+    spinner.succeed('WebRTC loopback');
+
+    const returned = analyzeRecording(result.received);
+    row('Round trip', `${result.roundTripMs}ms`, theme.muted('encode → send → decode, twice'));
+    row('Returned level', dbfs(returned.rms), analysis.rms > 0
+      ? theme.muted(`${formatDb(20 * Math.log10(Math.max(returned.rms, 1e-6) / analysis.rms))} from the recording`)
+      : '');
+    console.log('');
+
+    await play(audify.AudifySpeaker, output, outputFormat.sampleRate, result.received, 'Playing what others would hear…');
+  }
+
+  console.log(problems.length === 0
+    ? theme.success('\nYour audio is working.\n')
+    : theme.warning('\nSee the notes above.\n'));
+}
+
+/**
+ * Records from the microphone, drawing a live waveform and level meter.
+ * Whatever a stalled microphone did not deliver is left silent.
+ *
+ * @param {Function} AudifyMic
+ * @param {import('../client/devices').AudioDevice|null} device
+ * @param {number} sampleRate - rate to open the microphone at
+ * @param {number} ms
+ * @returns {Promise<Int16Array>} 48kHz mono, as calls carry it
+ */
+async function record(AudifyMic, device, sampleRate, ms) {
+  const total = Math.round((SAMPLE_RATE * ms) / 1000);
+  const samples = new Int16Array(total);
+  let length = 0;
+  const resampler = new Resampler(sampleRate, SAMPLE_RATE);
+
+  const mic = new AudifyMic({ sampleRate, deviceId: device?.id });
+  mic.on('data', (chunk) => {
+    const converted = resampler.process(pcmSamples(chunk));
+    const whole = Math.min(converted.length, total - length);
+    samples.set(converted.subarray(0, whole), length);
+    length += whole;
+  });
+  mic.start();
+
+  const started = Date.now();
+  const live = process.stdout.isTTY;
+  await new Promise((resolve) => {
+    const meter = setInterval(() => {
+      const recent = samples.subarray(Math.max(0, length - SAMPLE_RATE / 10), length);
+      const left = Math.max(0, Math.ceil((ms - (Date.now() - started)) / 1000));
+      if (live) {
+        const waveform = generateWaveform(Float32Array.from(recent, (s) => s / 32768));
+        process.stdout.write(`\r  ${theme.info(waveform)}  ${dbfs(recent.length ? rms(recent) : 0).padStart(9)}  ${theme.muted(`${left}s`)} `);
+      }
+      if (length >= total || Date.now() - started > ms + RECORD_GRACE_MS) {
+        clearInterval(meter);
+        resolve();
+      }
+    }, METER_INTERVAL_MS);
+  });
+  mic.stop();
+  if (live) process.stdout.write('\n');
+  return samples;
+}
+
+/**
+ * Plays audio through the speaker, 10ms at a time in real time.
+ *
+ * @param {Function} AudifySpeaker
+ * @param {import('../client/devices').AudioDevice|null} device
+ * @param {number} sampleRate - rate to open the speaker at
+ * @param {Int16Array} recording - 48kHz mono
+ * @param {string} text - spinner text
+ * @returns {Promise<boolean>} false when the speaker would not open
+ */
+async function play(AudifySpeaker, device, sampleRate, recording, text) {
+  const spinner = ora(text).start();
+  const speaker = new AudifySpeaker({ sampleRate, deviceId: device?.id });
+  if (!speaker.writable) {
+    spinner.fail(theme.error('Failed to open the speaker'));
+    return false;
+  }
+
+  const samples = new Resampler(SAMPLE_RATE, sampleRate).process(recording);
+  const chunkSamples = samplesPer10ms(sampleRate);
+  await new Promise((resolve) => {
+    const started = Date.now();
+    let offset = 0;
+    const clock = setInterval(() => {
+      const due = Math.min(Math.floor((Date.now() - started) / 10) * chunkSamples, samples.length);
+      for (; offset < due; offset += chunkSamples) {
+        // The speaker takes whole chunks, so the last is padded with silence
+        const chunk = new Int16Array(chunkSamples);
+        chunk.set(samples.subarray(offset, offset + chunkSamples));
+        speaker.write(Buffer.from(chunk.buffer));
+      }
+      if (offset >= samples.length) {
+        clearInterval(clock);
+        resolve();
+      }
+    }, 10);
+  });
+  await new Promise((resolve) => setTimeout(resolve, PLAYBACK_DRAIN_MS));
+  speaker.end();
+  spinner.succeed();
+  return true;
+}
+
+/**
+ * @param {string} label
+ * @param {string} value
+ * @param {string} [note]
+ */
+function row(label, value, note = '') {
+  console.log(`  ${label.padEnd(16)}${value}${note && `  ${note}`}`);
+}
+
+/**
+ * @param {number} level - [0, 1]
+ * @returns {string} e.g. "-42 dBFS"
+ */
+function dbfs(level) {
+  return `${(20 * Math.log10(Math.max(level, 1e-6))).toFixed(0)} dBFS`;
+}
+
+/**
+ * @param {number} db
+ * @returns {string} e.g. "+1.2dB"
+ */
+function formatDb(db) {
+  return `${db >= 0 ? '+' : ''}${db.toFixed(1)}dB`;
+}
+
+module.exports = { runTestAudio };
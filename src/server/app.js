@@ -5,17 +5,57 @@ const crypto = require('crypto');
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const { handleMessage, handleDisconnect } = require('./handlers');
+const rooms = require('./rooms');
+const sfu = require('./sfu');
+const { configureTurn } = require('./turnCredentials');
+const { TurnServer } = require('./turnServer');
+const { VoiceSyncError } = require('../utils/errors');
 const logger = require('../utils/logger');
 
+/**
+ * @typedef {Omit<import('./turnServer').RelayOptions, 'secret'> & {
+ *   secret?: string,
+ *   ttlSeconds?: number,
+ * }} RelayConfig - `secret` defaults to a random one, since only this server issues credentials
+ */
+
 /**
  * Builds the Express + WebSocket signaling server.
  *
  * The HTTP layer exposes only lightweight health/ping endpoints.
  * All real-time communication goes over the WebSocket upgrade.
  *
- * @returns {{ httpServer: http.Server, wss: WebSocketServer, app: import('express').Application }}
+ * @param {Object} [opts]
+ * @param {number} [opts.maxRoomSize] - Largest room a client may create (default 8)
+ * @param {import('./turnCredentials').TurnConfig} [opts.turn] - TURN relay to hand
+ *   clients short-lived credentials for at login
+ * @param {RelayConfig} [opts.relay] - Run the built-in TURN relay instead
+ * @param {import('../utils/iceServers').IceServer[]} [opts.iceServers] - For the
+ *   server's own media connections in SFU and MCU rooms
+ * @returns {{
+ *   httpServer: http.Server,
+ *   wss: WebSocketServer,
+ *   app: import('express').Application,
+ *   turnServer: TurnServer|null,
+ * }} `turnServer` is not yet listening; credentials for it are issued once it is
+ * @throws {VoiceSyncError} INVALID_TURN_CONFIG
  */
-function createServer() {
+function createServer({ maxRoomSize, turn, relay, iceServers } = {}) {
+  if (turn && relay) {
+    throw new VoiceSyncError('Use either a separate TURN relay or the built-in one, not both.', 'INVALID_TURN_CONFIG');
+  }
+  if (maxRoomSize !== undefined) rooms.setMaxRoomSize(maxRoomSize);
+  configureTurn(turn ?? null);
+  if (iceServers) sfu.setIceServers(iceServers);
+
+  // ── Built-in TURN relay ───────────────────────────────────────────────────
+  let turnServer = null;
+  if (relay) {
+    const { secret = crypto.randomBytes(32).toString('base64'), ttlSeconds, ...relayOpts } = relay;
+    turnServer = new TurnServer({ ...relayOpts, secret });
+    turnServer.on('listening', () => configureTurn({ urls: turnServer.urls, secret, ttlSeconds }));
+  }
+
   const app = express();
 
   // ── HTTP endpoints ────────────────────────────────────────────────────────
@@ -42,7 +82,7 @@ function createServer() {
     ws.send(JSON.stringify({ type: 'connected', peerId }));
   });
 
-  return { httpServer, wss, app };
+  return { httpServer, wss, app, turnServer };
 }
 
 module.exports = { createServer };
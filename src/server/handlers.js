@@ -2,11 +2,34 @@
 
 const rooms = require('./rooms');
 const users = require('./users');
+const sfu = require('./sfu');
+const { McuRouter } = require('./mcu');
+const { turnIceServers } = require('./turnCredentials');
 const logger = require('../utils/logger');
 
 // WebSocket OPEN ready-state constant
 const WS_OPEN = 1;
 
+// How long a disconnected user's room slot is held open for a resume
+const RESUME_GRACE_MS = 30_000;
+
+/** @type {Map<string, NodeJS.Timeout>} peerId → pending grace-period expiry */
+const _graceTimers = new Map();
+
+// Wrong room passwords tolerated per connection before join-room is refused
+const MAX_AUTH_FAILURES = 5;
+const AUTH_FAILURE_WINDOW_MS = 60_000;
+const MAX_PASSWORD_LENGTH = 128;
+
+/** @type {Map<string, {count: number, windowStart: number}>} peerId → recent failures */
+const _authFailures = new Map();
+
+/** @type {Map<string, import('./sfu').SfuRouter>} roomKey → media router of an SFU or MCU room */
+const _routers = new Map();
+
+/** Boolean flags a client may publish about itself with `peer-state`. */
+const PEER_STATE_FIELDS = ['isMuted', 'isPushToTalk', 'isTransmitting', 'isRecording'];
+
 // ── Low-level helpers ──────────────────────────────────────────────────────
 
 /**
@@ -33,6 +56,154 @@ function broadcast(room, excludePeerId, payload) {
   }
 }
 
+/**
+ * Describes every peer in a room except one, including their published state.
+ *
+ * @param {import('../server/rooms').Room} room
+ * @param {string}                         excludePeerId
+ * @returns {Array<{peerId: string, username: string} & import('./rooms').PeerState>}
+ */
+function describePeers(room, excludePeerId) {
+  return Array.from(room.peers.entries())
+    .filter(([id]) => id !== excludePeerId)
+    .map(([id, peer]) => ({ peerId: id, username: peer.username, ...peer.state }));
+}
+
+/**
+ * True when a connection has used up its wrong-password allowance for the
+ * current window.
+ * @param {string} peerId
+ * @returns {boolean}
+ */
+function isAuthLocked(peerId) {
+  const entry = _authFailures.get(peerId);
+  if (!entry) return false;
+  if (Date.now() - entry.windowStart >= AUTH_FAILURE_WINDOW_MS) {
+    _authFailures.delete(peerId);
+    return false;
+  }
+  return entry.count >= MAX_AUTH_FAILURES;
+}
+
+/** @param {string} peerId */
+function recordAuthFailure(peerId) {
+  const entry = _authFailures.get(peerId);
+  if (entry) entry.count++;
+  else _authFailures.set(peerId, { count: 1, windowStart: Date.now() });
+}
+
+/**
+ * Takes a peer out of their room and tells whoever is left, including any
+ * host hand-over that resulted from it.
+ *
+ * @param {string} roomKey
+ * @param {string} peerId
+ * @param {string} username
+ */
+function removeFromRoom(roomKey, peerId, username) {
+  const { room, wasEmpty, hostChanged } = rooms.leaveRoom(roomKey, peerId);
+  users.setUserRoom(peerId, null);
+
+  const router = _routers.get(roomKey);
+  if (router) {
+    router.removePeer(peerId);
+    if (wasEmpty) {
+      router.close();
+      _routers.delete(roomKey);
+    }
+  }
+  if (!room || wasEmpty) return;
+
+  broadcast(room, peerId, { type: 'peer-left', peerId, username });
+  if (hostChanged) announceHost(room);
+}
+
+/**
+ * Starts the media router for an SFU or MCU room and relays its output to
+ * the room's clients.  Sockets are looked up per message since a resume
+ * swaps them.
+ *
+ * @param {import('../server/rooms').Room} room
+ * @returns {import('./sfu').SfuRouter}
+ */
+function openRouter(room) {
+  const router = room.mode === 'mcu'
+    ? new McuRouter({ roomKey: room.key })
+    : new sfu.SfuRouter({ roomKey: room.key, slotCount: room.maxPeers - 1 });
+  const socketOf = (peerId) => rooms.getRoom(room.key)?.peers.get(peerId)?.socket;
+
+  router.on('signal', (peerId, data) => {
+    const socket = socketOf(peerId);
+    if (socket) send(socket, { type: 'signal', fromPeerId: sfu.SFU_PEER_ID, data });
+  });
+  router.on('slot', (peerId, { streamId, fromPeerId }) => {
+    const socket = socketOf(peerId);
+    if (socket) send(socket, { type: 'sfu-slot', streamId, peerId: fromPeerId });
+  });
+  router.on('levels', (levels) => {
+    const current = rooms.getRoom(room.key);
+    if (current) broadcast(current, null, { type: 'mcu-levels', levels });
+  });
+
+  _routers.set(room.key, router);
+  return router;
+}
+
+/**
+ * Tells every peer in a room who its host now is.
+ * @param {import('../server/rooms').Room} room
+ */
+function announceHost(room) {
+  const host = room.peers.get(room.hostPeerId);
+  broadcast(room, null, { type: 'host-changed', hostPeerId: room.hostPeerId, username: host.username });
+  logger.info(`"${host.username}" is now host of room "${room.key}"`);
+}
+
+/**
+ * Resolves the room a moderation request applies to, replying with a
+ * moderation-error (and returning null) unless the sender is its host.
+ *
+ * @param {import('ws').WebSocket} ws
+ * @param {string}                 peerId
+ * @returns {import('../server/rooms').Room|null}
+ */
+function requireHost(ws, peerId) {
+  const user = users.findById(peerId);
+  const room = user?.roomKey && rooms.getRoom(user.roomKey);
+  if (!room) {
+    send(ws, { type: 'moderation-error', message: 'Not in a room.' });
+    return null;
+  }
+  if (room.hostPeerId !== peerId) {
+    send(ws, { type: 'moderation-error', message: 'Only the host can do that.' });
+    return null;
+  }
+  return room;
+}
+
+/**
+ * Looks up the peer a moderation request targets, replying with a
+ * moderation-error (and returning null) when it is not another room member.
+ *
+ * @param {import('ws').WebSocket}          ws
+ * @param {import('../server/rooms').Room}  room
+ * @param {string}                          hostPeerId
+ * @param {string}                          targetPeerId
+ * @returns {import('../server/rooms').RoomPeer|null}
+ */
+function requireTarget(ws, room, hostPeerId, targetPeerId) {
+  if (targetPeerId === hostPeerId) {
+    send(ws, { type: 'moderation-error', message: 'You cannot do that to yourself.' });
+    return null;
+  }
+  const target = room.peers.get(targetPeerId);
+  if (!target) {
+    send(ws, { type: 'moderation-error', message: 'That participant is not in the room.' });
+    return null;
+  }
+  return target;
+}
+
 // ── Message handlers ───────────────────────────────────────────────────────
 
 function handleLogin(ws, peerId, { username }) {
@@ -45,46 +216,161 @@ function handleLogin(ws, peerId, { username }) {
     return send(ws, { type: 'login-error', message: `Username "${name}" is already taken.` });
   }
   logger.info(`User "${name}" logged in (peerId: ${peerId})`);
-  send(ws, { type: 'login-ok', peerId });
+  send(ws, {
+    type: 'login-ok',
+    peerId,
+    resumeToken: users.findById(peerId).resumeToken,
+    // Fresh TURN credentials, when the server hands them out
+    iceServers: turnIceServers(name),
+  });
 }
 
-function handleCreateRoom(ws, peerId) {
+function handleResume(ws, peerId, { resumeToken }) {
+  if (users.findById(peerId)) return send(ws, { type: 'resume-error', message: 'Already logged in.' });
+  if (!resumeToken || typeof resumeToken !== 'string') {
+    return send(ws, { type: 'resume-error', message: 'Resume token is required.' });
+  }
+
+  const result = users.resumeUser(resumeToken, peerId, ws);
+  if (!result) return send(ws, { type: 'resume-error', message: 'Session expired.' });
+
+  const { user, previousPeerId } = result;
+  clearTimeout(_graceTimers.get(previousPeerId));
+  _graceTimers.delete(previousPeerId);
+
+  let room = user.roomKey && rooms.getRoom(user.roomKey);
+  if (room) {
+    try {
+      rooms.replacePeer(user.roomKey, previousPeerId, peerId, ws);
+    } catch {
+      room = null;
+    }
+  }
+  const router = room ? _routers.get(room.key) : undefined;
+  if (router) router.removePeer(previousPeerId);
+  if (!room) users.setUserRoom(peerId, null);
+
+  const peers = room ? describePeers(room, peerId) : [];
+
+  send(ws, {
+    type: 'resume-ok',
+    peerId,
+    resumeToken: user.resumeToken,
+    iceServers: turnIceServers(user.username),
+    roomKey: room ? user.roomKey : null,
+    hostPeerId: room ? room.hostPeerId : null,
+    locked: room ? room.locked : false,
+    maxPeers: room ? room.maxPeers : null,
+    mode: room ? room.mode : null,
+    peers,
+  });
+  if (router) router.addPeer(peerId);
+
+  // Everyone else drops the stale connection and waits for the resumed peer's
+  // offer; a resumed host keeps hosting under the new peerId
+  if (room) {
+    broadcast(room, peerId, {
+      type: 'peer-resumed', previousPeerId, peerId, username: user.username, hostPeerId: room.hostPeerId,
+    });
+  }
+  logger.info(`"${user.username}" resumed session (peerId: ${previousPeerId} → ${peerId})`);
+}
+
+function handleCreateRoom(ws, peerId, { password, maxPeers, mode }) {
   const user = users.findById(peerId);
   if (!user) return send(ws, { type: 'create-error', message: 'Not logged in.' });
   if (user.roomKey) return send(ws, { type: 'create-error', message: 'Already in a room.' });
+  if (password !== undefined && (typeof password !== 'string' || !password || password.length > MAX_PASSWORD_LENGTH)) {
+    return send(ws, { type: 'create-error', message: `Password must be 1–${MAX_PASSWORD_LENGTH} characters.` });
+  }
+
+  if ((mode === 'sfu' || mode === 'mcu') && !sfu.isAvailable()) {
+    return send(ws, {
+      type: 'create-error',
+      code: 'SFU_UNAVAILABLE',
+      message: 'This server cannot route audio (WebRTC is unavailable); create a mesh room instead.',
+    });
+  }
 
-  const room = rooms.createRoom(peerId, user.username, ws);
+  let room;
+  try {
+    room = rooms.createRoom(peerId, user.username, ws, { password, maxPeers, mode });
+  } catch (err) {
+    return send(ws, { type: 'create-error', code: err.code, message: err.message });
+  }
   users.setUserRoom(peerId, room.key);
-  logger.info(`Room "${room.key}" created by "${user.username}"`);
-  send(ws, { type: 'room-created', roomKey: room.key });
+  logger.info(`Room "${room.key}" created by "${user.username}" (${room.mode}${room.password ? ', private' : ''})`);
+  send(ws, {
+    type: 'room-created',
+    roomKey: room.key,
+    hostPeerId: room.hostPeerId,
+    isPrivate: Boolean(room.password),
+    maxPeers: room.maxPeers,
+    mode: room.mode,
+  });
+  if (room.mode !== 'mesh') openRouter(room).addPeer(peerId);
 }
 
-function handleJoinRoom(ws, peerId, { roomKey }) {
+function handleJoinRoom(ws, peerId, { roomKey, password }) {
   const user = users.findById(peerId);
   if (!user) return send(ws, { type: 'join-error', message: 'Not logged in.' });
   if (user.roomKey) return send(ws, { type: 'join-error', message: 'Already in a room.' });
+  if (isAuthLocked(peerId)) {
+    return send(ws, {
+      type: 'join-error',
+      code: 'AUTH_RATE_LIMITED',
+      message: 'Too many incorrect passwords. Try again in a minute.',
+    });
+  }
+  // No room has a longer password, and hashing one would block the server
+  if (password !== undefined && (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH)) {
+    recordAuthFailure(peerId);
+    return send(ws, { type: 'join-error', code: 'ROOM_AUTH_FAILED', message: 'Incorrect room password.' });
+  }
 
   let room;
   try {
-    room = rooms.joinRoom(roomKey, peerId, user.username, ws);
+    room = rooms.joinRoom(roomKey, peerId, user.username, ws, password);
   } catch (err) {
-    return send(ws, { type: 'join-error', message: err.message });
+    if (err.code === 'ROOM_AUTH_FAILED' && password) {
+      recordAuthFailure(peerId);
+      logger.warn(`Wrong password for room "${roomKey}" from ${peerId}`);
+    }
+    return send(ws, { type: 'join-error', code: err.code, message: err.message });
   }
 
   users.setUserRoom(peerId, roomKey);
 
   // Tell the new joiner about everyone already in the room
-  const existingPeers = Array.from(room.peers.entries())
-    .filter(([id]) => id !== peerId)
-    .map(([id, peer]) => ({ peerId: id, username: peer.username }));
-
-  send(ws, { type: 'room-joined', roomKey, peers: existingPeers });
+  send(ws, {
+    type: 'room-joined',
+    roomKey,
+    hostPeerId: room.hostPeerId,
+    locked: room.locked,
+    maxPeers: room.maxPeers,
+    mode: room.mode,
+    peers: describePeers(room, peerId),
+  });
+  _routers.get(roomKey)?.addPeer(peerId);
 
   // Tell everyone else about the new arrival
   broadcast(room, peerId, { type: 'peer-joined', peerId, username: user.username });
   logger.info(`"${user.username}" joined room "${roomKey}"`);
 }
 
+function handleListUsers(ws, peerId) {
+  const user = users.findById(peerId);
+  if (!user) return send(ws, { type: 'list-users-error', message: 'Not logged in.' });
+
+  // Suspended users are mid-reconnect and cannot answer an invite
+  const online = users.listUsers()
+    .filter((u) => u.peerId !== peerId && !u.suspended)
+    .map((u) => ({ username: u.username, inCall: Boolean(u.roomKey) }))
+    .sort((a, b) => a.username.localeCompare(b.username));
+
+  send(ws, { type: 'user-list', users: online });
+}
+
 function handleInvite(ws, peerId, { toUsername }) {
   const inviter = users.findById(peerId);
   if (!inviter) return send(ws, { type: 'invite-error', message: 'Not logged in.' });
@@ -92,10 +378,20 @@ function handleInvite(ws, peerId, { toUsername }) {
   if (!toUsername) return send(ws, { type: 'invite-error', message: 'Target username is required.' });
 
   const target = users.findByUsername(toUsername);
-  if (!target) return send(ws, { type: 'invite-error', message: `User "${toUsername}" is not online.` });
+  // A suspended user is held for a resume but cannot be reached
+  if (!target || target.suspended) {
+    return send(ws, { type: 'invite-error', message: `User "${toUsername}" is not online.` });
+  }
   if (target.peerId === peerId) return send(ws, { type: 'invite-error', message: 'Cannot invite yourself.' });
   if (target.roomKey) return send(ws, { type: 'invite-error', message: `"${toUsername}" is already in a call.` });
 
+  const room = rooms.getRoom(inviter.roomKey);
+  if (room.peers.size >= room.maxPeers) {
+    return send(ws, { type: 'invite-error', code: 'ROOM_FULL', message: 'The room is full.' });
+  }
+
+  // The invite itself is the authorisation — no password needed to accept it
+  rooms.addInvite(inviter.roomKey, target.peerId);
   send(target.socket, { type: 'invite', fromUsername: inviter.username, roomKey: inviter.roomKey });
   send(ws, { type: 'invite-sent', toUsername });
   logger.info(`"${inviter.username}" invited "${toUsername}" to room "${inviter.roomKey}"`);
@@ -115,6 +411,16 @@ function handleDeclineInvite(ws, peerId, { roomKey }) {
   logger.info(`"${user.username}" declined invite to room "${roomKey}"`);
 }
 
+/** Withdraws an invite the caller gave up on, so the target stops ringing. */
+function handleCancelInvite(ws, peerId, { toUsername }) {
+  const inviter = users.findById(peerId);
+  if (!inviter?.roomKey || typeof toUsername !== 'string') return;
+  const target = users.findByUsername(toUsername);
+  if (!target || !rooms.removeInvite(inviter.roomKey, target.peerId)) return;
+  send(target.socket, { type: 'invite-cancelled', fromUsername: inviter.username, roomKey: inviter.roomKey });
+  logger.info(`"${inviter.username}" cancelled the invite to "${target.username}"`);
+}
+
 function handleChat(ws, peerId, { text }) {
   const user = users.findById(peerId);
   if (!user || !user.roomKey) return send(ws, { type: 'chat-error', message: 'Not in a room.' });
@@ -129,7 +435,26 @@ function handleChat(ws, peerId, { text }) {
   logger.info(`[Chat] "${user.username}" in room "${user.roomKey}": ${trimmed}`);
 }
 
+function handlePeerState(ws, peerId, msg) {
+  const user = users.findById(peerId);
+  if (!user || !user.roomKey) return;
+
+  const patch = {};
+  for (const field of PEER_STATE_FIELDS) {
+    if (typeof msg[field] === 'boolean') patch[field] = msg[field];
+  }
+  if (Object.keys(patch).length === 0) return;
+
+  const room = rooms.setPeerState(user.roomKey, peerId, patch);
+  broadcast(room, peerId, { type: 'peer-state', peerId, ...patch });
+}
+
 function handleSignal(ws, peerId, { toPeerId, data }) {
+  if (toPeerId === sfu.SFU_PEER_ID) {
+    const user = users.findById(peerId);
+    if (user?.roomKey) _routers.get(user.roomKey)?.signal(peerId, data);
+    return;
+  }
   const target = users.findById(toPeerId);
   if (target) send(target.socket, { type: 'signal', fromPeerId: peerId, data });
 }
@@ -138,28 +463,79 @@ function handleLeaveRoom(ws, peerId) {
   const user = users.findById(peerId);
   if (!user || !user.roomKey) return;
   const roomKey = user.roomKey;
-  const { room } = rooms.leaveRoom(roomKey, peerId);
-  users.setUserRoom(peerId, null);
-  if (room && room.peers.size > 0) {
-    broadcast(room, peerId, { type: 'peer-left', peerId, username: user.username });
-  }
+  removeFromRoom(roomKey, peerId, user.username);
   send(ws, { type: 'left-room' });
   logger.info(`"${user.username}" left room "${roomKey}"`);
 }
 
+// ── Host moderation ────────────────────────────────────────────────────────
+
+function handleKickPeer(ws, peerId, { peerId: targetPeerId }) {
+  const room = requireHost(ws, peerId);
+  if (!room) return;
+  const target = requireTarget(ws, room, peerId, targetPeerId);
+  if (!target) return;
+
+  send(target.socket, { type: 'kicked', reason: 'You were removed from the call by the host.' });
+  removeFromRoom(room.key, targetPeerId, target.username);
+  logger.info(`"${target.username}" was kicked from room "${room.key}"`);
+}
+
+function handleMutePeer(ws, peerId, { peerId: targetPeerId }) {
+  const room = requireHost(ws, peerId);
+  if (!room) return;
+  const target = requireTarget(ws, room, peerId, targetPeerId);
+  if (!target) return;
+
+  const host = room.peers.get(peerId);
+  rooms.setPeerState(room.key, targetPeerId, { isMuted: true });
+  send(target.socket, { type: 'force-muted', byUsername: host.username });
+  broadcast(room, targetPeerId, { type: 'peer-state', peerId: targetPeerId, isMuted: true });
+  logger.info(`"${target.username}" was muted by the host in room "${room.key}"`);
+}
+
+function handleLockRoom(ws, peerId, { locked }) {
+  const room = requireHost(ws, peerId);
+  if (!room) return;
+  if (typeof locked !== 'boolean') {
+    return send(ws, { type: 'moderation-error', message: '"locked" must be true or false.' });
+  }
+
+  rooms.setLocked(room.key, locked);
+  broadcast(room, null, { type: 'room-locked', locked });
+  logger.info(`Room "${room.key}" ${locked ? 'locked' : 'unlocked'}`);
+}
+
+function handleTransferHost(ws, peerId, { peerId: targetPeerId }) {
+  const room = requireHost(ws, peerId);
+  if (!room) return;
+  if (!requireTarget(ws, room, peerId, targetPeerId)) return;
+
+  rooms.setHost(room.key, targetPeerId);
+  announceHost(room);
+}
+
 // ── Dispatch ──────────────────────────────────────────────────────────────
 
 /** Maps message type strings to their handler functions. */
 const MESSAGE_HANDLERS = {
   'login':          handleLogin,
+  'resume':         handleResume,
   'create-room':    handleCreateRoom,
   'join-room':      handleJoinRoom,
+  'list-users':     handleListUsers,
   'invite':         handleInvite,
   'accept-invite':  handleAcceptInvite,
   'decline-invite': handleDeclineInvite,
+  'cancel-invite':  handleCancelInvite,
   'chat':           handleChat,
+  'peer-state':     handlePeerState,
   'signal':         handleSignal,
   'leave-room':     handleLeaveRoom,
+  'kick-peer':      handleKickPeer,
+  'mute-peer':      handleMutePeer,
+  'lock-room':      handleLockRoom,
+  'transfer-host':  handleTransferHost,
 };
 
 /**
@@ -194,18 +570,35 @@ function handleMessage(ws, peerId, rawMessage) {
 /**
  * Cleans up a peer that disconnected without sending a leave-room message.
  *
+ * Users who were in a room are suspended rather than removed: their slot is
+ * held for RESUME_GRACE_MS so a client that reconnects can `resume` the call.
+ *
  * @param {string} peerId
  */
 function handleDisconnect(peerId) {
+  _authFailures.delete(peerId);
   const user = users.findById(peerId);
   if (user?.roomKey) {
-    const { room } = rooms.leaveRoom(user.roomKey, peerId);
-    if (room && room.peers.size > 0) {
-      broadcast(room, peerId, { type: 'peer-left', peerId, username: user.username });
-    }
+    users.suspendUser(peerId);
+    _graceTimers.set(peerId, setTimeout(() => expireSuspendedUser(peerId), RESUME_GRACE_MS));
+    logger.info(`Peer ${peerId} disconnected — holding room slot for ${RESUME_GRACE_MS / 1000}s`);
+    return;
   }
   users.unregisterUser(peerId);
   logger.info(`Peer ${peerId} disconnected`);
 }
 
-module.exports = { handleMessage, handleDisconnect, send, broadcast };
+/**
+ * Removes a suspended user whose grace period ran out without a resume.
+ * @param {string} peerId
+ */
+function expireSuspendedUser(peerId) {
+  _graceTimers.delete(peerId);
+  const user = users.findById(peerId);
+  if (!user?.suspended) return;
+  if (user.roomKey) removeFromRoom(user.roomKey, peerId, user.username);
+  users.unregisterUser(peerId);
+  logger.info(`Peer ${peerId} did not resume — removed`);
+}
+
+module.exports = { handleMessage, handleDisconnect, send, broadcast, RESUME_GRACE_MS };
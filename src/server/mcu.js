@@ -0,0 +1,115 @@
+'use strict';
+
+const { SfuRouter } = require('./sfu');
+const { AudioMixer } = require('./mixer');
+const { SAMPLE_RATE, FRAME_MS, FRAME_SAMPLES, fromRtcFrame } = require('../utils/audioFormat');
+const { startFrameClock } = require('../utils/frameClock');
+const logger = require('../utils/logger');
+
+// Speaking levels are reported every this many mixed frames
+const LEVEL_INTERVAL_FRAMES = 10; // ~100ms
+
+/**
+ * Mixing unit (MCU) for a single room.
+ *
+ * Shares its connection handling with SfuRouter, but every client gets a
+ * single downstream track: the server decodes all participants and sends
+ * each listener one mix of everybody except themselves.  Clients then play
+ * one stream however many people are talking, which keeps their CPU use and
+ * open audio devices constant.
+ *
+ * Events emitted:
+ *   'signal' (peerId, data)  — SDP/ICE to relay to the client
+ *   'levels' (Object)        — peerId → loudest RMS [0, 1] over the last ~100ms
+ */
+class McuRouter extends SfuRouter {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.roomKey
+   */
+  constructor({ roomKey }) {
+    super({ roomKey, slotCount: 1 });
+    this._mixer = new AudioMixer();
+    this._clock = null;
+    this._framesMixed = 0;
+    this._warnedFormats = new Set();
+    this._wasSilent = false;
+  }
+
+  /** @param {string} peerId */
+  addPeer(peerId) {
+    super.addPeer(peerId);
+    if (!this._clock) this._startClock();
+  }
+
+  /** @param {string} peerId */
+  removePeer(peerId) {
+    super.removePeer(peerId);
+    this._mixer.removeInput(peerId);
+  }
+
+  close() {
+    this._clock?.stop();
+    this._clock = null;
+    super.close();
+  }
+
+  /**
+   * Queues a decoded upstream frame for the next mix.
+   * @param {string} peerId
+   * @param {Object} frame - RTCAudioSink data event
+   * @protected
+   */
+  _forward(peerId, frame) {
+    // A fresh mono copy, so a sink reusing its buffer cannot change a frame still queued
+    const samples = fromRtcFrame(frame, 1);
+    if (samples) {
+      this._mixer.push(peerId, samples);
+      return;
+    }
+    const format = `${frame.sampleRate}Hz/${frame.channelCount}ch/${frame.samples.length}`;
+    if (!this._warnedFormats.has(format)) {
+      this._warnedFormats.add(format);
+      logger.warn(`MCU: dropping ${format} frames from ${peerId} in room "${this._roomKey}"`);
+    }
+  }
+
+  /**
+   * The single downstream slot always carries the mix, so there is nothing
+   * to assign.
+   * @protected
+   */
+  _assignSlot() {}
+
+  /**
+   * Mixes one frame every 10ms.
+   * @private
+   */
+  _startClock() {
+    this._clock = startFrameClock(FRAME_MS, () => this._mixFrame());
+  }
+
+  /** @private */
+  _mixFrame() {
+    const mixes = this._mixer.mix(this._clients.keys());
+    for (const [peerId, samples] of mixes) {
+      this._clients.get(peerId).slots[0].source.onData({
+        samples,
+        sampleRate: SAMPLE_RATE,
+        bitsPerSample: 16,
+        channelCount: 1,
+        numberOfFrames: FRAME_SAMPLES,
+      });
+    }
+
+    if (++this._framesMixed % LEVEL_INTERVAL_FRAMES === 0) {
+      const levels = this._mixer.takeLevels();
+      // One all-silent report is enough to clear indicators; skip the rest
+      const silent = Object.values(levels).every((level) => level === 0);
+      if (!(silent && this._wasSilent)) this.emit('levels', levels);
+      this._wasSilent = silent;
+    }
+  }
+}
+
+module.exports = { McuRouter };
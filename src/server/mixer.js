@@ -0,0 +1,108 @@
+'use strict';
+
+// 10ms mono frames are the unit every input and mix uses
+const { FRAME_SAMPLES, rms } = require('../utils/audioFormat');
+
+// Frames held per input before the oldest are dropped.  Inputs arrive on
+// their own network timing; this absorbs jitter while bounding the delay a
+// sender that runs fast can build up.
+const MAX_QUEUED_FRAMES = 10; // ~100ms
+
+const INT16_MAX = 32767;
+const INT16_MIN = -32768;
+
+/**
+ * Mixes 10ms PCM frames from several participants into one frame per
+ * listener, leaving each listener's own voice out of their mix ("mix-minus").
+ *
+ * The mixer holds no clock: callers push frames as they are decoded and call
+ * `mix()` once per 10ms, which consumes at most one queued frame per input.
+ * An input with nothing queued contributes silence for that frame.
+ */
+class AudioMixer {
+  constructor() {
+    /** @type {Map<string, { queue: Int16Array[], peak: number }>} peerId → input */
+    this._inputs = new Map();
+  }
+
+  /**
+   * Queues a decoded frame from a participant.
+   *
+   * @param {string}     peerId
+   * @param {Int16Array} samples - Exactly FRAME_SAMPLES mono samples
+   * @throws {RangeError} if the frame is not FRAME_SAMPLES long
+   */
+  push(peerId, samples) {
+    if (samples.length !== FRAME_SAMPLES) {
+      throw new RangeError(`Mixer frames must be ${FRAME_SAMPLES} samples, got ${samples.length}`);
+    }
+    let input = this._inputs.get(peerId);
+    if (!input) {
+      input = { queue: [], peak: 0 };
+      this._inputs.set(peerId, input);
+    }
+    input.queue.push(samples);
+    if (input.queue.length > MAX_QUEUED_FRAMES) input.queue.shift();
+  }
+
+  /**
+   * Forgets a participant and anything they had queued.
+   * @param {string} peerId
+   */
+  removeInput(peerId) {
+    this._inputs.delete(peerId);
+  }
+
+  /**
+   * Produces the next frame for each listener: the sum of every other
+   * input's next queued frame, hard-clipped to 16 bits.
+   *
+   * @param {Iterable<string>} listenerIds
+   * @returns {Map<string, Int16Array>} listener peerId → mixed frame
+   */
+  mix(listenerIds) {
+    // Sum everyone once, then subtract each listener's own frame, so a
+    // room of N costs O(N) per frame rather than O(N²).
+    const total = new Int32Array(FRAME_SAMPLES);
+    /** @type {Map<string, Int16Array>} */
+    const current = new Map();
+
+    for (const [peerId, input] of this._inputs) {
+      const frame = input.queue.shift();
+      if (!frame) continue;
+      current.set(peerId, frame);
+      input.peak = Math.max(input.peak, rms(frame));
+      for (let i = 0; i < FRAME_SAMPLES; i++) total[i] += frame[i];
+    }
+
+    const mixes = new Map();
+    for (const listenerId of listenerIds) {
+      const own = current.get(listenerId);
+      const out = new Int16Array(FRAME_SAMPLES);
+      for (let i = 0; i < FRAME_SAMPLES; i++) {
+        const value = own ? total[i] - own[i] : total[i];
+        out[i] = value > INT16_MAX ? INT16_MAX : value < INT16_MIN ? INT16_MIN : value;
+      }
+      mixes.set(listenerId, out);
+    }
+    return mixes;
+  }
+
+  /**
+   * Returns each input's loudest frame RMS [0, 1] since the previous call,
+   * then resets them.  Lets clients show who is speaking, which they cannot
+   * tell from a single mixed track.
+   *
+   * @returns {Object<string, number>} peerId → RMS
+   */
+  takeLevels() {
+    const levels = {};
+    for (const [peerId, input] of this._inputs) {
+      levels[peerId] = input.peak;
+      input.peak = 0;
+    }
+    return levels;
+  }
+}
+
+module.exports = { AudioMixer, MAX_QUEUED_FRAMES };
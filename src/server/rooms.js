@@ -1,22 +1,51 @@
 'use strict';
 
+const crypto = require('crypto');
 const { generateRoomKey } = require('../utils/roomKey');
 const { RoomError } = require('../utils/errors');
 
+/**
+ * @typedef {Object} PeerState
+ * @property {boolean} isMuted
+ * @property {boolean} [isPushToTalk]   - set once the peer publishes it
+ * @property {boolean} [isTransmitting] - push-to-talk peer is on air
+ * @property {boolean} [isRecording]    - peer is recording the call
+ */
+
 /**
  * @typedef {Object} RoomPeer
- * @property {string} username
+ * @property {string}                 username
  * @property {import('ws').WebSocket} socket
+ * @property {PeerState}              state     - flags the peer publishes to the room
  */
 
 /**
  * @typedef {Object} Room
  * @property {string}                   key
  * @property {string}                   hostPeerId
- * @property {Map<string, RoomPeer>}    peers       - peerId → { username, socket }
+ * @property {Map<string, RoomPeer>}    peers       - peerId → { username, socket, state }
  * @property {Date}                     createdAt
+ * @property {{salt: string, hash: string}|null} password - scrypt hash, null for open rooms
+ * @property {Set<string>}              invited     - peerIds allowed in without the password
+ * @property {boolean}                  locked      - when true only invited peers may join
+ * @property {number}                   maxPeers    - capacity, host included
+ * @property {'mesh'|'sfu'|'mcu'}       mode        - peer-to-peer mesh, or audio forwarded/mixed by the server
  */
 
+// scrypt output length in bytes
+const PASSWORD_KEY_LEN = 32;
+
+// Calls are a full mesh: every peer uploads one stream per other peer, so
+// CPU and upstream bandwidth grow with the square of the room size.
+const DEFAULT_MAX_ROOM_SIZE = 8;
+const MIN_ROOM_SIZE = 2;
+
+/** How a room carries audio: a peer-to-peer mesh, or forwarded (sfu) or mixed (mcu) by the server. */
+const ROOM_MODES = ['mesh', 'sfu', 'mcu'];
+
+/** Server-wide ceiling on room capacity; individual rooms may ask for less. */
+let _maxRoomSize = DEFAULT_MAX_ROOM_SIZE;
+
 /** @type {Map<string, Room>} */
 const _rooms = new Map();
 
@@ -26,15 +55,33 @@ const _rooms = new Map();
  * @param {string}                 hostPeerId
  * @param {string}                 hostUsername
  * @param {import('ws').WebSocket} socket
+ * @param {Object}                 [opts]
+ * @param {string}                 [opts.password] - Makes the room private; only a salted hash is kept
+ * @param {number}                 [opts.maxPeers] - Capacity; defaults to the server-wide maximum
+ * @param {'mesh'|'sfu'|'mcu'}     [opts.mode='mesh']
  * @returns {Room}
+ * @throws {RoomError} INVALID_ROOM_SIZE if maxPeers is outside 2–the server maximum
+ * @throws {RoomError} INVALID_ROOM_MODE if mode is not a known room mode
  */
-function createRoom(hostPeerId, hostUsername, socket) {
+function createRoom(hostPeerId, hostUsername, socket, { password, maxPeers = _maxRoomSize, mode = 'mesh' } = {}) {
+  if (!ROOM_MODES.includes(mode)) {
+    throw new RoomError(`Room mode must be one of: ${ROOM_MODES.join(', ')}.`, 'INVALID_ROOM_MODE');
+  }
+  if (!Number.isInteger(maxPeers) || maxPeers < MIN_ROOM_SIZE || maxPeers > _maxRoomSize) {
+    throw new RoomError(`Room size must be between ${MIN_ROOM_SIZE} and ${_maxRoomSize}.`, 'INVALID_ROOM_SIZE');
+  }
+
   const key = generateRoomKey();
   const room = {
     key,
     hostPeerId,
-    peers: new Map([[hostPeerId, { username: hostUsername, socket }]]),
+    peers: new Map([[hostPeerId, createPeer(hostUsername, socket)]]),
     createdAt: new Date(),
+    password: password ? hashPassword(password) : null,
+    invited: new Set(),
+    locked: false,
+    maxPeers,
+    mode,
   };
   _rooms.set(key, room);
   return room;
@@ -43,36 +90,171 @@ function createRoom(hostPeerId, hostUsername, socket) {
 /**
  * Adds a peer to an existing room.
  *
+ * Private rooms require the matching password unless the peer was invited
+ * by someone already inside.
+ *
  * @param {string}                 key
  * @param {string}                 peerId
  * @param {string}                 username
  * @param {import('ws').WebSocket} socket
+ * @param {string}                 [password]
  * @returns {Room}
  * @throws {RoomError} ROOM_NOT_FOUND if the key does not exist
  * @throws {RoomError} ALREADY_IN_ROOM if peerId is already present
+ * @throws {RoomError} ROOM_FULL if the room is at capacity
+ * @throws {RoomError} ROOM_LOCKED if the host has locked the room
+ * @throws {RoomError} ROOM_AUTH_FAILED if the room is private and the password is wrong
  */
-function joinRoom(key, peerId, username, socket) {
+function joinRoom(key, peerId, username, socket, password) {
   const room = _rooms.get(key);
   if (!room) throw new RoomError(`Room "${key}" does not exist.`, 'ROOM_NOT_FOUND');
   if (room.peers.has(peerId)) throw new RoomError('Already in this room.', 'ALREADY_IN_ROOM');
-  room.peers.set(peerId, { username, socket });
+  if (room.peers.size >= room.maxPeers) {
+    throw new RoomError(`Room "${key}" is full (${room.maxPeers} people max).`, 'ROOM_FULL');
+  }
+  if (room.locked && !room.invited.has(peerId)) {
+    throw new RoomError('This room has been locked by the host.', 'ROOM_LOCKED');
+  }
+  if (room.password && !room.invited.has(peerId)) {
+    if (!password) throw new RoomError('This room requires a password.', 'ROOM_AUTH_FAILED');
+    if (!verifyPassword(password, room.password)) {
+      throw new RoomError('Incorrect room password.', 'ROOM_AUTH_FAILED');
+    }
+  }
+  room.invited.delete(peerId);
+  room.peers.set(peerId, createPeer(username, socket));
+  return room;
+}
+
+/**
+ * Lets a peer into a private room without the password, once.
+ *
+ * @param {string} key
+ * @param {string} peerId
+ * @throws {RoomError} ROOM_NOT_FOUND if the key does not exist
+ */
+function addInvite(key, peerId) {
+  const room = _rooms.get(key);
+  if (!room) throw new RoomError(`Room "${key}" does not exist.`, 'ROOM_NOT_FOUND');
+  room.invited.add(peerId);
+}
+
+/**
+ * Withdraws an invite that has not been used yet.
+ *
+ * @param {string} key
+ * @param {string} peerId
+ * @returns {boolean} true when the peer held an invite to the room
+ */
+function removeInvite(key, peerId) {
+  const room = _rooms.get(key);
+  return Boolean(room?.invited.delete(peerId));
+}
+
+/**
+ * Hands a peer's slot over to a new peer ID, e.g. when a disconnected user
+ * resumes their session on a fresh connection.  Host status moves with the
+ * slot, and so does its place in join order, which decides the next host.
+ *
+ * @param {string}                 key
+ * @param {string}                 oldPeerId
+ * @param {string}                 newPeerId
+ * @param {import('ws').WebSocket} socket
+ * @returns {Room}
+ * @throws {RoomError} ROOM_NOT_FOUND if the key does not exist
+ * @throws {RoomError} NOT_IN_ROOM if oldPeerId holds no slot in the room
+ */
+function replacePeer(key, oldPeerId, newPeerId, socket) {
+  const room = _rooms.get(key);
+  if (!room) throw new RoomError(`Room "${key}" does not exist.`, 'ROOM_NOT_FOUND');
+  const peer = room.peers.get(oldPeerId);
+  if (!peer) throw new RoomError('Not in this room.', 'NOT_IN_ROOM');
+  // Maps keep insertion order, so rebuild it with the new ID in the old place
+  const entries = [...room.peers];
+  room.peers.clear();
+  for (const [peerId, slot] of entries) {
+    if (peerId === oldPeerId) room.peers.set(newPeerId, { ...slot, socket });
+    else room.peers.set(peerId, slot);
+  }
+  if (room.hostPeerId === oldPeerId) room.hostPeerId = newPeerId;
+  return room;
+}
+
+/**
+ * Merges published state flags into a peer's slot.
+ *
+ * @param {string}             key
+ * @param {string}             peerId
+ * @param {Partial<PeerState>} patch
+ * @returns {Room}
+ * @throws {RoomError} ROOM_NOT_FOUND if the key does not exist
+ * @throws {RoomError} NOT_IN_ROOM if peerId holds no slot in the room
+ */
+function setPeerState(key, peerId, patch) {
+  const room = _rooms.get(key);
+  if (!room) throw new RoomError(`Room "${key}" does not exist.`, 'ROOM_NOT_FOUND');
+  const peer = room.peers.get(peerId);
+  if (!peer) throw new RoomError('Not in this room.', 'NOT_IN_ROOM');
+  Object.assign(peer.state, patch);
+  return room;
+}
+
+/**
+ * Makes another peer in the room its host.
+ *
+ * @param {string} key
+ * @param {string} peerId
+ * @returns {Room}
+ * @throws {RoomError} ROOM_NOT_FOUND if the key does not exist
+ * @throws {RoomError} NOT_IN_ROOM if peerId holds no slot in the room
+ */
+function setHost(key, peerId) {
+  const room = _rooms.get(key);
+  if (!room) throw new RoomError(`Room "${key}" does not exist.`, 'ROOM_NOT_FOUND');
+  if (!room.peers.has(peerId)) throw new RoomError('Not in this room.', 'NOT_IN_ROOM');
+  room.hostPeerId = peerId;
+  return room;
+}
+
+/**
+ * Locks or unlocks a room against new (uninvited) joiners.
+ *
+ * @param {string}  key
+ * @param {boolean} locked
+ * @returns {Room}
+ * @throws {RoomError} ROOM_NOT_FOUND if the key does not exist
+ */
+function setLocked(key, locked) {
+  const room = _rooms.get(key);
+  if (!room) throw new RoomError(`Room "${key}" does not exist.`, 'ROOM_NOT_FOUND');
+  room.locked = locked;
   return room;
 }
 
 /**
  * Removes a peer from their room.  Deletes the room when it becomes empty.
  *
+ * When the host leaves a room that still has people in it, hosting passes to
+ * whoever has been in the room longest.
+ *
  * @param {string} key
  * @param {string} peerId
- * @returns {{ room: Room|null, wasEmpty: boolean }}
+ * @returns {{ room: Room|null, wasEmpty: boolean, hostChanged: boolean }}
  */
 function leaveRoom(key, peerId) {
   const room = _rooms.get(key);
-  if (!room) return { room: null, wasEmpty: true };
+  if (!room) return { room: null, wasEmpty: true, hostChanged: false };
   room.peers.delete(peerId);
   const wasEmpty = room.peers.size === 0;
   if (wasEmpty) _rooms.delete(key);
-  return { room, wasEmpty };
+
+  let hostChanged = false;
+  if (!wasEmpty && room.hostPeerId === peerId) {
+    // Map iteration follows insertion order, i.e. join order
+    room.hostPeerId = room.peers.keys().next().value;
+    hostChanged = true;
+  }
+  return { room, wasEmpty, hostChanged };
 }
 
 /**
@@ -92,6 +274,56 @@ function listRooms() {
   return Array.from(_rooms.keys());
 }
 
+/**
+ * Sets the server-wide room capacity, used as the default and upper bound
+ * for new rooms.  Existing rooms keep their capacity.
+ *
+ * @param {number} size
+ * @throws {RoomError} INVALID_ROOM_SIZE if size is not an integer of at least 2
+ */
+function setMaxRoomSize(size) {
+  if (!Number.isInteger(size) || size < MIN_ROOM_SIZE) {
+    throw new RoomError(`Room size must be at least ${MIN_ROOM_SIZE}.`, 'INVALID_ROOM_SIZE');
+  }
+  _maxRoomSize = size;
+}
+
+/** @returns {number} */
+function getMaxRoomSize() {
+  return _maxRoomSize;
+}
+
+/**
+ * @param {string} password
+ * @returns {{salt: string, hash: string}}
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, PASSWORD_KEY_LEN).toString('hex');
+  return { salt, hash };
+}
+
+/**
+ * Constant-time comparison of a candidate password against a stored hash.
+ * @param {string} password
+ * @param {{salt: string, hash: string}} stored
+ * @returns {boolean}
+ */
+function verifyPassword(password, { salt, hash }) {
+  const candidate = crypto.scryptSync(password, salt, PASSWORD_KEY_LEN);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+}
+
+/**
+ * Builds a fresh room slot with default state.
+ * @param {string}                 username
+ * @param {import('ws').WebSocket} socket
+ * @returns {RoomPeer}
+ */
+function createPeer(username, socket) {
+  return { username, socket, state: { isMuted: false } };
+}
+
 /**
  * Removes all rooms — used only by the test suite.
  */
@@ -99,4 +331,20 @@ function clearRooms() {
   _rooms.clear();
 }
 
-module.exports = { createRoom, joinRoom, leaveRoom, getRoom, listRooms, clearRooms };
+module.exports = {
+  createRoom,
+  joinRoom,
+  addInvite,
+  removeInvite,
+  replacePeer,
+  setPeerState,
+  setHost,
+  setLocked,
+  leaveRoom,
+  getRoom,
+  listRooms,
+  setMaxRoomSize,
+  getMaxRoomSize,
+  clearRooms,
+  DEFAULT_MAX_ROOM_SIZE,
+};
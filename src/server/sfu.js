@@ -0,0 +1,238 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { DEFAULT_ICE_SERVERS } = require('../utils/iceServers');
+const logger = require('../utils/logger');
+
+/** Peer ID clients use to address the server's media connection (SFU and MCU rooms) in `signal` messages. */
+const SFU_PEER_ID = 'sfu';
+
+/**
+ * ICE servers for the server's own media connections — by default public
+ * STUN, so the server can advertise its public address when behind NAT.
+ * @type {import('../utils/iceServers').IceServer[]}
+ */
+let _iceServers = DEFAULT_ICE_SERVERS;
+
+let _SimplePeer = null;
+let _wrtc = null;
+
+/**
+ * Loads the WebRTC stack on first use, so servers that never host an SFU or
+ * MCU room do not need the native module to start.
+ * @returns {boolean} true when server-routed rooms can be hosted
+ */
+function isAvailable() {
+  if (_SimplePeer && _wrtc) return true;
+  try {
+    _SimplePeer = require('simple-peer');
+    _wrtc = require('@roamhq/wrtc');
+    return true;
+  } catch (err) {
+    logger.warn(`Server-routed rooms unavailable — WebRTC modules failed to load: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Sets the ICE servers used by media connections opened from now on.
+ * @param {import('../utils/iceServers').IceServer[]} iceServers
+ */
+function setIceServers(iceServers) {
+  _iceServers = iceServers;
+}
+
+/**
+ * @typedef {Object} DownstreamSlot
+ * @property {Object}      source     - RTCAudioSource feeding this slot's track
+ * @property {Object}      track      - MediaStreamTrack sent to the client
+ * @property {Object}      stream     - MediaStream wrapping `track`; its id names the slot
+ * @property {string|null} fromPeerId - participant currently forwarded on this slot
+ */
+
+/**
+ * @typedef {Object} SfuClient
+ * @property {import('simple-peer').Instance} peer
+ * @property {DownstreamSlot[]}               slots - one per other participant the room can hold
+ * @property {Object|null}                    sink  - RTCAudioSink on the client's upstream track
+ */
+
+/**
+ * Selective forwarding unit for a single room.
+ *
+ * Every client holds one WebRTC connection to the server carrying its own
+ * microphone upstream and a fixed set of downstream "slots" — one per other
+ * participant the room can hold.  Each upstream track is decoded once and
+ * fed into the matching slot of every other client, so a client's upload
+ * stays at one stream no matter how many people are in the room.
+ *
+ * Slots are created up front, which keeps each connection to a single
+ * offer/answer; clients learn which participant a slot carries from 'slot'
+ * events rather than through renegotiation.
+ *
+ * Events emitted:
+ *   'signal' (peerId, data)                  — SDP/ICE to relay to the client
+ *   'slot'   (peerId, { streamId, fromPeerId }) — a downstream slot was (re)assigned;
+ *                                              `fromPeerId` is null when freed
+ */
+class SfuRouter extends EventEmitter {
+  /**
+   * @param {Object} opts
+   * @param {string} opts.roomKey
+   * @param {number} opts.slotCount - Downstream tracks per client (room capacity − 1)
+   */
+  constructor({ roomKey, slotCount }) {
+    super();
+    this._roomKey = roomKey;
+    this._slotCount = slotCount;
+
+    /** @type {Map<string, SfuClient>} peerId → connection state */
+    this._clients = new Map();
+  }
+
+  /**
+   * Opens a forwarding connection to a participant.  The server initiates,
+   * so the offer goes out through a 'signal' event straight away.
+   * @param {string} peerId
+   */
+  addPeer(peerId) {
+    if (this._clients.has(peerId)) this.removePeer(peerId);
+
+    const { RTCAudioSource } = _wrtc.nonstandard;
+    const slots = Array.from({ length: this._slotCount }, () => {
+      const source = new RTCAudioSource();
+      const track = source.createTrack();
+      return { source, track, stream: new _wrtc.MediaStream([track]), fromPeerId: null };
+    });
+
+    const peer = new _SimplePeer({
+      initiator: true,
+      wrtc: _wrtc,
+      streams: slots.map((slot) => slot.stream),
+      config: { iceServers: _iceServers },
+      trickle: true,
+    });
+
+    /** @type {SfuClient} */
+    const client = { peer, slots, sink: null };
+    this._clients.set(peerId, client);
+
+    peer.on('signal', (data) => this.emit('signal', peerId, data));
+    peer.on('track', (track) => this._onUpstream(peerId, client, track));
+    peer.on('connect', () => logger.info(`SFU connected → ${peerId} (room "${this._roomKey}")`));
+    peer.on('error', (err) => logger.warn(`SFU connection error (${peerId}): ${err.message}`));
+    peer.on('close', () => {
+      // The client may have reconnected under the same peerId in the meantime
+      if (this._clients.get(peerId) === client) this.removePeer(peerId);
+    });
+
+    // Participants who are already talking get a slot on the newcomer's connection
+    for (const [otherId, other] of this._clients) {
+      if (otherId !== peerId && other.sink) this._assignSlot(peerId, otherId);
+    }
+  }
+
+  /**
+   * Delivers client SDP/ICE to its forwarding connection.
+   * @param {string} peerId
+   * @param {Object} data
+   */
+  signal(peerId, data) {
+    const client = this._clients.get(peerId);
+    if (!client) {
+      logger.warn(`SFU signal from unknown peer ${peerId} — ignoring`);
+      return;
+    }
+    try {
+      client.peer.signal(data);
+    } catch (err) {
+      logger.warn(`SFU signal() failed for ${peerId}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Closes a participant's connection and frees the slots carrying them.
+   * @param {string} peerId
+   */
+  removePeer(peerId) {
+    const client = this._clients.get(peerId);
+    if (!client) return;
+    this._clients.delete(peerId);
+
+    if (client.sink) client.sink.stop();
+    for (const slot of client.slots) slot.track.stop();
+    client.peer.destroy();
+
+    for (const [otherId, other] of this._clients) {
+      const slot = other.slots.find((s) => s.fromPeerId === peerId);
+      if (!slot) continue;
+      slot.fromPeerId = null;
+      this.emit('slot', otherId, { streamId: slot.stream.id, fromPeerId: null });
+    }
+  }
+
+  /** Closes every connection in the room. */
+  close() {
+    for (const peerId of [...this._clients.keys()]) this.removePeer(peerId);
+    this.removeAllListeners();
+  }
+
+  /** @returns {number} */
+  get peerCount() {
+    return this._clients.size;
+  }
+
+  /**
+   * Starts forwarding a client's microphone to everyone else in the room.
+   * @param {string}    peerId
+   * @param {SfuClient} client
+   * @param {Object}    track
+   * @private
+   */
+  _onUpstream(peerId, client, track) {
+    if (client.sink) client.sink.stop();
+    const { RTCAudioSink } = _wrtc.nonstandard;
+    client.sink = new RTCAudioSink(track);
+
+    for (const otherId of this._clients.keys()) {
+      if (otherId !== peerId) this._assignSlot(otherId, peerId);
+    }
+
+    client.sink.ondata = (frame) => this._forward(peerId, frame);
+  }
+
+  /**
+   * Hands a decoded upstream frame on to the slots carrying its sender.
+   * Frames are 10ms each, which is exactly what RTCAudioSource.onData expects.
+   * @param {string} peerId
+   * @param {Object} frame - RTCAudioSink data event
+   * @protected
+   */
+  _forward(peerId, frame) {
+    for (const other of this._clients.values()) {
+      const slot = other.slots.find((s) => s.fromPeerId === peerId);
+      if (slot) slot.source.onData(frame);
+    }
+  }
+
+  /**
+   * Points a free downstream slot of `toPeerId` at `fromPeerId`'s audio.
+   * @param {string} toPeerId
+   * @param {string} fromPeerId
+   * @protected
+   */
+  _assignSlot(toPeerId, fromPeerId) {
+    const client = this._clients.get(toPeerId);
+    if (client.slots.some((s) => s.fromPeerId === fromPeerId)) return;
+
+    const slot = client.slots.find((s) => s.fromPeerId === null);
+    if (!slot) {
+      logger.warn(`SFU: no free slot on ${toPeerId} for ${fromPeerId} in room "${this._roomKey}"`);
+      return;
+    }
+    slot.fromPeerId = fromPeerId;
+    this.emit('slot', toPeerId, { streamId: slot.stream.id, fromPeerId });
+  }
+}
+
+module.exports = { SfuRouter, isAvailable, setIceServers, SFU_PEER_ID };
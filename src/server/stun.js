@@ -0,0 +1,360 @@
+'use strict';
+
+const crypto = require('crypto');
+
+/**
+ * STUN message encoding and decoding (RFC 5389), with the methods and
+ * attributes TURN adds (RFC 5766) and TURN's ChannelData framing — the wire
+ * format the built-in relay in turnServer.js speaks.
+ *
+ * Messages are plain objects:
+ *   { method, cls, transactionId, attributes: [{ type, value }] }
+ * with attribute values as raw Buffers; the helpers below convert the
+ * attribute types the relay reads and writes.
+ */
+
+const HEADER_LENGTH = 20;
+const MAGIC_COOKIE = 0x2112a442;
+const FINGERPRINT_XOR = 0x5354554e;
+
+const METHOD = {
+  BINDING: 0x001,
+  ALLOCATE: 0x003,
+  REFRESH: 0x004,
+  SEND: 0x006,
+  DATA: 0x007,
+  CREATE_PERMISSION: 0x008,
+  CHANNEL_BIND: 0x009,
+};
+
+const CLASS = { REQUEST: 0, INDICATION: 1, SUCCESS: 2, ERROR: 3 };
+
+const ATTR = {
+  MAPPED_ADDRESS: 0x0001,
+  USERNAME: 0x0006,
+  MESSAGE_INTEGRITY: 0x0008,
+  ERROR_CODE: 0x0009,
+  UNKNOWN_ATTRIBUTES: 0x000a,
+  CHANNEL_NUMBER: 0x000c,
+  LIFETIME: 0x000d,
+  XOR_PEER_ADDRESS: 0x0012,
+  DATA: 0x0013,
+  REALM: 0x0014,
+  NONCE: 0x0015,
+  XOR_RELAYED_ADDRESS: 0x0016,
+  EVEN_PORT: 0x0018,
+  REQUESTED_TRANSPORT: 0x0019,
+  DONT_FRAGMENT: 0x001a,
+  XOR_MAPPED_ADDRESS: 0x0020,
+  RESERVATION_TOKEN: 0x0022,
+  SOFTWARE: 0x8022,
+  FINGERPRINT: 0x8028,
+};
+
+/** Channel numbers clients may bind (RFC 5766 §11). */
+const MIN_CHANNEL = 0x4000;
+const MAX_CHANNEL = 0x7ffe;
+
+/**
+ * @typedef {Object} StunAttribute
+ * @property {number} type
+ * @property {Buffer} value
+ */
+
+/**
+ * @typedef {Object} StunMessage
+ * @property {number}          method
+ * @property {number}          cls             - one of CLASS
+ * @property {Buffer}          transactionId   - 12 bytes
+ * @property {StunAttribute[]} attributes      - in order, up to MESSAGE-INTEGRITY
+ * @property {number|null}     [integrityOffset] - where MESSAGE-INTEGRITY starts, when decoded
+ */
+
+/**
+ * @typedef {Object} TransportAddress
+ * @property {string} address
+ * @property {number} port
+ * @property {4|6}    [family]
+ */
+
+// ── CRC-32 (for FINGERPRINT) ────────────────────────────────────────────────
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c;
+});
+
+/** @param {Buffer} buf @returns {number} unsigned */
+function crc32(buf) {
+  let crc = -1;
+  for (const byte of buf) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ -1) >>> 0;
+}
+
+// ── Messages ────────────────────────────────────────────────────────────────
+
+/**
+ * @param {Buffer} buf
+ * @returns {boolean} true when `buf` starts like a STUN message rather than ChannelData
+ */
+function isStunMessage(buf) {
+  return buf.length >= HEADER_LENGTH && (buf[0] & 0xc0) === 0 && buf.readUInt32BE(4) === MAGIC_COOKIE;
+}
+
+/**
+ * @param {Buffer} buf - exactly one message
+ * @returns {StunMessage|null} null when `buf` is not a well-formed STUN message
+ */
+function decodeMessage(buf) {
+  if (!isStunMessage(buf)) return null;
+  const length = buf.readUInt16BE(2);
+  if (length % 4 !== 0 || HEADER_LENGTH + length !== buf.length) return null;
+
+  const type = buf.readUInt16BE(0);
+  const method = (type & 0x000f) | ((type & 0x00e0) >> 1) | ((type & 0x3e00) >> 2);
+  const cls = ((type & 0x0010) >> 4) | ((type & 0x0100) >> 7);
+  const attributes = [];
+  let integrityOffset = null;
+
+  let offset = HEADER_LENGTH;
+  while (offset < buf.length) {
+    if (offset + 4 > buf.length) return null;
+    const attrType = buf.readUInt16BE(offset);
+    const attrLength = buf.readUInt16BE(offset + 2);
+    const end = offset + 4 + attrLength;
+    if (end > buf.length) return null;
+    // Only FINGERPRINT may follow MESSAGE-INTEGRITY; anything else is ignored
+    if (integrityOffset === null) {
+      attributes.push({ type: attrType, value: buf.subarray(offset + 4, end) });
+      if (attrType === ATTR.MESSAGE_INTEGRITY) integrityOffset = offset;
+    }
+    offset = end + ((4 - (attrLength % 4)) % 4);
+  }
+
+  return { method, cls, transactionId: buf.subarray(8, HEADER_LENGTH), attributes, integrityOffset };
+}
+
+/**
+ * Encodes a message, signing it with MESSAGE-INTEGRITY when given a key and
+ * always ending it with FINGERPRINT.
+ *
+ * @param {StunMessage} message
+ * @param {Object} [opts]
+ * @param {Buffer} [opts.integrityKey] - long-term credential key (see longTermKey)
+ * @returns {Buffer}
+ */
+function encodeMessage({ method, cls, transactionId, attributes = [] }, { integrityKey } = {}) {
+  const type = (method & 0x000f) | ((method & 0x0070) << 1) | ((method & 0x0f80) << 2)
+    | ((cls & 1) << 4) | ((cls & 2) << 7);
+
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt16BE(type, 0);
+  header.writeUInt32BE(MAGIC_COOKIE, 4);
+  transactionId.copy(header, 8);
+
+  let message = Buffer.concat([header, ...attributes.map(({ type: t, value }) => encodeAttribute(t, value))]);
+  if (integrityKey) {
+    // The HMAC covers the header with a length that already counts MESSAGE-INTEGRITY itself
+    message.writeUInt16BE(message.length - HEADER_LENGTH + 24, 2);
+    const hmac = crypto.createHmac('sha1', integrityKey).update(message).digest();
+    message = Buffer.concat([message, encodeAttribute(ATTR.MESSAGE_INTEGRITY, hmac)]);
+  }
+  message.writeUInt16BE(message.length - HEADER_LENGTH + 8, 2);
+  const fingerprint = Buffer.alloc(4);
+  fingerprint.writeUInt32BE((crc32(message) ^ FINGERPRINT_XOR) >>> 0, 0);
+  return Buffer.concat([message, encodeAttribute(ATTR.FINGERPRINT, fingerprint)]);
+}
+
+/** @param {number} type @param {Buffer} value @returns {Buffer} padded to 4 bytes */
+function encodeAttribute(type, value) {
+  const attr = Buffer.alloc(4 + value.length + ((4 - (value.length % 4)) % 4));
+  attr.writeUInt16BE(type, 0);
+  attr.writeUInt16BE(value.length, 2);
+  value.copy(attr, 4);
+  return attr;
+}
+
+/**
+ * @param {Buffer}      raw     - the message as received
+ * @param {StunMessage} message - `raw` decoded
+ * @param {Buffer}      key     - long-term credential key
+ * @returns {boolean} true when MESSAGE-INTEGRITY is present and matches
+ */
+function checkIntegrity(raw, message, key) {
+  const offset = message.integrityOffset;
+  if (offset === null || offset === undefined) return false;
+  const signed = Buffer.from(raw.subarray(0, offset));
+  signed.writeUInt16BE(offset - HEADER_LENGTH + 24, 2);
+  const expected = crypto.createHmac('sha1', key).update(signed).digest();
+  const actual = raw.subarray(offset + 4, offset + 24);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * The key for long-term credentials: MD5 of "username:realm:password".
+ * @param {string} username @param {string} realm @param {string} password
+ * @returns {Buffer}
+ */
+function longTermKey(username, realm, password) {
+  return crypto.createHash('md5').update(`${username}:${realm}:${password}`).digest();
+}
+
+// ── Attributes ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {StunMessage} message @param {number} type
+ * @returns {Buffer|null} the first attribute of that type
+ */
+function getAttribute(message, type) {
+  const attr = message.attributes.find((a) => a.type === type);
+  return attr ? attr.value : null;
+}
+
+/** @param {StunMessage} message @param {number} type @returns {string|null} */
+function getString(message, type) {
+  const value = getAttribute(message, type);
+  return value ? value.toString('utf8') : null;
+}
+
+/**
+ * @param {TransportAddress} addr - IPv4 only
+ * @param {Buffer}           transactionId
+ * @returns {Buffer}
+ */
+function encodeXorAddress({ address, port }, transactionId) {
+  const octets = address.split('.').map(Number);
+  if (octets.length !== 4 || octets.some((o) => !Number.isInteger(o) || o < 0 || o > 255)) {
+    throw new RangeError(`Not an IPv4 address: ${address}`);
+  }
+  const value = Buffer.alloc(8);
+  value[1] = 0x01;
+  value.writeUInt16BE(port ^ (MAGIC_COOKIE >>> 16), 2);
+  value.writeUInt32BE((Buffer.from(octets).readUInt32BE(0) ^ MAGIC_COOKIE) >>> 0, 4);
+  return value;
+}
+
+/**
+ * @param {Buffer} value
+ * @param {Buffer} transactionId
+ * @returns {TransportAddress|null} null when malformed; IPv6 addresses come back uncompressed
+ */
+function decodeXorAddress(value, transactionId) {
+  if (!value || value.length < 8) return null;
+  const port = value.readUInt16BE(2) ^ (MAGIC_COOKIE >>> 16);
+  if (value[1] === 0x01 && value.length === 8) {
+    const ip = Buffer.alloc(4);
+    ip.writeUInt32BE((value.readUInt32BE(4) ^ MAGIC_COOKIE) >>> 0, 0);
+    return { family: 4, address: [...ip].join('.'), port };
+  }
+  if (value[1] === 0x02 && value.length === 20) {
+    const mask = Buffer.alloc(16);
+    mask.writeUInt32BE(MAGIC_COOKIE, 0);
+    transactionId.copy(mask, 4);
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push((((value[4 + i] ^ mask[i]) << 8) | (value[5 + i] ^ mask[i + 1])).toString(16));
+    }
+    return { family: 6, address: groups.join(':'), port };
+  }
+  return null;
+}
+
+/** @param {number} code - e.g. 401 @param {string} reason @returns {Buffer} */
+function encodeErrorCode(code, reason) {
+  const text = Buffer.from(reason, 'utf8');
+  const value = Buffer.alloc(4 + text.length);
+  value[2] = Math.floor(code / 100);
+  value[3] = code % 100;
+  text.copy(value, 4);
+  return value;
+}
+
+/** @param {Buffer} value @returns {number|null} e.g. 401 */
+function decodeErrorCode(value) {
+  if (!value || value.length < 4) return null;
+  return (value[2] & 0x07) * 100 + value[3];
+}
+
+/** @param {number} n @returns {Buffer} */
+function encodeUInt32(n) {
+  const value = Buffer.alloc(4);
+  value.writeUInt32BE(n, 0);
+  return value;
+}
+
+// ── ChannelData ─────────────────────────────────────────────────────────────
+
+/** @param {Buffer} buf @returns {boolean} */
+function isChannelData(buf) {
+  return buf.length >= 4 && (buf[0] & 0xc0) === 0x40;
+}
+
+/**
+ * @param {number}  channel
+ * @param {Buffer}  data
+ * @param {boolean} [pad=false] - pad to 4 bytes, as required over TCP
+ * @returns {Buffer}
+ */
+function encodeChannelData(channel, data, pad = false) {
+  const frame = Buffer.alloc(4 + data.length + (pad ? (4 - (data.length % 4)) % 4 : 0));
+  frame.writeUInt16BE(channel, 0);
+  frame.writeUInt16BE(data.length, 2);
+  data.copy(frame, 4);
+  return frame;
+}
+
+/**
+ * @param {Buffer} buf
+ * @returns {{ channel: number, data: Buffer }|null} null when truncated
+ */
+function decodeChannelData(buf) {
+  if (!isChannelData(buf)) return null;
+  const length = buf.readUInt16BE(2);
+  if (4 + length > buf.length) return null;
+  return { channel: buf.readUInt16BE(0), data: buf.subarray(4, 4 + length) };
+}
+
+/**
+ * Length of the STUN message or ChannelData frame at the start of a TCP
+ * stream, which carries them back to back.
+ *
+ * @param {Buffer} buf
+ * @returns {number|null} bytes to take, null when more are needed to tell,
+ *   or -1 when the stream is not STUN at all
+ */
+function frameLength(buf) {
+  if (buf.length < 4) return null;
+  const length = buf.readUInt16BE(2);
+  if ((buf[0] & 0xc0) === 0) {
+    if (buf.length < 8) return null;
+    return buf.readUInt32BE(4) === MAGIC_COOKIE ? HEADER_LENGTH + length : -1;
+  }
+  if ((buf[0] & 0xc0) === 0x40) return 4 + length + ((4 - (length % 4)) % 4);
+  return -1;
+}
+
+module.exports = {
+  HEADER_LENGTH,
+  METHOD,
+  CLASS,
+  ATTR,
+  MIN_CHANNEL,
+  MAX_CHANNEL,
+  isStunMessage,
+  decodeMessage,
+  encodeMessage,
+  checkIntegrity,
+  longTermKey,
+  getAttribute,
+  getString,
+  encodeXorAddress,
+  decodeXorAddress,
+  encodeErrorCode,
+  decodeErrorCode,
+  encodeUInt32,
+  isChannelData,
+  encodeChannelData,
+  decodeChannelData,
+  frameLength,
+};
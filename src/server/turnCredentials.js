@@ -0,0 +1,104 @@
+'use strict';
+
+const crypto = require('crypto');
+const { VoiceSyncError } = require('../utils/errors');
+
+/**
+ * Short-lived TURN credentials, handed to clients at login so no TURN secret
+ * needs to be baked into them.
+ *
+ * Follows the TURN REST API convention that coturn (`use-auth-secret`) and
+ * most hosted TURN services check: the username is the expiry time in Unix
+ * seconds, a colon and a user ID, and the credential is the base64 HMAC-SHA1
+ * of that username keyed with a secret shared with the TURN server.  The
+ * TURN server recomputes the credential itself, so nothing has to be stored.
+ */
+
+/** How long issued credentials stay valid — comfortably longer than a call. */
+const DEFAULT_TURN_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * @typedef {Object} TurnConfig
+ * @property {string[]} urls         - turn: / turns: URLs of the relay
+ * @property {string}   secret       - shared with the TURN server
+ * @property {number}   [ttlSeconds] - lifetime of issued credentials
+ */
+
+/** @type {TurnConfig|null} null when the server hands out no TURN credentials */
+let _config = null;
+
+/**
+ * @param {string} secret
+ * @param {Object} [opts]
+ * @param {string} [opts.user]      - who the credentials are for; shows up in TURN server logs
+ * @param {number} [opts.ttlSeconds=DEFAULT_TURN_TTL_SECONDS]
+ * @param {number} [opts.now]       - ms since the epoch; defaults to now
+ * @returns {{ username: string, credential: string, expiresAt: number }} `expiresAt` in ms
+ */
+function createTurnCredentials(secret, { user, ttlSeconds = DEFAULT_TURN_TTL_SECONDS, now = Date.now() } = {}) {
+  const expiry = Math.floor(now / 1000) + ttlSeconds;
+  const username = user ? `${expiry}:${user}` : String(expiry);
+  return { username, credential: turnPassword(secret, username), expiresAt: expiry * 1000 };
+}
+
+/**
+ * The credential that goes with a TURN REST username, which is also what a
+ * TURN server checks it against.
+ *
+ * @param {string} secret
+ * @param {string} username - "expiry:user"
+ * @returns {string} base64 HMAC-SHA1 of `username` keyed with `secret`
+ */
+function turnPassword(secret, username) {
+  return crypto.createHmac('sha1', secret).update(username).digest('base64');
+}
+
+/**
+ * Sets the relay clients are given credentials for, or stops handing them
+ * out when called with null.
+ *
+ * @param {TurnConfig|null} config
+ * @throws {VoiceSyncError} INVALID_TURN_CONFIG when the URLs, secret or lifetime are unusable
+ */
+function configureTurn(config) {
+  if (!config) {
+    _config = null;
+    return;
+  }
+  const { urls, secret, ttlSeconds = DEFAULT_TURN_TTL_SECONDS } = config;
+  if (!Array.isArray(urls) || urls.length === 0 || !urls.every((url) => /^turns?:\S+$/i.test(url))) {
+    throw new VoiceSyncError('TURN credentials need at least one turn: or turns: URL to be used with.', 'INVALID_TURN_CONFIG');
+  }
+  if (!secret || typeof secret !== 'string') {
+    throw new VoiceSyncError('A TURN secret is required.', 'INVALID_TURN_CONFIG');
+  }
+  if (!Number.isInteger(ttlSeconds) || ttlSeconds < 60) {
+    throw new VoiceSyncError('TURN credentials must last at least 60 seconds.', 'INVALID_TURN_CONFIG');
+  }
+  _config = { urls: [...urls], secret, ttlSeconds };
+}
+
+/**
+ * @param {string} user - the username logging in
+ * @returns {import('../utils/iceServers').IceServer[]} the relay with fresh
+ *   credentials, or nothing when none is configured
+ */
+function turnIceServers(user) {
+  if (!_config) return [];
+  const { username, credential } = createTurnCredentials(_config.secret, { user, ttlSeconds: _config.ttlSeconds });
+  return [{ urls: [..._config.urls], username, credential }];
+}
+
+/** @returns {boolean} */
+function isTurnConfigured() {
+  return _config !== null;
+}
+
+module.exports = {
+  DEFAULT_TURN_TTL_SECONDS,
+  createTurnCredentials,
+  turnPassword,
+  configureTurn,
+  turnIceServers,
+  isTurnConfigured,
+};
@@ -0,0 +1,757 @@
+'use strict';
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const os = require('os');
+const { EventEmitter } = require('events');
+const stun = require('./stun');
+const { turnPassword } = require('./turnCredentials');
+const { VoiceSyncError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const { METHOD, CLASS, ATTR } = stun;
+
+/** The standard STUN/TURN port, used for both UDP and TCP. */
+const DEFAULT_TURN_PORT = 3478;
+
+const REALM = 'voicesync';
+const DEFAULT_MAX_ALLOCATIONS = 200;
+/** Enough for one client in a full mesh room relaying over both UDP and TCP. */
+const DEFAULT_MAX_ALLOCATIONS_PER_USER = 20;
+
+const DEFAULT_LIFETIME_SECONDS = 600;
+const MAX_LIFETIME_SECONDS = 3600;
+const PERMISSION_LIFETIME_MS = 5 * 60 * 1000;
+const CHANNEL_LIFETIME_MS = 10 * 60 * 1000;
+const NONCE_LIFETIME_MS = 60 * 60 * 1000;
+const MAX_PERMISSIONS = 64;
+const UDP_PROTOCOL = 17;
+
+/** A TCP client sending more than this without a complete frame is dropped. */
+const MAX_TCP_BUFFER = stun.HEADER_LENGTH + 0xffff;
+
+/** Never relayed to: "this network", link-local, multicast, reserved and broadcast. */
+const UNREACHABLE_PEERS = blockList([['0.0.0.0', 8], ['169.254.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]]);
+/** Private and carrier-grade NAT networks, relayed to only with `allowLanPeers`. */
+const LAN_PEERS = blockList([['10.0.0.0', 8], ['100.64.0.0', 10], ['172.16.0.0', 12], ['192.168.0.0', 16]]);
+const LOOPBACK_PEERS = blockList([['127.0.0.0', 8]]);
+
+/**
+ * Comprehension-required attributes the relay understands; a request
+ * carrying any other is refused with 420.
+ */
+const KNOWN_ATTRIBUTES = new Set([
+  ATTR.MAPPED_ADDRESS, ATTR.USERNAME, ATTR.MESSAGE_INTEGRITY, ATTR.ERROR_CODE,
+  ATTR.UNKNOWN_ATTRIBUTES, ATTR.CHANNEL_NUMBER, ATTR.LIFETIME, ATTR.XOR_PEER_ADDRESS,
+  ATTR.DATA, ATTR.REALM, ATTR.NONCE, ATTR.XOR_RELAYED_ADDRESS, ATTR.REQUESTED_TRANSPORT,
+  ATTR.XOR_MAPPED_ADDRESS,
+]);
+
+/**
+ * @typedef {Object} RelayOptions
+ * @property {string}   secret                  - TURN REST secret that issued credentials are checked against
+ * @property {string}   [externalIp]            - address advertised for relayed traffic; by default
+ *                                                the listening host, or this machine's first LAN address
+ * @property {number[]} [relayPorts]            - [min, max] UDP ports to relay from; any free port by default
+ * @property {number}   [maxAllocations=200]    - relays open at once, across all users
+ * @property {number}   [maxAllocationsPerUser=20]
+ * @property {boolean}  [allowLanPeers=false]   - relay to private addresses, for a relay that
+ *                                                serves a LAN rather than the internet
+ */
+
+/**
+ * @typedef {Object} TurnClient
+ * @property {string}            key      - the client's transport, protocol and address
+ * @property {'udp'|'tcp'}       protocol
+ * @property {string}            address
+ * @property {number}            port
+ * @property {(buf: Buffer) => void} send
+ */
+
+/**
+ * @typedef {Object} Allocation
+ * @property {TurnClient}          client
+ * @property {string}              username     - the credentials it was made with
+ * @property {string}              user
+ * @property {Object}              socket       - dgram socket relaying to and from peers
+ * @property {{ address: string, port: number }} relayed
+ * @property {Buffer}              transactionId - of the Allocate request, to spot retransmits
+ * @property {Buffer}              response      - the success response, for retransmits
+ * @property {Map<string, number>} permissions   - peer IP → expiry (ms)
+ * @property {Map<number, { peer: { address: string, port: number }, expiresAt: number }>} channels
+ * @property {Map<string, number>} peerChannels  - "ip:port" → channel number
+ * @property {NodeJS.Timeout}      timer         - frees the allocation when its lifetime runs out
+ */
+
+/**
+ * A small STUN and TURN server (RFC 5389 / RFC 5766) for relaying call audio
+ * when participants cannot reach each other directly.
+ *
+ * Clients talk to it over UDP or TCP on one port; relayed traffic to peers
+ * is always UDP.  It accepts only TURN REST credentials (see
+ * turnCredentials.js) made with its secret, so the signaling server that
+ * issues them at login is the only way in.  Allocations are capped in total
+ * and per user, and last at most an hour without a refresh.
+ *
+ * It will not relay to private, link-local, multicast or broadcast
+ * addresses, so it cannot be used to reach the server's own network; LAN
+ * peers are allowed with `allowLanPeers`, and loopback ones only when the
+ * relay itself is advertised on loopback.  On its own address it reaches
+ * only its relays, whatever that address is, so two relayed participants
+ * can talk but the server's other services stay out of reach.
+ *
+ * Events emitted:
+ *   'listening' ()                          — both listeners are up; `urls` is valid
+ *   'allocation' ({ user, relayed })        — a relay was opened
+ *   'allocation-closed' ({ user, relayed }) — a relay was freed or expired
+ */
+class TurnServer extends EventEmitter {
+  /**
+   * @param {RelayOptions} opts
+   * @throws {VoiceSyncError} INVALID_TURN_CONFIG for an unusable address or port range
+   */
+  constructor({
+    secret,
+    externalIp,
+    relayPorts,
+    maxAllocations = DEFAULT_MAX_ALLOCATIONS,
+    maxAllocationsPerUser = DEFAULT_MAX_ALLOCATIONS_PER_USER,
+    allowLanPeers = false,
+  }) {
+    super();
+    if (!secret) throw new VoiceSyncError('The built-in TURN relay needs a secret.', 'INVALID_TURN_CONFIG');
+    if (externalIp !== undefined && net.isIPv4(externalIp) === false) {
+      throw new VoiceSyncError(`TURN relay address must be an IPv4 address, got "${externalIp}"`, 'INVALID_TURN_CONFIG');
+    }
+    if (relayPorts) {
+      const [min, max] = relayPorts;
+      if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1024 || max > 65535 || min > max) {
+        throw new VoiceSyncError('TURN relay ports must be a range within 1024–65535.', 'INVALID_TURN_CONFIG');
+      }
+    }
+    for (const [name, value] of [['maxAllocations', maxAllocations], ['maxAllocationsPerUser', maxAllocationsPerUser]]) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new VoiceSyncError(`${name} must be a whole number of at least 1`, 'INVALID_TURN_CONFIG');
+      }
+    }
+
+    this._secret = secret;
+    this._externalIp = externalIp ?? null;
+    this._relayPorts = relayPorts ?? null;
+    this._maxAllocations = maxAllocations;
+    this._maxAllocationsPerUser = maxAllocationsPerUser;
+    this._allowLanPeers = allowLanPeers;
+    this._nonceKey = crypto.randomBytes(16);
+
+    /** @type {Map<string, Allocation>} client key → allocation */
+    this._allocations = new Map();
+    /** Client keys with an Allocate request still opening its relay socket. */
+    this._opening = new Set();
+    /** @type {Set<import('net').Socket>} */
+    this._connections = new Set();
+
+    this._udp = null;
+    this._tcp = null;
+    this._host = null;
+    this._port = null;
+  }
+
+  // ── Lifecycle ─────────────────────────────────────────────────────────────
+
+  /**
+   * Starts listening for clients on UDP and TCP.
+   *
+   * @param {number} [port=DEFAULT_TURN_PORT] - 0 picks a free port
+   * @param {string} [host='0.0.0.0']
+   * @returns {Promise<void>}
+   */
+  async listen(port = DEFAULT_TURN_PORT, host = '0.0.0.0') {
+    this._host = host;
+    this._udp = dgram.createSocket('udp4');
+    this._udp.on('message', (msg, rinfo) => this._onUdpMessage(msg, rinfo));
+    await new Promise((resolve, reject) => {
+      this._udp.once('error', reject);
+      this._udp.bind(port, host, () => {
+        this._udp.off('error', reject);
+        resolve();
+      });
+    });
+    this._udp.on('error', (err) => logger.error(`TURN UDP error: ${err.message}`));
+    this._port = this._udp.address().port;
+
+    this._tcp = net.createServer((socket) => this._onTcpConnection(socket));
+    await new Promise((resolve, reject) => {
+      this._tcp.once('error', reject);
+      this._tcp.listen(this._port, host, () => {
+        this._tcp.off('error', reject);
+        resolve();
+      });
+    }).catch((err) => {
+      this._udp.close();
+      throw err;
+    });
+    this._tcp.on('error', (err) => logger.error(`TURN TCP error: ${err.message}`));
+
+    if (this._externalIp === null) this._externalIp = defaultRelayAddress(host);
+    logger.debug(`TURN relay listening on ${host}:${this._port}, advertising ${this._externalIp}`);
+    this.emit('listening');
+  }
+
+  /**
+   * Frees every allocation and stops listening.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const allocation of [...this._allocations.values()]) this._free(allocation);
+    for (const socket of this._connections) socket.destroy();
+    this._connections.clear();
+    await Promise.all([
+      this._udp && new Promise((resolve) => this._udp.close(resolve)),
+      this._tcp && new Promise((resolve) => this._tcp.close(() => resolve())),
+    ]);
+    this._udp = null;
+    this._tcp = null;
+  }
+
+  /** @returns {string[]} turn: URLs for UDP and TCP, once listening */
+  get urls() {
+    const where = `${this._externalIp}:${this._port}`;
+    return [`turn:${where}?transport=udp`, `turn:${where}?transport=tcp`];
+  }
+
+  /** @returns {number|null} the port clients connect to, once listening */
+  get port() {
+    return this._port;
+  }
+
+  /** @returns {number} relays open right now */
+  get allocationCount() {
+    return this._allocations.size;
+  }
+
+  // ── Transports ────────────────────────────────────────────────────────────
+
+  _onUdpMessage(buf, rinfo) {
+    const client = {
+      key: `udp/${rinfo.address}:${rinfo.port}`,
+      protocol: 'udp',
+      address: rinfo.address,
+      port: rinfo.port,
+      send: (out) => this._udp?.send(out, rinfo.port, rinfo.address),
+    };
+    this._onPacket(buf, client);
+  }
+
+  _onTcpConnection(socket) {
+    const address = stripMappedPrefix(socket.remoteAddress);
+    const client = {
+      key: `tcp/${address}:${socket.remotePort}`,
+      protocol: 'tcp',
+      address,
+      port: socket.remotePort,
+      send: (out) => {
+        if (!socket.destroyed) socket.write(out);
+      },
+    };
+    this._connections.add(socket);
+
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      for (;;) {
+        const length = stun.frameLength(pending);
+        if (length === -1) {
+          socket.destroy();
+          return;
+        }
+        if (length === null || pending.length < length) {
+          // Only an unfinished frame is left; complete ones were taken out first
+          if (pending.length > MAX_TCP_BUFFER) socket.destroy();
+          return;
+        }
+        this._onPacket(pending.subarray(0, length), client);
+        pending = pending.subarray(length);
+      }
+    });
+    socket.on('error', (err) => logger.debug(`TURN TCP client ${client.key}: ${err.message}`));
+    // A TCP allocation lives only as long as its connection
+    socket.on('close', () => {
+      this._connections.delete(socket);
+      const allocation = this._allocations.get(client.key);
+      if (allocation) this._free(allocation);
+    });
+  }
+
+  /** @param {Buffer} buf @param {TurnClient} client */
+  _onPacket(buf, client) {
+    if (stun.isChannelData(buf)) {
+      this._onChannelData(buf, client);
+      return;
+    }
+    const message = stun.decodeMessage(buf);
+    if (!message) return;
+    if (message.cls === CLASS.INDICATION && message.method === METHOD.SEND) {
+      this._onSendIndication(message, client);
+    } else if (message.cls === CLASS.REQUEST) {
+      this._onRequest(message, buf, client).catch((err) => {
+        logger.error(`TURN request from ${client.key} failed: ${err.message}`);
+        this._replyError(client, message, 500, 'Server Error');
+      });
+    }
+  }
+
+  // ── Requests ──────────────────────────────────────────────────────────────
+
+  async _onRequest(message, raw, client) {
+    const unknown = message.attributes
+      .map((attr) => attr.type)
+      .filter((type) => type < 0x8000 && !KNOWN_ATTRIBUTES.has(type));
+    if (unknown.length > 0) {
+      const list = Buffer.alloc(unknown.length * 2);
+      unknown.forEach((type, i) => list.writeUInt16BE(type, i * 2));
+      this._replyError(client, message, 420, 'Unknown Attribute', [{ type: ATTR.UNKNOWN_ATTRIBUTES, value: list }]);
+      return;
+    }
+
+    if (message.method === METHOD.BINDING) {
+      this._reply(client, message, [
+        { type: ATTR.XOR_MAPPED_ADDRESS, value: stun.encodeXorAddress(client, message.transactionId) },
+      ]);
+      return;
+    }
+
+    if (message.method === METHOD.ALLOCATE) {
+      await this._allocate(message, raw, client);
+      return;
+    }
+
+    const handler = {
+      [METHOD.REFRESH]: this._refresh,
+      [METHOD.CREATE_PERMISSION]: this._createPermission,
+      [METHOD.CHANNEL_BIND]: this._channelBind,
+    }[message.method];
+    if (!handler) {
+      this._replyError(client, message, 400, 'Bad Request');
+      return;
+    }
+
+    const auth = this._authenticate(message, raw, client);
+    if (!auth) return;
+    const allocation = this._allocations.get(client.key);
+    if (!allocation) {
+      this._replyError(client, message, 437, 'Allocation Mismatch', [], auth.key);
+    } else if (allocation.username !== auth.username) {
+      this._replyError(client, message, 441, 'Wrong Credentials', [], auth.key);
+    } else {
+      handler.call(this, message, allocation, auth.key);
+    }
+  }
+
+  async _allocate(message, raw, client) {
+    if (this._opening.has(client.key)) return; // a retransmit of a request still being served
+    const existing = this._allocations.get(client.key);
+    if (existing) {
+      if (existing.transactionId.equals(message.transactionId)) client.send(existing.response);
+      else this._replyError(client, message, 437, 'Allocation Mismatch');
+      return;
+    }
+
+    const auth = this._authenticate(message, raw, client);
+    if (!auth) return;
+
+    const transport = stun.getAttribute(message, ATTR.REQUESTED_TRANSPORT);
+    if (!transport) {
+      this._replyError(client, message, 400, 'Bad Request', [], auth.key);
+      return;
+    }
+    if (transport[0] !== UDP_PROTOCOL) {
+      this._replyError(client, message, 442, 'Unsupported Transport Protocol', [], auth.key);
+      return;
+    }
+    if (this._allocations.size + this._opening.size >= this._maxAllocations) {
+      logger.warn(`TURN relay full (${this._maxAllocations} allocations) — refused ${auth.user}`);
+      this._replyError(client, message, 508, 'Insufficient Capacity', [], auth.key);
+      return;
+    }
+    const ofUser = [...this._allocations.values()].filter((a) => a.user === auth.user).length;
+    if (ofUser >= this._maxAllocationsPerUser) {
+      this._replyError(client, message, 486, 'Allocation Quota Reached', [], auth.key);
+      return;
+    }
+
+    this._opening.add(client.key);
+    let socket;
+    try {
+      socket = await this._openRelaySocket();
+    } finally {
+      this._opening.delete(client.key);
+    }
+    if (!socket) {
+      this._replyError(client, message, 508, 'Insufficient Capacity', [], auth.key);
+      return;
+    }
+
+    const lifetime = grantedLifetime(message);
+    const relayed = { address: this._externalIp, port: socket.address().port };
+    const response = this._encodeReply(message, [
+      { type: ATTR.XOR_RELAYED_ADDRESS, value: stun.encodeXorAddress(relayed, message.transactionId) },
+      { type: ATTR.LIFETIME, value: stun.encodeUInt32(lifetime) },
+      { type: ATTR.XOR_MAPPED_ADDRESS, value: stun.encodeXorAddress(client, message.transactionId) },
+    ], auth.key);
+
+    /** @type {Allocation} */
+    const allocation = {
+      client,
+      username: auth.username,
+      user: auth.user,
+      socket,
+      relayed,
+      transactionId: Buffer.from(message.transactionId),
+      response,
+      permissions: new Map(),
+      channels: new Map(),
+      peerChannels: new Map(),
+      timer: null,
+    };
+    socket.on('message', (data, rinfo) => this._onPeerData(allocation, data, rinfo));
+    socket.on('error', (err) => logger.debug(`TURN relay ${relayed.port}: ${err.message}`));
+    this._allocations.set(client.key, allocation);
+    this._expireIn(allocation, lifetime);
+
+    logger.debug(`TURN allocation for ${auth.user} from ${client.key} → ${relayed.address}:${relayed.port}`);
+    this.emit('allocation', { user: auth.user, relayed });
+    client.send(response);
+  }
+
+  _refresh(message, allocation, key) {
+    const requested = stun.getAttribute(message, ATTR.LIFETIME);
+    if (requested && requested.readUInt32BE(0) === 0) {
+      this._free(allocation);
+      this._reply(allocation.client, message, [{ type: ATTR.LIFETIME, value: stun.encodeUInt32(0) }], key);
+      return;
+    }
+    const lifetime = grantedLifetime(message);
+    this._expireIn(allocation, lifetime);
+    this._reply(allocation.client, message, [{ type: ATTR.LIFETIME, value: stun.encodeUInt32(lifetime) }], key);
+  }
+
+  _createPermission(message, allocation, key) {
+    const peers = message.attributes
+      .filter((attr) => attr.type === ATTR.XOR_PEER_ADDRESS)
+      .map((attr) => stun.decodeXorAddress(attr.value, message.transactionId));
+    if (peers.length === 0 || peers.includes(null)) {
+      this._replyError(allocation.client, message, 400, 'Bad Request', [], key);
+      return;
+    }
+    if (!this._checkPeers(message, allocation, peers, key)) return;
+
+    pruneExpired(allocation.permissions);
+    const added = new Set(peers.map((peer) => peer.address).filter((ip) => !allocation.permissions.has(ip)));
+    if (allocation.permissions.size + added.size > MAX_PERMISSIONS) {
+      this._replyError(allocation.client, message, 508, 'Insufficient Capacity', [], key);
+      return;
+    }
+    for (const peer of peers) allocation.permissions.set(peer.address, Date.now() + PERMISSION_LIFETIME_MS);
+    this._reply(allocation.client, message, [], key);
+  }
+
+  _channelBind(message, allocation, key) {
+    const number = stun.getAttribute(message, ATTR.CHANNEL_NUMBER);
+    const peer = stun.decodeXorAddress(stun.getAttribute(message, ATTR.XOR_PEER_ADDRESS), message.transactionId);
+    const channel = number && number.length >= 2 ? number.readUInt16BE(0) : null;
+    if (!peer || channel === null || channel < stun.MIN_CHANNEL || channel > stun.MAX_CHANNEL) {
+      this._replyError(allocation.client, message, 400, 'Bad Request', [], key);
+      return;
+    }
+    if (!this._checkPeers(message, allocation, [peer], key)) return;
+
+    const peerKey = `${peer.address}:${peer.port}`;
+    const bound = this._channel(allocation, channel);
+    const boundTo = allocation.peerChannels.get(peerKey);
+    if ((bound && `${bound.peer.address}:${bound.peer.port}` !== peerKey)
+        || (boundTo !== undefined && boundTo !== channel && this._channel(allocation, boundTo))) {
+      this._replyError(allocation.client, message, 400, 'Bad Request', [], key);
+      return;
+    }
+    if (!allocation.permissions.has(peer.address) && allocation.permissions.size >= MAX_PERMISSIONS) {
+      pruneExpired(allocation.permissions);
+      if (allocation.permissions.size >= MAX_PERMISSIONS) {
+        this._replyError(allocation.client, message, 508, 'Insufficient Capacity', [], key);
+        return;
+      }
+    }
+
+    const now = Date.now();
+    allocation.channels.set(channel, { peer: { address: peer.address, port: peer.port }, expiresAt: now + CHANNEL_LIFETIME_MS });
+    allocation.peerChannels.set(peerKey, channel);
+    allocation.permissions.set(peer.address, now + PERMISSION_LIFETIME_MS);
+    this._reply(allocation.client, message, [], key);
+  }
+
+  /**
+   * Refuses peers the relay cannot or will not reach, replying with the error.
+   * @returns {boolean} true when every peer is acceptable
+   */
+  _checkPeers(message, allocation, peers, key) {
+    if (peers.some((peer) => peer.family !== 4)) {
+      this._replyError(allocation.client, message, 443, 'Peer Address Family Mismatch', [], key);
+      return false;
+    }
+    if (peers.some((peer) => this._isForbiddenPeer(peer))) {
+      this._replyError(allocation.client, message, 403, 'Forbidden', [], key);
+      return false;
+    }
+    return true;
+  }
+
+  /** @param {{ address: string, port: number }} peer - IPv4 */
+  _isForbiddenPeer({ address, port }) {
+    if (address === this._externalIp || address === this._host) return !this._isRelayPort(port);
+    if (UNREACHABLE_PEERS.check(address)) return true;
+    if (LOOPBACK_PEERS.check(address)) return !LOOPBACK_PEERS.check(this._externalIp);
+    return LAN_PEERS.check(address) && !this._allowLanPeers;
+  }
+
+  /** @param {number} port @returns {boolean} true when an allocation relays from it */
+  _isRelayPort(port) {
+    for (const allocation of this._allocations.values()) {
+      if (allocation.relayed.port === port) return true;
+    }
+    return false;
+  }
+
+  // ── Relaying ──────────────────────────────────────────────────────────────
+
+  _onSendIndication(message, client) {
+    const allocation = this._allocations.get(client.key);
+    if (!allocation) return;
+    const peer = stun.decodeXorAddress(stun.getAttribute(message, ATTR.XOR_PEER_ADDRESS), message.transactionId);
+    const data = stun.getAttribute(message, ATTR.DATA);
+    // Permissions are per address, so a peer allowed only as one of this
+    // server's relays is checked again with its port
+    if (!peer || !data || !hasPermission(allocation, peer.address) || this._isForbiddenPeer(peer)) return;
+    allocation.socket.send(data, peer.port, peer.address);
+  }
+
+  _onChannelData(buf, client) {
+    const allocation = this._allocations.get(client.key);
+    const frame = stun.decodeChannelData(buf);
+    if (!allocation || !frame) return;
+    const bound = this._channel(allocation, frame.channel);
+    if (!bound || !hasPermission(allocation, bound.peer.address)) return;
+    allocation.socket.send(frame.data, bound.peer.port, bound.peer.address);
+  }
+
+  _onPeerData(allocation, data, rinfo) {
+    if (!hasPermission(allocation, rinfo.address)) return;
+    const channel = allocation.peerChannels.get(`${rinfo.address}:${rinfo.port}`);
+    if (channel !== undefined && this._channel(allocation, channel)) {
+      allocation.client.send(stun.encodeChannelData(channel, data, allocation.client.protocol === 'tcp'));
+      return;
+    }
+    allocation.client.send(stun.encodeMessage({
+      method: METHOD.DATA,
+      cls: CLASS.INDICATION,
+      transactionId: crypto.randomBytes(12),
+      attributes: [
+        { type: ATTR.XOR_PEER_ADDRESS, value: stun.encodeXorAddress(rinfo, null) },
+        { type: ATTR.DATA, value: data },
+      ],
+    }));
+  }
+
+  /** The binding for a channel, dropping it once it has expired. */
+  _channel(allocation, channel) {
+    const bound = allocation.channels.get(channel);
+    if (!bound) return null;
+    if (bound.expiresAt > Date.now()) return bound;
+    allocation.channels.delete(channel);
+    allocation.peerChannels.delete(`${bound.peer.address}:${bound.peer.port}`);
+    return null;
+  }
+
+  // ── Allocations ───────────────────────────────────────────────────────────
+
+  /**
+   * Opens the UDP socket an allocation relays through.
+   * @returns {Promise<Object|null>} null when no port is free
+   */
+  async _openRelaySocket() {
+    const candidates = [0];
+    if (this._relayPorts) {
+      const [min, max] = this._relayPorts;
+      const span = max - min + 1;
+      const start = crypto.randomInt(span);
+      candidates.length = 0;
+      for (let i = 0; i < Math.min(span, 64); i++) candidates.push(min + ((start + i) % span));
+    }
+    for (const port of candidates) {
+      const socket = dgram.createSocket('udp4');
+      const bound = await new Promise((resolve) => {
+        socket.once('error', () => resolve(false));
+        socket.bind(port, this._host, () => resolve(true));
+      });
+      if (bound) {
+        socket.removeAllListeners('error');
+        return socket;
+      }
+      socket.close();
+    }
+    return null;
+  }
+
+  _expireIn(allocation, seconds) {
+    clearTimeout(allocation.timer);
+    allocation.timer = setTimeout(() => {
+      logger.debug(`TURN allocation for ${allocation.user} expired`);
+      this._free(allocation);
+    }, seconds * 1000);
+    allocation.timer.unref?.();
+  }
+
+  _free(allocation) {
+    if (this._allocations.get(allocation.client.key) !== allocation) return;
+    this._allocations.delete(allocation.client.key);
+    clearTimeout(allocation.timer);
+    allocation.socket.close();
+    this.emit('allocation-closed', { user: allocation.user, relayed: allocation.relayed });
+  }
+
+  // ── Authentication ────────────────────────────────────────────────────────
+
+  /**
+   * Checks a request's long-term credentials, which must be TURN REST
+   * credentials made with this relay's secret that have not yet expired.
+   * Replies with a challenge (401) or a fresh nonce (438) when they fail.
+   *
+   * @returns {{ username: string, user: string, key: Buffer }|null}
+   */
+  _authenticate(message, raw, client) {
+    const username = stun.getString(message, ATTR.USERNAME);
+    const realm = stun.getString(message, ATTR.REALM);
+    const nonce = stun.getString(message, ATTR.NONCE);
+    if (!username || !realm || !nonce || message.integrityOffset === null) {
+      this._challenge(client, message, 401, 'Unauthorized');
+      return null;
+    }
+    if (!this._isValidNonce(nonce)) {
+      this._challenge(client, message, 438, 'Stale Nonce');
+      return null;
+    }
+
+    const [expiry, ...rest] = username.split(':');
+    const key = stun.longTermKey(username, REALM, turnPassword(this._secret, username));
+    if (realm !== REALM || !(Number(expiry) * 1000 > Date.now()) || !stun.checkIntegrity(raw, message, key)) {
+      this._challenge(client, message, 401, 'Unauthorized');
+      return null;
+    }
+    return { username, user: rest.join(':') || username, key };
+  }
+
+  _challenge(client, message, code, reason) {
+    this._replyError(client, message, code, reason, [
+      { type: ATTR.REALM, value: Buffer.from(REALM) },
+      { type: ATTR.NONCE, value: Buffer.from(this._createNonce()) },
+    ]);
+  }
+
+  /** Nonces carry their own expiry, signed, so none need to be remembered. */
+  _createNonce() {
+    const expires = (Date.now() + NONCE_LIFETIME_MS).toString(16);
+    return expires + crypto.createHmac('sha1', this._nonceKey).update(expires).digest('hex').slice(0, 16);
+  }
+
+  _isValidNonce(nonce) {
+    const expires = nonce.slice(0, -16);
+    const signature = crypto.createHmac('sha1', this._nonceKey).update(expires).digest('hex').slice(0, 16);
+    return nonce.slice(-16) === signature && parseInt(expires, 16) > Date.now();
+  }
+
+  // ── Replies ───────────────────────────────────────────────────────────────
+
+  _encodeReply(request, attributes, key) {
+    return stun.encodeMessage(
+      { method: request.method, cls: CLASS.SUCCESS, transactionId: request.transactionId, attributes },
+      { integrityKey: key },
+    );
+  }
+
+  _reply(client, request, attributes, key) {
+    client.send(this._encodeReply(request, attributes, key));
+  }
+
+  _replyError(client, request, code, reason, attributes = [], key) {
+    client.send(stun.encodeMessage({
+      method: request.method,
+      cls: CLASS.ERROR,
+      transactionId: request.transactionId,
+      attributes: [{ type: ATTR.ERROR_CODE, value: stun.encodeErrorCode(code, reason) }, ...attributes],
+    }, { integrityKey: key }));
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * The lifetime to grant: what the client asked for, within the default and
+ * the maximum.
+ * @returns {number} seconds
+ */
+function grantedLifetime(message) {
+  const requested = stun.getAttribute(message, ATTR.LIFETIME);
+  const seconds = requested ? requested.readUInt32BE(0) : DEFAULT_LIFETIME_SECONDS;
+  return Math.min(Math.max(seconds, DEFAULT_LIFETIME_SECONDS), MAX_LIFETIME_SECONDS);
+}
+
+/**
+ * @param {Array<[string, number]>} subnets - IPv4 network and prefix length
+ * @returns {net.BlockList}
+ */
+function blockList(subnets) {
+  const list = new net.BlockList();
+  for (const [network, prefix] of subnets) list.addSubnet(network, prefix, 'ipv4');
+  return list;
+}
+
+/** @param {Allocation} allocation @param {string} address */
+function hasPermission(allocation, address) {
+  const expiresAt = allocation.permissions.get(address);
+  return expiresAt !== undefined && expiresAt > Date.now();
+}
+
+/** @param {Map<string, number>} permissions */
+function pruneExpired(permissions) {
+  const now = Date.now();
+  for (const [address, expiresAt] of permissions) {
+    if (expiresAt <= now) permissions.delete(address);
+  }
+}
+
+/** @param {string} address @returns {string} an IPv4-mapped IPv6 address as plain IPv4 */
+function stripMappedPrefix(address) {
+  return address.startsWith('::ffff:') ? address.slice(7) : address;
+}
+
+/**
+ * The address to advertise for relays when none is configured: the host
+ * being listened on, or this machine's first LAN address when that is every
+ * interface.
+ * @param {string} host
+ * @returns {string}
+ */
+function defaultRelayAddress(host) {
+  if (net.isIPv4(host) && host !== '0.0.0.0') return host;
+  for (const addresses of Object.values(os.networkInterfaces())) {
+    const lan = (addresses || []).find((addr) => addr.family === 'IPv4' && !addr.internal);
+    if (lan) return lan.address;
+  }
+  return '127.0.0.1';
+}
+
+module.exports = {
+  TurnServer,
+  DEFAULT_TURN_PORT,
+  DEFAULT_MAX_ALLOCATIONS,
+  DEFAULT_MAX_ALLOCATIONS_PER_USER,
+};
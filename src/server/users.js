@@ -1,11 +1,15 @@
 'use strict';
 
+const crypto = require('crypto');
+
 /**
  * @typedef {Object} OnlineUser
  * @property {string}                   peerId
  * @property {string}                   username
  * @property {import('ws').WebSocket}   socket
- * @property {string|null}              roomKey  - null when not in any room
+ * @property {string|null}              roomKey      - null when not in any room
+ * @property {string}                   resumeToken  - secret that lets a new connection take over this user
+ * @property {boolean}                  suspended    - true while disconnected but within the resume grace period
  */
 
 /** @type {Map<string, OnlineUser>} peerId → user */
@@ -21,10 +25,55 @@ const _users = new Map();
  */
 function registerUser(peerId, username, socket) {
   if (findByUsername(username)) return { ok: false, conflict: true };
-  _users.set(peerId, { peerId, username, socket, roomKey: null });
+  _users.set(peerId, {
+    peerId,
+    username,
+    socket,
+    roomKey: null,
+    resumeToken: generateResumeToken(),
+    suspended: false,
+  });
   return { ok: true, conflict: false };
 }
 
+/**
+ * Marks a user as disconnected while keeping their registry entry (and
+ * therefore their username and room slot) reserved for a later resume.
+ * @param {string} peerId
+ */
+function suspendUser(peerId) {
+  const user = _users.get(peerId);
+  if (user) user.suspended = true;
+}
+
+/**
+ * Moves the suspended user owning `resumeToken` onto a new connection.
+ *
+ * The entry is re-keyed under `newPeerId` and a fresh resume token is issued
+ * so a leaked token can only be used once.  A user who is still connected
+ * cannot be resumed, so a token cannot pull a live session onto a second
+ * socket.
+ *
+ * @param {string}                 resumeToken
+ * @param {string}                 newPeerId
+ * @param {import('ws').WebSocket} socket
+ * @returns {{ user: OnlineUser, previousPeerId: string }|null} null when the token is unknown
+ *   or its user is not suspended
+ */
+function resumeUser(resumeToken, newPeerId, socket) {
+  const user = findByResumeToken(resumeToken);
+  if (!user || !user.suspended) return null;
+
+  const previousPeerId = user.peerId;
+  _users.delete(previousPeerId);
+  user.peerId = newPeerId;
+  user.socket = socket;
+  user.suspended = false;
+  user.resumeToken = generateResumeToken();
+  _users.set(newPeerId, user);
+  return { user, previousPeerId };
+}
+
 /**
  * Removes a user from the registry.
  * @param {string} peerId
@@ -55,6 +104,19 @@ function findByUsername(username) {
   return undefined;
 }
 
+/**
+ * Looks up a user by their resume token.
+ * @param {string} resumeToken
+ * @returns {OnlineUser|undefined}
+ */
+function findByResumeToken(resumeToken) {
+  if (!resumeToken) return undefined;
+  for (const user of _users.values()) {
+    if (user.resumeToken === resumeToken) return user;
+  }
+  return undefined;
+}
+
 /**
  * Associates (or dissociates) a user with a room.
  * @param {string}      peerId
@@ -80,11 +142,19 @@ function clearUsers() {
   _users.clear();
 }
 
+/** @returns {string} */
+function generateResumeToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
 module.exports = {
   registerUser,
   unregisterUser,
+  suspendUser,
+  resumeUser,
   findById,
   findByUsername,
+  findByResumeToken,
   setUserRoom,
   listUsers,
   clearUsers,
@@ -13,7 +13,13 @@ const logger = require('../utils/logger');
  * @property {string}  username
  * @property {boolean} isSpeaking
  * @property {boolean} isMuted
+ * @property {boolean} isPushToTalk
+ * @property {boolean} isTransmitting
+ * @property {boolean} isRecording
+ * @property {number}  volume     - local playback volume, 1 = 100%
+ * @property {boolean} isSilenced - muted locally
  * @property {boolean} isSelf
+ * @property {boolean} isHost
  */
 
 /** Compact waveform: 8 bars using block characters for the status bar. */
@@ -33,6 +39,41 @@ function miniWaveform(audioLevel) {
   return bars.join('');
 }
 
+/** Colour, signal bars out of four, and label for each quality rating. */
+const QUALITY_STYLES = {
+  excellent: { color: 'green', bars: 4, label: 'Excellent' },
+  good: { color: 'green', bars: 3, label: 'Good' },
+  fair: { color: 'yellow', bars: 2, label: 'Fair' },
+  poor: { color: 'red', bars: 1, label: 'Poor' },
+};
+const SIGNAL_BARS = ['\u2582', '\u2584', '\u2586', '\u2588'];
+
+/** How packets travel, by the type of our end of the selected ICE candidate pair. */
+const ROUTES = {
+  host: 'direct',
+  srflx: 'via NAT',
+  prflx: 'via NAT',
+  relay: 'via TURN',
+};
+
+/**
+ * @param {import('../client/networkStats').QualityRating} quality
+ * @returns {string} signal bars, the unlit ones greyed out
+ */
+function signalBars(quality) {
+  const { color, bars } = QUALITY_STYLES[quality];
+  return `{${color}-fg}${SIGNAL_BARS.slice(0, bars).join('')}{/${color}-fg}{gray-fg}${SIGNAL_BARS.slice(bars).join('')}{/gray-fg}`;
+}
+
+/**
+ * @param {import('../client/networkStats').QualityRating} quality
+ * @returns {string} e.g. "Good" in green
+ */
+function qualityLabel(quality) {
+  const { color, label } = QUALITY_STYLES[quality];
+  return `{${color}-fg}${label}{/${color}-fg}`;
+}
+
 /**
  * Creates the in-call blessed dashboard.
  *
@@ -41,12 +82,13 @@ function miniWaveform(audioLevel) {
  *   │                                                                 │
  *   │  ┌─ Participants ──┐  ┌─ Chat ─────────────────────────────┐   │
  *   │  │  * alice (you)  │  │  bob: hey everyone!                │   │
- *   │  │  o bob          │  │  alice: hello!                     │   │
+ *   │  │  o bob ▂▄▆█ 100%│  │  alice: hello!                     │   │
  *   │  └─────────────────┘  └────────────────────────────────────┘   │
  *   │                                                                 │
- *   │  * MIC ON  ▁▂▃▅▆▇▅▃▂▁  Latency: 23ms  Quality: Excellent     │
+ *   │  * MIC ON  ▁▂▃▅▆▇▅▃▂▁  Latency: 23ms  Quality: Excellent  2/8  │
  *   │                                                                 │
- *   │  [M] Mute   [C] Chat   [Q] Leave   [?] Help                    │
+ *   │  [M] Mute   [C] Chat   [I] Invite   [N] Network   [Q] Leave  … │
+ *   │  [↑↓] Select  [+/-] Volume  [S] Silence  [K] Kick  [X] Mute …  │  (K, X, L, H: host only)
  *   └────────────────────────────────────────────────────────────────┘
  *
  * @param {Object} opts
@@ -161,6 +203,69 @@ function createDashboard({ username, roomKey }) {
     inputOnFocus: false,
   });
 
+  // ── User picker (hidden by default, shown when I is pressed) ──────────────
+  const userPicker = blessed.list({
+    parent: screen,
+    label: ' {bold}Invite (Enter to invite, Esc to cancel){/bold} ',
+    top: 'center', left: 'center', width: 44, height: 12,
+    border: { type: 'line' },
+    style: {
+      border: { fg: 'yellow' },
+      selected: { fg: 'black', bg: 'cyan' },
+      item: { fg: 'white' },
+    },
+    tags: true,
+    keys: true,
+    vi: false,
+    hidden: true,
+  });
+
+  // ── Audio processing menu (hidden by default, shown when P is pressed) ───
+  const audioMenu = blessed.list({
+    parent: screen,
+    label: ' {bold}Audio processing (Enter to change, Esc to close){/bold} ',
+    top: 'center', left: 'center', width: 54, height: 8,
+    border: { type: 'line' },
+    style: {
+      border: { fg: 'yellow' },
+      selected: { fg: 'black', bg: 'cyan' },
+      item: { fg: 'white' },
+    },
+    tags: true,
+    keys: true,
+    vi: false,
+    hidden: true,
+  });
+
+  // ── Device menu (hidden by default, shown when D is pressed) ────────────
+  const deviceMenu = blessed.list({
+    parent: screen,
+    top: 'center', left: 'center', width: 60, height: 12,
+    border: { type: 'line' },
+    style: {
+      border: { fg: 'yellow' },
+      selected: { fg: 'black', bg: 'cyan' },
+      item: { fg: 'white' },
+    },
+    tags: true,
+    keys: true,
+    vi: false,
+    hidden: true,
+  });
+
+  // ── Network panel (hidden by default, toggled with N) ─────────────────────
+  // Shown alongside the call rather than as a menu, so it takes no focus
+  const networkPanel = blessed.box({
+    parent: screen,
+    label: ' {bold}Network (N to close){/bold} ',
+    top: 'center', left: 'center', width: 80, height: 8,
+    border: { type: 'line' },
+    style: { border: { fg: 'cyan' }, label: { fg: 'cyan' }, bg: 'black' },
+    tags: true,
+    hidden: true,
+    padding: { left: 1, right: 1 },
+  });
+
   // ── Status bar (mute + waveform + latency + quality) ───────────────────────
   const statusInfoBar = blessed.box({
     parent: screen,
@@ -180,10 +285,13 @@ function createDashboard({ username, roomKey }) {
   });
 
   // ── Shortcut bar ─────────────────────────────────────────────────────────
-  blessed.box({
+  const SHORTCUTS = '  {bold}[M]{/bold} Mute    {bold}[C]{/bold} Chat    {bold}[I]{/bold} Invite    {bold}[P]{/bold} Audio    {bold}[T]{/bold} PTT    {bold}[D]{/bold} Devices    {bold}[R]{/bold} Rec    {bold}[N]{/bold} Network    {bold}[Q]{/bold} Leave    {bold}[?]{/bold} Help';
+  const PEER_SHORTCUTS = '  {bold}[↑↓]{/bold} Select    {bold}[+/-]{/bold} Volume    {bold}[S]{/bold} Silence';
+  const HOST_SHORTCUTS = '    {bold}[K]{/bold} Kick    {bold}[X]{/bold} Mute    {bold}[L]{/bold} Lock    {bold}[H]{/bold} Make host';
+  const shortcutBar = blessed.box({
     parent: screen,
     bottom: 0, left: 0, right: 0, height: 2,
-    content: '  {bold}[M]{/bold} Mute    {bold}[C]{/bold} Chat    {bold}[Q]{/bold} Leave    {bold}[?]{/bold} Help',
+    content: SHORTCUTS,
     style: { fg: 'white', bg: '#333333' },
     tags: true,
   });
@@ -195,8 +303,16 @@ function createDashboard({ username, roomKey }) {
   let _promptActive = false;
   let _lastWaveformRender = 0;
   let _isMuted = false;
+  let _isPushToTalk = false;
+  let _isTransmitting = false;
   let _latencyMs = -1;
   let _audioLevel = 0;
+  let _isReconnecting = false;
+  let _isLocked = false;
+  let _maxPeers = null;
+  let _selectedPeerId = null;
+  /** @type {import('../client/session').NetworkSummary|null} */
+  let _network = null;
   const WAVEFORM_THROTTLE_MS = 80;
 
   /** @type {Array<{from: string, text: string, self: boolean}>} */
@@ -222,15 +338,39 @@ function createDashboard({ username, roomKey }) {
 
       const badge = p.isMuted
         ? ' {red-fg}MUTED{/red-fg}'
-        : p.isSpeaking && !p.isSelf
-          ? ' {green-fg}LIVE{/green-fg}'
-          : '';
+        : p.isPushToTalk
+          ? (p.isTransmitting ? ' {green-fg}ON AIR{/green-fg}' : ' {gray-fg}PTT{/gray-fg}')
+          : p.isSpeaking && !p.isSelf
+            ? ' {green-fg}LIVE{/green-fg}'
+            : '';
+
+      // How loud they play for us, highlighted once changed from 100%
+      let volume = '';
+      if (p.isSilenced) {
+        volume = ' {red-fg}SILENCED{/red-fg}';
+      } else if (!p.isSelf) {
+        const percent = Math.round(p.volume * 100);
+        volume = percent === 100 ? ' {gray-fg}100%{/gray-fg}' : ` {yellow-fg}${percent}%{/yellow-fg}`;
+      }
+
+      const rec = p.isRecording ? ' {red-fg}REC{/red-fg}' : '';
+      const host = p.isHost ? ' {yellow-fg}HOST{/yellow-fg}' : '';
+      // Quality of our own connection to them; SFU and MCU rooms only have
+      // one, to the server, shown in the status bar
+      const link = p.isSelf ? null : _network?.links.find((l) => l.peerId === p.peerId);
+      const signal = link?.stats.quality ? ` ${signalBars(link.stats.quality)}` : '';
 
-      return `  ${icon} ${name}${badge}`;
+      const line = `  ${icon} ${name}${signal}${volume}${badge}${rec}${host}`;
+      return p.peerId === _selectedPeerId ? `{inverse}${line}{/inverse}` : line;
     });
     participantBox.setContent('\n' + lines.join('\n'));
   }
 
+  function renderShortcuts() {
+    const self = participants.find((p) => p.isSelf);
+    shortcutBar.setContent(`${SHORTCUTS}\n${PEER_SHORTCUTS}${self && self.isHost ? HOST_SHORTCUTS : ''}`);
+  }
+
   function renderChat() {
     if (chatMessages.length === 0) {
       chatBox.setContent('\n  {gray-fg}No messages yet. Press [C] to chat.{/gray-fg}');
@@ -248,16 +388,24 @@ function createDashboard({ username, roomKey }) {
   }
 
   function renderStatusBar() {
-    // Mute indicator
-    const muteIcon = _isMuted
-      ? '{red-fg}{bold} x MIC OFF {/bold}{/red-fg}'
-      : '{green-fg}{bold} * MIC ON  {/bold}{/green-fg}';
+    // Mute indicator; in push-to-talk mode it shows whether the mic is on air
+    const offAir = _isPushToTalk && !_isTransmitting;
+    let muteIcon;
+    if (_isMuted) {
+      muteIcon = '{red-fg}{bold} x MIC OFF {/bold}{/red-fg}';
+    } else if (_isPushToTalk) {
+      muteIcon = _isTransmitting
+        ? '{green-bg}{black-fg}{bold} * ON AIR {/bold}{/black-fg}{/green-bg}'
+        : '{yellow-fg}{bold} PTT — hold [Space] {/bold}{/yellow-fg}';
+    } else {
+      muteIcon = '{green-fg}{bold} * MIC ON  {/bold}{/green-fg}';
+    }
 
     // Compact waveform indicator
     let waveColor = 'gray';
     let waveStr = miniWaveform(0);
-    if (_isMuted) {
-      waveColor = 'red';
+    if (_isMuted || offAir) {
+      waveColor = _isMuted ? 'red' : 'gray';
       waveStr = '\u2581'.repeat(MINI_BAR_COUNT);
     } else if (_audioLevel > 0) {
       waveColor = _audioLevel > 0.3 ? 'cyan' : _audioLevel > 0.1 ? 'green' : 'gray';
@@ -277,31 +425,61 @@ function createDashboard({ username, roomKey }) {
       latencyStr = `{red-fg}${_latencyMs}ms{/red-fg}`;
     }
 
-    // Audio quality based on latency
-    let qualityStr;
-    if (_latencyMs < 0) {
-      qualityStr = '{gray-fg}--{/gray-fg}';
-    } else if (_latencyMs < 80) {
-      qualityStr = '{green-fg}Excellent{/green-fg}';
-    } else if (_latencyMs < 150) {
-      qualityStr = '{green-fg}Good{/green-fg}';
-    } else if (_latencyMs < 300) {
-      qualityStr = '{yellow-fg}Fair{/yellow-fg}';
-    } else {
-      qualityStr = '{red-fg}Poor{/red-fg}';
+    // Call quality from the WebRTC connections once measured; until then
+    // from the signaling ping, which only says so much about the audio path
+    let quality = _network?.overall?.quality ?? null;
+    if (!quality && _latencyMs >= 0) {
+      quality = _latencyMs < 80 ? 'excellent' : _latencyMs < 150 ? 'good' : _latencyMs < 300 ? 'fair' : 'poor';
     }
+    const qualityStr = quality ? qualityLabel(quality) : '{gray-fg}--{/gray-fg}';
+
+    const peerCount = _maxPeers ? `${participants.length}/${_maxPeers}` : participants.length;
+    const lockStr = _isLocked ? '  {gray-fg}|{/gray-fg}  {yellow-fg}LOCKED{/yellow-fg}' : '';
+    // Shown to everyone while anyone, us included, records the call
+    const recStr = participants.some((p) => p.isRecording) ? '{red-bg}{white-fg}{bold} REC {/bold}{/white-fg}{/red-bg} ' : '';
 
-    const peerCount = participants.length;
+    // While signaling is down the ping/quality figures are stale — replace them
+    const linkStr = _isReconnecting
+      ? '{yellow-fg}{bold}RECONNECTING…{/bold}{/yellow-fg}'
+      : `Ping: ${latencyStr}  {gray-fg}|{/gray-fg}  Quality: ${qualityStr}`;
 
     statusInfoBar.setContent(
-      ` ${muteIcon}  ${waveIndicator}  {gray-fg}|{/gray-fg}  Ping: ${latencyStr}  {gray-fg}|{/gray-fg}  Quality: ${qualityStr}  {gray-fg}|{/gray-fg}  {cyan-fg}${peerCount} in call{/cyan-fg}`
+      ` ${recStr}${muteIcon}  ${waveIndicator}  {gray-fg}|{/gray-fg}  ${linkStr}  {gray-fg}|{/gray-fg}  {cyan-fg}${peerCount} in call{/cyan-fg}${lockStr}`
     );
   }
 
+  function renderNetworkPanel() {
+    if (networkPanel.hidden) return;
+    const links = _network?.links ?? [];
+    if (links.length === 0) {
+      networkPanel.height = 5;
+      networkPanel.setContent('\n{gray-fg}No connections measured yet.{/gray-fg}');
+      return;
+    }
+
+    const figure = (value, unit) => (value === null ? '--' : `${Math.round(value)}${unit}`);
+    const header = `${'Connection'.padEnd(14)}${'Quality'.padEnd(11)}${'RTT'.padEnd(8)}${'Jitter'.padEnd(8)}${'Loss'.padEnd(7)}${'Out/In kbps'.padEnd(12)}Route`;
+    const rows = links.map(({ username, viaServer, stats }) => {
+      const name = (viaServer ? 'server' : username ?? '?').slice(0, 13).padEnd(14);
+      const quality = stats.quality
+        ? `${qualityLabel(stats.quality)}${' '.repeat(11 - QUALITY_STYLES[stats.quality].label.length)}`
+        : '--'.padEnd(11);
+      const loss = stats.packetLoss === null ? '--' : `${(stats.packetLoss * 100).toFixed(1)}%`;
+      const bitrate = `${figure(stats.sendKbps, '')}/${figure(stats.receiveKbps, '')}`;
+      const route = stats.candidateType
+        ? `${stats.candidateType} {gray-fg}${ROUTES[stats.candidateType] ?? ''}{/gray-fg}`
+        : '--';
+      return `${name}${quality}${figure(stats.rttMs, 'ms').padEnd(8)}${figure(stats.jitterMs, 'ms').padEnd(8)}${loss.padEnd(7)}${bitrate.padEnd(12)}${route}`;
+    });
+    networkPanel.height = rows.length + 5;
+    networkPanel.setContent(`\n{gray-fg}${header}{/gray-fg}\n${rows.join('\n')}`);
+  }
+
   // ── Public API ─────────────────────────────────────────────────────────────
 
   function render() {
     renderParticipants();
+    renderShortcuts();
     renderChat();
     renderStatusBar();
     screen.render();
@@ -309,7 +487,10 @@ function createDashboard({ username, roomKey }) {
 
   function updateParticipants(newParticipants) {
     participants = newParticipants;
+    // Drop a selection whose participant has left
+    if (!participants.some((p) => p.peerId === _selectedPeerId)) _selectedPeerId = null;
     renderParticipants();
+    renderShortcuts();
     renderStatusBar();
     screen.render();
   }
@@ -344,6 +525,78 @@ function createDashboard({ username, roomKey }) {
     screen.render();
   }
 
+  /**
+   * @param {boolean} enabled      - Push-to-talk mode is on
+   * @param {boolean} transmitting - The mic is currently on air
+   */
+  function updatePushToTalk(enabled, transmitting) {
+    _isPushToTalk = enabled;
+    _isTransmitting = transmitting;
+    renderStatusBar();
+    screen.render();
+  }
+
+  function updateConnectionState(reconnecting) {
+    _isReconnecting = reconnecting;
+    renderStatusBar();
+    screen.render();
+  }
+
+  function updateCapacity(maxPeers) {
+    _maxPeers = maxPeers;
+    renderStatusBar();
+    screen.render();
+  }
+
+  /** @param {import('../client/session').NetworkSummary} summary */
+  function updateNetworkStats(summary) {
+    _network = summary;
+    renderParticipants();
+    renderStatusBar();
+    renderNetworkPanel();
+    screen.render();
+  }
+
+  /**
+   * Shows or hides the network panel.  It stays up, updating, while the
+   * call carries on.
+   * @returns {boolean} true when now shown
+   */
+  function toggleNetworkPanel() {
+    networkPanel.toggle();
+    renderNetworkPanel();
+    screen.render();
+    return !networkPanel.hidden;
+  }
+
+  function updateRoomLock(locked) {
+    _isLocked = locked;
+    renderStatusBar();
+    screen.render();
+  }
+
+  /**
+   * Moves the participant selection used by the volume and host shortcuts.
+   * The local user is skipped since neither ever targets yourself.
+   * @param {1|-1} step
+   */
+  function moveSelection(step) {
+    const others = participants.filter((p) => !p.isSelf);
+    if (others.length === 0) return;
+    const current = others.findIndex((p) => p.peerId === _selectedPeerId);
+    const next = current < 0
+      ? (step > 0 ? 0 : others.length - 1)
+      : (current + step + others.length) % others.length;
+    _selectedPeerId = others[next].peerId;
+    renderParticipants();
+    screen.render();
+  }
+
+  /** @returns {Participant|null} */
+  function getSelectedParticipant() {
+    return participants.find((p) => p.peerId === _selectedPeerId) || null;
+  }
+
   function addChatMessage(fromUsername, text, isSelf) {
     chatMessages.push({ from: fromUsername, text, self: isSelf });
     // Keep last 200 messages
@@ -375,6 +628,105 @@ function createDashboard({ username, roomKey }) {
     });
   }
 
+  /**
+   * Opens a list of online users to pick an invitee from.
+   * Users already in a call are listed greyed out and cannot be picked.
+   *
+   * @param {Array<{username: string, inCall: boolean}>} users
+   * @param {(username: string|null) => void} callback - null when cancelled
+   */
+  function openUserPicker(users, callback) {
+    _promptActive = true;
+    userPicker.setItems(users.map((u) => (u.inCall
+      ? `{gray-fg}${u.username} (in a call){/gray-fg}`
+      : u.username)));
+    userPicker.select(Math.max(0, users.findIndex((u) => !u.inCall)));
+    userPicker.show();
+    userPicker.focus();
+    screen.render();
+
+    const close = (username) => {
+      userPicker.removeListener('select', onSelect);
+      userPicker.removeListener('cancel', onCancel);
+      _promptActive = false;
+      userPicker.hide();
+      screen.render();
+      callback(username);
+    };
+    // Enter on a user who is already in a call does nothing
+    const onSelect = (_item, index) => {
+      if (users[index] && !users[index].inCall) close(users[index].username);
+    };
+    const onCancel = () => close(null);
+
+    userPicker.on('select', onSelect);
+    userPicker.once('cancel', onCancel);
+  }
+
+  /**
+   * Opens the audio processing menu.  Closes again on any choice, so the
+   * caller can apply it and reopen the menu with the updated labels.
+   *
+   * @param {string[]} items - one label per setting, showing its current value
+   * @param {(index: number|null) => void} callback - null when closed with Esc
+   * @param {number} [selected=0] - item highlighted on opening
+   */
+  function openAudioMenu(items, callback, selected = 0) {
+    _promptActive = true;
+    audioMenu.setItems(items);
+    audioMenu.select(selected);
+    audioMenu.show();
+    audioMenu.focus();
+    screen.render();
+
+    const close = (index) => {
+      audioMenu.removeListener('select', onSelect);
+      audioMenu.removeListener('cancel', onCancel);
+      _promptActive = false;
+      audioMenu.hide();
+      screen.render();
+      callback(index);
+    };
+    const onSelect = (_item, index) => close(index);
+    const onCancel = () => close(null);
+
+    audioMenu.once('select', onSelect);
+    audioMenu.once('cancel', onCancel);
+  }
+
+  /**
+   * Opens the audio device menu.  Like the audio menu it closes on any
+   * choice; the caller moves between its pages by reopening it.
+   *
+   * @param {string}   title - shown in the border
+   * @param {string[]} items
+   * @param {(index: number|null) => void} callback - null when closed with Esc
+   * @param {number}   [selected=0] - item highlighted on opening
+   */
+  function openDeviceMenu(title, items, callback, selected = 0) {
+    _promptActive = true;
+    deviceMenu.setLabel(` {bold}${title}{/bold} `);
+    deviceMenu.setItems(items);
+    deviceMenu.select(selected);
+    deviceMenu.show();
+    deviceMenu.focus();
+    screen.render();
+
+    const close = (index) => {
+      deviceMenu.removeListener('select', onSelect);
+      deviceMenu.removeListener('cancel', onCancel);
+      _promptActive = false;
+      deviceMenu.hide();
+      screen.render();
+      callback(index);
+    };
+    const onSelect = (_item, index) => close(index);
+    const onCancel = () => close(null);
+
+    deviceMenu.once('select', onSelect);
+    deviceMenu.once('cancel', onCancel);
+  }
+
   function showMessage(msg) {
     clearTimeout(messageTimer);
     messageBar.setContent(` ${msg}`);
@@ -410,8 +762,19 @@ function createDashboard({ username, roomKey }) {
     updateWaveform,
     updateLatency,
     updateMuteState,
+    updatePushToTalk,
+    updateConnectionState,
+    updateRoomLock,
+    updateCapacity,
+    updateNetworkStats,
+    toggleNetworkPanel,
+    moveSelection,
+    getSelectedParticipant,
     addChatMessage,
     openChatInput,
+    openUserPicker,
+    openAudioMenu,
+    openDeviceMenu,
     showMessage,
     setStatus,
     isPromptActive,
@@ -0,0 +1,69 @@
+'use strict';
+
+// Terminals report key presses but never releases.  A held key does repeat,
+// though: after an initial delay (typically 250–600ms), then every 30–100ms.
+// A press not followed by a repeat within this long was a tap.
+const REPEAT_WAIT_MS = 700;
+// Once repeats have started, the key counts as released when they stop for
+// this long.
+const RELEASE_AFTER_MS = 150;
+
+/**
+ * Interprets presses of the push-to-talk key.  Holding the key talks until
+ * it is let go, as on a walkie-talkie; a quick tap latches talking on until
+ * the next tap, for terminals without key repeat or longer speeches.
+ *
+ * @param {(active: boolean) => void} onChange - called when talking starts or stops
+ * @returns {{ press: () => void, reset: () => void, readonly isActive: boolean }}
+ */
+function createPushToTalkKey(onChange) {
+  /** @type {'idle'|'pressed'|'held'|'latched'} */
+  let state = 'idle';
+  let timer = null;
+
+  const setTimer = (ms, fn) => {
+    clearTimeout(timer);
+    timer = setTimeout(fn, ms);
+  };
+
+  const stop = () => {
+    clearTimeout(timer);
+    timer = null;
+    state = 'idle';
+    onChange(false);
+  };
+
+  return {
+    /** Handles one key event: a press or an auto-repeat of a held key. */
+    press() {
+      switch (state) {
+        case 'idle':
+          state = 'pressed';
+          onChange(true);
+          setTimer(REPEAT_WAIT_MS, () => { state = 'latched'; });
+          break;
+        case 'pressed':
+        case 'held':
+          state = 'held';
+          setTimer(RELEASE_AFTER_MS, stop);
+          break;
+        case 'latched':
+          stop();
+          break;
+      }
+    },
+
+    /** Stops talking, e.g. when push-to-talk is switched off. */
+    reset() {
+      clearTimeout(timer);
+      timer = null;
+      state = 'idle';
+    },
+
+    get isActive() {
+      return state !== 'idle';
+    },
+  };
+}
+
+module.exports = { createPushToTalkKey, REPEAT_WAIT_MS, RELEASE_AFTER_MS };
@@ -0,0 +1,335 @@
+'use strict';
+
+/**
+ * The audio format shared by every part of a call, and conversions to and
+ * from what devices deliver.
+ *
+ * Between the devices and the network everything runs in the call format:
+ * 16-bit 48kHz PCM in 10ms frames, as WebRTC's Opus codec uses.  The call
+ * is mono unless stereo is chosen, in which case frames hold interleaved
+ * left/right pairs.  Microphones and speakers are opened in whatever rate
+ * and channel count they support, and converted at the edge.
+ */
+
+/** Sample rate of the call: capture processing, playback mixing and WebRTC. */
+const SAMPLE_RATE = 48000;
+const BIT_DEPTH = 16;
+const FRAME_MS = 10;
+/** Samples per channel in one 10ms frame at SAMPLE_RATE. */
+const FRAME_SAMPLES = (SAMPLE_RATE * FRAME_MS) / 1000; // 480
+
+/**
+ * @typedef {Object} AudioFormat
+ * @property {number} sampleRate
+ * @property {1|2}    channels
+ */
+
+// Resampling filter: taps either side of each output sample at full
+// bandwidth, and the fractional positions its coefficients are tabulated for
+const RESAMPLER_HALF_TAPS = 16;
+const RESAMPLER_PHASES = 256;
+// Passband edge as a fraction of the lower Nyquist frequency, leaving room
+// for the filter to roll off before aliasing sets in
+const RESAMPLER_CUTOFF = 0.92;
+
+/**
+ * @param {number} sampleRate
+ * @returns {number} samples per channel in 10ms, rounded down — 441 at 44.1kHz
+ */
+function samplesPer10ms(sampleRate) {
+  return Math.floor(sampleRate / 100);
+}
+
+/**
+ * Copies 16-bit PCM out of a Buffer from a device.  The Buffer need not be
+ * aligned for an Int16Array view, and the copy has an ArrayBuffer of its own.
+ *
+ * @param {Buffer} buffer
+ * @returns {Int16Array}
+ */
+function pcmSamples(buffer) {
+  return new Int16Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + (buffer.length & ~1)));
+}
+
+/**
+ * Averages interleaved channels down to mono.
+ *
+ * @param {Int16Array} samples
+ * @param {number}     channels
+ * @returns {Int16Array} a new array, even when already mono
+ */
+function toMono(samples, channels) {
+  if (channels === 1) return samples.slice();
+  const frames = Math.floor(samples.length / channels);
+  const mono = new Int16Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += samples[i * channels + c];
+    mono[i] = Math.round(sum / channels);
+  }
+  return mono;
+}
+
+/**
+ * Converts interleaved audio between channel counts: down to mono by
+ * averaging, up from mono by copying to every channel.
+ *
+ * @param {Int16Array} samples
+ * @param {number}     from - channels in `samples`
+ * @param {number}     to
+ * @returns {Int16Array} a new array
+ * @throws {RangeError} on a conversion other than to or from mono
+ */
+function convertChannels(samples, from, to) {
+  if (from === to) return samples.slice();
+  if (to === 1) return toMono(samples, from);
+  if (from !== 1) throw new RangeError(`Cannot convert ${from}-channel audio to ${to} channels`);
+  const out = new Int16Array(samples.length * to);
+  for (let i = 0; i < samples.length; i++) out.fill(samples[i], i * to, (i + 1) * to);
+  return out;
+}
+
+/**
+ * Splits interleaved audio into one array per channel.
+ * @param {Int16Array} samples
+ * @param {number}     channels
+ * @returns {Int16Array[]}
+ */
+function deinterleave(samples, channels) {
+  const frames = samples.length / channels;
+  return Array.from({ length: channels }, (_, c) => {
+    const channel = new Int16Array(frames);
+    for (let i = 0; i < frames; i++) channel[i] = samples[i * channels + c];
+    return channel;
+  });
+}
+
+/**
+ * @param {Int16Array[]} channels - equal-length arrays, one per channel
+ * @returns {Int16Array} the channels interleaved
+ */
+function interleave(channels) {
+  if (channels.length === 1) return channels[0];
+  const frames = channels[0].length;
+  const out = new Int16Array(frames * channels.length);
+  channels.forEach((channel, c) => {
+    for (let i = 0; i < frames; i++) out[i * channels.length + c] = channel[i];
+  });
+  return out;
+}
+
+/**
+ * Wraps a call-format frame the way RTCAudioSource.onData expects it.
+ *
+ * @param {Int16Array} samples  - FRAME_SAMPLES × channels samples, in a buffer of their own
+ * @param {1|2}        [channels=1]
+ * @returns {Object}
+ */
+function rtcFrame(samples, channels = 1) {
+  return { samples, sampleRate: SAMPLE_RATE, bitsPerSample: BIT_DEPTH, channelCount: channels, numberOfFrames: FRAME_SAMPLES };
+}
+
+/**
+ * Copies a decoded RTCAudioSink frame into the call format, converting its
+ * channels.  A sink may reuse its buffer, so the copy is what gets queued.
+ *
+ * @param {{ samples: Int16Array, sampleRate: number, channelCount: number }} frame
+ * @param {1|2} [channels=1] - channels wanted
+ * @returns {Int16Array|null} null when the frame is not 10ms at 48kHz, or
+ *   has channels that cannot be converted
+ */
+function fromRtcFrame({ samples, sampleRate, channelCount }, channels = 1) {
+  if (sampleRate !== SAMPLE_RATE || samples.length !== FRAME_SAMPLES * channelCount) return null;
+  if (channelCount !== channels && channelCount !== 1 && channels !== 1) return null;
+  return convertChannels(samples, channelCount, channels);
+}
+
+/**
+ * Root-mean-square level of 16-bit audio, normalised to [0, 1].
+ * @param {Int16Array} samples
+ * @returns {number}
+ */
+function rms(samples) {
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const s = samples[i] / 32768;
+    sumOfSquares += s * s;
+  }
+  return Math.sqrt(sumOfSquares / samples.length);
+}
+
+/**
+ * Cuts a stream of samples arriving in arbitrary chunks into fixed-length
+ * frames.
+ */
+class FrameAssembler {
+  /** @param {number} frameLength - samples per frame, all channels included */
+  constructor(frameLength) {
+    this._frameLength = frameLength;
+    this._pending = new Int16Array(frameLength);
+    this._filled = 0;
+  }
+
+  /**
+   * @param {Int16Array} samples
+   * @returns {Int16Array[]} every frame completed, each in a buffer of its own
+   */
+  push(samples) {
+    const frames = [];
+    let offset = 0;
+    while (offset < samples.length) {
+      const take = Math.min(this._frameLength - this._filled, samples.length - offset);
+      this._pending.set(samples.subarray(offset, offset + take), this._filled);
+      this._filled += take;
+      offset += take;
+      if (this._filled === this._frameLength) {
+        frames.push(this._pending);
+        this._pending = new Int16Array(this._frameLength);
+        this._filled = 0;
+      }
+    }
+    return frames;
+  }
+}
+
+/**
+ * Streaming sample-rate converter for interleaved 16-bit audio.
+ *
+ * Each output sample is interpolated from the input with a windowed-sinc
+ * filter whose cutoff sits below the lower of the two Nyquist frequencies,
+ * so converting down to a headset's 16kHz does not fold high frequencies
+ * back into the speech band.  Input can arrive in chunks of any size; the
+ * filter's history carries across them, so chunked and one-shot conversion
+ * give the same result.  The filter holds back about a millisecond of
+ * audio, which comes out with the next chunk.
+ */
+class Resampler {
+  /**
+   * @param {number} fromRate
+   * @param {number} toRate
+   * @param {number} [channels=1]
+   * @throws {RangeError} on a rate that is not a positive integer
+   */
+  constructor(fromRate, toRate, channels = 1) {
+    for (const rate of [fromRate, toRate]) {
+      if (!Number.isInteger(rate) || rate <= 0) throw new RangeError(`Invalid sample rate: ${rate}`);
+    }
+    this._fromRate = fromRate;
+    this._toRate = toRate;
+    this._channels = channels;
+
+    // Downsampling widens the filter in proportion, keeping its sharpness
+    const scale = Math.min(1, toRate / fromRate);
+    this._halfTaps = Math.ceil(RESAMPLER_HALF_TAPS / scale);
+    this._table = sincTable(this._halfTaps, scale * RESAMPLER_CUTOFF);
+    this.reset();
+  }
+
+  /** @returns {boolean} false when the rates are equal and audio passes through */
+  get isConverting() {
+    return this._fromRate !== this._toRate;
+  }
+
+  /**
+   * @param {Int16Array} samples - interleaved input at the source rate
+   * @returns {Int16Array} interleaved output at the target rate; its length
+   *   varies from call to call as fractional samples carry over
+   */
+  process(samples) {
+    if (!this.isConverting) return samples.slice();
+    const channels = this._channels;
+    const frames = samples.length / channels;
+
+    const history = this._history.map((old, c) => {
+      const joined = new Float32Array(old.length + frames);
+      joined.set(old);
+      for (let i = 0; i < frames; i++) joined[old.length + i] = samples[i * channels + c];
+      return joined;
+    });
+
+    const length = history[0].length;
+    const taps = 2 * this._halfTaps;
+    const out = [];
+    // Output n falls n × fromRate / toRate input samples in.  Positions are
+    // worked out in integers, so rounding never drifts with chunk size.
+    for (;;) {
+      const position = this._produced * this._fromRate;
+      const base = Math.floor(position / this._toRate);
+      // History index of the first tap; the history starts with
+      // halfTaps - 1 samples of leading silence
+      const first = base - this._dropped;
+      if (first + taps > length) break;
+      const phase = Math.round(((position % this._toRate) / this._toRate) * RESAMPLER_PHASES);
+      const coefficients = this._table[phase];
+      for (let c = 0; c < channels; c++) {
+        const x = history[c];
+        let sum = 0;
+        for (let k = 0; k < taps; k++) sum += x[first + k] * coefficients[k];
+        out.push(sum > 32767 ? 32767 : sum < -32768 ? -32768 : Math.round(sum));
+      }
+      this._produced++;
+    }
+
+    // Keep what the next output samples still need
+    const keep = Math.floor((this._produced * this._fromRate) / this._toRate) - this._dropped;
+    this._history = history.map((x) => x.slice(keep));
+    this._dropped += keep;
+    return Int16Array.from(out);
+  }
+
+  /** Forgets buffered input, e.g. when a device is reopened. */
+  reset() {
+    /** @type {Float32Array[]} per channel: input not yet used up, oldest first */
+    this._history = Array.from({ length: this._channels }, () => new Float32Array(this._halfTaps - 1));
+    /** Output samples produced so far */
+    this._produced = 0;
+    /** Input samples dropped from the front of the history so far */
+    this._dropped = 0;
+  }
+}
+
+/**
+ * Tabulates a Blackman-windowed sinc low-pass filter at RESAMPLER_PHASES + 1
+ * fractional offsets, each row normalised to unity gain.
+ *
+ * @param {number} halfTaps
+ * @param {number} cutoff - fraction of the input Nyquist frequency
+ * @returns {Float64Array[]} row p: coefficients for an output p / RESAMPLER_PHASES
+ *   of the way past an input sample
+ */
+function sincTable(halfTaps, cutoff) {
+  const taps = 2 * halfTaps;
+  return Array.from({ length: RESAMPLER_PHASES + 1 }, (_, p) => {
+    const fraction = p / RESAMPLER_PHASES;
+    const row = new Float64Array(taps);
+    let sum = 0;
+    for (let k = 0; k < taps; k++) {
+      const x = fraction + halfTaps - 1 - k;   // distance from input sample k
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+      const w = (x + halfTaps) / taps;         // window position [0, 1]
+      const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * w) + 0.08 * Math.cos(4 * Math.PI * w);
+      row[k] = sinc * Math.max(0, window);
+      sum += row[k];
+    }
+    for (let k = 0; k < taps; k++) row[k] /= sum;
+    return row;
+  });
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  BIT_DEPTH,
+  FRAME_MS,
+  FRAME_SAMPLES,
+  samplesPer10ms,
+  pcmSamples,
+  toMono,
+  convertChannels,
+  deinterleave,
+  interleave,
+  rtcFrame,
+  fromRtcFrame,
+  rms,
+  FrameAssembler,
+  Resampler,
+};
@@ -0,0 +1,20 @@
+'use strict';
+
+/**
+ * Choices for the audio options a user can set on the command line, in
+ * settings or in a config profile.  Kept apart from the audio code that
+ * acts on them so the CLI and config can check values without loading it.
+ */
+
+/** Accepted values of the `noiseSuppression` setting, mildest first. */
+const NOISE_SUPPRESSION_LEVELS = ['off', 'moderate', 'aggressive'];
+
+/**
+ * How a recording is laid out on disk:
+ *   mix        — one mono WAV of everyone, as heard locally
+ *   multitrack — one WAV with a channel per participant
+ *   split      — a directory with a WAV per participant, plus the mix
+ */
+const RECORDING_LAYOUTS = ['mix', 'multitrack', 'split'];
+
+module.exports = { NOISE_SUPPRESSION_LEVELS, RECORDING_LAYOUTS };
@@ -0,0 +1,253 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeJsonFile } = require('./settings');
+const { VoiceSyncError } = require('./errors');
+const logger = require('./logger');
+const { NOISE_SUPPRESSION_LEVELS, RECORDING_LAYOUTS } = require('./audioOptions');
+
+/**
+ * The CLI config file: named profiles of the options `start`, `join`,
+ * `listen` and `call` would otherwise take as flags or prompt for.
+ *
+ *   {
+ *     "defaultProfile": "work",
+ *     "profiles": {
+ *       "default": { "server": "wss://voice.example.com" },
+ *       "work":    { "server": "wss://voice.corp.example", "username": "alice", "aec": false }
+ *     }
+ *   }
+ *
+ * Unlike settings.json, which VoiceSync writes itself, this file is meant
+ * to be edited — by hand or with `voicesync config`.
+ */
+
+const DEFAULT_PROFILE = 'default';
+
+/**
+ * What a profile may hold.  Keys are the option names in camelCase, as
+ * commands receive them; `option` names the command option a key fills
+ * when that differs.
+ *
+ * @type {Object<string, { type: string, description: string, values?: string[], option?: string, secret?: boolean }>}
+ */
+const PROFILE_KEYS = {
+  server: { type: 'url', description: 'Signaling server URL' },
+  username: { type: 'string', description: 'Display name' },
+  inputDevice: { type: 'string', description: 'Microphone, by ID or name' },
+  outputDevice: { type: 'string', description: 'Speaker, by ID or name' },
+  aec: { type: 'boolean', description: 'Echo cancellation' },
+  agc: { type: 'boolean', description: 'Automatic gain control' },
+  ns: { type: 'choice', values: NOISE_SUPPRESSION_LEVELS, description: 'Noise suppression level' },
+  ptt: { type: 'boolean', description: 'Start in push-to-talk mode' },
+  stereo: { type: 'boolean', description: 'Capture, send and play in stereo' },
+  sampleRate: { type: 'sampleRate', description: 'Rate to open the devices at, in Hz' },
+  recordLayout: { type: 'choice', values: RECORDING_LAYOUTS, description: 'Recording layout' },
+  iceServers: { type: 'list', option: 'iceServer', description: 'STUN/TURN server URLs; "none" for none' },
+  turnUsername: { type: 'string', description: 'Username for the TURN servers' },
+  turnCredential: { type: 'string', secret: true, description: 'Credential for the TURN servers' },
+};
+
+const BOOLEAN_WORDS = { true: true, yes: true, on: true, false: false, no: false, off: false };
+
+/**
+ * @returns {string} $XDG_CONFIG_HOME/voicesync/config.json, or
+ *   ~/.config/voicesync/config.json by default
+ */
+function configPath() {
+  const base = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(base, 'voicesync', 'config.json');
+}
+
+/**
+ * @returns {{ defaultProfile?: string, profiles: Object<string, Object> }}
+ */
+function loadConfig() {
+  const config = readJsonFile(configPath());
+  const profiles = config.profiles && typeof config.profiles === 'object' && !Array.isArray(config.profiles)
+    ? config.profiles
+    : {};
+  return { ...config, profiles };
+}
+
+/**
+ * @param {string} [name] - from --profile
+ * @returns {string} the profile in use: `name`, else $VOICESYNC_PROFILE,
+ *   else the config's defaultProfile, else "default"
+ */
+function activeProfileName(name) {
+  return name || process.env.VOICESYNC_PROFILE || loadConfig().defaultProfile || DEFAULT_PROFILE;
+}
+
+/**
+ * Loads the active profile.  Values that do not fit their key are reported
+ * and left out, so a mistake in a hand-edited file never stops a call.
+ *
+ * @param {string} [name] - from --profile
+ * @returns {{ name: string, values: Object }}
+ * @throws {VoiceSyncError} PROFILE_NOT_FOUND when a profile other than
+ *   "default" is asked for and does not exist
+ */
+function loadProfile(name) {
+  const profileName = activeProfileName(name);
+  const stored = loadConfig().profiles[profileName];
+  if (!stored) {
+    if (profileName === DEFAULT_PROFILE) return { name: profileName, values: {} };
+    throw new VoiceSyncError(
+      `No profile "${profileName}" in ${configPath()} — create it with: voicesync config set --profile ${profileName} <key> <value>`,
+      'PROFILE_NOT_FOUND',
+    );
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(stored)) {
+    if (!PROFILE_KEYS[key]) {
+      logger.warn(`Ignoring unknown setting "${key}" in profile "${profileName}"`);
+    } else if (!isValid(key, value)) {
+      logger.warn(`Ignoring ${key} in profile "${profileName}" — ${describeType(key)}`);
+    } else {
+      values[key] = value;
+    }
+  }
+  return { name: profileName, values };
+}
+
+/**
+ * Sets one value in a profile, creating the profile if needed.
+ *
+ * @param {string} profileName
+ * @param {string} key      - a PROFILE_KEYS key; the --flag-style spelling works too
+ * @param {string} rawValue - as typed; lists are comma-separated
+ * @returns {*} the value saved
+ * @throws {VoiceSyncError} UNKNOWN_CONFIG_KEY, INVALID_CONFIG_VALUE or CONFIG_WRITE_FAILED
+ */
+function setProfileValue(profileName, key, rawValue) {
+  const name = normaliseKey(key);
+  const value = parseValue(name, rawValue);
+  const config = loadConfig();
+  config.profiles[profileName] = { ...config.profiles[profileName], [name]: value };
+  writeJsonFile(configPath(), config, 'CONFIG_WRITE_FAILED');
+  return value;
+}
+
+/**
+ * @param {string} profileName
+ * @param {string} key
+ * @returns {boolean} false when the profile did not have the key set
+ * @throws {VoiceSyncError} UNKNOWN_CONFIG_KEY or CONFIG_WRITE_FAILED
+ */
+function unsetProfileValue(profileName, key) {
+  const name = normaliseKey(key);
+  const config = loadConfig();
+  const profile = config.profiles[profileName];
+  if (!profile || !(name in profile)) return false;
+  delete profile[name];
+  writeJsonFile(configPath(), config, 'CONFIG_WRITE_FAILED');
+  return true;
+}
+
+/**
+ * Makes a profile the one used when --profile is not given.
+ * @param {string} profileName
+ * @throws {VoiceSyncError} PROFILE_NOT_FOUND or CONFIG_WRITE_FAILED
+ */
+function setDefaultProfile(profileName) {
+  const config = loadConfig();
+  if (!config.profiles[profileName] && profileName !== DEFAULT_PROFILE) {
+    throw new VoiceSyncError(`No profile "${profileName}" in ${configPath()}`, 'PROFILE_NOT_FOUND');
+  }
+  config.defaultProfile = profileName;
+  writeJsonFile(configPath(), config, 'CONFIG_WRITE_FAILED');
+}
+
+// ── Keys and values ─────────────────────────────────────────────────────────
+
+/**
+ * @param {string} key - e.g. "sampleRate" or "sample-rate"
+ * @returns {string} the PROFILE_KEYS key
+ * @throws {VoiceSyncError} UNKNOWN_CONFIG_KEY
+ */
+function normaliseKey(key) {
+  const name = key.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+  if (!PROFILE_KEYS[name]) {
+    throw new VoiceSyncError(
+      `Unknown setting "${key}" — one of: ${Object.keys(PROFILE_KEYS).join(', ')}`,
+      'UNKNOWN_CONFIG_KEY',
+    );
+  }
+  return name;
+}
+
+/**
+ * @param {string} key      - a PROFILE_KEYS key
+ * @param {string} rawValue
+ * @returns {*}
+ * @throws {VoiceSyncError} INVALID_CONFIG_VALUE
+ */
+function parseValue(key, rawValue) {
+  const { type } = PROFILE_KEYS[key];
+  const text = rawValue.trim();
+  let value = text;
+  if (type === 'boolean') value = BOOLEAN_WORDS[text.toLowerCase()];
+  else if (type === 'sampleRate') value = Number(text);
+  else if (type === 'list') value = text.split(',').map((item) => item.trim()).filter(Boolean);
+
+  if (!isValid(key, value)) {
+    throw new VoiceSyncError(`Invalid ${key}: "${rawValue}" — ${describeType(key)}`, 'INVALID_CONFIG_VALUE');
+  }
+  return value;
+}
+
+/** @param {string} key @param {*} value @returns {boolean} */
+function isValid(key, value) {
+  const { type, values } = PROFILE_KEYS[key];
+  switch (type) {
+    case 'url': return typeof value === 'string' && /^wss?:\/\/\S+$/.test(value);
+    case 'string': return typeof value === 'string' && value.trim().length > 0;
+    case 'boolean': return typeof value === 'boolean';
+    case 'choice': return values.includes(value);
+    case 'sampleRate': return Number.isInteger(value) && value >= 8000 && value <= 384000;
+    case 'list': return Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string' && item);
+    default: return false;
+  }
+}
+
+/** @param {string} key @returns {string} what `key` accepts */
+function describeType(key) {
+  const { type, values } = PROFILE_KEYS[key];
+  return {
+    url: 'expected a ws:// or wss:// URL',
+    string: 'expected some text',
+    boolean: 'expected true or false',
+    choice: `expected one of ${values?.join(', ')}`,
+    sampleRate: 'expected a whole number of Hz, 8000–384000',
+    list: 'expected a comma-separated list',
+  }[type];
+}
+
+/**
+ * @param {string} key
+ * @param {*}      value
+ * @param {Object} [opts]
+ * @param {boolean} [opts.reveal=false] - show secrets instead of masking them
+ * @returns {string} `value` as `config set` would take it
+ */
+function formatValue(key, value, { reveal = false } = {}) {
+  if (PROFILE_KEYS[key]?.secret && !reveal) return '********';
+  return Array.isArray(value) ? value.join(',') : String(value);
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  PROFILE_KEYS,
+  configPath,
+  loadConfig,
+  activeProfileName,
+  loadProfile,
+  setProfileValue,
+  unsetProfileValue,
+  setDefaultProfile,
+  normaliseKey,
+  formatValue,
+};
@@ -0,0 +1,41 @@
+'use strict';
+
+const { performance } = require('perf_hooks');
+
+// After the event loop stalls, produce at most this many frames to catch up
+// and skip the rest — for live audio a burst of stale frames is worse than a
+// short gap.
+const MAX_CATCH_UP_FRAMES = 5;
+
+/**
+ * Calls `onFrame` once per `frameMs` of elapsed time.  Timers drift, so each
+ * tick works out how many frames are due from the clock rather than
+ * assuming one.
+ *
+ * @param {number} frameMs
+ * @param {(frame: number) => void} onFrame - called with the frame's index, from 0
+ * @param {Object} [opts]
+ * @param {number} [opts.maxCatchUp=MAX_CATCH_UP_FRAMES] - frames due beyond this
+ *   many are skipped; Infinity to produce every one, e.g. for a recording
+ * @returns {{ stop: () => void }} stopping takes effect mid-tick too, so
+ *   `onFrame` may stop the clock
+ */
+function startFrameClock(frameMs, onFrame, { maxCatchUp = MAX_CATCH_UP_FRAMES } = {}) {
+  const started = performance.now();
+  let produced = 0;
+  let stopped = false;
+  const timer = setInterval(() => {
+    const due = Math.floor((performance.now() - started) / frameMs);
+    if (due - produced > maxCatchUp) produced = due - maxCatchUp;
+    while (produced < due && !stopped) onFrame(produced++);
+  }, frameMs);
+
+  return {
+    stop() {
+      stopped = true;
+      clearInterval(timer);
+    },
+  };
+}
+
+module.exports = { startFrameClock, MAX_CATCH_UP_FRAMES };
@@ -0,0 +1,96 @@
+'use strict';
+
+const { VoiceSyncError } = require('./errors');
+
+/** Public STUN servers, used unless other ICE servers are configured. */
+const DEFAULT_ICE_SERVERS = [
+  { urls: 'stun:stun.l.google.com:19302' },
+  { urls: 'stun:stun1.l.google.com:19302' },
+];
+
+/** Configured in place of a URL list to use no ICE servers at all, e.g. on an offline LAN. */
+const NO_ICE_SERVERS = 'none';
+
+const ICE_URL = /^(stuns?|turns?):[^\s]+$/i;
+
+/**
+ * @typedef {Object} IceServer
+ * @property {string|string[]} urls
+ * @property {string}          [username]   - TURN only
+ * @property {string}          [credential] - TURN only
+ */
+
+/**
+ * Works out the ICE servers to use from, in order of precedence, command
+ * line flags, the environment and saved settings, falling back to
+ * DEFAULT_ICE_SERVERS.  The first of these to list servers wins outright;
+ * TURN credentials are looked up the same way and given to every TURN URL
+ * that has none of its own.
+ *
+ * Environment: VOICESYNC_ICE_SERVERS (comma-separated URLs),
+ * VOICESYNC_TURN_USERNAME and VOICESYNC_TURN_CREDENTIAL.  Settings: the
+ * `ice` section, with `servers` (URLs or IceServer objects), `turnUsername`
+ * and `turnCredential`.
+ *
+ * @param {Object}   [opts]
+ * @param {string[]} [opts.urls]           - from --ice-server; ["none"] for no servers
+ * @param {string}   [opts.turnUsername]   - from --turn-username
+ * @param {string}   [opts.turnCredential] - from --turn-credential
+ * @param {Object}   [opts.settings]       - the saved `ice` settings section
+ * @param {Object}   [opts.env=process.env]
+ * @returns {IceServer[]}
+ * @throws {VoiceSyncError} INVALID_ICE_SERVER on a malformed server, or
+ *   TURN_CREDENTIALS_MISSING for a TURN server without credentials
+ */
+function resolveIceServers({ urls, turnUsername, turnCredential, settings = {}, env = process.env } = {}) {
+  const fromEnv = env.VOICESYNC_ICE_SERVERS
+    ? env.VOICESYNC_ICE_SERVERS.split(',').map((url) => url.trim()).filter(Boolean)
+    : null;
+  const configured = [urls, fromEnv, settings.servers].find((list) => Array.isArray(list) && list.length > 0);
+  if (!configured) return DEFAULT_ICE_SERVERS.map((server) => ({ ...server }));
+  if (configured.length === 1 && configured[0] === NO_ICE_SERVERS) return [];
+
+  const username = turnUsername ?? env.VOICESYNC_TURN_USERNAME ?? settings.turnUsername;
+  const credential = turnCredential ?? env.VOICESYNC_TURN_CREDENTIAL ?? settings.turnCredential;
+
+  return configured.map((entry) => {
+    const server = typeof entry === 'string' ? { urls: entry } : { ...entry };
+    const list = [].concat(server.urls ?? []);
+    if (list.length === 0 || !list.every((url) => typeof url === 'string' && ICE_URL.test(url))) {
+      throw new VoiceSyncError(
+        `Invalid ICE server: ${JSON.stringify(entry)} — expected a stun:, stuns:, turn: or turns: URL`,
+        'INVALID_ICE_SERVER',
+      );
+    }
+    if (isTurn(server)) {
+      server.username ??= username;
+      server.credential ??= credential;
+      if (!server.username || !server.credential) {
+        throw new VoiceSyncError(
+          `TURN server ${list[0]} needs a username and credential — pass --turn-username and --turn-credential`,
+          'TURN_CREDENTIALS_MISSING',
+        );
+      }
+    }
+    return server;
+  });
+}
+
+/**
+ * @param {IceServer} server
+ * @returns {boolean} true for a TURN relay, which needs credentials
+ */
+function isTurn(server) {
+  return [].concat(server.urls).some((url) => /^turns?:/i.test(url));
+}
+
+/**
+ * @param {IceServer[]} servers
+ * @returns {string} e.g. "stun:stun.example.com, turn:turn.example.com" — credentials left out
+ */
+function describeIceServers(servers) {
+  if (servers.length === 0) return 'none';
+  return servers.map((server) => [].concat(server.urls).join(' ')).join(', ');
+}
+
+module.exports = { DEFAULT_ICE_SERVERS, NO_ICE_SERVERS, resolveIceServers, isTurn, describeIceServers };
@@ -0,0 +1,105 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { VoiceSyncError } = require('./errors');
+const logger = require('./logger');
+
+const SETTINGS_FILE = 'settings.json';
+
+/**
+ * @returns {string} directory holding per-user state: $VOICESYNC_HOME, or
+ *   ~/.voicesync by default
+ */
+function settingsDir() {
+  return process.env.VOICESYNC_HOME || path.join(os.homedir(), '.voicesync');
+}
+
+/** @returns {string} */
+function settingsPath() {
+  return path.join(settingsDir(), SETTINGS_FILE);
+}
+
+/**
+ * Reads the current user's saved settings.  A missing file means nothing
+ * has been saved yet; an unreadable one is reported and ignored, so a
+ * corrupt file never stops a call from starting.
+ *
+ * @returns {Object} settings grouped by section, e.g. `{ vad: { threshold } }`
+ */
+function loadSettings() {
+  return readJsonFile(settingsPath());
+}
+
+/**
+ * Merges changes into the saved settings, section by section, and writes
+ * them back.
+ *
+ * @param {Object} changes - sections to update, e.g. `{ vad: { threshold: 0.004 } }`
+ * @returns {Object} the settings now saved
+ * @throws {VoiceSyncError} SETTINGS_WRITE_FAILED when the file cannot be written
+ */
+function saveSettings(changes) {
+  const settings = loadSettings();
+  for (const [section, values] of Object.entries(changes)) {
+    settings[section] = values && typeof values === 'object' ? { ...settings[section], ...values } : values;
+  }
+  writeJsonFile(settingsPath(), settings, 'SETTINGS_WRITE_FAILED');
+  return settings;
+}
+
+// ── JSON files ──────────────────────────────────────────────────────────────
+
+/**
+ * Reads a JSON object.  A missing file reads as empty; an unreadable or
+ * malformed one is reported and also reads as empty.
+ *
+ * @param {string} file
+ * @returns {Object}
+ */
+function readJsonFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.warn(`Could not read ${file}: ${err.message}`);
+    return {};
+  }
+  try {
+    const data = JSON.parse(text);
+    if (data && typeof data === 'object' && !Array.isArray(data)) return data;
+    logger.warn(`Ignoring ${file} — expected a JSON object`);
+  } catch (err) {
+    logger.warn(`Ignoring ${file} — ${err.message}`);
+  }
+  return {};
+}
+
+/**
+ * Writes a JSON object readable only by the current user, creating its
+ * directory.  The file is replaced atomically, so an interrupted write
+ * never leaves it half-written.
+ *
+ * @param {string} file
+ * @param {Object} data
+ * @param {string} code - error code to fail with
+ * @throws {VoiceSyncError} `code` when the file cannot be written
+ */
+function writeJsonFile(file, data, code) {
+  const temp = `${file}.${process.pid}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+    fs.writeFileSync(temp, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(temp, file);
+  } catch (err) {
+    try {
+      fs.unlinkSync(temp);
+    } catch {
+      // never written
+    }
+    throw new VoiceSyncError(`Could not save ${file}: ${err.message}`, code);
+  }
+}
+
+module.exports = { loadSettings, saveSettings, settingsPath, readJsonFile, writeJsonFile };
@@ -0,0 +1,37 @@
+'use strict';
+
+const { suggestVadSettings } = require('../../src/client/processing/calibration');
+const { DEFAULT_VAD_SETTINGS } = require('../../src/client/processing/vad');
+
+const repeat = (level, count) => Array(count).fill(level);
+
+describe('suggestVadSettings', () => {
+  test('puts the threshold halfway between noise and speech in dB', () => {
+    const result = suggestVadSettings(repeat(0.001, 300), [...repeat(0.1, 400), ...repeat(0.0005, 100)]);
+    expect(result.noiseLevel).toBe(0.001);
+    expect(result.speechLevel).toBe(0.1);
+    expect(result.snrDb).toBeCloseTo(40);
+    expect(result.suggested).toEqual({ threshold: 0.01, hangoverMs: DEFAULT_VAD_SETTINGS.hangoverMs });
+  });
+
+  test('ignores a few loud ambient frames', () => {
+    const ambient = [...repeat(0.001, 297), 0.5, 0.5, 0.5];
+    expect(suggestVadSettings(ambient, repeat(0.1, 500)).noiseLevel).toBe(0.001);
+  });
+
+  test('suggests a longer hangover in a noisy room', () => {
+    const { snrDb, suggested } = suggestVadSettings(repeat(0.01, 300), repeat(0.04, 500));
+    expect(snrDb).toBeLessThan(15);
+    expect(suggested.hangoverMs).toBeGreaterThan(DEFAULT_VAD_SETTINGS.hangoverMs);
+  });
+
+  test('fails when no speech rose above the noise', () => {
+    expect(() => suggestVadSettings(repeat(0.01, 300), repeat(0.012, 500)))
+      .toThrow(expect.objectContaining({ code: 'CALIBRATION_FAILED' }));
+  });
+
+  test('fails when nothing was recorded', () => {
+    expect(() => suggestVadSettings([], repeat(0.1, 10)))
+      .toThrow(expect.objectContaining({ code: 'CALIBRATION_FAILED' }));
+  });
+});
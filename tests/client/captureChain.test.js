@@ -0,0 +1,168 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { CaptureChain, DEFAULT_SETTINGS, FRAME_SAMPLES } = require('../../src/client/processing');
+const { HighPassFilter } = require('../../src/client/processing/highPassFilter');
+const { NoiseSuppressor } = require('../../src/client/processing/noiseSuppressor');
+const { AutomaticGainControl } = require('../../src/client/processing/automaticGainControl');
+const { Limiter, THRESHOLD } = require('../../src/client/processing/limiter');
+const { NOISE_SUPPRESSION_LEVELS } = require('../../src/utils/audioOptions');
+
+// Simulated recording and recorded outputs — see tests/fixtures/capture/generate.js
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'capture');
+const SPEECH_START = 48000 / 2;
+
+/** Loads a raw s16le fixture. */
+function loadPcm(name) {
+  const buf = fs.readFileSync(path.join(FIXTURES, name));
+  return new Int16Array(buf.buffer, buf.byteOffset, buf.length / 2);
+}
+
+/** Runs a signal through a stage frame by frame, as AudioManager does. */
+function run(stage, input) {
+  const out = new Int16Array(input.length);
+  for (let offset = 0; offset < input.length; offset += FRAME_SAMPLES) {
+    out.set(stage.process(input.subarray(offset, offset + FRAME_SAMPLES)), offset);
+  }
+  return out;
+}
+
+function rmsOf(samples, from = 0, to = samples.length) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / (to - from));
+}
+
+const sine = (length, amplitude, hz = 440) =>
+  Int16Array.from({ length }, (_, n) => Math.round(amplitude * Math.sin((2 * Math.PI * hz * n) / 48000)));
+
+const db = (ratio) => 20 * Math.log10(ratio);
+
+describe('CaptureChain', () => {
+  const input = loadPcm('noisy-speech.pcm');
+
+  test('reproduces the golden output with default settings', () => {
+    expect(run(new CaptureChain(), input)).toEqual(loadPcm('golden-default.pcm'));
+  });
+
+  test('reproduces the golden output with aggressive noise suppression', () => {
+    const out = run(new CaptureChain({ noiseSuppression: 'aggressive' }), input);
+    expect(out).toEqual(loadPcm('golden-aggressive.pcm'));
+  });
+
+  test('cuts background noise by more than 20dB while keeping speech', () => {
+    const out = run(new CaptureChain(), input);
+    // Skip the first 0.2s while the noise estimate settles
+    expect(db(rmsOf(input, 9600, SPEECH_START) / rmsOf(out, 9600, SPEECH_START))).toBeGreaterThan(20);
+    expect(rmsOf(out, SPEECH_START + 24000, SPEECH_START + 48000)).toBeGreaterThan(
+      0.5 * rmsOf(input, SPEECH_START + 24000, SPEECH_START + 48000));
+  });
+
+  test('passes frames through untouched with every stage off', () => {
+    const chain = new CaptureChain({ highPass: false, noiseSuppression: 'off', agc: false, limiter: false });
+    const frame = input.subarray(0, FRAME_SAMPLES);
+    expect(chain.process(frame)).toBe(frame);
+  });
+
+  test('configure() keeps the state of stages whose setting is unchanged', () => {
+    const half = 48000;
+    const untouched = run(new CaptureChain(), input);
+
+    const chain = new CaptureChain();
+    const out = run(chain, input.subarray(0, half));
+    expect(chain.configure({ highPass: true, noiseSuppression: 'moderate' })).toEqual(DEFAULT_SETTINGS);
+    expect([...out, ...run(chain, input.subarray(half))]).toEqual([...untouched]);
+  });
+
+  test('configure() drops a stage turned off from the very next frame', () => {
+    const prefix = input.subarray(0, 48000);
+    const rest = input.subarray(48000);
+
+    const chain = new CaptureChain();
+    run(chain, prefix);
+    expect(chain.configure({ agc: false })).toEqual({ ...DEFAULT_SETTINGS, agc: false });
+
+    // The quiet first second never engages the limiter, so the only
+    // difference between the two chains is the AGC stage
+    const withoutAgc = new CaptureChain({ agc: false });
+    run(withoutAgc, prefix);
+    expect(run(chain, rest)).toEqual(run(withoutAgc, rest));
+  });
+
+  test('ignores undefined settings, as passed for CLI flags left unset', () => {
+    expect(new CaptureChain({ agc: undefined, noiseSuppression: undefined }).settings).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('rejects unknown or invalid settings without applying any of them', () => {
+    expect(() => new CaptureChain({ noiseSuppression: 'loud' })).toThrow(RangeError);
+    expect(() => new CaptureChain({ reverb: true })).toThrow(RangeError);
+    const chain = new CaptureChain();
+    expect(() => chain.configure({ agc: false, limiter: 'yes' })).toThrow(RangeError);
+    expect(chain.settings).toEqual(DEFAULT_SETTINGS);
+  });
+
+  test('rejects frames of the wrong length', () => {
+    expect(() => new CaptureChain().process(new Int16Array(FRAME_SAMPLES - 1))).toThrow(RangeError);
+  });
+});
+
+describe('capture stages', () => {
+  test('HighPassFilter removes DC offset and mains hum but keeps voice frequencies', () => {
+    const hum = Int16Array.from(sine(48000, 3000, 50), (v) => v + 2000);
+    const humOut = run(new HighPassFilter(), hum);
+    expect(db(rmsOf(hum, 24000) / rmsOf(humOut, 24000))).toBeGreaterThan(8);
+    expect(Math.abs(humOut.slice(24000).reduce((a, b) => a + b, 0) / 24000)).toBeLessThan(5);
+
+    const voice = sine(48000, 3000, 300);
+    expect(db(rmsOf(voice, 24000) / rmsOf(run(new HighPassFilter(), voice), 24000))).toBeLessThan(0.1);
+  });
+
+  test('NoiseSuppressor turns down steady noise more when aggressive', () => {
+    let seed = 1;
+    const noise = Int16Array.from({ length: 48000 }, () => {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      return Math.round((seed / 0x7fffffff - 0.5) * 2000);
+    });
+    const moderate = rmsOf(run(new NoiseSuppressor('moderate'), noise), 24000);
+    const aggressive = rmsOf(run(new NoiseSuppressor('aggressive'), noise), 24000);
+    expect(db(rmsOf(noise, 24000) / moderate)).toBeGreaterThan(5);
+    expect(db(moderate / aggressive)).toBeGreaterThan(2);
+  });
+
+  test('NoiseSuppressor rejects unknown levels', () => {
+    expect(() => new NoiseSuppressor('off')).toThrow(RangeError);
+  });
+
+  test('NoiseSuppressor knows every level the settings accept', () => {
+    for (const level of NOISE_SUPPRESSION_LEVELS.filter((l) => l !== 'off')) {
+      expect(() => new NoiseSuppressor(level)).not.toThrow();
+    }
+  });
+
+  test('AutomaticGainControl raises quiet speech and leaves silence alone', () => {
+    const agc = new AutomaticGainControl();
+    run(agc, new Int16Array(48000));
+    expect(agc.gainDb).toBe(0);
+
+    const quiet = sine(4 * 48000, 300);
+    const out = run(agc, quiet);
+    expect(agc.gainDb).toBeGreaterThan(15);
+    expect(rmsOf(out, 3 * 48000)).toBeGreaterThan(5 * rmsOf(quiet, 3 * 48000));
+  });
+
+  test('AutomaticGainControl turns loud speech down quickly', () => {
+    const agc = new AutomaticGainControl();
+    run(agc, sine(20 * FRAME_SAMPLES, 30000));
+    expect(agc.gainDb).toBeLessThan(-8);
+  });
+
+  test('Limiter holds peaks below the threshold and leaves quieter audio unchanged', () => {
+    const loud = sine(4800, 32000);
+    const out = run(new Limiter(), loud);
+    expect(Math.max(...out.map(Math.abs))).toBeLessThanOrEqual(Math.ceil(THRESHOLD));
+
+    const quiet = sine(4800, 10000);
+    expect(run(new Limiter(), quiet)).toEqual(quiet);
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const { devicesOfKind, findDevice, chooseFormat } = require('../../src/client/devices');
+const { AudioError } = require('../../src/utils/errors');
+
+/** @returns {import('../../src/client/devices').AudioDevice} */
+function device(id, name, inputChannels, outputChannels) {
+  return {
+    id, name, inputChannels, outputChannels,
+    sampleRates: [44100, 48000], preferredSampleRate: 48000,
+    isDefaultInput: false, isDefaultOutput: false,
+  };
+}
+
+const DEVICES = [
+  device(129, 'Built-in Microphone', 2, 0),
+  device(131, 'Built-in Output', 0, 2),
+  device(140, 'USB Headset', 1, 2),
+  device(141, 'USB Mic', 1, 0),
+];
+
+describe('devicesOfKind', () => {
+  test('splits devices into those that record and those that play', () => {
+    expect(devicesOfKind(DEVICES, 'input').map((d) => d.id)).toEqual([129, 140, 141]);
+    expect(devicesOfKind(DEVICES, 'output').map((d) => d.id)).toEqual([131, 140]);
+  });
+});
+
+describe('findDevice', () => {
+  test('finds a device by ID, given as a number or a string', () => {
+    expect(findDevice(DEVICES, 140, 'input').name).toBe('USB Headset');
+    expect(findDevice(DEVICES, '131', 'output').name).toBe('Built-in Output');
+  });
+
+  test('finds a device by any part of its name, ignoring case', () => {
+    expect(findDevice(DEVICES, 'headset', 'output').id).toBe(140);
+    expect(findDevice(DEVICES, 'built-in', 'input').id).toBe(129);
+  });
+
+  test('prefers an exact name over other devices containing it', () => {
+    expect(findDevice(DEVICES, 'usb mic', 'input').id).toBe(141);
+  });
+
+  test('only considers devices of the requested kind', () => {
+    expect(() => findDevice(DEVICES, 131, 'input')).toThrow(AudioError);
+    expect(() => findDevice(DEVICES, 'USB Mic', 'output')).toThrow(/No output device matches "USB Mic"/);
+  });
+
+  test('refuses a name matching several devices', () => {
+    let error;
+    try {
+      findDevice(DEVICES, 'usb', 'input');
+    } catch (err) {
+      error = err;
+    }
+    expect(error).toBeInstanceOf(AudioError);
+    expect(error.code).toBe('DEVICE_NOT_FOUND');
+    expect(error.message).toMatch(/USB Headset, USB Mic/);
+  });
+});
+
+describe('chooseFormat', () => {
+  const headset = { ...device(140, 'USB Headset', 1, 2), sampleRates: [16000, 44100], preferredSampleRate: 44100 };
+
+  test('opens at 48kHz when the device has it', () => {
+    expect(chooseFormat(DEVICES[0], 'input')).toEqual({ sampleRate: 48000, channels: 1 });
+  });
+
+  test('falls back to the device\'s preferred rate, then the nearest above 48kHz', () => {
+    expect(chooseFormat(headset, 'input')).toEqual({ sampleRate: 44100, channels: 1 });
+    expect(chooseFormat({ ...headset, sampleRates: [16000, 96000, 192000], preferredSampleRate: 0 }, 'output').sampleRate)
+      .toBe(96000);
+    expect(chooseFormat({ ...headset, preferredSampleRate: 0 }, 'output').sampleRate).toBe(44100);
+  });
+
+  test('uses a rate asked for, if the device supports it', () => {
+    expect(chooseFormat(headset, 'input', { sampleRate: 16000 }).sampleRate).toBe(16000);
+    expect(() => chooseFormat(headset, 'input', { sampleRate: 48000 }))
+      .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_SAMPLE_RATE' }));
+  });
+
+  test('caps stereo at the channels the device has', () => {
+    expect(chooseFormat(headset, 'input', { channels: 2 }).channels).toBe(1);
+    expect(chooseFormat(headset, 'output', { channels: 2 }).channels).toBe(2);
+  });
+
+  test('opens an unknown device in the format asked for', () => {
+    expect(chooseFormat(null, 'output', { channels: 2 })).toEqual({ sampleRate: 48000, channels: 2 });
+    expect(chooseFormat(null, 'input', { sampleRate: 16000 })).toEqual({ sampleRate: 16000, channels: 1 });
+  });
+});
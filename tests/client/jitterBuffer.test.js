@@ -0,0 +1,182 @@
+'use strict';
+
+const {
+  JitterBuffer,
+  FRAME_SAMPLES,
+  MIN_TARGET_FRAMES,
+  INITIAL_TARGET_FRAMES,
+  MAX_CONCEALED_FRAMES,
+} = require('../../src/client/jitterBuffer');
+
+/** A frame with every sample set to `value`. */
+const frame = (value) => new Int16Array(FRAME_SAMPLES).fill(value);
+
+/** Last sample of a frame — past any fade or crossfade. */
+const last = (samples) => samples[FRAME_SAMPLES - 1];
+
+describe('JitterBuffer', () => {
+  let buffer;
+  let now;
+
+  beforeEach(() => {
+    buffer = new JitterBuffer();
+    now = 0;
+  });
+
+  /** Pushes `count` frames of `value`, arriving `gapMs` apart. */
+  function push(count, value = 1000, gapMs = 10) {
+    for (let i = 0; i < count; i++) buffer.push(frame(value), (now += gapMs));
+  }
+
+  /** Pushes the initial target and plays the faded-in first frame. */
+  function start() {
+    push(INITIAL_TARGET_FRAMES);
+    buffer.pop();
+  }
+
+  test('stays silent until the initial target is buffered', () => {
+    push(INITIAL_TARGET_FRAMES - 1);
+    expect(buffer.pop()).toBeNull();
+    expect(buffer.isPlaying).toBe(false);
+
+    push(1);
+    expect(buffer.pop()).not.toBeNull();
+    expect(buffer.isPlaying).toBe(true);
+  });
+
+  test('fades the first frame in', () => {
+    push(INITIAL_TARGET_FRAMES);
+    const first = buffer.pop();
+    expect(Math.abs(first[0])).toBeLessThan(10);
+    expect(last(first)).toBe(1000);
+  });
+
+  test('passes frames through untouched while arrivals keep pace', () => {
+    let next = 1;
+    const send = () => buffer.push(frame(next++), (now += 10));
+    for (let i = 0; i < INITIAL_TARGET_FRAMES; i++) send();
+    buffer.pop();
+
+    for (let expected = 2; expected <= 50; expected++) {
+      send();
+      expect(buffer.pop()).toEqual(frame(expected));
+    }
+    expect(buffer.stats).toMatchObject({ underruns: 0, concealedFrames: 0, stretchedFrames: 0, compressedFrames: 0 });
+  });
+
+  test('conceals an underrun with fading repeats of the last frame', () => {
+    start();
+    while (buffer.stats.delayMs > 0) buffer.pop();
+
+    const first = buffer.pop();
+    const second = buffer.pop();
+    expect(last(first)).toBeLessThan(1000);
+    expect(last(second)).toBeLessThan(last(first));
+    expect(last(second)).toBeGreaterThan(0);
+    expect(buffer.stats).toMatchObject({ underruns: 1, concealedFrames: 2 });
+  });
+
+  test('re-buffers once a gap is too long to conceal', () => {
+    start();
+    while (buffer.stats.delayMs > 0) buffer.pop();
+    for (let i = 0; i < MAX_CONCEALED_FRAMES; i++) expect(buffer.pop()).not.toBeNull();
+
+    expect(buffer.pop()).toBeNull();
+    expect(buffer.isPlaying).toBe(false);
+    expect(buffer.stats.underruns).toBe(1);
+  });
+
+  test('raises the target delay after an underrun', () => {
+    start();
+    while (buffer.stats.delayMs > 0) buffer.pop();
+    buffer.pop();
+    expect(buffer.stats.targetDelayMs).toBe((INITIAL_TARGET_FRAMES + 1) * 10);
+  });
+
+  test('drops a late frame once the buffer is back at its target', () => {
+    start();
+    while (buffer.stats.delayMs > 0) buffer.pop();
+    buffer.pop();
+
+    // The delayed frames arrive in a burst after the concealed one
+    push(INITIAL_TARGET_FRAMES + 1, 1000, 0);
+    expect(buffer.stats.lateFrames).toBe(0);
+    push(2, 1000, 0);
+    expect(buffer.stats.lateFrames).toBe(1);
+    expect(buffer.stats.delayMs).toBe((INITIAL_TARGET_FRAMES + 2) * 10);
+  });
+
+  test('grows the target delay when arrivals are bursty', () => {
+    for (let burst = 0; burst < 40; burst++) {
+      push(1, 1000, 60);
+      push(5, 1000, 0);
+      for (let i = 0; i < 6; i++) buffer.pop();
+    }
+    expect(buffer.stats.jitterMs).toBeGreaterThan(5);
+    expect(buffer.stats.targetDelayMs).toBeGreaterThan(INITIAL_TARGET_FRAMES * 10);
+  });
+
+  test('shrinks the target delay slowly once arrivals are steady', () => {
+    start();
+    for (let i = 0; i < 1000; i++) {
+      push(1);
+      buffer.pop();
+    }
+    expect(buffer.stats.targetDelayMs).toBe(MIN_TARGET_FRAMES * 10);
+  });
+
+  test('blends frames together to shed excess delay', () => {
+    start();
+    for (let i = 0; i < 20; i++) buffer.pop(); // let the correction cooldown pass
+    push(INITIAL_TARGET_FRAMES * 3);
+
+    const before = buffer.stats.delayMs;
+    buffer.pop();
+    expect(buffer.stats.compressedFrames).toBe(1);
+    expect(buffer.stats.delayMs).toBe(before - 20);
+  });
+
+  test('stretches playback when nearly empty instead of running dry', () => {
+    start();
+    for (let i = 0; i < 20; i++) {
+      push(1);
+      buffer.pop();
+    }
+    const before = buffer.stats.delayMs;
+    buffer.pop();
+    buffer.pop();
+    buffer.pop();
+    expect(buffer.stats.stretchedFrames).toBeGreaterThan(0);
+    expect(buffer.stats.delayMs).toBeGreaterThan(before - 30);
+  });
+
+  test('rejects frames of the wrong length', () => {
+    expect(() => buffer.push(new Int16Array(441))).toThrow(RangeError);
+  });
+
+  test('carries stereo frames, concealing both channels', () => {
+    buffer = new JitterBuffer({ channels: 2 });
+    const stereo = new Int16Array(2 * FRAME_SAMPLES).map((_s, i) => (i % 2 ? -1000 : 1000));
+    expect(() => buffer.push(frame(1000))).toThrow(RangeError);
+    for (let i = 0; i < INITIAL_TARGET_FRAMES; i++) buffer.push(stereo, (now += 10));
+    for (let i = 0; i < INITIAL_TARGET_FRAMES; i++) buffer.pop();
+
+    const concealed = buffer.pop();
+    expect(concealed).toHaveLength(2 * FRAME_SAMPLES);
+    expect(concealed[concealed.length - 2]).toBeGreaterThan(0);
+    expect(concealed[concealed.length - 1]).toBeLessThan(0);
+  });
+
+  test('reports its statistics', () => {
+    expect(buffer.stats).toEqual({
+      delayMs: 0,
+      targetDelayMs: INITIAL_TARGET_FRAMES * 10,
+      jitterMs: 0,
+      underruns: 0,
+      concealedFrames: 0,
+      lateFrames: 0,
+      stretchedFrames: 0,
+      compressedFrames: 0,
+    });
+  });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const { StatsSampler, combineStats, rateQuality } = require('../../src/client/networkStats');
+
+/**
+ * A getStats() result as wrtc reports it, cut down to the fields used.
+ * Byte and packet counts are running totals.
+ */
+function reports({
+  timestamp, bytesSent = 0, bytesReceived = 0, rtt = 0.02, packetsReceived = 0, packetsLost = 0,
+  jitter = 0.004, fractionLost = 0, candidateType = 'srflx',
+}) {
+  return [
+    { id: 'T', type: 'transport', timestamp, selectedCandidatePairId: 'P1' },
+    { id: 'P0', type: 'candidate-pair', timestamp, localCandidateId: 'L0', state: 'succeeded', currentRoundTripTime: 0.5, bytesSent: 0, bytesReceived: 0 },
+    { id: 'P1', type: 'candidate-pair', timestamp, localCandidateId: 'L1', state: 'succeeded', currentRoundTripTime: rtt, bytesSent, bytesReceived },
+    { id: 'L0', type: 'local-candidate', timestamp, candidateType: 'host' },
+    { id: 'L1', type: 'local-candidate', timestamp, candidateType },
+    { id: 'I', type: 'inbound-rtp', kind: 'audio', timestamp, jitter, packetsReceived, packetsLost },
+    { id: 'R', type: 'remote-inbound-rtp', kind: 'audio', timestamp, roundTripTime: rtt, fractionLost },
+  ];
+}
+
+describe('StatsSampler', () => {
+  test('reads the selected route, round trip and jitter straight away', () => {
+    const stats = new StatsSampler().sample(reports({ timestamp: 1000 }));
+    expect(stats).toEqual({
+      rttMs: 20,
+      jitterMs: 4,
+      packetLoss: 0,
+      sendKbps: null,
+      receiveKbps: null,
+      candidateType: 'srflx',
+      quality: 'excellent',
+    });
+  });
+
+  test('works out bitrate and loss from the change since the last sample', () => {
+    const sampler = new StatsSampler();
+    sampler.sample(reports({ timestamp: 1000, bytesSent: 10_000, bytesReceived: 20_000, packetsReceived: 100 }));
+    const stats = sampler.sample(reports({
+      timestamp: 3000, bytesSent: 18_000, bytesReceived: 28_000, packetsReceived: 190, packetsLost: 10,
+    }));
+    expect(stats.sendKbps).toBe(32);
+    expect(stats.receiveKbps).toBe(32);
+    expect(stats.packetLoss).toBeCloseTo(0.1);
+    expect(stats.quality).toBe('poor');
+  });
+
+  test('takes the loss the far end reports when it is worse', () => {
+    const sampler = new StatsSampler();
+    sampler.sample(reports({ timestamp: 1000, packetsReceived: 100 }));
+    const stats = sampler.sample(reports({ timestamp: 3000, packetsReceived: 200, fractionLost: 0.02 }));
+    expect(stats.packetLoss).toBe(0.02);
+    expect(stats.quality).toBe('good');
+  });
+
+  test('falls back to a flagged pair when there is no transport report', () => {
+    const legacy = reports({ timestamp: 1000, candidateType: 'relay' })
+      .filter((report) => report.type !== 'transport')
+      .map((report) => (report.id === 'P1' ? { ...report, nominated: true } : report));
+    expect(new StatsSampler().sample(legacy).candidateType).toBe('relay');
+  });
+
+  test('reports nothing measured before the connection carries audio', () => {
+    const stats = new StatsSampler().sample([{ id: 'T', type: 'transport', timestamp: 1000 }]);
+    expect(stats.rttMs).toBeNull();
+    expect(stats.candidateType).toBeNull();
+    expect(stats.quality).toBeNull();
+  });
+});
+
+describe('rateQuality', () => {
+  test.each([
+    [{ rttMs: 40, jitterMs: 5, packetLoss: 0 }, 'excellent'],
+    [{ rttMs: 200, jitterMs: 5, packetLoss: 0 }, 'good'],
+    [{ rttMs: 40, jitterMs: 60, packetLoss: 0 }, 'fair'],
+    [{ rttMs: 40, jitterMs: 5, packetLoss: 0.2 }, 'poor'],
+    [{ rttMs: 40, jitterMs: null, packetLoss: null }, 'excellent'],
+    [{ rttMs: null, jitterMs: null, packetLoss: null }, null],
+  ])('rates %o as %s', (stats, quality) => {
+    expect(rateQuality(stats)).toBe(quality);
+  });
+});
+
+describe('combineStats', () => {
+  const link = (overrides) => ({
+    rttMs: 20, jitterMs: 4, packetLoss: 0, sendKbps: 30, receiveKbps: 30, candidateType: 'host', quality: 'excellent', ...overrides,
+  });
+
+  test('takes the worst figures and rating, and the total bitrate', () => {
+    const combined = combineStats([link({ rttMs: 350, quality: 'fair' }), link({ packetLoss: 0.02, quality: 'good' })]);
+    expect(combined).toEqual({
+      rttMs: 350, jitterMs: 4, packetLoss: 0.02, sendKbps: 60, receiveKbps: 60, candidateType: null, quality: 'fair',
+    });
+  });
+
+  test('skips figures a connection has not measured yet', () => {
+    const combined = combineStats([link({}), link({ rttMs: null, sendKbps: null, quality: null })]);
+    expect(combined.rttMs).toBe(20);
+    expect(combined.sendKbps).toBe(30);
+    expect(combined.quality).toBe('excellent');
+  });
+
+  test('is null with no connections', () => {
+    expect(combineStats([])).toBeNull();
+  });
+});
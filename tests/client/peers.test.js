@@ -0,0 +1,26 @@
+'use strict';
+
+const { allowStereo } = require('../../src/client/peers');
+
+const SDP = [
+  'v=0',
+  'm=audio 9 UDP/TLS/RTP/SAVPF 111 63',
+  'a=rtpmap:111 opus/48000/2',
+  'a=fmtp:111 minptime=10;useinbandfec=1',
+  'a=rtpmap:63 red/48000/2',
+  'a=fmtp:63 111/111',
+  '',
+].join('\r\n');
+
+describe('allowStereo', () => {
+  test('marks Opus as able to receive stereo, leaving other codecs alone', () => {
+    const lines = allowStereo(SDP).split('\r\n');
+    expect(lines).toContain('a=fmtp:111 minptime=10;useinbandfec=1;stereo=1');
+    expect(lines).toContain('a=fmtp:63 111/111');
+    expect(lines).toHaveLength(SDP.split('\r\n').length);
+  });
+
+  test('does not mark a description twice', () => {
+    expect(allowStereo(allowStereo(SDP))).toBe(allowStereo(SDP));
+  });
+});
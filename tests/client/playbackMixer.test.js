@@ -0,0 +1,186 @@
+'use strict';
+
+const { PlaybackMixer } = require('../../src/client/playbackMixer');
+const {
+  FRAME_SAMPLES,
+  INITIAL_TARGET_FRAMES: PREROLL_FRAMES,
+  MAX_CONCEALED_FRAMES,
+} = require('../../src/client/jitterBuffer');
+
+/** A frame with every sample set to `value`. */
+const frame = (value) => new Int16Array(FRAME_SAMPLES).fill(value);
+
+/** Pushes `count` frames of `value` for a peer, arriving 10ms apart. */
+let now = 0;
+function pushFrames(mixer, peerId, value, count = PREROLL_FRAMES) {
+  for (let i = 0; i < count; i++) mixer.push(peerId, frame(value), (now += 10));
+}
+
+/** Last sample of a frame — past any fade or gain ramp. */
+const last = (samples) => samples[FRAME_SAMPLES - 1];
+
+describe('PlaybackMixer', () => {
+  let mixer;
+  beforeEach(() => { mixer = new PlaybackMixer(); });
+
+  test('outputs silence with no peers', () => {
+    expect(mixer.mix()).toEqual(frame(0));
+  });
+
+  test('holds a peer back until the pre-roll is buffered', () => {
+    pushFrames(mixer, 'alice', 1000, PREROLL_FRAMES - 1);
+    expect(mixer.mix()).toEqual(frame(0));
+    pushFrames(mixer, 'alice', 1000, 1);
+    expect(last(mixer.mix())).toBe(1000);
+  });
+
+  test('fades a peer in over their first frame', () => {
+    pushFrames(mixer, 'alice', 1000);
+    const first = mixer.mix();
+    expect(Math.abs(first[0])).toBeLessThan(10);
+    expect(first[FRAME_SAMPLES / 2]).toBeGreaterThan(first[0]);
+    expect(mixer.mix()).toEqual(frame(1000));
+  });
+
+  test('sums peers', () => {
+    pushFrames(mixer, 'alice', 1000);
+    pushFrames(mixer, 'bob', -300);
+    mixer.mix();
+    expect(mixer.mix()).toEqual(frame(700));
+  });
+
+  test('limits loud sums smoothly instead of wrapping around', () => {
+    pushFrames(mixer, 'alice', 30000);
+    pushFrames(mixer, 'bob', 30000);
+    pushFrames(mixer, 'carol', -20000);
+    mixer.mix();
+
+    const out = last(mixer.mix());
+    expect(out).toBeGreaterThan(26214);  // above the knee
+    expect(out).toBeLessThanOrEqual(32767);
+
+    pushFrames(mixer, 'alice', -30000, 3);
+    pushFrames(mixer, 'bob', -30000, 3);
+    pushFrames(mixer, 'carol', 0, 3);
+    mixer.mix();
+    expect(last(mixer.mix())).toBeGreaterThanOrEqual(-32768);
+  });
+
+  test('keeps quiet sums exact', () => {
+    pushFrames(mixer, 'alice', 12000);
+    pushFrames(mixer, 'bob', 12000);
+    mixer.mix();
+    expect(last(mixer.mix())).toBe(24000);
+  });
+
+  test('applies per-peer gain, ramping to it across a frame', () => {
+    pushFrames(mixer, 'alice', 1000, PREROLL_FRAMES + 2);
+    mixer.mix();
+    mixer.mix();
+
+    mixer.setGain('alice', 0.5);
+    const ramp = mixer.mix();
+    expect(ramp[0]).toBeGreaterThan(990);
+    expect(last(ramp)).toBe(500);
+    expect(mixer.mix()).toEqual(frame(500));
+    expect(mixer.getGain('alice')).toBe(0.5);
+  });
+
+  test('remembers a gain set before the peer\'s audio arrives', () => {
+    mixer.setGain('alice', 0);
+    pushFrames(mixer, 'alice', 1000);
+    mixer.mix();
+    expect(mixer.mix()).toEqual(frame(0));
+  });
+
+  test('keeps a peer\'s gain when their audio is removed and comes back', () => {
+    mixer.setGain('alice', 0.5);
+    pushFrames(mixer, 'alice', 1000, PREROLL_FRAMES + 1);
+    mixer.mix();
+    mixer.removeInput('alice');
+    mixer.mix();
+    expect(mixer.inputCount).toBe(0);
+
+    pushFrames(mixer, 'alice', 1000);
+    mixer.mix();
+    expect(mixer.mix()).toEqual(frame(500));
+
+    mixer.clear();
+    expect(mixer.getGain('alice')).toBe(1);
+  });
+
+  test('rejects negative gains', () => {
+    expect(() => mixer.setGain('alice', -1)).toThrow(RangeError);
+    expect(() => mixer.setGain('alice', NaN)).toThrow(RangeError);
+  });
+
+  test('fades a removed peer out over one frame, then drops them', () => {
+    pushFrames(mixer, 'alice', 1000, PREROLL_FRAMES + 3);
+    pushFrames(mixer, 'bob', 100, PREROLL_FRAMES + 3);
+    mixer.mix();
+    mixer.mix();
+
+    mixer.removeInput('alice');
+    const fade = mixer.mix();
+    expect(fade[0]).toBeGreaterThan(1000);
+    expect(last(fade)).toBe(100);
+    expect(mixer.inputCount).toBe(1);
+    expect(mixer.mix()).toEqual(frame(100));
+  });
+
+  test('ignores frames for a peer that is fading out', () => {
+    pushFrames(mixer, 'alice', 1000, PREROLL_FRAMES + 1);
+    mixer.mix();
+    mixer.removeInput('alice');
+    pushFrames(mixer, 'alice', 1000, 1);
+    mixer.mix();
+    expect(mixer.inputCount).toBe(0);
+    expect(mixer.mix()).toEqual(frame(0));
+  });
+
+  test('covers a peer running dry with fading audio, then goes quiet', () => {
+    pushFrames(mixer, 'alice', 1000);
+    let out = mixer.mix();
+    while (last(out) === 1000) out = mixer.mix();
+
+    expect(last(out)).toBeGreaterThan(0);
+    expect(last(out)).toBeLessThan(1000);
+    for (let i = 1; i < MAX_CONCEALED_FRAMES; i++) mixer.mix();
+    expect(mixer.mix()).toEqual(frame(0));
+  });
+
+  test('reports jitter buffer statistics per peer', () => {
+    pushFrames(mixer, 'alice', 1000);
+    pushFrames(mixer, 'bob', 1000, 2);
+    mixer.removeInput('bob');
+
+    const stats = mixer.stats();
+    expect([...stats.keys()]).toEqual(['alice']);
+    expect(stats.get('alice')).toMatchObject({ delayMs: PREROLL_FRAMES * 10, underruns: 0 });
+  });
+
+  test('rejects frames of the wrong length', () => {
+    expect(() => mixer.push('alice', new Int16Array(441))).toThrow(RangeError);
+  });
+
+  test('mixes stereo frames channel by channel', () => {
+    mixer = new PlaybackMixer({ channels: 2 });
+    const stereo = (left, right) => new Int16Array(2 * FRAME_SAMPLES).map((_s, i) => (i % 2 ? right : left));
+    for (let i = 0; i < PREROLL_FRAMES; i++) {
+      mixer.push('alice', stereo(1000, 0), (now += 10));
+      mixer.push('bob', stereo(0, -500), now);
+    }
+    mixer.mix();
+
+    const out = mixer.mix();
+    expect(out).toHaveLength(2 * FRAME_SAMPLES);
+    expect(out.subarray(0, 4)).toEqual(new Int16Array([1000, -500, 1000, -500]));
+  });
+
+  test('clear drops every peer at once', () => {
+    pushFrames(mixer, 'alice', 1000);
+    mixer.clear();
+    expect(mixer.inputCount).toBe(0);
+    expect(mixer.mix()).toEqual(frame(0));
+  });
+});
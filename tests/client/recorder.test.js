@@ -0,0 +1,227 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { performance } = require('perf_hooks');
+const { CallRecorder } = require('../../src/client/recorder');
+const { WavWriter } = require('../../src/client/wavWriter');
+const { FRAME_SAMPLES } = require('../../src/client/jitterBuffer');
+const { AudioError } = require('../../src/utils/errors');
+
+/** A frame with every sample set to `value`. */
+const frame = (value) => new Int16Array(FRAME_SAMPLES).fill(value);
+
+/**
+ * @param {string} file
+ * @returns {{ channels: number, sampleRate: number, samples: Int16Array }} a WAV file's format and data
+ */
+function readWav(file) {
+  const data = fs.readFileSync(file);
+  expect(data.toString('ascii', 0, 4)).toBe('RIFF');
+  expect(data.readUInt32LE(4)).toBe(data.length - 8);
+  expect(data.toString('ascii', 36, 40)).toBe('data');
+  const pcm = data.subarray(44);
+  expect(data.readUInt32LE(40)).toBe(pcm.length);
+  return {
+    channels: data.readUInt16LE(22),
+    sampleRate: data.readUInt32LE(24),
+    samples: new Int16Array(pcm.buffer.slice(pcm.byteOffset, pcm.byteOffset + pcm.length)),
+  };
+}
+
+/** Samples of one channel of interleaved audio. */
+function channel(samples, channels, index) {
+  return samples.filter((_s, i) => i % channels === index);
+}
+
+describe('WavWriter', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicesync-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('writes a PCM WAV whose header matches the data', () => {
+    const writer = new WavWriter(path.join(dir, 'out.wav'), { channels: 2 });
+    writer.write(new Int16Array([1, -1, 2, -2]));
+    writer.write(new Int16Array([3, -3]));
+    writer.close();
+
+    expect(writer.duration).toBeCloseTo(3 / 48000);
+    const wav = readWav(path.join(dir, 'out.wav'));
+    expect(wav.channels).toBe(2);
+    expect(wav.sampleRate).toBe(48000);
+    expect(Array.from(wav.samples)).toEqual([1, -1, 2, -2, 3, -3]);
+  });
+
+  test('reports a file that cannot be created', () => {
+    expect(() => new WavWriter(path.join(dir, 'missing', 'out.wav')))
+      .toThrow(expect.objectContaining({ code: 'RECORDING_OPEN_FAILED' }));
+  });
+});
+
+describe('CallRecorder', () => {
+  let dir;
+  let recorder;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'voicesync-'));
+    jest.useFakeTimers();
+    jest.spyOn(performance, 'now').mockImplementation(() => Date.now());
+  });
+
+  afterEach(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await recorder?.stop();
+    recorder = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Runs the call for `frames` × 10ms, calling `feed` before each frame so
+   * audio arrives at a steady pace.
+   */
+  function run(frames, feed) {
+    for (let i = 0; i < frames; i++) {
+      feed();
+      jest.advanceTimersByTime(10);
+    }
+  }
+
+  /** Stops the recorder, letting multitrack assembly yield as it needs to. */
+  async function stop() {
+    jest.useRealTimers();
+    return recorder.stop();
+  }
+
+  test('mixes the local microphone and every participant into one file', async () => {
+    recorder = new CallRecorder({ path: path.join(dir, 'standup.wav'), localName: 'alice' });
+    recorder.start();
+    recorder.addParticipant('p2', 'bob');
+    run(50, () => {
+      recorder.pushLocal(frame(1000));
+      recorder.push('p2', frame(2000));
+    });
+    const summary = await stop();
+
+    expect(summary.files).toEqual([path.join(dir, 'standup.wav')]);
+    expect(summary.durationMs).toBe(500);
+    const wav = readWav(path.join(dir, 'standup.wav'));
+    expect(wav.channels).toBe(1);
+    expect(wav.samples).toHaveLength(50 * FRAME_SAMPLES);
+    // Once both jitter buffers are past their pre-roll and fade-in
+    expect(wav.samples[wav.samples.length - 1]).toBe(3000);
+
+    const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'standup.json'), 'utf8'));
+    expect(metadata).toMatchObject({ layout: 'mix', sampleRate: 48000, durationMs: 500, mix: 'standup.wav' });
+    expect(metadata.participants.map((p) => [p.username, p.isSelf])).toEqual([['alice', true], ['bob', false]]);
+    expect(metadata.participants[1].presence).toEqual([
+      expect.objectContaining({ joinedMs: 0, leftMs: 500 }),
+    ]);
+  });
+
+  test('gives each participant a channel of a multitrack file, silent before they joined', async () => {
+    recorder = new CallRecorder({ path: path.join(dir, 'call.wav'), layout: 'multitrack', localName: 'alice' });
+    recorder.start();
+    run(20, () => recorder.pushLocal(frame(1000)));
+    recorder.addParticipant('p2', 'bob');
+    run(30, () => {
+      recorder.pushLocal(frame(1000));
+      recorder.push('p2', frame(-2000));
+    });
+    await stop();
+
+    const wav = readWav(path.join(dir, 'call.wav'));
+    expect(wav.channels).toBe(2);
+    const alice = channel(wav.samples, 2, 0);
+    const bob = channel(wav.samples, 2, 1);
+    expect(alice).toHaveLength(50 * FRAME_SAMPLES);
+    expect(alice[alice.length - 1]).toBe(1000);
+    expect(bob.subarray(0, 20 * FRAME_SAMPLES).every((s) => s === 0)).toBe(true);
+    expect(bob[bob.length - 1]).toBe(-2000);
+    expect(fs.readdirSync(dir).sort()).toEqual(['call.json', 'call.wav']);
+
+    const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'call.json'), 'utf8'));
+    expect(metadata.participants.map((p) => p.channel)).toEqual([1, 2]);
+    expect(metadata.participants[1].presence[0]).toMatchObject({ joinedMs: 200, leftMs: 500 });
+  });
+
+  test('writes a directory with a file per participant and the mix', async () => {
+    const out = path.join(dir, 'standup');
+    recorder = new CallRecorder({ path: out, layout: 'split', localName: 'alice' });
+    recorder.start();
+    run(10, () => recorder.pushLocal(frame(1000)));
+    recorder.addParticipant('p2', 'bob smith');
+    run(40, () => {
+      recorder.pushLocal(frame(1000));
+      recorder.push('p2', frame(500));
+    });
+    const summary = await stop();
+
+    expect(fs.readdirSync(out).sort()).toEqual(['01-alice.wav', '02-bob_smith.wav', 'mix.wav', 'recording.json']);
+    expect(summary.metadataPath).toBe(path.join(out, 'recording.json'));
+    expect(readWav(path.join(out, '01-alice.wav')).samples).toHaveLength(50 * FRAME_SAMPLES);
+    // Each file starts when its participant joined
+    const bob = readWav(path.join(out, '02-bob_smith.wav')).samples;
+    expect(bob).toHaveLength(40 * FRAME_SAMPLES);
+    expect(bob[bob.length - 1]).toBe(500);
+
+    const metadata = JSON.parse(fs.readFileSync(summary.metadataPath, 'utf8'));
+    expect(metadata.mix).toBe('mix.wav');
+    expect(metadata.participants[1]).toMatchObject({ username: 'bob smith', file: '02-bob_smith.wav', offsetMs: 100 });
+  });
+
+  test('keeps someone who leaves and comes back on one track', async () => {
+    recorder = new CallRecorder({ path: path.join(dir, 'call.wav'), layout: 'multitrack', localName: 'alice' });
+    recorder.start();
+    recorder.addParticipant('p2', 'bob');
+    run(10, () => recorder.push('p2', frame(100)));
+    recorder.removeParticipant('p2');
+    run(10, () => {});
+    // Resumed on a new connection
+    recorder.addParticipant('p3', 'bob');
+    run(10, () => recorder.push('p3', frame(100)));
+    await stop();
+
+    expect(readWav(path.join(dir, 'call.wav')).channels).toBe(2);
+    const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'call.json'), 'utf8'));
+    expect(metadata.participants[1].presence.map(({ joinedMs, leftMs }) => [joinedMs, leftMs]))
+      .toEqual([[0, 100], [200, 300]]);
+  });
+
+  test('records audio from an unknown peer on a track of its own', async () => {
+    recorder = new CallRecorder({ path: path.join(dir, 'call.wav'), layout: 'multitrack', localName: 'alice' });
+    recorder.start();
+    run(10, () => recorder.push('sfu', frame(100)));
+    await stop();
+
+    const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'call.json'), 'utf8'));
+    expect(metadata.participants.map((p) => p.username)).toEqual(['alice', 'sfu']);
+  });
+
+  test('lists participants heard only through a server mix without giving them a channel', async () => {
+    recorder = new CallRecorder({ path: path.join(dir, 'call.wav'), layout: 'multitrack', localName: 'alice' });
+    recorder.start();
+    recorder.addParticipant('sfu', 'room mix');
+    recorder.addParticipant('p2', 'bob', { audio: false });
+    run(10, () => {
+      recorder.push('sfu', frame(100));
+      recorder.push('p2', frame(100));
+    });
+    await stop();
+
+    expect(readWav(path.join(dir, 'call.wav')).channels).toBe(2);
+    const metadata = JSON.parse(fs.readFileSync(path.join(dir, 'call.json'), 'utf8'));
+    expect(metadata.participants.map((p) => [p.username, p.channel])).toEqual([
+      ['alice', 1], ['room mix', 2], ['bob', undefined],
+    ]);
+    expect(metadata.participants[2].presence[0]).toMatchObject({ joinedMs: 0, leftMs: 100 });
+  });
+
+  test('only writes WAV', () => {
+    expect(() => new CallRecorder({ path: path.join(dir, 'call.ogg'), localName: 'alice' }))
+      .toThrow(AudioError);
+    expect(() => new CallRecorder({ path: path.join(dir, 'call.wav'), layout: 'surround', localName: 'alice' }))
+      .toThrow(RangeError);
+  });
+});
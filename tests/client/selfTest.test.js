@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Audio self-test: recording analysis, and the WebRTC loopback run over
+ * real in-process peer connections.
+ */
+
+const { analyzeRecording, runLoopback, CLIP_LEVEL } = require('../../src/client/selfTest');
+
+jest.setTimeout(20_000);
+
+// simple-peer warns about every loopback ICE candidate it skips
+beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterAll(() => console.warn.mockRestore());
+
+/** @returns {Int16Array} a sine tone at 48kHz, clipped as an overdriven mic would */
+function tone(hz, amplitude, ms) {
+  const samples = new Int16Array((48000 * ms) / 1000);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.round(amplitude * Math.sin((2 * Math.PI * hz * i) / 48000));
+    samples[i] = Math.max(-32768, Math.min(32767, value));
+  }
+  return samples;
+}
+
+const dB = (ratio) => 20 * Math.log10(ratio);
+
+describe('analyzeRecording', () => {
+  test('reports peak and RMS levels of a tone', () => {
+    const result = analyzeRecording(tone(440, 16384, 100));
+    expect(result.peak).toBeCloseTo(0.5, 2);
+    expect(result.rms).toBeCloseTo(0.5 / Math.SQRT2, 2);
+    expect(result.clippedSamples).toBe(0);
+  });
+
+  test('counts samples at full scale as clipped', () => {
+    const samples = tone(440, 40000, 100);
+    const result = analyzeRecording(samples);
+    expect(result.peak).toBe(1);
+    expect(result.clippedSamples).toBe(samples.filter((s) => Math.abs(s) >= CLIP_LEVEL).length);
+    expect(result.clippedRatio).toBeGreaterThan(0.3);
+  });
+
+  test('treats an empty recording as silence', () => {
+    expect(analyzeRecording(new Int16Array(0))).toEqual({ peak: 0, rms: 0, clippedSamples: 0, clippedRatio: 0 });
+  });
+});
+
+describe('runLoopback', () => {
+  test('audio comes back through WebRTC at its original level and the round trip is timed', async () => {
+    const sent = tone(440, 8000, 1000);
+    const { roundTripMs, received } = await runLoopback(sent);
+
+    expect(roundTripMs).toBeGreaterThan(0);
+    expect(roundTripMs).toBeLessThan(1000);
+    expect(received).toHaveLength(sent.length);
+    // Two passes through Opus keep a plain tone within a couple of dB
+    expect(Math.abs(dB(analyzeRecording(received).rms / analyzeRecording(sent).rms))).toBeLessThan(2);
+  });
+});
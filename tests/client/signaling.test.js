@@ -204,6 +204,20 @@ describe('send convenience methods', () => {
     expect(lastSent()).toEqual({ type: 'join-room', roomKey: 'ABC-DEF-GHJ' });
   });
 
+  test('createRoom() and joinRoom() include a password when given', async () => {
+    const c = await connectedClient();
+    c.createRoom({ password: 'hunter2' });
+    expect(lastSent()).toEqual({ type: 'create-room', password: 'hunter2' });
+    c.joinRoom('ABC-DEF-GHJ', 'hunter2');
+    expect(lastSent()).toEqual({ type: 'join-room', roomKey: 'ABC-DEF-GHJ', password: 'hunter2' });
+  });
+
+  test('createRoom() includes the requested capacity and mode', async () => {
+    const c = await connectedClient();
+    c.createRoom({ maxPeers: 4, mode: 'sfu' });
+    expect(lastSent()).toEqual({ type: 'create-room', maxPeers: 4, mode: 'sfu' });
+  });
+
   test('leaveRoom() sends { type: "leave-room" }', async () => {
     const c = await connectedClient();
     c.leaveRoom();
@@ -222,6 +236,50 @@ describe('send convenience methods', () => {
     expect(lastSent()).toEqual({ type: 'invite', toUsername: 'charlie' });
   });
 
+  test('resume() sends the resume token', async () => {
+    const c = await connectedClient();
+    c.resume('tok-123');
+    expect(lastSent()).toEqual({ type: 'resume', resumeToken: 'tok-123' });
+  });
+
+  test('publishState() spreads the state into a peer-state message', async () => {
+    const c = await connectedClient();
+    c.publishState({ isMuted: true });
+    expect(lastSent()).toEqual({ type: 'peer-state', isMuted: true });
+  });
+
+  test('listUsers() sends { type: "list-users" }', async () => {
+    const c = await connectedClient();
+    c.listUsers();
+    expect(lastSent()).toEqual({ type: 'list-users' });
+  });
+
+  test('acceptInvite() and declineInvite() carry the room key', async () => {
+    const c = await connectedClient();
+    c.acceptInvite('ABC-DEF-GHJ');
+    expect(lastSent()).toEqual({ type: 'accept-invite', roomKey: 'ABC-DEF-GHJ' });
+    c.declineInvite('ABC-DEF-GHJ');
+    expect(lastSent()).toEqual({ type: 'decline-invite', roomKey: 'ABC-DEF-GHJ' });
+  });
+
+  test('cancelInvite() names the user whose invite is withdrawn', async () => {
+    const c = await connectedClient();
+    c.cancelInvite('charlie');
+    expect(lastSent()).toEqual({ type: 'cancel-invite', toUsername: 'charlie' });
+  });
+
+  test('moderation helpers send the host-only message types', async () => {
+    const c = await connectedClient();
+    c.kickPeer('p2');
+    expect(lastSent()).toEqual({ type: 'kick-peer', peerId: 'p2' });
+    c.mutePeer('p2');
+    expect(lastSent()).toEqual({ type: 'mute-peer', peerId: 'p2' });
+    c.lockRoom(true);
+    expect(lastSent()).toEqual({ type: 'lock-room', locked: true });
+    c.transferHost('p2');
+    expect(lastSent()).toEqual({ type: 'transfer-host', peerId: 'p2' });
+  });
+
   test('send() is a no-op when socket is not open', async () => {
     const c = await connectedClient();
     mockWsInstance.readyState = WS_CLOSED;
@@ -230,6 +288,66 @@ describe('send convenience methods', () => {
   });
 });
 
+// ── reconnection ──────────────────────────────────────────────────────────
+
+describe('reconnection', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  async function connectedClient() {
+    const client = makeClient();
+    const p = client.connect();
+    mockWsInstance._simulateOpen();
+    await p;
+    return client;
+  }
+
+  test('emits "reconnecting" when the socket closes unexpectedly', async () => {
+    const client = await connectedClient();
+    const spy = jest.fn();
+    client.on('reconnecting', spy);
+    mockWsInstance._simulateClose();
+    expect(spy).toHaveBeenCalledWith(1);
+  });
+
+  test('emits "reconnected" once a new socket opens', async () => {
+    const client = await connectedClient();
+    const spy = jest.fn();
+    client.on('reconnected', spy);
+    mockWsInstance._simulateClose();
+
+    mockWsInstance = createMockWs();
+    jest.runOnlyPendingTimers();
+    mockWsInstance._simulateOpen();
+
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(client.isConnected).toBe(true);
+  });
+
+  test('schedules another attempt when a reconnect fails to open', async () => {
+    const client = await connectedClient();
+    const spy = jest.fn();
+    client.on('reconnecting', spy);
+    mockWsInstance._simulateClose();
+
+    mockWsInstance = createMockWs();
+    jest.runOnlyPendingTimers();
+    mockWsInstance._simulateError(new Error('ECONNREFUSED'));
+    await Promise.resolve();
+
+    expect(spy).toHaveBeenLastCalledWith(2);
+  });
+
+  test('does not reconnect after an intentional disconnect', async () => {
+    const client = await connectedClient();
+    const spy = jest.fn();
+    client.on('reconnecting', spy);
+    client.disconnect();
+    mockWsInstance._simulateClose();
+    expect(spy).not.toHaveBeenCalled();
+  });
+});
+
 // ── disconnect() ──────────────────────────────────────────────────────────
 
 describe('disconnect()', () => {
@@ -0,0 +1,100 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { VoiceActivityDetector, DEFAULT_VAD_SETTINGS } = require('../../src/client/processing/vad');
+const { FRAME_SAMPLES } = require('../../src/client/processing/frame');
+
+// Simulated recordings — see tests/fixtures/*/generate.js
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+/** Loads a raw s16le fixture. */
+function loadPcm(name) {
+  const buf = fs.readFileSync(path.join(FIXTURES, name));
+  return new Int16Array(buf.buffer, buf.byteOffset, buf.length / 2);
+}
+
+/** @returns {boolean[]} the detector's decision for every frame */
+function detect(samples, vad = new VoiceActivityDetector()) {
+  const decisions = [];
+  for (let offset = 0; offset + FRAME_SAMPLES <= samples.length; offset += FRAME_SAMPLES) {
+    decisions.push(vad.process(samples.subarray(offset, offset + FRAME_SAMPLES)));
+  }
+  return decisions;
+}
+
+/** Seeded white noise with a DC offset and 50Hz hum, like a busy office on a cheap mic. */
+function officeNoise(length, amplitude) {
+  let seed = 42;
+  return Int16Array.from({ length }, (_, n) => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    const hiss = (seed / 0x7fffffff - 0.5) * 2 * amplitude;
+    return Math.round(hiss + 4000 * Math.sin((2 * Math.PI * 50 * n) / 48000) + 1500);
+  });
+}
+
+const share = (decisions) => decisions.filter(Boolean).length / decisions.length;
+
+describe('VoiceActivityDetector', () => {
+  test('never opens on steady noise, however loud', () => {
+    // −24dBFS of hiss is far above any fixed threshold
+    expect(share(detect(officeNoise(3 * 48000, 3000)))).toBe(0);
+  });
+
+  test('detects quiet speech over background noise', () => {
+    const decisions = detect(loadPcm('capture/noisy-speech.pcm'));
+    // 0.5s of noise, then quiet speech from 0.5s to 1.5s
+    expect(share(decisions.slice(10, 50))).toBe(0);
+    expect(share(decisions.slice(55, 150))).toBe(1);
+  });
+
+  test('keeps reporting speech for the hangover after it stops', () => {
+    const speech = loadPcm('aec/near-end.pcm');
+    const signal = new Int16Array(speech.length + 48000);
+    signal.set(speech);
+    const decisions = detect(signal);
+
+    const lastSpeech = decisions.lastIndexOf(true);
+    const hangoverFrames = DEFAULT_VAD_SETTINGS.hangoverMs / 10;
+    expect(lastSpeech).toBeGreaterThan(speech.length / FRAME_SAMPLES - 10);
+    expect(decisions.slice(lastSpeech + 1).every((d) => !d)).toBe(true);
+
+    const shortHold = detect(signal, new VoiceActivityDetector({ hangoverMs: 50 }));
+    expect(shortHold.lastIndexOf(true)).toBe(lastSpeech - hangoverFrames + 5);
+  });
+
+  test('ignores speech below the threshold', () => {
+    const quiet = Int16Array.from(loadPcm('aec/near-end.pcm'), (s) => Math.round(s / 20));
+    expect(share(detect(quiet))).toBeGreaterThan(0.6);
+    expect(share(detect(quiet, new VoiceActivityDetector({ threshold: 0.01 })))).toBe(0);
+  });
+
+  test('follows the noise floor up when the room gets noisier', () => {
+    const vad = new VoiceActivityDetector();
+    detect(officeNoise(48000, 300), vad);
+    const quietFloor = vad.noiseFloor;
+    // 20dB louder all at once: at most a brief opening while the floor catches up
+    const decisions = detect(officeNoise(3 * 48000, 3000), vad);
+    expect(vad.noiseFloor).toBeGreaterThan(5 * quietFloor);
+    expect(decisions.lastIndexOf(true)).toBeLessThan(30);
+  });
+
+  test('reports the level it measured', () => {
+    const vad = new VoiceActivityDetector();
+    vad.process(new Int16Array(FRAME_SAMPLES));
+    expect(vad.level).toBe(vad.noiseFloor);
+    expect(vad.level).toBeLessThan(1e-6);
+    expect(vad.isSpeech).toBe(false);
+  });
+
+  test('rejects unknown and out-of-range settings', () => {
+    expect(() => new VoiceActivityDetector({ sensitivity: 3 })).toThrow(RangeError);
+    expect(() => new VoiceActivityDetector({ threshold: 2 })).toThrow(RangeError);
+    expect(() => new VoiceActivityDetector({ hangoverMs: -10 })).toThrow(RangeError);
+    expect(new VoiceActivityDetector({ threshold: undefined }).settings).toEqual(DEFAULT_VAD_SETTINGS);
+  });
+
+  test('rejects frames of the wrong length', () => {
+    expect(() => new VoiceActivityDetector().process(new Int16Array(100))).toThrow(RangeError);
+  });
+});
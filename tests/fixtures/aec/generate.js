@@ -0,0 +1,122 @@
+'use strict';
+
+/**
+ * Regenerates the echo canceller fixtures in this directory:
+ *
+ *   far-end.pcm         3s of speech-like audio as written to the speakers
+ *   mic-echo.pcm        the microphone hearing only its echo
+ *   mic-double-talk.pcm the same echo while the local user talks from 2s to 3s
+ *   near-end.pcm        the local user's voice alone (1s, starting at 2s)
+ *   mic-echo-nonlinear.pcm  the echo of a saturating speaker whose clock runs
+ *                       20ppm fast of the microphone's
+ *
+ * All files are raw signed 16-bit little-endian mono at 48kHz.  The room is
+ * simulated — a 40ms output delay followed by a decaying reflection tail,
+ * plus a little microphone noise — and everything is seeded, so running
+ * this again reproduces the same bytes.  None of this is a real recording:
+ * apart from mic-echo-nonlinear.pcm the echo is exactly linear and
+ * time-invariant, the easiest case for an adaptive filter.  record.js makes
+ * a real pair on hardware.
+ *
+ *
+ *   node tests/fixtures/aec/generate.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAMPLE_RATE = 48000;
+const DURATION = 3 * SAMPLE_RATE;
+const NEAR_START = 2 * SAMPLE_RATE;
+const ECHO_DELAY = 40 * 48;
+const TAIL_TAPS = 600;
+
+/** Mulberry32: small seeded PRNG returning [0, 1). */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Low-passed noise under a syllable-rate envelope, roughly like speech. */
+function farEndSpeech(length) {
+  const rand = random(1);
+  const out = new Float64Array(length);
+  let lowpassed = 0;
+  for (let n = 0; n < length; n++) {
+    lowpassed += 0.3 * (rand() * 2 - 1 - lowpassed);
+    const envelope = Math.sin((Math.PI * n) / (0.25 * SAMPLE_RATE)) ** 2;
+    out[n] = 0.9 * lowpassed * envelope;
+  }
+  return out;
+}
+
+/** A voiced 150Hz harmonic series with slow vibrato. */
+function nearEndSpeech(length) {
+  const out = new Float64Array(length);
+  let phase = 0;
+  for (let n = 0; n < length; n++) {
+    phase += (2 * Math.PI * (150 + 8 * Math.sin((2 * Math.PI * 5 * n) / SAMPLE_RATE))) / SAMPLE_RATE;
+    let v = 0;
+    for (let h = 1; h <= 8; h++) v += Math.sin(h * phase) / h;
+    out[n] = 0.1 * v * Math.sin((Math.PI * n) / length);
+  }
+  return out;
+}
+
+/** Impulse response of the simulated room: delay, direct path, reflections. */
+function echoPath() {
+  const rand = random(2);
+  const h = new Float64Array(ECHO_DELAY + TAIL_TAPS);
+  h[ECHO_DELAY] = 0.4;
+  for (let k = 1; k < TAIL_TAPS; k++) h[ECHO_DELAY + k] = 0.15 * (rand() * 2 - 1) * Math.exp(-k / 120);
+  return h;
+}
+
+function convolve(signal, h) {
+  const out = new Float64Array(signal.length);
+  for (let n = 0; n < signal.length; n++) {
+    let sum = 0;
+    for (let k = ECHO_DELAY; k < h.length && k <= n; k++) sum += h[k] * signal[n - k];
+    out[n] = sum;
+  }
+  return out;
+}
+
+/** A small loudspeaker driven hard: soft saturation towards full scale. */
+function loudspeaker(signal) {
+  return signal.map((v) => Math.tanh(v) / Math.tanh(1));
+}
+
+/** Resamples `signal` as played by a clock `ppm` parts per million fast. */
+function drift(signal, ppm) {
+  const ratio = 1 + ppm / 1e6;
+  return signal.map((_, n) => {
+    const t = n * ratio;
+    const i = Math.floor(t);
+    return i + 1 < signal.length ? signal[i] + (t - i) * (signal[i + 1] - signal[i]) : 0;
+  });
+}
+
+function write(name, samples) {
+  const buf = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    buf.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32768))), i * 2);
+  }
+  fs.writeFileSync(path.join(__dirname, name), buf);
+}
+
+const farEnd = farEndSpeech(DURATION);
+const noise = random(3);
+const echo = convolve(farEnd, echoPath()).map((v) => v + 0.001 * (noise() * 2 - 1));
+const nonlinearEcho = convolve(drift(loudspeaker(farEnd), 20), echoPath()).map((v) => v + 0.001 * (noise() * 2 - 1));
+const nearEnd = nearEndSpeech(DURATION - NEAR_START);
+
+write('far-end.pcm', farEnd);
+write('mic-echo.pcm', echo);
+write('mic-double-talk.pcm', echo.map((v, n) => (n >= NEAR_START ? v + nearEnd[n - NEAR_START] : v)));
+write('near-end.pcm', nearEnd);
+write('mic-echo-nonlinear.pcm', nonlinearEcho);
@@ -0,0 +1,58 @@
+'use strict';
+
+/**
+ * Records a real echo canceller fixture pair into recorded/:
+ *
+ *   far-end.pcm   far-end.pcm from this directory, as written to the speaker
+ *   mic-echo.pcm  what the microphone heard meanwhile, in a quiet room
+ *
+ * Plays through the default speaker and records from the default
+ * microphone, both at 48kHz mono, so run it on a machine with audify and a
+ * real speaker and microphone (not headphones).  Each 10ms the microphone
+ * delivers, the next 10ms of far-end audio is written to the speaker —
+ * the reference a call would push to the canceller at the same moment.
+ * The last half second is silence, to catch the room's echo tail.
+ *
+ *   node tests/fixtures/aec/record.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AudifyMic, AudifySpeaker } = require('../../../src/client/audifyAudio');
+const { FRAME_SAMPLES, SAMPLE_RATE, pcmSamples } = require('../../../src/utils/audioFormat');
+
+const TAIL_SAMPLES = SAMPLE_RATE / 2;
+
+const played = fs.readFileSync(path.join(__dirname, 'far-end.pcm'));
+const source = new Int16Array(played.buffer, played.byteOffset, played.length / 2);
+const farEnd = new Int16Array(source.length + TAIL_SAMPLES);
+farEnd.set(source);
+const mic = new Int16Array(farEnd.length);
+
+const speaker = new AudifySpeaker();
+if (!speaker.writable) {
+  console.error('Could not open the speaker.');
+  process.exit(1);
+}
+const microphone = new AudifyMic();
+let offset = 0;
+microphone.on('data', (chunk) => {
+  if (offset >= mic.length) return;
+  const samples = pcmSamples(chunk).subarray(0, mic.length - offset);
+  mic.set(samples, offset);
+  const reference = new Int16Array(FRAME_SAMPLES);
+  reference.set(farEnd.subarray(offset, offset + FRAME_SAMPLES));
+  speaker.write(Buffer.from(reference.buffer));
+  offset += samples.length;
+  if (offset < mic.length) return;
+
+  microphone.stop();
+  speaker.end();
+  const dir = path.join(__dirname, 'recorded');
+  fs.mkdirSync(dir, { recursive: true });
+  for (const [name, samples] of [['far-end.pcm', farEnd], ['mic-echo.pcm', mic]]) {
+    fs.writeFileSync(path.join(dir, name), Buffer.from(samples.buffer));
+  }
+  console.log(`Wrote ${dir}`);
+});
+microphone.start();
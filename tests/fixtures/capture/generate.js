@@ -0,0 +1,88 @@
+'use strict';
+
+/**
+ * Regenerates the capture chain fixtures in this directory:
+ *
+ *   noisy-speech.pcm  2s microphone recording: 0.5s of background noise alone,
+ *                     then quiet speech over it, then a loud burst from 1.5s
+ *   golden-default.pcm     noisy-speech.pcm through the default CaptureChain
+ *   golden-aggressive.pcm  the same with noiseSuppression: 'aggressive'
+ *
+ * All files are raw signed 16-bit little-endian mono at 48kHz.  The noise is
+ * hiss plus 50Hz mains hum and a DC offset, as from a cheap USB microphone.
+ * The input is seeded, so running this again reproduces the same bytes.
+ *
+ * The golden files record what the chain currently does.  Regenerate them
+ * only after a deliberate change to the processing, and listen to the
+ * result before committing:
+ *
+ *   node tests/fixtures/capture/generate.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CaptureChain, FRAME_SAMPLES } = require('../../../src/client/processing');
+
+const SAMPLE_RATE = 48000;
+const DURATION = 2 * SAMPLE_RATE;
+const SPEECH_START = SAMPLE_RATE / 2;
+const LOUD_START = 1.5 * SAMPLE_RATE;
+
+/** Mulberry32: small seeded PRNG returning [0, 1). */
+function random(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** A voiced 140Hz harmonic series with vibrato and a syllable-rate envelope. */
+function speech(length) {
+  const out = new Float64Array(length);
+  let phase = 0;
+  for (let n = 0; n < length; n++) {
+    phase += (2 * Math.PI * (140 + 6 * Math.sin((2 * Math.PI * 5 * n) / SAMPLE_RATE))) / SAMPLE_RATE;
+    let v = 0;
+    for (let h = 1; h <= 10; h++) v += Math.sin(h * phase) / h;
+    out[n] = v * (0.3 + 0.7 * Math.sin((Math.PI * n) / (0.2 * SAMPLE_RATE)) ** 2);
+  }
+  return out;
+}
+
+function noise(length) {
+  const rand = random(7);
+  const out = new Float64Array(length);
+  for (let n = 0; n < length; n++) {
+    out[n] = 0.004 * (rand() * 2 - 1) + 0.01 * Math.sin((2 * Math.PI * 50 * n) / SAMPLE_RATE) + 0.02;
+  }
+  return out;
+}
+
+function toPcm(samples) {
+  return Int16Array.from(samples, (v) => Math.max(-32768, Math.min(32767, Math.round(v * 32768))));
+}
+
+function write(name, samples) {
+  fs.writeFileSync(path.join(__dirname, name), Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength));
+}
+
+function processAll(input, settings) {
+  const chain = new CaptureChain(settings);
+  const out = new Int16Array(input.length);
+  for (let offset = 0; offset < input.length; offset += FRAME_SAMPLES) {
+    out.set(chain.process(input.subarray(offset, offset + FRAME_SAMPLES)), offset);
+  }
+  return out;
+}
+
+const voice = speech(DURATION - SPEECH_START);
+const input = toPcm(noise(DURATION).map((v, n) => {
+  if (n < SPEECH_START) return v;
+  return v + voice[n - SPEECH_START] * (n < LOUD_START ? 0.02 : 0.6);
+}));
+
+write('noisy-speech.pcm', input);
+write('golden-default.pcm', processAll(input, {}));
+write('golden-aggressive.pcm', processAll(input, { noiseSuppression: 'aggressive' }));
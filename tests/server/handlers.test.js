@@ -2,7 +2,8 @@
 
 const rooms = require('../../src/server/rooms');
 const users = require('../../src/server/users');
-const { handleMessage, handleDisconnect } = require('../../src/server/handlers');
+const { configureTurn } = require('../../src/server/turnCredentials');
+const { handleMessage, handleDisconnect, RESUME_GRACE_MS } = require('../../src/server/handlers');
 
 // ── Helpers ────────────────────────────────────────────────────────────────
 
@@ -44,6 +45,32 @@ describe('login', () => {
     expect(lastMessage(ws)).toMatchObject({ type: 'login-ok', peerId: 'p1' });
   });
 
+  test('login-ok carries a resume token', () => {
+    const ws = mockWs();
+    dispatch(ws, 'p1', { type: 'login', username: 'alice' });
+    expect(lastMessage(ws).resumeToken).toEqual(expect.any(String));
+    expect(lastMessage(ws).resumeToken).toBe(users.findById('p1').resumeToken);
+  });
+
+  test('login-ok carries TURN credentials when a relay is configured', () => {
+    const ws = mockWs();
+    dispatch(ws, 'p1', { type: 'login', username: 'alice' });
+    expect(lastMessage(ws).iceServers).toEqual([]);
+
+    configureTurn({ urls: ['turn:turn.example.com:3478'], secret: 'north-wind' });
+    try {
+      const ws2 = mockWs();
+      dispatch(ws2, 'p2', { type: 'login', username: 'bob' });
+      expect(lastMessage(ws2).iceServers).toEqual([{
+        urls: ['turn:turn.example.com:3478'],
+        username: expect.stringMatching(/^\d+:bob$/),
+        credential: expect.any(String),
+      }]);
+    } finally {
+      configureTurn(null);
+    }
+  });
+
   test('login-error for empty username', () => {
     const ws = mockWs();
     dispatch(ws, 'p1', { type: 'login', username: '   ' });
@@ -77,6 +104,20 @@ describe('create-room', () => {
     expect(lastMessage(ws).roomKey).toMatch(/^[A-Z0-9]{3}-[A-Z0-9]{3}-[A-Z0-9]{3}$/);
   });
 
+  test('rooms are mesh rooms unless asked otherwise', () => {
+    const ws = mockWs();
+    dispatch(ws, 'p1', { type: 'login', username: 'alice' });
+    dispatch(ws, 'p1', { type: 'create-room' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'room-created', mode: 'mesh' });
+  });
+
+  test('create-error for an unknown room mode', () => {
+    const ws = mockWs();
+    dispatch(ws, 'p1', { type: 'login', username: 'alice' });
+    dispatch(ws, 'p1', { type: 'create-room', mode: 'star' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'create-error', code: 'INVALID_ROOM_MODE' });
+  });
+
   test('create-error when not logged in', () => {
     const ws = mockWs();
     dispatch(ws, 'p1', { type: 'create-room' });
@@ -142,6 +183,367 @@ describe('join-room', () => {
   });
 });
 
+// ── room capacity ──────────────────────────────────────────────────────────
+
+describe('room capacity', () => {
+  /** Logs alice in and creates a room with the given options; returns the key. */
+  function hostRoom(ws, opts = {}) {
+    dispatch(ws, 'host', { type: 'login', username: 'alice' });
+    dispatch(ws, 'host', { type: 'create-room', ...opts });
+    return lastMessage(ws).roomKey;
+  }
+
+  test('room-created and room-joined report the capacity', () => {
+    const wsHost = mockWs();
+    const roomKey = hostRoom(wsHost, { maxPeers: 3 });
+    expect(lastMessage(wsHost)).toMatchObject({ type: 'room-created', maxPeers: 3 });
+
+    const wsGuest = mockWs();
+    dispatch(wsGuest, 'guest', { type: 'login', username: 'bob' });
+    dispatch(wsGuest, 'guest', { type: 'join-room', roomKey });
+    expect(lastMessage(wsGuest)).toMatchObject({ type: 'room-joined', maxPeers: 3 });
+  });
+
+  test('join-error with ROOM_FULL when the room is at capacity', () => {
+    const roomKey = hostRoom(mockWs(), { maxPeers: 2 });
+    dispatch(mockWs(), 'p2', { type: 'login', username: 'bob' });
+    dispatch(mockWs(), 'p2', { type: 'join-room', roomKey });
+
+    const ws = mockWs();
+    dispatch(ws, 'p3', { type: 'login', username: 'carol' });
+    dispatch(ws, 'p3', { type: 'join-room', roomKey });
+    expect(lastMessage(ws)).toMatchObject({ type: 'join-error', code: 'ROOM_FULL' });
+    expect(users.findById('p3').roomKey).toBeNull();
+  });
+
+  test('create-error for a size outside the allowed range', () => {
+    const ws = mockWs();
+    hostRoom(ws, { maxPeers: 1000 });
+    expect(lastMessage(ws)).toMatchObject({ type: 'create-error', code: 'INVALID_ROOM_SIZE' });
+    expect(users.findById('host').roomKey).toBeNull();
+  });
+
+  test('invite-error when the room is full', () => {
+    const wsHost = mockWs();
+    const roomKey = hostRoom(wsHost, { maxPeers: 2 });
+    dispatch(mockWs(), 'p2', { type: 'login', username: 'bob' });
+    dispatch(mockWs(), 'p2', { type: 'join-room', roomKey });
+    dispatch(mockWs(), 'p3', { type: 'login', username: 'carol' });
+
+    dispatch(wsHost, 'host', { type: 'invite', toUsername: 'carol' });
+    expect(lastMessage(wsHost)).toMatchObject({ type: 'invite-error', code: 'ROOM_FULL' });
+  });
+});
+
+// ── private rooms ──────────────────────────────────────────────────────────
+
+describe('private rooms', () => {
+  function createPrivateRoom(password = 'hunter2') {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room', password });
+    return { wsHost, roomKey: lastMessage(wsHost).roomKey };
+  }
+
+  function loggedIn(peerId, username) {
+    const ws = mockWs();
+    dispatch(ws, peerId, { type: 'login', username });
+    return ws;
+  }
+
+  test('room-created reports the room as private', () => {
+    const { wsHost } = createPrivateRoom();
+    expect(lastMessage(wsHost)).toMatchObject({ type: 'room-created', isPrivate: true });
+  });
+
+  test('open rooms report isPrivate: false', () => {
+    const ws = loggedIn('host', 'alice');
+    dispatch(ws, 'host', { type: 'create-room' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'room-created', isPrivate: false });
+  });
+
+  test('create-error for a non-string password', () => {
+    const ws = loggedIn('host', 'alice');
+    dispatch(ws, 'host', { type: 'create-room', password: 1234 });
+    expect(lastMessage(ws)).toMatchObject({ type: 'create-error' });
+  });
+
+  test('join-room with the right password succeeds', () => {
+    const { roomKey } = createPrivateRoom();
+    const ws = loggedIn('guest', 'bob');
+    dispatch(ws, 'guest', { type: 'join-room', roomKey, password: 'hunter2' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'room-joined', roomKey });
+  });
+
+  test('join-error carries ROOM_AUTH_FAILED for a wrong password', () => {
+    const { roomKey } = createPrivateRoom();
+    const ws = loggedIn('guest', 'bob');
+    dispatch(ws, 'guest', { type: 'join-room', roomKey, password: 'nope' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'join-error', code: 'ROOM_AUTH_FAILED' });
+  });
+
+  test('join-error carries ROOM_AUTH_FAILED for an over-long or non-string password', () => {
+    const { roomKey } = createPrivateRoom();
+    const ws = loggedIn('guest', 'bob');
+    const scrypt = jest.spyOn(require('crypto'), 'scryptSync');
+    dispatch(ws, 'guest', { type: 'join-room', roomKey, password: 'x'.repeat(129) });
+    expect(lastMessage(ws)).toMatchObject({ type: 'join-error', code: 'ROOM_AUTH_FAILED' });
+    dispatch(ws, 'guest', { type: 'join-room', roomKey, password: 42 });
+    expect(lastMessage(ws)).toMatchObject({ type: 'join-error', code: 'ROOM_AUTH_FAILED' });
+    expect(scrypt).not.toHaveBeenCalled();
+    scrypt.mockRestore();
+  });
+
+  test('repeated wrong passwords are rate limited per connection', () => {
+    const { roomKey } = createPrivateRoom();
+    const ws = loggedIn('guest', 'bob');
+    for (let i = 0; i < 5; i++) dispatch(ws, 'guest', { type: 'join-room', roomKey, password: 'nope' });
+
+    dispatch(ws, 'guest', { type: 'join-room', roomKey, password: 'hunter2' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'join-error', code: 'AUTH_RATE_LIMITED' });
+
+    // Another connection is unaffected
+    const ws2 = loggedIn('other', 'carol');
+    dispatch(ws2, 'other', { type: 'join-room', roomKey, password: 'hunter2' });
+    expect(lastMessage(ws2)).toMatchObject({ type: 'room-joined' });
+  });
+
+  test('the rate limit lifts after the window passes', () => {
+    jest.useFakeTimers();
+    const { roomKey } = createPrivateRoom();
+    const ws = loggedIn('guest', 'bob');
+    for (let i = 0; i < 5; i++) dispatch(ws, 'guest', { type: 'join-room', roomKey, password: 'nope' });
+
+    jest.advanceTimersByTime(60_000);
+    dispatch(ws, 'guest', { type: 'join-room', roomKey, password: 'hunter2' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'room-joined' });
+    jest.useRealTimers();
+  });
+
+  test('an invited user can accept without the password', () => {
+    const { wsHost, roomKey } = createPrivateRoom();
+    const ws = loggedIn('guest', 'bob');
+    dispatch(wsHost, 'host', { type: 'invite', toUsername: 'bob' });
+    dispatch(ws, 'guest', { type: 'accept-invite', roomKey });
+    expect(lastMessage(ws)).toMatchObject({ type: 'room-joined', roomKey });
+  });
+});
+
+// ── host moderation ────────────────────────────────────────────────────────
+
+describe('host moderation', () => {
+  /** alice hosts, bob and carol are guests. */
+  function setupCall() {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    const roomKey = lastMessage(wsHost).roomKey;
+
+    const wsBob = mockWs();
+    dispatch(wsBob, 'bob', { type: 'login', username: 'bob' });
+    dispatch(wsBob, 'bob', { type: 'join-room', roomKey });
+
+    const wsCarol = mockWs();
+    dispatch(wsCarol, 'carol', { type: 'login', username: 'carol' });
+    dispatch(wsCarol, 'carol', { type: 'join-room', roomKey });
+    return { wsHost, wsBob, wsCarol, roomKey };
+  }
+
+  test('room-created and room-joined report the host', () => {
+    const { wsHost, wsBob } = setupCall();
+    expect(sentMessages(wsHost)[1]).toMatchObject({ type: 'room-created', hostPeerId: 'host' });
+    expect(sentMessages(wsBob).find((m) => m.type === 'room-joined'))
+      .toMatchObject({ hostPeerId: 'host', locked: false });
+  });
+
+  test('kick-peer removes the target and tells them why', () => {
+    const { wsHost, wsBob, wsCarol, roomKey } = setupCall();
+    dispatch(wsHost, 'host', { type: 'kick-peer', peerId: 'bob' });
+
+    expect(lastMessage(wsBob)).toMatchObject({ type: 'kicked', reason: expect.any(String) });
+    expect(users.findById('bob').roomKey).toBeNull();
+    expect(rooms.getRoom(roomKey).peers.has('bob')).toBe(false);
+    expect(lastMessage(wsCarol)).toMatchObject({ type: 'peer-left', peerId: 'bob' });
+    expect(lastMessage(wsHost)).toMatchObject({ type: 'peer-left', peerId: 'bob' });
+  });
+
+  test('non-hosts get moderation-error', () => {
+    const { wsBob, roomKey } = setupCall();
+    dispatch(wsBob, 'bob', { type: 'kick-peer', peerId: 'carol' });
+    expect(lastMessage(wsBob)).toMatchObject({ type: 'moderation-error' });
+    expect(rooms.getRoom(roomKey).peers.has('carol')).toBe(true);
+  });
+
+  test('the host cannot target themselves', () => {
+    const { wsHost } = setupCall();
+    dispatch(wsHost, 'host', { type: 'kick-peer', peerId: 'host' });
+    expect(lastMessage(wsHost)).toMatchObject({ type: 'moderation-error' });
+  });
+
+  test('moderation-error for a peer outside the room', () => {
+    const { wsHost } = setupCall();
+    dispatch(wsHost, 'host', { type: 'mute-peer', peerId: 'ghost' });
+    expect(lastMessage(wsHost)).toMatchObject({ type: 'moderation-error' });
+  });
+
+  test('mute-peer force-mutes the target and updates everyone else', () => {
+    const { wsHost, wsBob, wsCarol, roomKey } = setupCall();
+    dispatch(wsHost, 'host', { type: 'mute-peer', peerId: 'bob' });
+
+    expect(lastMessage(wsBob)).toEqual({ type: 'force-muted', byUsername: 'alice' });
+    expect(lastMessage(wsCarol)).toEqual({ type: 'peer-state', peerId: 'bob', isMuted: true });
+    expect(lastMessage(wsHost)).toEqual({ type: 'peer-state', peerId: 'bob', isMuted: true });
+    expect(rooms.getRoom(roomKey).peers.get('bob').state.isMuted).toBe(true);
+  });
+
+  test('lock-room blocks new joiners and is announced to everyone', () => {
+    const { wsHost, wsBob, roomKey } = setupCall();
+    dispatch(wsHost, 'host', { type: 'lock-room', locked: true });
+    expect(lastMessage(wsHost)).toEqual({ type: 'room-locked', locked: true });
+    expect(lastMessage(wsBob)).toEqual({ type: 'room-locked', locked: true });
+
+    const ws = mockWs();
+    dispatch(ws, 'late', { type: 'login', username: 'dave' });
+    dispatch(ws, 'late', { type: 'join-room', roomKey });
+    expect(lastMessage(ws)).toMatchObject({ type: 'join-error', code: 'ROOM_LOCKED' });
+  });
+
+  test('transfer-host hands hosting over', () => {
+    const { wsHost, wsBob, roomKey } = setupCall();
+    dispatch(wsHost, 'host', { type: 'transfer-host', peerId: 'carol' });
+
+    expect(rooms.getRoom(roomKey).hostPeerId).toBe('carol');
+    expect(lastMessage(wsBob)).toEqual({ type: 'host-changed', hostPeerId: 'carol', username: 'carol' });
+
+    dispatch(wsHost, 'host', { type: 'kick-peer', peerId: 'bob' });
+    expect(lastMessage(wsHost)).toMatchObject({ type: 'moderation-error' });
+  });
+
+  test('hosting migrates automatically when the host leaves', () => {
+    const { wsHost, wsBob, wsCarol, roomKey } = setupCall();
+    dispatch(wsHost, 'host', { type: 'leave-room' });
+
+    expect(rooms.getRoom(roomKey).hostPeerId).toBe('bob');
+    expect(lastMessage(wsBob)).toEqual({ type: 'host-changed', hostPeerId: 'bob', username: 'bob' });
+    expect(lastMessage(wsCarol)).toMatchObject({ type: 'host-changed', hostPeerId: 'bob' });
+  });
+});
+
+// ── peer-state ─────────────────────────────────────────────────────────────
+
+describe('peer-state', () => {
+  function setupCall() {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    const roomKey = lastMessage(wsHost).roomKey;
+
+    const wsGuest = mockWs();
+    dispatch(wsGuest, 'guest', { type: 'login', username: 'bob' });
+    dispatch(wsGuest, 'guest', { type: 'join-room', roomKey });
+    return { wsHost, wsGuest, roomKey };
+  }
+
+  test('mute state is relayed to the rest of the room', () => {
+    const { wsHost, wsGuest } = setupCall();
+    dispatch(wsGuest, 'guest', { type: 'peer-state', isMuted: true });
+    expect(lastMessage(wsHost)).toEqual({ type: 'peer-state', peerId: 'guest', isMuted: true });
+    expect(sentMessages(wsGuest).some((m) => m.type === 'peer-state')).toBe(false);
+  });
+
+  test('late joiners see existing mute state in room-joined', () => {
+    const { wsGuest, roomKey } = setupCall();
+    dispatch(wsGuest, 'guest', { type: 'peer-state', isMuted: true });
+
+    const wsLate = mockWs();
+    dispatch(wsLate, 'late', { type: 'login', username: 'carol' });
+    dispatch(wsLate, 'late', { type: 'join-room', roomKey });
+
+    const { peers } = lastMessage(wsLate);
+    expect(peers.find((p) => p.peerId === 'guest')).toMatchObject({ isMuted: true });
+    expect(peers.find((p) => p.peerId === 'host')).toMatchObject({ isMuted: false });
+  });
+
+  test('push-to-talk state is relayed and kept for late joiners', () => {
+    const { wsHost, wsGuest, roomKey } = setupCall();
+    dispatch(wsGuest, 'guest', { type: 'peer-state', isPushToTalk: true, isTransmitting: true });
+    expect(lastMessage(wsHost)).toEqual({ type: 'peer-state', peerId: 'guest', isPushToTalk: true, isTransmitting: true });
+
+    dispatch(wsGuest, 'guest', { type: 'peer-state', isTransmitting: false });
+    const wsLate = mockWs();
+    dispatch(wsLate, 'late', { type: 'login', username: 'carol' });
+    dispatch(wsLate, 'late', { type: 'join-room', roomKey });
+    expect(lastMessage(wsLate).peers.find((p) => p.peerId === 'guest'))
+      .toMatchObject({ isMuted: false, isPushToTalk: true, isTransmitting: false });
+  });
+
+  test('recording state is relayed and kept for late joiners', () => {
+    const { wsHost, wsGuest, roomKey } = setupCall();
+    dispatch(wsGuest, 'guest', { type: 'peer-state', isRecording: true });
+    expect(lastMessage(wsHost)).toEqual({ type: 'peer-state', peerId: 'guest', isRecording: true });
+
+    const wsLate = mockWs();
+    dispatch(wsLate, 'late', { type: 'login', username: 'carol' });
+    dispatch(wsLate, 'late', { type: 'join-room', roomKey });
+    expect(lastMessage(wsLate).peers.find((p) => p.peerId === 'guest')).toMatchObject({ isRecording: true });
+  });
+
+  test('unknown or non-boolean fields are dropped', () => {
+    const { wsHost, wsGuest } = setupCall();
+    const before = sentMessages(wsHost).length;
+    dispatch(wsGuest, 'guest', { type: 'peer-state', isMuted: 'yes', isAdmin: true });
+    expect(sentMessages(wsHost)).toHaveLength(before);
+  });
+
+  test('is ignored when not in a room', () => {
+    const ws = mockWs();
+    dispatch(ws, 'p1', { type: 'login', username: 'alice' });
+    dispatch(ws, 'p1', { type: 'peer-state', isMuted: true });
+    expect(lastMessage(ws)).toMatchObject({ type: 'login-ok' });
+  });
+});
+
+// ── list-users ─────────────────────────────────────────────────────────────
+
+describe('list-users', () => {
+  test('user-list contains everyone else with their call status', () => {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    dispatch(mockWs(), 'p2', { type: 'login', username: 'carol' });
+
+    const ws = mockWs();
+    dispatch(ws, 'p3', { type: 'login', username: 'bob' });
+    dispatch(ws, 'p3', { type: 'list-users' });
+
+    expect(lastMessage(ws)).toEqual({
+      type: 'user-list',
+      users: [
+        { username: 'alice', inCall: true },
+        { username: 'carol', inCall: false },
+      ],
+    });
+  });
+
+  test('suspended users are not listed', () => {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    handleDisconnect('host');
+
+    const ws = mockWs();
+    dispatch(ws, 'p2', { type: 'login', username: 'bob' });
+    dispatch(ws, 'p2', { type: 'list-users' });
+    expect(lastMessage(ws).users).toEqual([]);
+  });
+
+  test('list-users-error when not logged in', () => {
+    const ws = mockWs();
+    dispatch(ws, 'p1', { type: 'list-users' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'list-users-error' });
+  });
+});
+
 // ── invite ─────────────────────────────────────────────────────────────────
 
 describe('invite', () => {
@@ -169,6 +571,73 @@ describe('invite', () => {
     expect(lastMessage(ws)).toMatchObject({ type: 'invite-error' });
   });
 
+  test('invite-error when the target is disconnected and waiting to resume', () => {
+    const wsTarget = mockWs();
+    dispatch(wsTarget, 'target', { type: 'login', username: 'bob' });
+    dispatch(wsTarget, 'target', { type: 'create-room' });
+    handleDisconnect('target');
+
+    const ws = mockWs();
+    dispatch(ws, 'host', { type: 'login', username: 'alice' });
+    dispatch(ws, 'host', { type: 'create-room' });
+    dispatch(ws, 'host', { type: 'invite', toUsername: 'bob' });
+    expect(lastMessage(ws)).toEqual({ type: 'invite-error', message: 'User "bob" is not online.' });
+  });
+
+  test('invite-declined is broadcast to the room when the target declines', () => {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    const roomKey = lastMessage(wsHost).roomKey;
+
+    const wsTarget = mockWs();
+    dispatch(wsTarget, 'target', { type: 'login', username: 'bob' });
+    dispatch(wsHost, 'host', { type: 'invite', toUsername: 'bob' });
+    dispatch(wsTarget, 'target', { type: 'decline-invite', roomKey });
+
+    expect(lastMessage(wsHost)).toEqual({ type: 'invite-declined', username: 'bob' });
+  });
+
+  test('cancel-invite tells the target and withdraws the invite', () => {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    const roomKey = lastMessage(wsHost).roomKey;
+    dispatch(wsHost, 'host', { type: 'lock-room', locked: true });
+
+    const wsTarget = mockWs();
+    dispatch(wsTarget, 'target', { type: 'login', username: 'bob' });
+    dispatch(wsHost, 'host', { type: 'invite', toUsername: 'bob' });
+    dispatch(wsHost, 'host', { type: 'cancel-invite', toUsername: 'bob' });
+
+    expect(lastMessage(wsTarget)).toEqual({ type: 'invite-cancelled', fromUsername: 'alice', roomKey });
+    dispatch(wsTarget, 'target', { type: 'accept-invite', roomKey });
+    expect(lastMessage(wsTarget)).toMatchObject({ type: 'join-error', code: 'ROOM_LOCKED' });
+  });
+
+  test('cancel-invite is ignored when there is no invite to withdraw', () => {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    const wsTarget = mockWs();
+    dispatch(wsTarget, 'target', { type: 'login', username: 'bob' });
+    dispatch(wsHost, 'host', { type: 'cancel-invite', toUsername: 'bob' });
+    expect(sentMessages(wsTarget).some((m) => m.type === 'invite-cancelled')).toBe(false);
+  });
+
+  test('accept-invite joins the inviting room', () => {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    const roomKey = lastMessage(wsHost).roomKey;
+
+    const wsTarget = mockWs();
+    dispatch(wsTarget, 'target', { type: 'login', username: 'bob' });
+    dispatch(wsTarget, 'target', { type: 'accept-invite', roomKey });
+
+    expect(lastMessage(wsTarget)).toMatchObject({ type: 'room-joined', roomKey });
+  });
+
   test('invite-error when inviting yourself', () => {
     const ws = mockWs();
     dispatch(ws, 'host', { type: 'login', username: 'alice' });
@@ -239,7 +708,8 @@ describe('handleDisconnect', () => {
     expect(users.findById('p1')).toBeUndefined();
   });
 
-  test('notifies room peers when a connected user disconnects', () => {
+  test('notifies room peers once the resume grace period expires', () => {
+    jest.useFakeTimers();
     const wsHost = mockWs();
     dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
     dispatch(wsHost, 'host', { type: 'create-room' });
@@ -250,12 +720,128 @@ describe('handleDisconnect', () => {
     dispatch(wsGuest, 'guest', { type: 'join-room', roomKey });
 
     handleDisconnect('guest');
+    const peerLeft = () => sentMessages(wsHost).some((m) => m.type === 'peer-left' && m.peerId === 'guest');
+    expect(peerLeft()).toBe(false);
 
-    const hostMessages = sentMessages(wsHost);
-    expect(hostMessages.some((m) => m.type === 'peer-left' && m.peerId === 'guest')).toBe(true);
+    jest.advanceTimersByTime(RESUME_GRACE_MS);
+    expect(peerLeft()).toBe(true);
+    expect(users.findById('guest')).toBeUndefined();
+    jest.useRealTimers();
+  });
+
+  test('keeps the room slot of a disconnected user during the grace period', () => {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    const roomKey = lastMessage(wsHost).roomKey;
+
+    handleDisconnect('host');
+
+    expect(users.findById('host').suspended).toBe(true);
+    expect(rooms.getRoom(roomKey).peers.has('host')).toBe(true);
   });
 
   test('is a no-op for unknown peer IDs', () => {
     expect(() => handleDisconnect('nobody')).not.toThrow();
   });
 });
+
+// ── resume ─────────────────────────────────────────────────────────────────
+
+describe('resume', () => {
+  /** Host + guest in one room; returns the guest's resume token and room key. */
+  function setupCall() {
+    const wsHost = mockWs();
+    dispatch(wsHost, 'host', { type: 'login', username: 'alice' });
+    dispatch(wsHost, 'host', { type: 'create-room' });
+    const roomKey = lastMessage(wsHost).roomKey;
+
+    const wsGuest = mockWs();
+    dispatch(wsGuest, 'guest', { type: 'login', username: 'bob' });
+    const { resumeToken } = lastMessage(wsGuest);
+    dispatch(wsGuest, 'guest', { type: 'join-room', roomKey });
+    return { wsHost, wsGuest, roomKey, resumeToken };
+  }
+
+  test('resume-ok restores the room under the new peerId', () => {
+    const { roomKey, resumeToken } = setupCall();
+    handleDisconnect('guest');
+
+    const ws = mockWs();
+    dispatch(ws, 'guest-2', { type: 'resume', resumeToken });
+
+    const msg = lastMessage(ws);
+    expect(msg).toMatchObject({ type: 'resume-ok', peerId: 'guest-2', roomKey });
+    expect(msg.peers).toEqual([{ peerId: 'host', username: 'alice', isMuted: false }]);
+    expect(msg.resumeToken).not.toBe(resumeToken);
+    expect(users.findById('guest-2')).toMatchObject({ username: 'bob', roomKey, suspended: false });
+    expect(users.findById('guest')).toBeUndefined();
+    expect(rooms.getRoom(roomKey).peers.has('guest-2')).toBe(true);
+  });
+
+  test('peer-resumed is broadcast to the rest of the room', () => {
+    const { wsHost, resumeToken } = setupCall();
+    handleDisconnect('guest');
+    dispatch(mockWs(), 'guest-2', { type: 'resume', resumeToken });
+
+    expect(lastMessage(wsHost)).toMatchObject({
+      type: 'peer-resumed', previousPeerId: 'guest', peerId: 'guest-2', username: 'bob',
+    });
+  });
+
+  test('a resumed host keeps hosting under the new peerId', () => {
+    const { wsHost, wsGuest, roomKey } = setupCall();
+    const { resumeToken } = sentMessages(wsHost)[0];
+    handleDisconnect('host');
+    dispatch(mockWs(), 'host-2', { type: 'resume', resumeToken });
+
+    expect(rooms.getRoom(roomKey).hostPeerId).toBe('host-2');
+    expect(lastMessage(wsGuest)).toMatchObject({
+      type: 'peer-resumed', previousPeerId: 'host', peerId: 'host-2', hostPeerId: 'host-2',
+    });
+  });
+
+  test('a resumed user is not removed when the old grace period would expire', () => {
+    jest.useFakeTimers();
+    const { wsHost, resumeToken } = setupCall();
+    handleDisconnect('guest');
+    dispatch(mockWs(), 'guest-2', { type: 'resume', resumeToken });
+
+    jest.advanceTimersByTime(RESUME_GRACE_MS);
+    expect(sentMessages(wsHost).some((m) => m.type === 'peer-left')).toBe(false);
+    expect(users.findById('guest-2')).toBeDefined();
+    jest.useRealTimers();
+  });
+
+  test('resume-error for an unknown token', () => {
+    const ws = mockWs();
+    dispatch(ws, 'p1', { type: 'resume', resumeToken: 'bogus' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'resume-error' });
+  });
+
+  test('resume-error while the session is still connected', () => {
+    const { wsHost, resumeToken } = setupCall();
+    const ws = mockWs();
+    dispatch(ws, 'guest-2', { type: 'resume', resumeToken });
+
+    expect(lastMessage(ws)).toMatchObject({ type: 'resume-error' });
+    expect(users.findById('guest')).toBeDefined();
+    expect(sentMessages(wsHost).some((m) => m.type === 'peer-resumed')).toBe(false);
+  });
+
+  test('resume-error when the token is missing', () => {
+    const ws = mockWs();
+    dispatch(ws, 'p1', { type: 'resume' });
+    expect(lastMessage(ws)).toMatchObject({ type: 'resume-error' });
+  });
+
+  test('a token can only be used once', () => {
+    const { resumeToken } = setupCall();
+    handleDisconnect('guest');
+    dispatch(mockWs(), 'guest-2', { type: 'resume', resumeToken });
+
+    const ws = mockWs();
+    dispatch(ws, 'guest-3', { type: 'resume', resumeToken });
+    expect(lastMessage(ws)).toMatchObject({ type: 'resume-error' });
+  });
+});
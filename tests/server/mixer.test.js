@@ -0,0 +1,87 @@
+'use strict';
+
+const { AudioMixer, MAX_QUEUED_FRAMES } = require('../../src/server/mixer');
+const { FRAME_SAMPLES } = require('../../src/utils/audioFormat');
+
+/** A frame with every sample set to `value`. */
+const frame = (value) => new Int16Array(FRAME_SAMPLES).fill(value);
+
+describe('AudioMixer', () => {
+  let mixer;
+  beforeEach(() => { mixer = new AudioMixer(); });
+
+  test('each listener hears everyone except themselves', () => {
+    mixer.push('alice', frame(100));
+    mixer.push('bob', frame(20));
+    mixer.push('carol', frame(3));
+
+    const mixes = mixer.mix(['alice', 'bob', 'carol']);
+    expect(mixes.get('alice')[0]).toBe(23);
+    expect(mixes.get('bob')[0]).toBe(103);
+    expect(mixes.get('carol')[0]).toBe(120);
+  });
+
+  test('a listener who is not sending hears the full mix', () => {
+    mixer.push('alice', frame(100));
+    mixer.push('bob', frame(-40));
+    expect(mixer.mix(['dave']).get('dave')[FRAME_SAMPLES - 1]).toBe(60);
+  });
+
+  test('inputs with nothing queued contribute silence', () => {
+    mixer.push('alice', frame(100));
+    mixer.mix(['bob']);
+    expect(mixer.mix(['bob']).get('bob')).toEqual(frame(0));
+  });
+
+  test('consumes one queued frame per input per mix', () => {
+    mixer.push('alice', frame(1));
+    mixer.push('alice', frame(2));
+    expect(mixer.mix(['bob']).get('bob')[0]).toBe(1);
+    expect(mixer.mix(['bob']).get('bob')[0]).toBe(2);
+  });
+
+  test('clips the sum to the 16-bit range', () => {
+    mixer.push('alice', frame(30000));
+    mixer.push('bob', frame(30000));
+    mixer.push('carol', frame(-30000));
+    mixer.push('dave', frame(-30000));
+    mixer.push('erin', frame(-30000));
+
+    const mixes = mixer.mix(['frank', 'alice']);
+    expect(mixes.get('frank')[0]).toBe(-30000);
+    // alice hears 30000 - 90000 = -60000
+    expect(mixes.get('alice')[0]).toBe(-32768);
+
+    mixer.push('alice', frame(30000));
+    mixer.push('bob', frame(30000));
+    expect(mixer.mix(['frank']).get('frank')[0]).toBe(32767);
+  });
+
+  test('drops the oldest frames once an input queues too many', () => {
+    for (let i = 1; i <= MAX_QUEUED_FRAMES + 2; i++) mixer.push('alice', frame(i));
+    expect(mixer.mix(['bob']).get('bob')[0]).toBe(3);
+  });
+
+  test('removeInput forgets queued audio', () => {
+    mixer.push('alice', frame(100));
+    mixer.removeInput('alice');
+    expect(mixer.mix(['bob']).get('bob')).toEqual(frame(0));
+  });
+
+  test('rejects frames of the wrong length', () => {
+    expect(() => mixer.push('alice', new Int16Array(441))).toThrow(RangeError);
+  });
+
+  test('takeLevels reports the loudest frame since the last call, then resets', () => {
+    mixer.push('alice', frame(3277));   // ~0.1
+    mixer.push('alice', frame(16384));  // 0.5
+    mixer.push('bob', frame(0));
+    mixer.mix([]);
+    mixer.mix([]);
+
+    const levels = mixer.takeLevels();
+    expect(levels.alice).toBeCloseTo(0.5, 3);
+    expect(levels.bob).toBe(0);
+    expect(mixer.takeLevels().alice).toBe(0);
+  });
+});
@@ -29,6 +29,17 @@ describe('createRoom', () => {
     expect(rooms.getRoom(room.key)).toBe(room);
   });
 
+  test('defaults to a mesh room and accepts sfu and mcu', () => {
+    expect(rooms.createRoom('h1', 'alice', fakeSocket()).mode).toBe('mesh');
+    expect(rooms.createRoom('h2', 'bob', fakeSocket(), { mode: 'sfu' }).mode).toBe('sfu');
+    expect(rooms.createRoom('h3', 'carol', fakeSocket(), { mode: 'mcu' }).mode).toBe('mcu');
+  });
+
+  test('throws INVALID_ROOM_MODE for an unknown mode', () => {
+    expect(() => rooms.createRoom('h1', 'alice', fakeSocket(), { mode: 'star' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ROOM_MODE' }));
+  });
+
   test('each call generates a unique key', () => {
     const ws = fakeSocket();
     const keys = new Set(
@@ -68,6 +79,152 @@ describe('joinRoom', () => {
   });
 });
 
+describe('room capacity', () => {
+  afterEach(() => rooms.setMaxRoomSize(rooms.DEFAULT_MAX_ROOM_SIZE));
+
+  test('rooms default to the server-wide maximum', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    expect(room.maxPeers).toBe(rooms.DEFAULT_MAX_ROOM_SIZE);
+  });
+
+  test('throws ROOM_FULL once the room reaches maxPeers', () => {
+    const ws = fakeSocket();
+    const room = rooms.createRoom('host', 'alice', ws, { maxPeers: 2 });
+    rooms.joinRoom(room.key, 'p2', 'bob', ws);
+    expect(() => rooms.joinRoom(room.key, 'p3', 'carol', ws))
+      .toThrow(expect.objectContaining({ code: 'ROOM_FULL' }));
+    expect(room.peers.size).toBe(2);
+  });
+
+  test('invited peers are still bound by capacity', () => {
+    const ws = fakeSocket();
+    const room = rooms.createRoom('host', 'alice', ws, { maxPeers: 2 });
+    rooms.joinRoom(room.key, 'p2', 'bob', ws);
+    rooms.addInvite(room.key, 'p3');
+    expect(() => rooms.joinRoom(room.key, 'p3', 'carol', ws))
+      .toThrow(expect.objectContaining({ code: 'ROOM_FULL' }));
+  });
+
+  test('a slot frees up when someone leaves', () => {
+    const ws = fakeSocket();
+    const room = rooms.createRoom('host', 'alice', ws, { maxPeers: 2 });
+    rooms.joinRoom(room.key, 'p2', 'bob', ws);
+    rooms.leaveRoom(room.key, 'p2');
+    expect(() => rooms.joinRoom(room.key, 'p3', 'carol', ws)).not.toThrow();
+  });
+
+  test('rejects a requested size above the server maximum or below 2', () => {
+    rooms.setMaxRoomSize(4);
+    expect(() => rooms.createRoom('h1', 'alice', fakeSocket(), { maxPeers: 5 }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ROOM_SIZE' }));
+    expect(() => rooms.createRoom('h2', 'bob', fakeSocket(), { maxPeers: 1 }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_ROOM_SIZE' }));
+    expect(rooms.createRoom('h3', 'carol', fakeSocket()).maxPeers).toBe(4);
+  });
+
+  test('setMaxRoomSize rejects sizes below 2', () => {
+    expect(() => rooms.setMaxRoomSize(1)).toThrow(RoomError);
+    expect(rooms.getMaxRoomSize()).toBe(rooms.DEFAULT_MAX_ROOM_SIZE);
+  });
+});
+
+describe('private rooms', () => {
+  test('rooms are open by default', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    expect(room.password).toBeNull();
+  });
+
+  test('stores a salted hash, never the plain password', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket(), { password: 'hunter2' });
+    expect(room.password).toEqual({ salt: expect.any(String), hash: expect.any(String) });
+    expect(JSON.stringify(room.password)).not.toContain('hunter2');
+  });
+
+  test('the same password hashes differently in different rooms', () => {
+    const r1 = rooms.createRoom('a', 'alice', fakeSocket(), { password: 'pw' });
+    const r2 = rooms.createRoom('b', 'bob', fakeSocket(), { password: 'pw' });
+    expect(r1.password.hash).not.toBe(r2.password.hash);
+  });
+
+  test('joins with the correct password', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket(), { password: 'hunter2' });
+    rooms.joinRoom(room.key, 'guest', 'bob', fakeSocket(), 'hunter2');
+    expect(room.peers.has('guest')).toBe(true);
+  });
+
+  test('throws ROOM_AUTH_FAILED for a wrong or missing password', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket(), { password: 'hunter2' });
+    expect(() => rooms.joinRoom(room.key, 'guest', 'bob', fakeSocket(), 'wrong'))
+      .toThrow(expect.objectContaining({ code: 'ROOM_AUTH_FAILED' }));
+    expect(() => rooms.joinRoom(room.key, 'guest', 'bob', fakeSocket()))
+      .toThrow(expect.objectContaining({ code: 'ROOM_AUTH_FAILED' }));
+    expect(room.peers.has('guest')).toBe(false);
+  });
+
+  test('an invited peer gets in once without the password', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket(), { password: 'hunter2' });
+    rooms.addInvite(room.key, 'guest');
+    rooms.joinRoom(room.key, 'guest', 'bob', fakeSocket());
+    expect(room.peers.has('guest')).toBe(true);
+    expect(room.invited.has('guest')).toBe(false);
+  });
+});
+
+describe('replacePeer', () => {
+  test('moves the slot to the new peer ID', () => {
+    const ws = fakeSocket();
+    const room = rooms.createRoom('host', 'alice', ws);
+    rooms.joinRoom(room.key, 'guest', 'bob', ws);
+    const newWs = fakeSocket();
+    rooms.replacePeer(room.key, 'guest', 'guest-2', newWs);
+    expect(room.peers.has('guest')).toBe(false);
+    expect(room.peers.get('guest-2')).toMatchObject({ username: 'bob', socket: newWs });
+  });
+
+  test('transfers host status along with the slot', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    rooms.replacePeer(room.key, 'host', 'host-2', fakeSocket());
+    expect(room.hostPeerId).toBe('host-2');
+  });
+
+  test('throws NOT_IN_ROOM for a peer without a slot', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    expect(() => rooms.replacePeer(room.key, 'ghost', 'x', fakeSocket()))
+      .toThrow(expect.objectContaining({ code: 'NOT_IN_ROOM' }));
+  });
+
+  test('throws ROOM_NOT_FOUND when key does not exist', () => {
+    expect(() => rooms.replacePeer('ZZZ-ZZZ-ZZZ', 'a', 'b', fakeSocket()))
+      .toThrow(expect.objectContaining({ code: 'ROOM_NOT_FOUND' }));
+  });
+});
+
+describe('setPeerState', () => {
+  test('peers start unmuted', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    expect(room.peers.get('host').state).toEqual({ isMuted: false });
+  });
+
+  test('merges the patch into the peer state', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    rooms.setPeerState(room.key, 'host', { isMuted: true });
+    expect(room.peers.get('host').state.isMuted).toBe(true);
+  });
+
+  test('state survives replacePeer', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    rooms.setPeerState(room.key, 'host', { isMuted: true });
+    rooms.replacePeer(room.key, 'host', 'host-2', fakeSocket());
+    expect(room.peers.get('host-2').state.isMuted).toBe(true);
+  });
+
+  test('throws NOT_IN_ROOM for a peer without a slot', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    expect(() => rooms.setPeerState(room.key, 'ghost', { isMuted: true }))
+      .toThrow(expect.objectContaining({ code: 'NOT_IN_ROOM' }));
+  });
+});
+
 describe('leaveRoom', () => {
   test('removes the peer from the room', () => {
     const ws = fakeSocket();
@@ -100,6 +257,76 @@ describe('leaveRoom', () => {
   });
 });
 
+describe('host handling', () => {
+  test('hosting passes to the longest-present peer when the host leaves', () => {
+    const ws = fakeSocket();
+    const room = rooms.createRoom('host', 'alice', ws);
+    rooms.joinRoom(room.key, 'p2', 'bob', ws);
+    rooms.joinRoom(room.key, 'p3', 'carol', ws);
+    const { hostChanged } = rooms.leaveRoom(room.key, 'host');
+    expect(hostChanged).toBe(true);
+    expect(room.hostPeerId).toBe('p2');
+  });
+
+  test('a resumed peer keeps its place in line for hosting', () => {
+    const ws = fakeSocket();
+    const room = rooms.createRoom('host', 'alice', ws);
+    rooms.joinRoom(room.key, 'p2', 'bob', ws);
+    rooms.joinRoom(room.key, 'p3', 'carol', ws);
+    rooms.replacePeer(room.key, 'p2', 'p2-resumed', ws);
+    expect([...room.peers.keys()]).toEqual(['host', 'p2-resumed', 'p3']);
+    rooms.leaveRoom(room.key, 'host');
+    expect(room.hostPeerId).toBe('p2-resumed');
+  });
+
+  test('hostChanged is false when a non-host leaves', () => {
+    const ws = fakeSocket();
+    const room = rooms.createRoom('host', 'alice', ws);
+    rooms.joinRoom(room.key, 'p2', 'bob', ws);
+    expect(rooms.leaveRoom(room.key, 'p2').hostChanged).toBe(false);
+    expect(room.hostPeerId).toBe('host');
+  });
+
+  test('setHost transfers hosting to a room member', () => {
+    const ws = fakeSocket();
+    const room = rooms.createRoom('host', 'alice', ws);
+    rooms.joinRoom(room.key, 'p2', 'bob', ws);
+    rooms.setHost(room.key, 'p2');
+    expect(room.hostPeerId).toBe('p2');
+  });
+
+  test('setHost throws NOT_IN_ROOM for outsiders', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    expect(() => rooms.setHost(room.key, 'ghost'))
+      .toThrow(expect.objectContaining({ code: 'NOT_IN_ROOM' }));
+  });
+});
+
+describe('setLocked', () => {
+  test('locked rooms reject new joiners with ROOM_LOCKED', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    rooms.setLocked(room.key, true);
+    expect(() => rooms.joinRoom(room.key, 'p2', 'bob', fakeSocket()))
+      .toThrow(expect.objectContaining({ code: 'ROOM_LOCKED' }));
+  });
+
+  test('invited peers may still join a locked room', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    rooms.setLocked(room.key, true);
+    rooms.addInvite(room.key, 'p2');
+    rooms.joinRoom(room.key, 'p2', 'bob', fakeSocket());
+    expect(room.peers.has('p2')).toBe(true);
+  });
+
+  test('unlocking lets people in again', () => {
+    const room = rooms.createRoom('host', 'alice', fakeSocket());
+    rooms.setLocked(room.key, true);
+    rooms.setLocked(room.key, false);
+    rooms.joinRoom(room.key, 'p2', 'bob', fakeSocket());
+    expect(room.peers.has('p2')).toBe(true);
+  });
+});
+
 describe('listRooms', () => {
   test('returns empty array when no rooms exist', () => {
     expect(rooms.listRooms()).toEqual([]);
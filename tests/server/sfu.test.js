@@ -0,0 +1,217 @@
+'use strict';
+
+/**
+ * End-to-end SFU and MCU tests: a real signaling server on loopback and two
+ * headless clients — a SignalingClient plus PeerManager each, with a
+ * synthetic tone in place of a microphone — checking that the server routes
+ * one client's audio to the other.
+ */
+
+const wrtc = require('@roamhq/wrtc');
+const { createServer } = require('../../src/server/app');
+const { SignalingClient } = require('../../src/client/signaling');
+const { PeerManager } = require('../../src/client/peers');
+const rooms = require('../../src/server/rooms');
+const users = require('../../src/server/users');
+
+const { RTCAudioSource, RTCAudioSink } = wrtc.nonstandard;
+
+jest.setTimeout(20_000);
+
+// simple-peer warns about every loopback ICE candidate it skips
+beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterAll(() => console.warn.mockRestore());
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+/** Resolves with the next message of the given type. */
+function nextMessage(sig, type) {
+  return new Promise((resolve) => sig.once(type, resolve));
+}
+
+/** Polls until `predicate` returns a truthy value, which is resolved. */
+function waitUntil(predicate, timeoutMs = 10_000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const value = predicate();
+      if (value) {
+        clearInterval(timer);
+        resolve(value);
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error('Timed out waiting for condition'));
+      }
+    }, 20);
+  });
+}
+
+/**
+ * Logs a headless client in.  It answers the server's SFU offer as soon as
+ * it is in a room and records which participant each downstream stream carries.
+ */
+async function connectClient(url, username) {
+  const sig = new SignalingClient(url);
+  const peers = new PeerManager();
+  const source = new RTCAudioSource();
+  const client = {
+    sig,
+    peers,
+    source,
+    track: source.createTrack(),
+    peerId: null,
+    slots: new Map(),   // streamId → peerId
+    tracks: new Map(),  // streamId → MediaStreamTrack
+    tone: null,
+  };
+
+  peers.on('signal', (peerId, data) => sig.signal(peerId, data));
+  peers.on('track', (_peerId, track, streamId) => client.tracks.set(streamId, track));
+  sig.on('signal', ({ fromPeerId, data }) => peers.signal(fromPeerId, data));
+  sig.on('sfu-slot', ({ streamId, peerId }) => {
+    if (peerId) client.slots.set(streamId, peerId);
+    else client.slots.delete(streamId);
+  });
+  const answerSfu = () => peers.createPeer('sfu', false, client.track);
+  sig.on('room-created', answerSfu);
+  sig.on('room-joined', answerSfu);
+
+  await sig.connect();
+  const loggedIn = nextMessage(sig, 'login-ok');
+  sig.login(username);
+  client.peerId = (await loggedIn).peerId;
+  return client;
+}
+
+/** Feeds a 440 Hz tone into the client's upstream track, 10ms at a time. */
+function startTone(client) {
+  const samples = new Int16Array(480);
+  let t = 0;
+  client.tone = setInterval(() => {
+    for (let i = 0; i < samples.length; i++, t++) {
+      samples[i] = Math.round(Math.sin((2 * Math.PI * 440 * t) / 48000) * 8000);
+    }
+    client.source.onData({ samples, sampleRate: 48000, bitsPerSample: 16, channelCount: 1, numberOfFrames: 480 });
+  }, 10);
+}
+
+/** Resolves once `track` delivers a frame that is not silence. */
+function hearsAudio(track) {
+  const sink = new RTCAudioSink(track);
+  let heard = false;
+  sink.ondata = ({ samples }) => {
+    if (samples.some((s) => s !== 0)) heard = true;
+  };
+  return waitUntil(() => heard).finally(() => sink.stop());
+}
+
+/** The downstream track on `client` that carries `fromPeerId`, once known. */
+function trackFrom(client, fromPeerId) {
+  for (const [streamId, peerId] of client.slots) {
+    if (peerId === fromPeerId && client.tracks.has(streamId)) return client.tracks.get(streamId);
+  }
+  return null;
+}
+
+// ── Fixture ────────────────────────────────────────────────────────────────
+
+let httpServer;
+let wss;
+let url;
+let clients;
+
+beforeEach(async () => {
+  ({ httpServer, wss } = createServer());
+  await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+  url = `ws://127.0.0.1:${httpServer.address().port}`;
+  clients = [];
+});
+
+afterEach(async () => {
+  for (const client of clients) {
+    clearInterval(client.tone);
+    client.sig.leaveRoom();
+    client.peers.destroyAll();
+    client.track.stop();
+    client.sig.disconnect();
+  }
+  // Let the server process the leave-room messages before it goes away
+  await new Promise((resolve) => setTimeout(resolve, 100));
+  wss.close();
+  await new Promise((resolve) => httpServer.close(resolve));
+  rooms.clearRooms();
+  users.clearUsers();
+});
+
+/** Creates a server-routed room hosted by alice and joined by bob. */
+async function roomWithTwoClients(roomMode = 'sfu') {
+  const alice = await connectClient(url, 'alice');
+  const bob = await connectClient(url, 'bob');
+  clients.push(alice, bob);
+
+  const created = nextMessage(alice.sig, 'room-created');
+  alice.sig.createRoom({ mode: roomMode });
+  const { roomKey, mode } = await created;
+
+  const joined = nextMessage(bob.sig, 'room-joined');
+  bob.sig.joinRoom(roomKey);
+  const room = await joined;
+
+  return { alice, bob, roomKey, createdMode: mode, joinedMode: room.mode };
+}
+
+// ── Tests ──────────────────────────────────────────────────────────────────
+
+describe('SFU rooms', () => {
+  test('room-created and room-joined report the sfu mode', async () => {
+    const { createdMode, joinedMode } = await roomWithTwoClients();
+    expect(createdMode).toBe('sfu');
+    expect(joinedMode).toBe('sfu');
+  });
+
+  test('forwards one client\'s audio to the other through the server', async () => {
+    const { alice, bob } = await roomWithTwoClients();
+    startTone(alice);
+
+    const track = await waitUntil(() => trackFrom(bob, alice.peerId));
+    await expect(hearsAudio(track)).resolves.toBe(true);
+  });
+
+  test('frees the slot carrying a client once they leave', async () => {
+    const { alice, bob } = await roomWithTwoClients();
+    startTone(alice);
+    await waitUntil(() => trackFrom(bob, alice.peerId));
+
+    alice.sig.leaveRoom();
+    await waitUntil(() => ![...bob.slots.values()].includes(alice.peerId));
+  });
+});
+
+describe('MCU rooms', () => {
+  test('room-created and room-joined report the mcu mode', async () => {
+    const { createdMode, joinedMode } = await roomWithTwoClients('mcu');
+    expect(createdMode).toBe('mcu');
+    expect(joinedMode).toBe('mcu');
+  });
+
+  test('sends each client a single mixed track carrying the others', async () => {
+    const { alice, bob } = await roomWithTwoClients('mcu');
+    startTone(alice);
+
+    const track = await waitUntil(() => bob.tracks.values().next().value);
+    await expect(hearsAudio(track)).resolves.toBe(true);
+    expect(bob.tracks.size).toBe(1);
+  });
+
+  test('reports speaking levels for the room', async () => {
+    const { alice, bob } = await roomWithTwoClients('mcu');
+    startTone(alice);
+
+    const levels = await new Promise((resolve) => {
+      bob.sig.on('mcu-levels', (msg) => {
+        if (msg.levels[alice.peerId] > 0) resolve(msg.levels);
+      });
+    });
+    expect(levels[alice.peerId]).toBeGreaterThan(0.1);
+  });
+});
@@ -0,0 +1,87 @@
+'use strict';
+
+const stun = require('../../src/server/stun');
+
+const { METHOD, CLASS, ATTR } = stun;
+
+// Transaction ID from the sample IPv4 response in RFC 5769 §2.2
+const TRANSACTION_ID = Buffer.from('b7e7a701bc34d686fa87dfae', 'hex');
+
+describe('messages', () => {
+  test('round-trip with their method, class and attributes', () => {
+    const raw = stun.encodeMessage({
+      method: METHOD.CHANNEL_BIND,
+      cls: CLASS.ERROR,
+      transactionId: TRANSACTION_ID,
+      attributes: [
+        { type: ATTR.ERROR_CODE, value: stun.encodeErrorCode(438, 'Stale Nonce') },
+        { type: ATTR.NONCE, value: Buffer.from('abc') },
+      ],
+    });
+    expect(raw.length % 4).toBe(0);
+
+    const message = stun.decodeMessage(raw);
+    expect(message.method).toBe(METHOD.CHANNEL_BIND);
+    expect(message.cls).toBe(CLASS.ERROR);
+    expect(message.transactionId.equals(TRANSACTION_ID)).toBe(true);
+    expect(stun.decodeErrorCode(stun.getAttribute(message, ATTR.ERROR_CODE))).toBe(438);
+    expect(stun.getString(message, ATTR.NONCE)).toBe('abc');
+    expect(stun.getAttribute(message, ATTR.FINGERPRINT)).toHaveLength(4);
+  });
+
+  test('are signed with the long-term credential key', () => {
+    const key = stun.longTermKey('1700043200:alice', 'voicesync', 'secret');
+    const raw = stun.encodeMessage(
+      { method: METHOD.ALLOCATE, cls: CLASS.REQUEST, transactionId: TRANSACTION_ID, attributes: [] },
+      { integrityKey: key },
+    );
+    const message = stun.decodeMessage(raw);
+    expect(stun.checkIntegrity(raw, message, key)).toBe(true);
+    expect(stun.checkIntegrity(raw, message, stun.longTermKey('1700043200:alice', 'voicesync', 'guess'))).toBe(false);
+
+    const tampered = Buffer.from(raw);
+    tampered[10] ^= 0xff;
+    expect(stun.checkIntegrity(tampered, stun.decodeMessage(tampered), key)).toBe(false);
+  });
+
+  test('ignore anything that is not STUN', () => {
+    expect(stun.decodeMessage(Buffer.from('GET / HTTP/1.1\r\n\r\n'))).toBeNull();
+    const raw = stun.encodeMessage({ method: METHOD.BINDING, cls: CLASS.REQUEST, transactionId: TRANSACTION_ID });
+    expect(stun.decodeMessage(raw.subarray(0, raw.length - 4))).toBeNull();
+  });
+});
+
+describe('XOR addresses', () => {
+  test('match the RFC 5769 sample for 192.0.2.1:32853', () => {
+    const value = stun.encodeXorAddress({ address: '192.0.2.1', port: 32853 }, TRANSACTION_ID);
+    expect(value.toString('hex')).toBe('0001a147e112a643');
+    expect(stun.decodeXorAddress(value, TRANSACTION_ID)).toEqual({ family: 4, address: '192.0.2.1', port: 32853 });
+  });
+
+  test('decode IPv6 with the transaction ID as part of the mask', () => {
+    // RFC 5769 §2.3: 2001:db8:1234:5678:11:2233:4455:6677 port 32853
+    const value = Buffer.from('0002a1470113a9faa5d3f179bc25f4b5bed2b9d9', 'hex');
+    expect(stun.decodeXorAddress(value, TRANSACTION_ID)).toEqual({
+      family: 6, address: '2001:db8:1234:5678:11:2233:4455:6677', port: 32853,
+    });
+  });
+});
+
+describe('ChannelData and TCP framing', () => {
+  test('channel data carries its channel and payload, padded over TCP', () => {
+    const frame = stun.encodeChannelData(0x4001, Buffer.from('hello'), true);
+    expect(frame).toHaveLength(12);
+    expect(stun.isChannelData(frame)).toBe(true);
+    expect(stun.decodeChannelData(frame)).toEqual({ channel: 0x4001, data: Buffer.from('hello') });
+    expect(stun.frameLength(frame)).toBe(12);
+  });
+
+  test('frameLength splits a stream back into messages', () => {
+    const raw = stun.encodeMessage({ method: METHOD.BINDING, cls: CLASS.REQUEST, transactionId: TRANSACTION_ID });
+    expect(stun.frameLength(raw)).toBe(raw.length);
+    expect(stun.frameLength(raw.subarray(0, 3))).toBeNull();
+    // A TLS ClientHello, and bytes that fit neither form
+    expect(stun.frameLength(Buffer.from('160301020001000200', 'hex'))).toBe(-1);
+    expect(stun.frameLength(Buffer.from('ff000000', 'hex'))).toBe(-1);
+  });
+});
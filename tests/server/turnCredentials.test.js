@@ -0,0 +1,58 @@
+'use strict';
+
+const {
+  DEFAULT_TURN_TTL_SECONDS,
+  createTurnCredentials,
+  configureTurn,
+  turnIceServers,
+  isTurnConfigured,
+} = require('../../src/server/turnCredentials');
+
+afterEach(() => configureTurn(null));
+
+describe('createTurnCredentials', () => {
+  test('follows the TURN REST convention: expiry:user, HMAC-SHA1 in base64', () => {
+    const now = 1_700_000_000_000;
+    expect(createTurnCredentials('north-wind', { user: 'alice', now })).toEqual({
+      username: '1700043200:alice',
+      credential: '3L+I9d5ZTR7+jfLl7qC97j0oF5o=',
+      expiresAt: 1_700_043_200_000,
+    });
+    expect(DEFAULT_TURN_TTL_SECONDS).toBe(43200);
+  });
+
+  test('leaves the user out when none is given, and honours the lifetime', () => {
+    const { username } = createTurnCredentials('north-wind', { ttlSeconds: 600, now: 1_700_000_000_000 });
+    expect(username).toBe('1700000600');
+  });
+});
+
+describe('turnIceServers', () => {
+  test('hands out nothing until a relay is configured', () => {
+    expect(isTurnConfigured()).toBe(false);
+    expect(turnIceServers('alice')).toEqual([]);
+  });
+
+  test('issues fresh credentials for the configured relay', () => {
+    configureTurn({ urls: ['turn:turn.example.com:3478', 'turns:turn.example.com:5349'], secret: 'north-wind' });
+    const [server] = turnIceServers('alice');
+    expect(server.urls).toEqual(['turn:turn.example.com:3478', 'turns:turn.example.com:5349']);
+    expect(server.username).toMatch(/^\d+:alice$/);
+    expect(server.credential).toBe(createTurnCredentials('north-wind', {
+      user: 'alice', now: Number(server.username.split(':')[0]) * 1000 - DEFAULT_TURN_TTL_SECONDS * 1000,
+    }).credential);
+  });
+
+  test('rejects unusable configurations', () => {
+    expect(() => configureTurn({ urls: ['stun:stun.example.com'], secret: 's' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TURN_CONFIG' }),
+    );
+    expect(() => configureTurn({ urls: ['turn:turn.example.com'], secret: '' })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TURN_CONFIG' }),
+    );
+    expect(() => configureTurn({ urls: ['turn:turn.example.com'], secret: 's', ttlSeconds: 5 })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TURN_CONFIG' }),
+    );
+    expect(isTurnConfigured()).toBe(false);
+  });
+});
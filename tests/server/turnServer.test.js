@@ -0,0 +1,443 @@
+'use strict';
+
+/**
+ * Tests for the built-in TURN relay: the protocol spoken to raw UDP and TCP
+ * clients, and end to end with WebRTC connections forced through it.
+ */
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const SimplePeer = require('simple-peer');
+const wrtc = require('@roamhq/wrtc');
+const stun = require('../../src/server/stun');
+const { TurnServer } = require('../../src/server/turnServer');
+const { createTurnCredentials, configureTurn } = require('../../src/server/turnCredentials');
+const { createServer } = require('../../src/server/app');
+const { SignalingClient } = require('../../src/client/signaling');
+const users = require('../../src/server/users');
+
+const { METHOD, CLASS, ATTR } = stun;
+
+const SECRET = 'north-wind';
+
+jest.setTimeout(20_000);
+
+// ── Helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * A raw TURN client over UDP or TCP that matches responses to requests and
+ * queues everything else the relay sends it.
+ */
+async function rawClient(port, protocol = 'udp') {
+  const inbox = [];
+  const waiting = [];
+  const receive = (buf) => {
+    const next = waiting.findIndex(({ match }) => match(buf));
+    if (next === -1) inbox.push(buf);
+    else waiting.splice(next, 1)[0].resolve(buf);
+  };
+
+  let send;
+  let close;
+  if (protocol === 'udp') {
+    const socket = dgram.createSocket('udp4');
+    socket.on('message', receive);
+    await new Promise((resolve) => socket.bind(0, '127.0.0.1', resolve));
+    send = (buf) => socket.send(buf, port, '127.0.0.1');
+    close = () => new Promise((resolve) => socket.close(resolve));
+  } else {
+    const socket = net.connect(port, '127.0.0.1');
+    await new Promise((resolve) => socket.once('connect', resolve));
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      let length;
+      while ((length = stun.frameLength(pending)) > 0 && pending.length >= length) {
+        receive(pending.subarray(0, length));
+        pending = pending.subarray(length);
+      }
+    });
+    send = (buf) => socket.write(buf);
+    close = () => new Promise((resolve) => socket.end(resolve));
+  }
+
+  /** Resolves with the next packet for which `match` is true. */
+  const next = (match) => {
+    const queued = inbox.findIndex(match);
+    if (queued !== -1) return Promise.resolve(inbox.splice(queued, 1)[0]);
+    return new Promise((resolve) => waiting.push({ match, resolve }));
+  };
+
+  const client = {
+    send,
+    close,
+    next,
+    key: null,
+    /** Sends a request and resolves with the decoded response, plus its `raw` bytes. */
+    async request(method, attributes = []) {
+      const transactionId = crypto.randomBytes(12);
+      send(stun.encodeMessage({ method, cls: CLASS.REQUEST, transactionId, attributes }, { integrityKey: client.key }));
+      const raw = await next((buf) => stun.isStunMessage(buf) && buf.subarray(8, 20).equals(transactionId));
+      return { ...stun.decodeMessage(raw), raw };
+    },
+    /**
+     * Requests a relay, first unauthenticated to learn the realm and nonce
+     * as real clients do.  Leaves the credential key set for later requests.
+     */
+    async allocate({ username, credential }) {
+      const challenge = await client.request(METHOD.ALLOCATE, [transportUdp()]);
+      expect(errorCode(challenge)).toBe(401);
+      const realm = stun.getString(challenge, ATTR.REALM);
+      client.auth = [
+        { type: ATTR.USERNAME, value: Buffer.from(username) },
+        { type: ATTR.REALM, value: Buffer.from(realm) },
+        { type: ATTR.NONCE, value: stun.getAttribute(challenge, ATTR.NONCE) },
+      ];
+      client.key = stun.longTermKey(username, realm, credential);
+      return client.request(METHOD.ALLOCATE, [transportUdp(), ...client.auth]);
+    },
+    /** An authenticated request on the allocation. */
+    authed(method, attributes) {
+      return client.request(method, [...attributes, ...client.auth]);
+    },
+  };
+  return client;
+}
+
+function transportUdp() {
+  return { type: ATTR.REQUESTED_TRANSPORT, value: Buffer.from([17, 0, 0, 0]) };
+}
+
+function errorCode(message) {
+  return message.cls === CLASS.ERROR ? stun.decodeErrorCode(stun.getAttribute(message, ATTR.ERROR_CODE)) : null;
+}
+
+function relayedAddress(message) {
+  return stun.decodeXorAddress(stun.getAttribute(message, ATTR.XOR_RELAYED_ADDRESS), message.transactionId);
+}
+
+function peerAttribute(addr, transactionId = crypto.randomBytes(12)) {
+  return { type: ATTR.XOR_PEER_ADDRESS, value: stun.encodeXorAddress(addr, transactionId) };
+}
+
+/** Polls until `predicate` returns a truthy value, which is resolved. */
+function waitUntil(predicate, timeoutMs = 10_000) {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+      const value = predicate();
+      if (value) {
+        clearInterval(timer);
+        resolve(value);
+      } else if (Date.now() - started > timeoutMs) {
+        clearInterval(timer);
+        reject(new Error('Timed out waiting for condition'));
+      }
+    }, 20);
+  });
+}
+
+// ── Protocol ───────────────────────────────────────────────────────────────
+
+describe('TurnServer', () => {
+  let server;
+  let opened;
+  let peers;
+
+  /** Starts a relay on loopback; `opts` override the defaults. */
+  async function startRelay(opts = {}) {
+    server = new TurnServer({ secret: SECRET, externalIp: '127.0.0.1', ...opts });
+    await server.listen(0, '127.0.0.1');
+  }
+
+  async function connect(protocol) {
+    const client = await rawClient(server.port, protocol);
+    opened.push(client);
+    return client;
+  }
+
+  /**
+   * A UDP socket playing the far end of a relayed connection, on a loopback
+   * address other than the relay's own.
+   */
+  async function peerSocket() {
+    const socket = dgram.createSocket('udp4');
+    const received = [];
+    socket.on('message', (msg) => received.push(msg));
+    await new Promise((resolve) => socket.bind(0, '127.0.0.2', resolve));
+    peers.push(socket);
+    return { socket, received, address: { address: '127.0.0.2', port: socket.address().port } };
+  }
+
+  beforeEach(() => {
+    server = null;
+    opened = [];
+    peers = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(opened.map((client) => client.close()));
+    for (const socket of peers) socket.close();
+    await server?.close();
+  });
+
+  test('answers STUN binding requests with the client\'s address', async () => {
+    await startRelay();
+    const client = await connect();
+    const response = await client.request(METHOD.BINDING);
+    expect(response.cls).toBe(CLASS.SUCCESS);
+    const mapped = stun.decodeXorAddress(stun.getAttribute(response, ATTR.XOR_MAPPED_ADDRESS), response.transactionId);
+    expect(mapped.address).toBe('127.0.0.1');
+  });
+
+  test('allocates a relay for credentials issued with its secret', async () => {
+    await startRelay();
+    const client = await connect();
+    const response = await client.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+
+    expect(response.cls).toBe(CLASS.SUCCESS);
+    expect(relayedAddress(response)).toMatchObject({ address: '127.0.0.1', port: expect.any(Number) });
+    expect(stun.getAttribute(response, ATTR.LIFETIME).readUInt32BE(0)).toBe(600);
+    expect(stun.checkIntegrity(response.raw, response, client.key)).toBe(true);
+    expect(server.allocationCount).toBe(1);
+  });
+
+  test('refuses credentials made with another secret, or expired', async () => {
+    await startRelay();
+    const forged = await (await connect()).allocate(createTurnCredentials('guess', { user: 'mallory' }));
+    expect(errorCode(forged)).toBe(401);
+
+    const stale = createTurnCredentials(SECRET, { user: 'alice', now: Date.now() - 13 * 60 * 60 * 1000 });
+    expect(errorCode(await (await connect()).allocate(stale))).toBe(401);
+    expect(server.allocationCount).toBe(0);
+  });
+
+  test('caps allocations per user and in total', async () => {
+    await startRelay({ maxAllocations: 2, maxAllocationsPerUser: 1 });
+    const alice = createTurnCredentials(SECRET, { user: 'alice' });
+    expect((await (await connect()).allocate(alice)).cls).toBe(CLASS.SUCCESS);
+    expect(errorCode(await (await connect()).allocate(alice))).toBe(486);
+
+    expect((await (await connect()).allocate(createTurnCredentials(SECRET, { user: 'bob' }))).cls).toBe(CLASS.SUCCESS);
+    expect(errorCode(await (await connect()).allocate(createTurnCredentials(SECRET, { user: 'carol' })))).toBe(508);
+  });
+
+  test('relays only to and from peers the client has given permission', async () => {
+    await startRelay();
+    const client = await connect();
+    const relayed = relayedAddress(await client.allocate(createTurnCredentials(SECRET, { user: 'alice' })));
+    const peer = await peerSocket();
+
+    peer.socket.send('before', relayed.port, relayed.address);
+    const permitted = await client.authed(METHOD.CREATE_PERMISSION, [peerAttribute(peer.address)]);
+    expect(permitted.cls).toBe(CLASS.SUCCESS);
+    peer.socket.send('after', relayed.port, relayed.address);
+
+    const indication = stun.decodeMessage(await client.next((buf) => stun.isStunMessage(buf)));
+    expect(indication.method).toBe(METHOD.DATA);
+    expect(stun.getString(indication, ATTR.DATA)).toBe('after');
+
+    client.send(stun.encodeMessage({
+      method: METHOD.SEND,
+      cls: CLASS.INDICATION,
+      transactionId: crypto.randomBytes(12),
+      attributes: [peerAttribute(peer.address), { type: ATTR.DATA, value: Buffer.from('hello') }],
+    }));
+    await waitUntil(() => peer.received.length > 0);
+    expect(peer.received.map(String)).toEqual(['hello']);
+  });
+
+  test('relays channel data both ways once a channel is bound', async () => {
+    await startRelay();
+    const client = await connect('tcp');
+    const relayed = relayedAddress(await client.allocate(createTurnCredentials(SECRET, { user: 'alice' })));
+    const peer = await peerSocket();
+
+    const channel = { type: ATTR.CHANNEL_NUMBER, value: Buffer.from([0x40, 0x01, 0, 0]) };
+    expect((await client.authed(METHOD.CHANNEL_BIND, [channel, peerAttribute(peer.address)])).cls).toBe(CLASS.SUCCESS);
+
+    client.send(stun.encodeChannelData(0x4001, Buffer.from('to peer'), true));
+    await waitUntil(() => peer.received.length > 0);
+    expect(String(peer.received[0])).toBe('to peer');
+
+    peer.socket.send('to client', relayed.port, relayed.address);
+    const frame = stun.decodeChannelData(await client.next((buf) => stun.isChannelData(buf)));
+    expect(frame).toEqual({ channel: 0x4001, data: Buffer.from('to client') });
+  });
+
+  test('keeps a TCP client that sends more than the buffer limit in complete frames at once', async () => {
+    await startRelay();
+    const client = await connect('tcp');
+    await client.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+    const peer = await peerSocket();
+    const channel = { type: ATTR.CHANNEL_NUMBER, value: Buffer.from([0x40, 0x01, 0, 0]) };
+    expect((await client.authed(METHOD.CHANNEL_BIND, [channel, peerAttribute(peer.address)])).cls).toBe(CLASS.SUCCESS);
+
+    const frame = stun.encodeChannelData(0x4001, Buffer.alloc(1000, 1), true);
+    client.send(Buffer.concat(Array(200).fill(frame)));
+    // Still connected and served once the burst has been relayed
+    expect((await client.authed(METHOD.REFRESH, [])).cls).toBe(CLASS.SUCCESS);
+    expect(server.allocationCount).toBe(1);
+    expect(peer.received.length).toBeGreaterThan(0);
+  });
+
+  test('frees a TCP allocation when its connection closes', async () => {
+    await startRelay();
+    const client = await connect('tcp');
+    await client.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+    expect(server.allocationCount).toBe(1);
+    await client.close();
+    await waitUntil(() => server.allocationCount === 0);
+  });
+
+  test('frees an allocation refreshed with a lifetime of zero', async () => {
+    await startRelay();
+    const client = await connect();
+    await client.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+    const zero = { type: ATTR.LIFETIME, value: stun.encodeUInt32(0) };
+    expect((await client.authed(METHOD.REFRESH, [zero])).cls).toBe(CLASS.SUCCESS);
+    expect(server.allocationCount).toBe(0);
+  });
+
+  test('refuses loopback peers when the relay is not itself on loopback', async () => {
+    await startRelay({ externalIp: '192.0.2.10' });
+    const client = await connect();
+    await client.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+    const response = await client.authed(METHOD.CREATE_PERMISSION, [peerAttribute({ address: '127.0.0.1', port: 9 })]);
+    expect(errorCode(response)).toBe(403);
+  });
+
+  test('refuses private, link-local, multicast and broadcast peers', async () => {
+    await startRelay({ externalIp: '192.0.2.10' });
+    const client = await connect();
+    await client.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+    for (const address of ['10.1.2.3', '172.16.0.1', '192.168.1.20', '169.254.1.1', '224.0.0.251', '255.255.255.255']) {
+      const response = await client.authed(METHOD.CREATE_PERMISSION, [peerAttribute({ address, port: 9 })]);
+      expect(errorCode(response)).toBe(403);
+    }
+  });
+
+  test('relays to LAN peers only when allowed to', async () => {
+    await startRelay({ externalIp: '192.0.2.10', allowLanPeers: true });
+    const client = await connect();
+    await client.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+    const lan = await client.authed(METHOD.CREATE_PERMISSION, [peerAttribute({ address: '192.168.1.20', port: 9 })]);
+    expect(lan.cls).toBe(CLASS.SUCCESS);
+    const linkLocal = await client.authed(METHOD.CREATE_PERMISSION, [peerAttribute({ address: '169.254.1.1', port: 9 })]);
+    expect(errorCode(linkLocal)).toBe(403);
+  });
+
+  test('always relays between its own allocations, even on a private address', async () => {
+    await startRelay({ externalIp: '10.0.0.5' });
+    const alice = await connect();
+    await alice.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+    const bob = await connect();
+    const relayed = relayedAddress(await bob.allocate(createTurnCredentials(SECRET, { user: 'bob' })));
+    expect(relayed.address).toBe('10.0.0.5');
+
+    expect((await alice.authed(METHOD.CREATE_PERMISSION, [peerAttribute(relayed)])).cls).toBe(CLASS.SUCCESS);
+    const other = await alice.authed(METHOD.CREATE_PERMISSION, [peerAttribute({ address: '10.0.0.5', port: 9 })]);
+    expect(errorCode(other)).toBe(403);
+  });
+
+  test('refuses its own public address except on its relay ports', async () => {
+    await startRelay({ externalIp: '203.0.113.7' });
+    const client = await connect();
+    await client.allocate(createTurnCredentials(SECRET, { user: 'alice' }));
+    const response = await client.authed(METHOD.CREATE_PERMISSION, [peerAttribute({ address: '203.0.113.7', port: 53 })]);
+    expect(errorCode(response)).toBe(403);
+  });
+
+  test('rejects unusable options', () => {
+    expect(() => new TurnServer({ secret: '' })).toThrow(expect.objectContaining({ code: 'INVALID_TURN_CONFIG' }));
+    expect(() => new TurnServer({ secret: SECRET, relayPorts: [50000, 40000] })).toThrow(
+      expect.objectContaining({ code: 'INVALID_TURN_CONFIG' }),
+    );
+  });
+});
+
+// ── WebRTC through the relay ───────────────────────────────────────────────
+
+describe('built-in relay with WebRTC', () => {
+  let httpServer;
+  let wss;
+  let turnServer;
+  let peers;
+
+  // simple-peer warns about every loopback ICE candidate it skips
+  beforeAll(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterAll(() => console.warn.mockRestore());
+
+  beforeEach(async () => {
+    ({ httpServer, wss, turnServer } = createServer({ relay: { externalIp: '127.0.0.1' } }));
+    await new Promise((resolve) => httpServer.listen(0, '127.0.0.1', resolve));
+    await turnServer.listen(0, '127.0.0.1');
+    peers = [];
+  });
+
+  afterEach(async () => {
+    for (const peer of peers) peer.destroy();
+    wss.close();
+    await new Promise((resolve) => httpServer.close(resolve));
+    await turnServer.close();
+    configureTurn(null);
+    users.clearUsers();
+  });
+
+  /** Logs in and returns the ICE servers handed out in login-ok. */
+  async function iceServersFor(username) {
+    const sig = new SignalingClient(`ws://127.0.0.1:${httpServer.address().port}`);
+    await sig.connect();
+    const loggedIn = new Promise((resolve) => sig.once('login-ok', resolve));
+    sig.login(username);
+    const { iceServers } = await loggedIn;
+    sig.disconnect();
+    return iceServers;
+  }
+
+  /**
+   * Connects two peers that may only use relay candidates, over the given
+   * transport, and resolves once a message crosses between them.
+   */
+  async function connectThroughRelay(transport) {
+    const only = (servers) => servers.map((server) => ({
+      ...server,
+      urls: server.urls.filter((url) => url.endsWith(`transport=${transport}`)),
+    }));
+    const config = (servers) => ({ iceServers: only(servers), iceTransportPolicy: 'relay' });
+    const [aliceServers, bobServers] = [await iceServersFor('alice'), await iceServersFor('bob')];
+    const alice = new SimplePeer({ initiator: true, wrtc, config: config(aliceServers) });
+    const bob = new SimplePeer({ wrtc, config: config(bobServers) });
+    peers.push(alice, bob);
+    alice.on('signal', (data) => bob.signal(data));
+    bob.on('signal', (data) => alice.signal(data));
+
+    const message = new Promise((resolve) => bob.on('data', (data) => resolve(String(data))));
+    await new Promise((resolve) => alice.on('connect', resolve));
+    alice.send('over the relay');
+    expect(await message).toBe('over the relay');
+
+    const reports = await new Promise((resolve, reject) => alice.getStats((err, r) => (err ? reject(err) : resolve(r))));
+    const transportReport = reports.find((r) => r.type === 'transport' && r.selectedCandidatePairId);
+    const pair = reports.find((r) => r.id === transportReport.selectedCandidatePairId);
+    return reports.find((r) => r.id === pair.localCandidateId);
+  }
+
+  test('issues credentials for the relay at login', async () => {
+    const [server] = await iceServersFor('alice');
+    expect(server.urls).toEqual(turnServer.urls);
+    expect(server.username).toMatch(/:alice$/);
+  });
+
+  test('carries a connection between peers restricted to relay candidates over UDP', async () => {
+    const local = await connectThroughRelay('udp');
+    expect(local.candidateType).toBe('relay');
+    expect(turnServer.allocationCount).toBeGreaterThanOrEqual(2);
+  });
+
+  test('carries a connection between peers restricted to relay candidates over TCP', async () => {
+    const local = await connectThroughRelay('tcp');
+    expect(local.candidateType).toBe('relay');
+  });
+});
@@ -40,6 +40,61 @@ describe('registerUser', () => {
   });
 });
 
+describe('suspendUser / resumeUser', () => {
+  test('new users get a resume token and are not suspended', () => {
+    users.registerUser('p1', 'alice', fakeSocket());
+    const user = users.findById('p1');
+    expect(user.resumeToken).toEqual(expect.any(String));
+    expect(user.suspended).toBe(false);
+  });
+
+  test('suspendUser keeps the entry but flags it', () => {
+    users.registerUser('p1', 'alice', fakeSocket());
+    users.suspendUser('p1');
+    expect(users.findById('p1').suspended).toBe(true);
+    expect(users.findByUsername('alice')).toBeDefined();
+  });
+
+  test('resumeUser re-keys the user under the new peer ID', () => {
+    users.registerUser('p1', 'alice', fakeSocket());
+    users.setUserRoom('p1', 'AAA-BBB-CCC');
+    const { resumeToken } = users.findById('p1');
+    users.suspendUser('p1');
+
+    const ws = fakeSocket();
+    const result = users.resumeUser(resumeToken, 'p2', ws);
+
+    expect(result.previousPeerId).toBe('p1');
+    expect(users.findById('p1')).toBeUndefined();
+    expect(users.findById('p2')).toMatchObject({
+      peerId: 'p2', username: 'alice', roomKey: 'AAA-BBB-CCC', suspended: false,
+    });
+    expect(users.findById('p2').socket).toBe(ws);
+  });
+
+  test('resumeUser rotates the resume token', () => {
+    users.registerUser('p1', 'alice', fakeSocket());
+    const { resumeToken } = users.findById('p1');
+    users.suspendUser('p1');
+    users.resumeUser(resumeToken, 'p2', fakeSocket());
+    expect(users.findById('p2').resumeToken).not.toBe(resumeToken);
+    expect(users.findByResumeToken(resumeToken)).toBeUndefined();
+  });
+
+  test('resumeUser refuses a user who is still connected', () => {
+    const ws = fakeSocket();
+    users.registerUser('p1', 'alice', ws);
+    const { resumeToken } = users.findById('p1');
+    expect(users.resumeUser(resumeToken, 'p2', fakeSocket())).toBeNull();
+    expect(users.findById('p1').socket).toBe(ws);
+    expect(users.findById('p2')).toBeUndefined();
+  });
+
+  test('resumeUser returns null for an unknown token', () => {
+    expect(users.resumeUser('nope', 'p2', fakeSocket())).toBeNull();
+  });
+});
+
 describe('unregisterUser', () => {
   test('removes the user from the registry', () => {
     users.registerUser('p1', 'alice', fakeSocket());
@@ -0,0 +1,63 @@
+'use strict';
+
+const { createPushToTalkKey, REPEAT_WAIT_MS, RELEASE_AFTER_MS } = require('../../src/ui/pushToTalkKey');
+
+describe('createPushToTalkKey', () => {
+  let changes;
+  let key;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    changes = [];
+    key = createPushToTalkKey((active) => changes.push(active));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  /** Holds the key for `ms`, with the terminal auto-repeating every 40ms after 400ms. */
+  function hold(ms) {
+    key.press();
+    for (let t = 400; t < ms; t += 40) {
+      jest.advanceTimersByTime(t === 400 ? 400 : 40);
+      key.press();
+    }
+  }
+
+  test('talks while the key is held and stops shortly after it is let go', () => {
+    hold(2000);
+    expect(changes).toEqual([true]);
+    expect(key.isActive).toBe(true);
+
+    jest.advanceTimersByTime(RELEASE_AFTER_MS);
+    expect(changes).toEqual([true, false]);
+    expect(key.isActive).toBe(false);
+  });
+
+  test('a tap latches talking on until the next tap', () => {
+    key.press();
+    jest.advanceTimersByTime(REPEAT_WAIT_MS + 5000);
+    expect(changes).toEqual([true]);
+
+    key.press();
+    expect(changes).toEqual([true, false]);
+    expect(key.isActive).toBe(false);
+  });
+
+  test('a new press after a hold starts talking again', () => {
+    hold(1000);
+    jest.advanceTimersByTime(RELEASE_AFTER_MS);
+    key.press();
+    expect(changes).toEqual([true, false, true]);
+  });
+
+  test('reset() forgets the key without reporting a change', () => {
+    key.press();
+    key.reset();
+    jest.advanceTimersByTime(REPEAT_WAIT_MS);
+    expect(key.isActive).toBe(false);
+    key.press();
+    expect(changes).toEqual([true, true]);
+  });
+});
@@ -0,0 +1,156 @@
+'use strict';
+
+const {
+  FRAME_SAMPLES,
+  pcmSamples,
+  toMono,
+  convertChannels,
+  deinterleave,
+  interleave,
+  rtcFrame,
+  fromRtcFrame,
+  rms,
+  FrameAssembler,
+  Resampler,
+} = require('../../src/utils/audioFormat');
+
+/** `seconds` of a sine wave at `hz`, sampled at `rate`. */
+function tone(hz, rate, seconds = 1, amplitude = 10000) {
+  return Int16Array.from({ length: rate * seconds }, (_s, i) => Math.round(amplitude * Math.sin((2 * Math.PI * hz * i) / rate)));
+}
+
+/** Frequency of a tone, from how often it crosses zero. */
+function frequency(samples, rate) {
+  let crossings = 0;
+  for (let i = 1; i < samples.length; i++) if ((samples[i - 1] < 0) !== (samples[i] < 0)) crossings++;
+  return (crossings / 2) * (rate / samples.length);
+}
+
+/** Runs audio through a resampler in chunks of `chunk` samples. */
+function resampleInChunks(resampler, samples, chunk) {
+  const out = [];
+  for (let i = 0; i < samples.length; i += chunk) out.push(...resampler.process(samples.subarray(i, i + chunk)));
+  return Int16Array.from(out);
+}
+
+describe('channel conversion', () => {
+  test('averages stereo down to mono and copies mono up to stereo', () => {
+    const stereo = new Int16Array([100, 300, -50, -150]);
+    expect(toMono(stereo, 2)).toEqual(new Int16Array([200, -100]));
+    expect(convertChannels(new Int16Array([7, -8]), 1, 2)).toEqual(new Int16Array([7, 7, -8, -8]));
+    expect(() => convertChannels(new Int16Array(6), 3, 2)).toThrow(RangeError);
+  });
+
+  test('splits interleaved channels and puts them back together', () => {
+    const stereo = new Int16Array([1, 2, 3, 4, 5, 6]);
+    const [left, right] = deinterleave(stereo, 2);
+    expect(left).toEqual(new Int16Array([1, 3, 5]));
+    expect(right).toEqual(new Int16Array([2, 4, 6]));
+    expect(interleave([left, right])).toEqual(stereo);
+  });
+});
+
+describe('WebRTC frames', () => {
+  const decoded = (samples, channelCount, sampleRate = 48000) => ({ samples, channelCount, sampleRate });
+
+  test('describes a frame the way RTCAudioSource expects', () => {
+    const samples = new Int16Array(2 * FRAME_SAMPLES);
+    expect(rtcFrame(samples, 2)).toEqual({
+      samples, sampleRate: 48000, bitsPerSample: 16, channelCount: 2, numberOfFrames: FRAME_SAMPLES,
+    });
+  });
+
+  test('copies decoded frames, converting their channels', () => {
+    const mono = new Int16Array(FRAME_SAMPLES).fill(300);
+    const copy = fromRtcFrame(decoded(mono, 1));
+    expect(copy).toEqual(mono);
+    expect(copy.buffer).not.toBe(mono.buffer);
+
+    expect(fromRtcFrame(decoded(mono, 1), 2)).toHaveLength(2 * FRAME_SAMPLES);
+    const stereo = new Int16Array(2 * FRAME_SAMPLES).map((_s, i) => (i % 2 ? 100 : 300));
+    expect(fromRtcFrame(decoded(stereo, 2))).toEqual(new Int16Array(FRAME_SAMPLES).fill(200));
+  });
+
+  test('refuses frames in another format', () => {
+    expect(fromRtcFrame(decoded(new Int16Array(441), 1, 44100))).toBeNull();
+    expect(fromRtcFrame(decoded(new Int16Array(100), 1))).toBeNull();
+  });
+});
+
+describe('pcmSamples', () => {
+  test('copies samples out of a Buffer at any offset', () => {
+    const bytes = Buffer.alloc(7);
+    bytes.writeInt16LE(-2, 1);
+    bytes.writeInt16LE(1000, 3);
+    expect(pcmSamples(bytes.subarray(1, 5))).toEqual(new Int16Array([-2, 1000]));
+  });
+});
+
+describe('rms', () => {
+  test('measures level relative to full scale', () => {
+    expect(rms(new Int16Array(480))).toBe(0);
+    expect(rms(new Int16Array(480).fill(16384))).toBeCloseTo(0.5);
+  });
+});
+
+describe('FrameAssembler', () => {
+  test('cuts a stream into whole frames, each in a buffer of its own', () => {
+    const assembler = new FrameAssembler(4);
+    expect(assembler.push(new Int16Array([1, 2, 3]))).toEqual([]);
+    const frames = assembler.push(new Int16Array([4, 5, 6, 7, 8, 9]));
+    expect(frames).toEqual([new Int16Array([1, 2, 3, 4]), new Int16Array([5, 6, 7, 8])]);
+    expect(frames[0].buffer).not.toBe(frames[1].buffer);
+    expect(assembler.push(new Int16Array([10, 11, 12]))).toEqual([new Int16Array([9, 10, 11, 12])]);
+  });
+});
+
+describe('Resampler', () => {
+  test.each([
+    [44100, 48000],
+    [48000, 44100],
+    [16000, 48000],
+    [48000, 16000],
+  ])('converts %iHz to %iHz keeping pitch, level and duration', (from, to) => {
+    const out = new Resampler(from, to).process(tone(1000, from));
+    // Up to a millisecond stays in the filter until more audio arrives
+    expect(out.length).toBeGreaterThanOrEqual(to - to / 1000);
+    expect(out.length).toBeLessThanOrEqual(to);
+
+    const settled = out.subarray(100, out.length - 100);
+    expect(frequency(settled, to)).toBeCloseTo(1000, -1);
+    expect(rms(settled)).toBeCloseTo(10000 / 32768 / Math.SQRT2, 2);
+  });
+
+  test('filters out what the lower rate cannot carry instead of aliasing it', () => {
+    // 10kHz is above 16kHz's Nyquist frequency, and would fold down to 6kHz
+    const out = new Resampler(48000, 16000).process(tone(10000, 48000));
+    expect(rms(out.subarray(100))).toBeLessThan(0.001);
+  });
+
+  test('gives the same result whatever size the chunks arrive in', () => {
+    const input = tone(440, 44100, 0.5);
+    const whole = new Resampler(44100, 48000).process(input);
+    expect(resampleInChunks(new Resampler(44100, 48000), input, 441)).toEqual(whole);
+    expect(resampleInChunks(new Resampler(44100, 48000), input, 97)).toEqual(whole);
+  });
+
+  test('converts interleaved channels independently', () => {
+    const left = tone(500, 16000, 0.25);
+    const right = tone(2000, 16000, 0.25);
+    const [outLeft, outRight] = deinterleave(new Resampler(16000, 48000, 2).process(interleave([left, right])), 2);
+    expect(frequency(outLeft.subarray(100), 48000)).toBeCloseTo(500, -1);
+    expect(frequency(outRight.subarray(100), 48000)).toBeCloseTo(2000, -1);
+  });
+
+  test('passes audio through untouched at equal rates', () => {
+    const input = tone(440, 48000, 0.1);
+    const resampler = new Resampler(48000, 48000);
+    expect(resampler.isConverting).toBe(false);
+    expect(resampler.process(input)).toEqual(input);
+  });
+
+  test('rejects invalid rates', () => {
+    expect(() => new Resampler(0, 48000)).toThrow(RangeError);
+    expect(() => new Resampler(44100.5, 48000)).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  configPath,
+  loadConfig,
+  activeProfileName,
+  loadProfile,
+  setProfileValue,
+  unsetProfileValue,
+  setDefaultProfile,
+  formatValue,
+} = require('../../src/utils/config');
+const logger = require('../../src/utils/logger');
+
+describe('config', () => {
+  let home;
+  const previous = { XDG_CONFIG_HOME: process.env.XDG_CONFIG_HOME, VOICESYNC_PROFILE: process.env.VOICESYNC_PROFILE };
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'voicesync-'));
+    process.env.XDG_CONFIG_HOME = home;
+    delete process.env.VOICESYNC_PROFILE;
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(home, { recursive: true, force: true });
+    for (const [name, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  function writeConfig(config) {
+    fs.mkdirSync(path.dirname(configPath()), { recursive: true });
+    fs.writeFileSync(configPath(), JSON.stringify(config));
+  }
+
+  test('lives under $XDG_CONFIG_HOME', () => {
+    expect(configPath()).toBe(path.join(home, 'voicesync', 'config.json'));
+  });
+
+  test('an empty default profile exists before anything is saved', () => {
+    expect(loadConfig()).toEqual({ profiles: {} });
+    expect(loadProfile()).toEqual({ name: 'default', values: {} });
+  });
+
+  test('set parses values by key and accepts --flag spellings', () => {
+    expect(setProfileValue('work', 'server', 'wss://voice.example.com')).toBe('wss://voice.example.com');
+    expect(setProfileValue('work', 'aec', 'off')).toBe(false);
+    expect(setProfileValue('work', 'sample-rate', '44100')).toBe(44100);
+    expect(setProfileValue('work', 'ice-servers', 'stun:a.example, turn:b.example')).toEqual(['stun:a.example', 'turn:b.example']);
+
+    expect(loadProfile('work').values).toEqual({
+      server: 'wss://voice.example.com',
+      aec: false,
+      sampleRate: 44100,
+      iceServers: ['stun:a.example', 'turn:b.example'],
+    });
+  });
+
+  test('set rejects unknown keys and values that do not fit', () => {
+    expect(() => setProfileValue('work', 'volume', '11')).toThrow(expect.objectContaining({ code: 'UNKNOWN_CONFIG_KEY' }));
+    expect(() => setProfileValue('work', 'server', 'http://example.com')).toThrow(expect.objectContaining({ code: 'INVALID_CONFIG_VALUE' }));
+    expect(() => setProfileValue('work', 'ns', 'loud')).toThrow(expect.objectContaining({ code: 'INVALID_CONFIG_VALUE' }));
+    expect(() => setProfileValue('work', 'sampleRate', '44.1k')).toThrow(expect.objectContaining({ code: 'INVALID_CONFIG_VALUE' }));
+    expect(fs.existsSync(configPath())).toBe(false);
+  });
+
+  test('a hand-edited profile keeps its valid values and reports the rest', () => {
+    writeConfig({ profiles: { default: { username: 'alice', ptt: 'yes', volume: 11, ns: 'aggressive' } } });
+    expect(loadProfile().values).toEqual({ username: 'alice', ns: 'aggressive' });
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+  });
+
+  test('asking for a profile that does not exist is an error', () => {
+    expect(() => loadProfile('work')).toThrow(expect.objectContaining({ code: 'PROFILE_NOT_FOUND' }));
+    expect(() => setDefaultProfile('work')).toThrow(expect.objectContaining({ code: 'PROFILE_NOT_FOUND' }));
+  });
+
+  test('the active profile is the flag, then $VOICESYNC_PROFILE, then the saved default', () => {
+    expect(activeProfileName()).toBe('default');
+    setProfileValue('work', 'username', 'alice');
+    setDefaultProfile('work');
+    expect(activeProfileName()).toBe('work');
+    expect(loadProfile().values.username).toBe('alice');
+
+    process.env.VOICESYNC_PROFILE = 'home';
+    expect(activeProfileName()).toBe('home');
+    expect(activeProfileName('laptop')).toBe('laptop');
+  });
+
+  test('unset removes a value and reports whether there was one', () => {
+    setProfileValue('default', 'username', 'alice');
+    expect(unsetProfileValue('default', 'username')).toBe(true);
+    expect(unsetProfileValue('default', 'username')).toBe(false);
+    expect(unsetProfileValue('nowhere', 'username')).toBe(false);
+    expect(loadProfile().values).toEqual({});
+  });
+
+  test('secrets are masked unless revealed', () => {
+    expect(formatValue('turnCredential', 's3cret')).toBe('********');
+    expect(formatValue('turnCredential', 's3cret', { reveal: true })).toBe('s3cret');
+    expect(formatValue('iceServers', ['stun:a.example', 'stun:b.example'])).toBe('stun:a.example,stun:b.example');
+  });
+});
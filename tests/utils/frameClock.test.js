@@ -0,0 +1,67 @@
+'use strict';
+
+const { performance } = require('perf_hooks');
+const { startFrameClock, MAX_CATCH_UP_FRAMES } = require('../../src/utils/frameClock');
+
+describe('startFrameClock', () => {
+  let now;
+  let clock;
+
+  beforeEach(() => {
+    now = 0;
+    jest.useFakeTimers();
+    jest.spyOn(performance, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    clock?.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  /** Moves the clock on without firing timers, as a stalled event loop would. */
+  function stall(ms) {
+    now += ms;
+  }
+
+  function tick(ms) {
+    now += ms;
+    jest.advanceTimersByTime(ms);
+  }
+
+  test('produces one frame per interval, numbered from 0', () => {
+    const frames = [];
+    clock = startFrameClock(10, (frame) => frames.push(frame));
+    for (let i = 0; i < 5; i++) tick(10);
+    expect(frames).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('catches up after a stall, skipping what is too late', () => {
+    const frames = [];
+    clock = startFrameClock(10, (frame) => frames.push(frame));
+    stall(200);
+    tick(10);
+    // 21 frames were due; only the most recent few are produced
+    expect(frames).toHaveLength(MAX_CATCH_UP_FRAMES);
+    expect(frames[frames.length - 1]).toBe(20);
+  });
+
+  test('produces every late frame when told to', () => {
+    let count = 0;
+    clock = startFrameClock(10, () => count++, { maxCatchUp: Infinity });
+    stall(200);
+    tick(10);
+    expect(count).toBe(21);
+  });
+
+  test('stopping from a frame ends the catch-up too', () => {
+    let count = 0;
+    clock = startFrameClock(10, () => {
+      if (++count === 2) clock.stop();
+    }, { maxCatchUp: Infinity });
+    stall(100);
+    tick(10);
+    tick(10);
+    expect(count).toBe(2);
+  });
+});
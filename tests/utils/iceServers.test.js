@@ -0,0 +1,62 @@
+'use strict';
+
+const { DEFAULT_ICE_SERVERS, resolveIceServers, describeIceServers } = require('../../src/utils/iceServers');
+
+const TURN = 'turn:turn.example.com:3478?transport=tcp';
+
+describe('resolveIceServers', () => {
+  test('uses public STUN when nothing is configured', () => {
+    expect(resolveIceServers({ env: {} })).toEqual(DEFAULT_ICE_SERVERS);
+  });
+
+  test('takes flags over the environment over saved settings', () => {
+    const env = { VOICESYNC_ICE_SERVERS: 'stun:env.example.com, stun:env2.example.com' };
+    const settings = { servers: ['stun:saved.example.com'] };
+    expect(resolveIceServers({ urls: ['stun:flag.example.com'], env, settings })).toEqual([{ urls: 'stun:flag.example.com' }]);
+    expect(resolveIceServers({ env, settings })).toEqual([{ urls: 'stun:env.example.com' }, { urls: 'stun:env2.example.com' }]);
+    expect(resolveIceServers({ env: {}, settings })).toEqual([{ urls: 'stun:saved.example.com' }]);
+  });
+
+  test('uses no servers at all when told "none"', () => {
+    expect(resolveIceServers({ urls: ['none'], env: {} })).toEqual([]);
+    expect(resolveIceServers({ env: { VOICESYNC_ICE_SERVERS: 'none' } })).toEqual([]);
+  });
+
+  test('gives TURN servers the configured credentials, keeping any of their own', () => {
+    const servers = resolveIceServers({
+      env: { VOICESYNC_TURN_USERNAME: 'alice', VOICESYNC_TURN_CREDENTIAL: 'from-env' },
+      settings: {
+        servers: ['stun:stun.example.com', TURN, { urls: ['turns:other.example.com'], username: 'bob', credential: 'own' }],
+        turnCredential: 'saved',
+      },
+      turnCredential: 'from-flag',
+    });
+    expect(servers).toEqual([
+      { urls: 'stun:stun.example.com' },
+      { urls: TURN, username: 'alice', credential: 'from-flag' },
+      { urls: ['turns:other.example.com'], username: 'bob', credential: 'own' },
+    ]);
+  });
+
+  test('refuses a TURN server without credentials', () => {
+    expect(() => resolveIceServers({ urls: [TURN], env: {} })).toThrow(
+      expect.objectContaining({ code: 'TURN_CREDENTIALS_MISSING' }),
+    );
+  });
+
+  test('refuses anything but STUN and TURN URLs', () => {
+    for (const urls of [['http://example.com'], ['stun:'], ['stun:a.example.com', 'none']]) {
+      expect(() => resolveIceServers({ urls, env: {} })).toThrow(
+        expect.objectContaining({ code: 'INVALID_ICE_SERVER' }),
+      );
+    }
+  });
+});
+
+describe('describeIceServers', () => {
+  test('lists URLs without credentials', () => {
+    const text = describeIceServers([{ urls: 'stun:a.example.com' }, { urls: [TURN], username: 'u', credential: 'secret' }]);
+    expect(text).toBe(`stun:a.example.com, ${TURN}`);
+    expect(describeIceServers([])).toBe('none');
+  });
+});
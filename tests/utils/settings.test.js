@@ -0,0 +1,60 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadSettings, saveSettings, settingsPath } = require('../../src/utils/settings');
+const { VoiceSyncError } = require('../../src/utils/errors');
+
+describe('settings', () => {
+  let home;
+  const previousHome = process.env.VOICESYNC_HOME;
+
+  beforeEach(() => {
+    home = fs.mkdtempSync(path.join(os.tmpdir(), 'voicesync-'));
+    process.env.VOICESYNC_HOME = path.join(home, 'state');
+  });
+
+  afterEach(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+    if (previousHome === undefined) delete process.env.VOICESYNC_HOME;
+    else process.env.VOICESYNC_HOME = previousHome;
+  });
+
+  test('lives under $VOICESYNC_HOME', () => {
+    expect(settingsPath()).toBe(path.join(home, 'state', 'settings.json'));
+  });
+
+  test('loads nothing before anything is saved', () => {
+    expect(loadSettings()).toEqual({});
+  });
+
+  test('saves and reloads settings, creating the directory', () => {
+    saveSettings({ vad: { threshold: 0.004, hangoverMs: 300 } });
+    expect(loadSettings()).toEqual({ vad: { threshold: 0.004, hangoverMs: 300 } });
+  });
+
+  test('merges changes into the sections already saved', () => {
+    saveSettings({ vad: { threshold: 0.004, hangoverMs: 300 }, other: { kept: true } });
+    expect(saveSettings({ vad: { threshold: 0.01 } })).toEqual({
+      vad: { threshold: 0.01, hangoverMs: 300 },
+      other: { kept: true },
+    });
+    expect(loadSettings().vad.threshold).toBe(0.01);
+  });
+
+  test('ignores a corrupt file rather than failing', () => {
+    fs.mkdirSync(path.dirname(settingsPath()), { recursive: true });
+    fs.writeFileSync(settingsPath(), '{ not json');
+    expect(loadSettings()).toEqual({});
+    fs.writeFileSync(settingsPath(), '[1, 2]');
+    expect(loadSettings()).toEqual({});
+  });
+
+  test('reports a settings location that cannot be written', () => {
+    fs.writeFileSync(path.join(home, 'state'), 'a file where the directory should be');
+    expect(() => saveSettings({ vad: { threshold: 0.01 } })).toThrow(VoiceSyncError);
+    expect(() => saveSettings({ vad: { threshold: 0.01 } }))
+      .toThrow(expect.objectContaining({ code: 'SETTINGS_WRITE_FAILED' }));
+  });
+});